@@ -3,7 +3,17 @@ import { Toaster as Sonner } from "@/components/ui/sonner";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { SokobanLayout } from "@/components/sokoban/SokobanLayout";
+import { SokobanProvider } from "@/components/sokoban/SokobanProvider";
 import Index from "./pages/Index";
+import Play from "./pages/Play";
+import Levels from "./pages/Levels";
+import Editor from "./pages/Editor";
+import Generate from "./pages/Generate";
+import Daily from "./pages/Daily";
+import Leaderboard from "./pages/Leaderboard";
+import Stats from "./pages/Stats";
+import Settings from "./pages/Settings";
 import NotFound from "./pages/NotFound";
 
 const queryClient = new QueryClient();
@@ -14,11 +24,23 @@ const App = () => (
       <Toaster />
       <Sonner />
       <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Index />} />
-          {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
-          <Route path="*" element={<NotFound />} />
-        </Routes>
+        <SokobanProvider>
+          <Routes>
+            <Route path="/" element={<Index />} />
+            <Route element={<SokobanLayout />}>
+              <Route path="/play/:levelId" element={<Play />} />
+              <Route path="/levels" element={<Levels />} />
+              <Route path="/editor" element={<Editor />} />
+              <Route path="/generate" element={<Generate />} />
+              <Route path="/daily" element={<Daily />} />
+              <Route path="/leaderboard" element={<Leaderboard />} />
+              <Route path="/stats" element={<Stats />} />
+              <Route path="/settings" element={<Settings />} />
+            </Route>
+            {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </SokobanProvider>
       </BrowserRouter>
     </TooltipProvider>
   </QueryClientProvider>
@@ -0,0 +1,178 @@
+import { KeyboardEvent, useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Game, GameSnapshot } from "@/hooks/use-game";
+import { useSokoban } from "@/hooks/use-sokoban";
+import { formatKeys, toAriaKeyShortcuts } from "@/sokoban/controls.js";
+
+// What each map character is called in the text grid
+const CELL_NAMES: Record<string, string> = {
+  "#": "wall",
+  " ": "floor",
+  ".": "goal",
+  $: "box",
+  "*": "box on a goal",
+  "@": "you",
+  "+": "you, on a goal",
+};
+
+const GRID_KEYS: Record<string, [number, number]> = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+interface AccessibleBoardProps {
+  game: Game;
+  snapshot: GameSnapshot;
+}
+
+/**
+ * Screen reader mode: a live region that reads out every move's result, the
+ * look-around commands, and the level as a grid of text cells that can be
+ * explored with the arrow keys. Enter on a cell walks there; on a box it
+ * selects the box, and Enter on a cell the box can go to then pushes it there.
+ * On a Multiban level, Enter on another player switches to that player.
+ */
+export const AccessibleBoard = ({ game, snapshot }: AccessibleBoardProps) => {
+  const { settings } = useSokoban();
+  const rows = snapshot.board;
+  const selection = snapshot.boxSelection;
+  const targets = new Set(selection?.targets.map((cell) => `${cell.x},${cell.y}`));
+  const width = Math.max(...rows.map((row) => row.length));
+  const [selected, setSelected] = useState(() => {
+    const y = rows.findIndex((row) => /[@+]/.test(row));
+    return { x: rows[y].search(/[@+]/), y };
+  });
+  const cellRefs = useRef(new Map<string, HTMLElement>());
+  const movedFocus = useRef(false);
+
+  // The next level may be smaller than the last
+  const focus = { x: Math.min(selected.x, width - 1), y: Math.min(selected.y, rows.length - 1) };
+
+  useEffect(() => {
+    if (movedFocus.current) {
+      movedFocus.current = false;
+      cellRefs.current.get(`${selected.x},${selected.y}`)?.focus();
+    }
+  }, [selected]);
+
+  const handleKeyDown = (e: KeyboardEvent) => {
+    let next = null;
+    if (GRID_KEYS[e.key]) {
+      const [dx, dy] = GRID_KEYS[e.key];
+      next = { x: focus.x + dx, y: focus.y + dy };
+    } else if (e.key === "Home") {
+      next = { x: 0, y: e.ctrlKey ? 0 : focus.y };
+    } else if (e.key === "End") {
+      next = { x: width - 1, y: e.ctrlKey ? rows.length - 1 : focus.y };
+    } else if (e.key === "Enter" || e.key === " ") {
+      game.goTo(focus.x, focus.y);
+    } else {
+      // Everything else, like Ctrl+Z or the look-around keys, works as on the board
+      return;
+    }
+
+    // Keep the grid's keys from also moving the player
+    e.preventDefault();
+    e.stopPropagation();
+    if (next && next.x >= 0 && next.y >= 0 && next.x < width && next.y < rows.length) {
+      movedFocus.current = true;
+      setSelected(next);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Screen Reader Mode</CardTitle>
+        <CardDescription>
+          Your movement keys move the player. {formatKeys(settings.keyBindings, "surroundings") || "Look Around"}{" "}
+          describes your surroundings and {formatKeys(settings.keyBindings, "boxes") || "Boxes and Goals"} lists the
+          boxes and goals left. In the grid below, arrow keys explore the level and Enter walks to the cell. Enter on a
+          box selects it; Enter on a square it can go to then pushes it there.
+          {snapshot.players.length > 1 &&
+            ` This level has ${snapshot.players.length} players: Enter on another one, or the Player button, ` +
+              "switches to them. Tab moves focus as usual in this mode."}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="rounded-md bg-muted px-4 py-3 text-sm" role="status" aria-live="polite" aria-atomic="true">
+          {/* A fresh element per announcement, so repeated text is read again */}
+          <span key={snapshot.announcement.id}>{snapshot.announcement.text}</span>
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={game.announceSurroundings}
+            aria-keyshortcuts={toAriaKeyShortcuts(settings.keyBindings, "surroundings") || undefined}
+          >
+            Look Around
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={game.announceBoxes}
+            aria-keyshortcuts={toAriaKeyShortcuts(settings.keyBindings, "boxes") || undefined}
+          >
+            Boxes and Goals
+          </Button>
+        </div>
+
+        <div
+          role="grid"
+          aria-label="Level map"
+          aria-rowcount={rows.length}
+          aria-colcount={width}
+          className="inline-block font-mono text-lg leading-none"
+          onKeyDown={handleKeyDown}
+        >
+          {rows.map((row, y) => (
+            <div role="row" key={y} aria-rowindex={y + 1} className="flex">
+              {Array.from({ length: width }, (_, x) => {
+                const char = row[x] ?? " ";
+                let name = CELL_NAMES[char];
+                const player = snapshot.players.findIndex((cell) => cell.x === x && cell.y === y);
+                if (player !== -1 && snapshot.players.length > 1) {
+                  const who = player === snapshot.activePlayer ? "you, player" : "player";
+                  name = `${who} ${player + 1}${char === "+" ? ", on a goal" : ""}`;
+                }
+                if (selection && selection.box.x === x && selection.box.y === y) {
+                  name += ", selected";
+                } else if (targets.has(`${x},${y}`)) {
+                  name += ", the selected box can go here";
+                }
+                return (
+                  <span
+                    role="gridcell"
+                    key={x}
+                    ref={(el) => {
+                      if (el) {
+                        cellRefs.current.set(`${x},${y}`, el);
+                      } else {
+                        cellRefs.current.delete(`${x},${y}`);
+                      }
+                    }}
+                    tabIndex={x === focus.x && y === focus.y ? 0 : -1}
+                    aria-colindex={x + 1}
+                    aria-label={`${name}, row ${y + 1}, column ${x + 1}`}
+                    onClick={() => {
+                      setSelected({ x, y });
+                      game.goTo(x, y);
+                    }}
+                    className="flex h-6 w-6 items-center justify-center whitespace-pre focus:bg-primary focus:text-primary-foreground focus:outline-none"
+                  >
+                    {char}
+                  </span>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
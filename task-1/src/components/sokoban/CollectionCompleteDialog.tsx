@@ -0,0 +1,59 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useSokoban } from "@/hooks/use-sokoban";
+
+interface CollectionCompleteDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onLevelSelect: () => void;
+  onRestart: () => void;
+}
+
+/**
+ * Shown after the last level instead of wrapping around: how much of the
+ * collection is solved and the sum of the best runs.
+ */
+export const CollectionCompleteDialog = ({ open, onOpenChange, onLevelSelect, onRestart }: CollectionCompleteDialogProps) => {
+  const { levels, getRecord } = useSokoban();
+
+  const solved = levels.filter((level) => getRecord(level)).length;
+  const allSolved = solved === levels.length;
+  const records = levels.map(getRecord).filter((record) => record && record.bestMoves !== null);
+  const totalMoves = records.reduce((sum, record) => sum + record.bestMoves, 0);
+  const totalPushes = records.reduce((sum, record) => sum + record.bestPushes, 0);
+
+  let summary = `You have solved ${solved} of ${levels.length} levels.`;
+  if (records.length > 0) {
+    summary += ` Your best runs add up to ${totalMoves} moves and ${totalPushes} pushes.`;
+  }
+  if (!allSolved) {
+    const unsolved = levels
+      .map((level, index) => (getRecord(level) ? null : index + 1))
+      .filter((number) => number !== null);
+    summary += ` Still unsolved: level${unsolved.length === 1 ? "" : "s"} ${unsolved.join(", ")}.`;
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="text-center sm:max-w-md">
+        <DialogHeader className="sm:text-center">
+          <DialogTitle className="text-2xl">{allSolved ? "🏆 Collection Complete!" : "End of Collection"}</DialogTitle>
+          <DialogDescription>{summary}</DialogDescription>
+        </DialogHeader>
+        <DialogFooter className="sm:justify-center">
+          <Button variant="secondary" onClick={onLevelSelect}>
+            ☰ Level Select
+          </Button>
+          <Button onClick={onRestart}>Play from Level 1</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
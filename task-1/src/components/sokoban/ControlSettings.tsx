@@ -0,0 +1,219 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useConnectedGamepads } from "@/hooks/use-controls";
+import { Settings, useSokoban } from "@/hooks/use-sokoban";
+import { useToast } from "@/hooks/use-toast";
+import {
+  ACTIONS,
+  DEFAULT_GAMEPAD_BINDINGS,
+  DEFAULT_KEY_BINDINGS,
+  GAMEPAD_BUTTONS,
+  bindButton,
+  bindKey,
+  getKeyCombo,
+} from "@/sokoban/controls.js";
+
+const SLOT_NAMES = ["key", "alternate key"];
+
+const labelOf = (actionId: string) => ACTIONS.find((action) => action.id === actionId).label;
+
+/**
+ * The controls section of the settings page: a key and an alternate key and
+ * a gamepad button for every action, key repeat and the reset confirmation.
+ */
+export const ControlSettings = () => {
+  const { settings, updateSettings } = useSokoban();
+  const { toast } = useToast();
+  const gamepads = useConnectedGamepads();
+  const [capturing, setCapturing] = useState<{ action: string; slot: number } | null>(null);
+  const { keyBindings, gamepadBindings } = settings;
+
+  // While a key slot is selected, the next key press is the new binding
+  useEffect(() => {
+    if (!capturing) {
+      return;
+    }
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === "Tab") {
+        setCapturing(null); // Let Tab move on; it is not bindable, so the page stays usable
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.key === "Escape") {
+        setCapturing(null);
+        return;
+      }
+      const combo = e.key === "Delete" ? null : getKeyCombo(e);
+      if (combo === null && e.key !== "Delete") {
+        return; // A modifier on its own; wait for the rest of the combo
+      }
+
+      const bound = bindKey(keyBindings, capturing.action, capturing.slot, combo);
+      updateSettings({ keyBindings: bound.keyBindings as Settings["keyBindings"] });
+      if (bound.takenFrom) {
+        toast({ title: `${combo} moved`, description: `It no longer does "${labelOf(bound.takenFrom)}".` });
+      }
+      setCapturing(null);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [capturing, keyBindings, updateSettings, toast]);
+
+  const changeButton = (actionId: string, value: string) => {
+    const bound = bindButton(gamepadBindings, actionId, value === "none" ? null : Number(value));
+    updateSettings({ gamepadBindings: bound.gamepadBindings });
+    if (bound.takenFrom) {
+      toast({
+        title: `${GAMEPAD_BUTTONS[Number(value)]} moved`,
+        description: `It no longer does "${labelOf(bound.takenFrom)}".`,
+      });
+    }
+  };
+
+  const restoreDefaults = () => {
+    setCapturing(null);
+    updateSettings({ keyBindings: DEFAULT_KEY_BINDINGS, gamepadBindings: DEFAULT_GAMEPAD_BINDINGS });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Controls</CardTitle>
+        <CardDescription>
+          Select a key, then press the new key or combination. Esc cancels and Delete leaves the slot empty. A key
+          does one thing only, so binding it elsewhere moves it.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Action</TableHead>
+              <TableHead>Key</TableHead>
+              <TableHead>Alternate key</TableHead>
+              <TableHead>Gamepad</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {ACTIONS.map((action) => (
+              <TableRow key={action.id}>
+                <TableCell className="font-medium">{action.label}</TableCell>
+                {keyBindings[action.id].map((key, slot) => {
+                  const active = capturing?.action === action.id && capturing.slot === slot;
+                  return (
+                    <TableCell key={slot}>
+                      <Button
+                        variant={active ? "default" : "outline"}
+                        size="sm"
+                        className="min-w-24 font-mono"
+                        onClick={() => setCapturing(active ? null : { action: action.id, slot })}
+                        aria-label={`${action.label}, ${SLOT_NAMES[slot]}: ${key ?? "none"}. Select to change.`}
+                        aria-pressed={active}
+                      >
+                        {active ? "Press a key…" : (key ?? "—")}
+                      </Button>
+                    </TableCell>
+                  );
+                })}
+                <TableCell>
+                  <Select
+                    value={gamepadBindings[action.id] === null ? "none" : String(gamepadBindings[action.id])}
+                    onValueChange={(value) => changeButton(action.id, value)}
+                  >
+                    <SelectTrigger className="w-36" aria-label={`${action.label}, gamepad button`}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None</SelectItem>
+                      {GAMEPAD_BUTTONS.map((name, index) => (
+                        <SelectItem key={name} value={String(index)}>
+                          {name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <p className="text-sm text-muted-foreground" role="status">
+          🎮{" "}
+          {gamepads.length > 0
+            ? `Connected: ${gamepads.join(", ")}. The left stick moves too.`
+            : "No gamepad found. Connect one and press any of its buttons."}
+        </p>
+
+        <div className="flex items-center justify-between gap-4">
+          <Label htmlFor="keyRepeat" className="space-y-1">
+            <span className="block">⏩ Key repeat</span>
+            <span className="block font-normal text-muted-foreground">
+              Holding a direction, undo or redo key or button keeps repeating it.
+            </span>
+          </Label>
+          <Switch
+            id="keyRepeat"
+            checked={settings.keyRepeat}
+            onCheckedChange={(checked) => updateSettings({ keyRepeat: checked })}
+          />
+        </div>
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label>Delay before repeating: {settings.keyRepeatDelay} ms</Label>
+            <Slider
+              value={[settings.keyRepeatDelay]}
+              min={100}
+              max={800}
+              step={50}
+              disabled={!settings.keyRepeat}
+              onValueChange={([keyRepeatDelay]) => updateSettings({ keyRepeatDelay })}
+              aria-label="Delay before repeating, in milliseconds"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label>Time between repeats: {settings.keyRepeatInterval} ms</Label>
+            <Slider
+              value={[settings.keyRepeatInterval]}
+              min={40}
+              max={400}
+              step={20}
+              disabled={!settings.keyRepeat}
+              onValueChange={([keyRepeatInterval]) => updateSettings({ keyRepeatInterval })}
+              aria-label="Time between repeats, in milliseconds"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <Label htmlFor="confirmReset" className="space-y-1">
+            <span className="block">↻ Confirm reset</span>
+            <span className="block font-normal text-muted-foreground">
+              Ask before a reset, so a stray key press does not throw a level away.
+            </span>
+          </Label>
+          <Switch
+            id="confirmReset"
+            checked={settings.confirmReset}
+            onCheckedChange={(checked) => updateSettings({ confirmReset: checked })}
+          />
+        </div>
+      </CardContent>
+      <CardFooter>
+        <Button variant="secondary" onClick={restoreDefaults}>
+          Restore Default Controls
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+};
@@ -0,0 +1,27 @@
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+
+/**
+ * The spoiler-free daily challenge result from formatDailyShare() (daily.js),
+ * with a button to copy it for sharing.
+ */
+export const DailyResult = ({ text }: { text: string }) => {
+  const { toast } = useToast();
+
+  const copy = () => {
+    navigator.clipboard.writeText(`${text}\n${window.location.origin}/daily`).then(
+      () => toast({ title: "Result copied", description: "It gives nothing of the level away." }),
+      () => toast({ title: "Could not copy", description: "Select the result and copy it by hand." }),
+    );
+  };
+
+  return (
+    <div className="rounded-md bg-muted p-3 text-left">
+      <span className="text-xs font-semibold uppercase text-muted-foreground">Daily challenge result</span>
+      <pre className="mt-1 select-all whitespace-pre-wrap font-sans text-sm">{text}</pre>
+      <Button variant="secondary" size="sm" className="mt-2" onClick={copy}>
+        📋 Copy Result
+      </Button>
+    </div>
+  );
+};
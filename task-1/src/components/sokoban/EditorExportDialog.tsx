@@ -0,0 +1,60 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Textarea } from "@/components/ui/textarea";
+import { Level } from "@/hooks/use-sokoban";
+import { useToast } from "@/hooks/use-toast";
+import { downloadText, toFilename } from "@/lib/download";
+import { formatLevelAsJs, formatLevelAsXsb } from "@/sokoban/xsb.js";
+
+interface EditorExportDialogProps {
+  /** 'js' for the levels.js object format, 'xsb' for XSB text; null when closed. */
+  format: "js" | "xsb" | null;
+  level: Level;
+  problems: string[];
+  onClose: () => void;
+}
+
+export const EditorExportDialog = ({ format, level, problems, onClose }: EditorExportDialogProps) => {
+  const { toast } = useToast();
+  const isJs = format === "js";
+  const text = format ? (isJs ? formatLevelAsJs(level) : formatLevelAsXsb(level)) : "";
+
+  const copy = () => {
+    navigator.clipboard.writeText(text).then(
+      () => toast({ title: "Level copied" }),
+      () => toast({ title: "Could not copy", description: "Select the text and copy it by hand." }),
+    );
+  };
+
+  return (
+    <Dialog open={format !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{isJs ? "Export for levels.js" : "Export as XSB"}</DialogTitle>
+          {problems.length > 0 && (
+            <DialogDescription className="text-destructive">
+              ⚠️ This level is not playable yet: {problems.join(" ")}
+            </DialogDescription>
+          )}
+        </DialogHeader>
+        <Textarea value={text} rows={12} spellCheck={false} readOnly className="font-mono" />
+        <DialogFooter>
+          <Button variant="secondary" onClick={onClose}>
+            Close
+          </Button>
+          <Button variant="secondary" onClick={() => downloadText(`${toFilename(level.name)}.${format}`, text)}>
+            ⬇ Save
+          </Button>
+          <Button onClick={copy}>📋 Copy</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
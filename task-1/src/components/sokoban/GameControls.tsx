@@ -0,0 +1,135 @@
+import { Button } from "@/components/ui/button";
+import { Toggle } from "@/components/ui/toggle";
+import { GameSnapshot } from "@/hooks/use-game";
+import { Settings } from "@/hooks/use-sokoban";
+import { formatShortcut, toAriaKeyShortcuts } from "@/sokoban/controls.js";
+
+interface GameControlsProps {
+  snapshot: GameSnapshot;
+  keyBindings: Settings["keyBindings"];
+  showDeadSquares: boolean;
+  onUndo: () => void;
+  onRedo: () => void;
+  onUndoPush: () => void;
+  onReset: () => void;
+  onNextLevel: () => void;
+  onSharePosition: () => void;
+  onReplaySolution: () => void;
+  onHint: () => void;
+  onSolve: () => void;
+  onShowDeadSquaresChange: (show: boolean) => void;
+  onSwitchPlayer: () => void;
+  /** Whether a usual level is being played in reverse for practice; null where it is not offered. */
+  reversePractice: boolean | null;
+  onReversePracticeChange: (reverse: boolean) => void;
+}
+
+export const GameControls = ({
+  snapshot,
+  keyBindings,
+  showDeadSquares,
+  onUndo,
+  onRedo,
+  onUndoPush,
+  onReset,
+  onNextLevel,
+  onSharePosition,
+  onReplaySolution,
+  onHint,
+  onSolve,
+  onShowDeadSquaresChange,
+  onSwitchPlayer,
+  reversePractice,
+  onReversePracticeChange,
+}: GameControlsProps) => {
+  // The bound keys, for the tooltip and for screen readers
+  const shortcut = (label: string, action: string) => ({
+    title: formatShortcut(label, keyBindings, action),
+    "aria-keyshortcuts": toAriaKeyShortcuts(keyBindings, action) || undefined,
+  });
+  const reverse = snapshot.variant === "reverse";
+  const players = snapshot.players.length;
+  // Replays are checked with the usual rules, one player making every move
+  const usualRules = !reverse && players === 1;
+  // Position links open the listed level, not its reverse practice
+  const canShare = snapshot.moveCount > 0 && !reversePractice;
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2">
+      <Button variant="secondary" onClick={onUndo} disabled={!snapshot.canUndo} aria-label="Undo" {...shortcut("Undo", "undo")}>
+        ↶ Undo
+      </Button>
+      <Button variant="secondary" onClick={onRedo} disabled={!snapshot.canRedo} aria-label="Redo" {...shortcut("Redo", "redo")}>
+        ↷ Redo
+      </Button>
+      <Button variant="secondary" onClick={onUndoPush} disabled={!snapshot.canUndoPush} aria-label="Undo to before the last push">
+        ⤺ Undo Push
+      </Button>
+      <Button variant="secondary" onClick={onReset} aria-label="Reset level" {...shortcut("Reset", "reset")}>
+        ↻ Reset
+      </Button>
+      <Button onClick={onNextLevel} aria-label="Next level" {...shortcut("Next level", "nextLevel")}>
+        Next Level →
+      </Button>
+      {players > 1 && (
+        <Button
+          variant="secondary"
+          onClick={onSwitchPlayer}
+          aria-label={`Switch player, now player ${snapshot.activePlayer + 1} of ${players}`}
+          {...shortcut("Switch player", "switchPlayer")}
+        >
+          👥 Player {snapshot.activePlayer + 1} of {players}
+        </Button>
+      )}
+      <Button
+        variant="secondary"
+        onClick={onSharePosition}
+        disabled={!canShare}
+        title={reversePractice ? "Links do not work in reverse practice" : "Copy a link that opens this position"}
+        aria-label="Share position"
+      >
+        🔗 Share Position
+      </Button>
+      <Button variant="secondary" onClick={onReplaySolution} disabled={!usualRules} aria-label="Replay a solution">
+        🎬 Replay Solution
+      </Button>
+      <Button
+        variant="secondary"
+        onClick={onHint}
+        disabled={snapshot.solverBusy || !snapshot.canUseSolver}
+        aria-label="Hint"
+        {...shortcut("Hint", "hint")}
+      >
+        💡 Hint
+      </Button>
+      <Button
+        variant="secondary"
+        onClick={onSolve}
+        disabled={snapshot.solverBusy || !snapshot.canUseSolver}
+        aria-label="Auto-solve"
+      >
+        🤖 Auto-solve
+      </Button>
+      <Toggle
+        variant="outline"
+        pressed={showDeadSquares}
+        onPressedChange={onShowDeadSquaresChange}
+        disabled={reverse}
+        aria-label="Show dead squares"
+      >
+        ☠️ Dead Squares
+      </Toggle>
+      {reversePractice !== null && (
+        <Toggle
+          variant="outline"
+          pressed={reversePractice}
+          onPressedChange={onReversePracticeChange}
+          title="Practise the level backwards, pulling the boxes off the goals. Solves do not count as progress."
+          aria-label="Reverse practice"
+        >
+          ⇄ Reverse
+        </Toggle>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { ImportResult } from "@/hooks/use-sokoban";
+
+interface ImportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  /** The last import, when it skipped any boards. */
+  result: ImportResult | null;
+  onImport: (text: string) => void;
+}
+
+export const ImportDialog = ({ open, onOpenChange, result, onImport }: ImportDialogProps) => {
+  const [text, setText] = useState("");
+
+  useEffect(() => {
+    if (open && !result) {
+      setText("");
+    }
+  }, [open, result]);
+
+  const source = result?.title ? ` from "${result.title}"` : "";
+  const summary = result
+    ? result.count > 0
+      ? `Imported ${result.count} level${result.count === 1 ? "" : "s"}${source}. Some boards were skipped:`
+      : "No levels were imported:"
+    : "";
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Import Levels</DialogTitle>
+          <DialogDescription>Choose an .xsb, .sok or .txt level pack, or paste level text below.</DialogDescription>
+        </DialogHeader>
+
+        <Input
+          type="file"
+          accept=".xsb,.sok,.txt,text/plain"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+              file.text().then(onImport);
+            }
+            e.target.value = "";
+          }}
+        />
+        <Textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={10}
+          spellCheck={false}
+          className="font-mono"
+          placeholder={"Title: My Level\n\n#####\n#@$.#\n#####"}
+          autoFocus
+        />
+
+        {result && (
+          <div className="text-sm text-destructive" role="status">
+            <p>{summary}</p>
+            <ul className="mt-1 max-h-32 list-disc overflow-y-auto pl-5">
+              {result.errors.map((error, i) => (
+                <li key={i}>
+                  Line {error.line}
+                  {error.level ? ` (${error.level})` : ""}: {error.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={() => onImport(text)}>Load Levels</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,71 @@
+import { FormEvent, useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { SolveResult, useSokoban } from "@/hooks/use-sokoban";
+import { submitSolution } from "@/sokoban/leaderboard.js";
+
+interface LeaderboardSubmitProps {
+  levelId: string;
+  result: SolveResult;
+}
+
+/**
+ * Send a solve to the leaderboard server, which replays it before recording
+ * it, and show the rank it earned or why it was turned down.
+ */
+export const LeaderboardSubmit = ({ levelId, result }: LeaderboardSubmitProps) => {
+  const { settings, updateSettings } = useSokoban();
+  const queryClient = useQueryClient();
+  const [name, setName] = useState(settings.playerName);
+  const submit = useMutation({
+    mutationFn: (username: string) => submitSolution(levelId, username, result),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["leaderboard"] }),
+  });
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    updateSettings({ playerName: name.trim() });
+    submit.mutate(name.trim());
+  };
+
+  if (submit.isSuccess) {
+    const { rank } = submit.data;
+    return (
+      <p className="rounded-md bg-muted p-3 text-sm" role="status">
+        ✅ Verified by the server: #{rank.moves} by moves, #{rank.pushes} by pushes.{" "}
+        <Link to={`/leaderboard?level=${levelId}`} className="font-semibold underline">
+          See the leaderboard
+        </Link>
+      </p>
+    );
+  }
+
+  return (
+    <form className="space-y-2 rounded-md bg-muted p-3 text-left" onSubmit={handleSubmit}>
+      <Label htmlFor="leaderboard-name" className="text-xs font-semibold uppercase text-muted-foreground">
+        Leaderboard
+      </Label>
+      <div className="flex gap-2">
+        <Input
+          id="leaderboard-name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Your name"
+          maxLength={24}
+          className="bg-background"
+        />
+        <Button type="submit" variant="secondary" disabled={!name.trim() || submit.isPending}>
+          {submit.isPending ? "Checking…" : "🏆 Submit"}
+        </Button>
+      </div>
+      {submit.isError && (
+        <p className="text-sm text-destructive" role="alert">
+          {submit.error.message}
+        </p>
+      )}
+    </form>
+  );
+};
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+import { Skin } from "@/hooks/use-sokoban";
+import { isGoal, parseLevel } from "@/sokoban/engine.js";
+import { clearBoard, drawTile, drawBox, drawPlayer, drawPlayerBadge, fitCanvasToDisplay } from "@/sokoban/render.js";
+import { PLAYER_COLORS } from "@/sokoban/skins.js";
+
+const PREVIEW_TILE_SIZE = 32;
+
+/**
+ * A level's starting position drawn with a skin, without playing it.
+ */
+export const LevelPreview = ({ map, skin, label }: { map: string[]; skin: Skin; label: string }) => {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const width = Math.max(...map.map((row) => row.length));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const view = fitCanvasToDisplay(canvas, ctx);
+    const state = parseLevel(map);
+    clearBoard(ctx, skin, view);
+
+    state.grid.forEach((row: number[], y: number) =>
+      row.forEach((tile, x) => drawTile(ctx, skin, PREVIEW_TILE_SIZE, x * PREVIEW_TILE_SIZE, y * PREVIEW_TILE_SIZE, tile, x, y)),
+    );
+    state.boxes.forEach((box: { x: number; y: number }) =>
+      drawBox(ctx, skin, PREVIEW_TILE_SIZE, box.x * PREVIEW_TILE_SIZE, box.y * PREVIEW_TILE_SIZE, isGoal(state, box.x, box.y), false),
+    );
+    const multiban = state.players.length > 1;
+    state.players.forEach(({ x, y }: { x: number; y: number }, i: number) => {
+      const color = multiban ? PLAYER_COLORS[i] : null;
+      const [px, py] = [x * PREVIEW_TILE_SIZE, y * PREVIEW_TILE_SIZE];
+      drawPlayer(ctx, skin, PREVIEW_TILE_SIZE, px, py, isGoal(state, x, y), color);
+      if (multiban) {
+        drawPlayerBadge(ctx, PREVIEW_TILE_SIZE, px, py, i + 1, color, false);
+      }
+    });
+  }, [map, skin]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width * PREVIEW_TILE_SIZE}
+      height={map.length * PREVIEW_TILE_SIZE}
+      style={{ width: width * PREVIEW_TILE_SIZE, height: map.length * PREVIEW_TILE_SIZE }}
+      className="rounded border"
+      role="img"
+      aria-label={label}
+    />
+  );
+};
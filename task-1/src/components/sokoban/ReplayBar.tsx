@@ -0,0 +1,54 @@
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { GameSnapshot } from "@/hooks/use-game";
+import { cn } from "@/lib/utils";
+import { REPLAY_SPEEDS } from "@/sokoban/game.js";
+
+interface ReplayBarProps {
+  replay: NonNullable<GameSnapshot["replay"]>;
+  onRestart: () => void;
+  onTogglePlaying: () => void;
+  onStep: () => void;
+  onSpeedChange: (speed: number) => void;
+  onClose: () => void;
+}
+
+export const ReplayBar = ({ replay, onRestart, onTogglePlaying, onStep, onSpeedChange, onClose }: ReplayBarProps) => (
+  <Card className={cn(replay.flagged && "border-destructive")}>
+    <CardContent className="flex flex-wrap items-center justify-between gap-3 p-4">
+      <div className="text-sm">
+        <strong className="mr-2">
+          Move {replay.index} of {replay.length}
+        </strong>
+        <span className={cn(replay.flagged && "text-destructive")}>{replay.message}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <Button variant="secondary" size="sm" onClick={onRestart} title="Restart" aria-label="Restart replay">
+          ⏮
+        </Button>
+        <Button variant="secondary" size="sm" onClick={onTogglePlaying}>
+          {replay.playing ? "⏸ Pause" : "▶ Play"}
+        </Button>
+        <Button variant="secondary" size="sm" onClick={onStep} title="Step" aria-label="Step one move">
+          ⏭ Step
+        </Button>
+        <Select value={String(replay.speed)} onValueChange={(value) => onSpeedChange(Number(value))}>
+          <SelectTrigger className="h-9 w-20" aria-label="Replay speed">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPLAY_SPEEDS.map((speed) => (
+              <SelectItem key={speed} value={String(speed)}>
+                {speed}×
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="secondary" size="sm" onClick={onClose} title="Stop replay" aria-label="Stop replay">
+          ✕
+        </Button>
+      </div>
+    </CardContent>
+  </Card>
+);
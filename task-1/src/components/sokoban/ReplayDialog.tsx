@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Textarea } from "@/components/ui/textarea";
+import { Level } from "@/hooks/use-sokoban";
+import { parseLurd, verifyLurd } from "@/sokoban/lurd.js";
+
+interface ReplayDialogProps {
+  open: boolean;
+  level: Level;
+  onOpenChange: (open: boolean) => void;
+  /** Called with the verdict of verifyLurd() once the solution has at least one legal move. */
+  onReplay: (verdict: ReturnType<typeof verifyLurd>) => void;
+}
+
+/**
+ * Paste a LURD solution for the current level and replay it.
+ */
+export const ReplayDialog = ({ open, level, onOpenChange, onReplay }: ReplayDialogProps) => {
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (open) {
+      setError("");
+    }
+  }, [open]);
+
+  const load = () => {
+    const parsed = parseLurd(text);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+
+    const verdict = verifyLurd(level.map, parsed.moves);
+    if (verdict.moves.length === 0) {
+      setError(`The first move '${verdict.illegal.letter}' is illegal: it ${verdict.illegal.reason}.`);
+      return;
+    }
+
+    onOpenChange(false);
+    onReplay(verdict);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Replay a Solution</DialogTitle>
+          <DialogDescription>
+            Paste a solution for <strong>{level.name}</strong> in LURD notation: lowercase letters are moves,
+            uppercase letters are pushes.
+          </DialogDescription>
+        </DialogHeader>
+        <Textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={6}
+          spellCheck={false}
+          className="font-mono"
+          placeholder="llUUddrrruulL…"
+          autoFocus
+        />
+        {error && (
+          <p className="text-sm text-destructive" role="status">
+            {error}
+          </p>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={load}>Verify &amp; Replay</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
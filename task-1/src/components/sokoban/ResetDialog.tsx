@@ -0,0 +1,39 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+
+interface ResetDialogProps {
+  open: boolean;
+  moves: number;
+  onOpenChange: (open: boolean) => void;
+  onConfirm: () => void;
+}
+
+/**
+ * Asks before a reset when the confirm reset setting is on. The reset
+ * action pressed again (on a gamepad, say) confirms too.
+ */
+export const ResetDialog = ({ open, moves, onOpenChange, onConfirm }: ResetDialogProps) => (
+  <AlertDialog open={open} onOpenChange={onOpenChange}>
+    <AlertDialogContent className="sm:max-w-md">
+      <AlertDialogHeader>
+        <AlertDialogTitle>Reset the level?</AlertDialogTitle>
+        <AlertDialogDescription>
+          This takes you back to the start, {moves} move{moves === 1 ? "" : "s"} ago. You can still undo the reset
+          afterwards.
+        </AlertDialogDescription>
+      </AlertDialogHeader>
+      <AlertDialogFooter>
+        <AlertDialogCancel>Keep Playing</AlertDialogCancel>
+        <AlertDialogAction onClick={onConfirm}>↻ Reset</AlertDialogAction>
+      </AlertDialogFooter>
+    </AlertDialogContent>
+  </AlertDialog>
+);
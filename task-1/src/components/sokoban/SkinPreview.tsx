@@ -0,0 +1,52 @@
+import { useEffect, useRef } from "react";
+import { Skin } from "@/hooks/use-sokoban";
+import { TILE_TYPES } from "@/sokoban/engine.js";
+import { clearBoard, drawTile, drawBox, drawPlayer, fitCanvasToDisplay } from "@/sokoban/render.js";
+
+const PREVIEW_TILE_SIZE = 28;
+
+// Wall, box, box on a goal, empty goal and the player
+const PREVIEW_CELLS = [
+  { tile: TILE_TYPES.WALL },
+  { tile: TILE_TYPES.FLOOR, box: true },
+  { tile: TILE_TYPES.GOAL, box: true },
+  { tile: TILE_TYPES.GOAL },
+  { tile: TILE_TYPES.FLOOR, player: true },
+];
+
+/**
+ * A strip of board cells drawn with a skin, for picking one.
+ */
+export const SkinPreview = ({ skin }: { skin: Skin }) => {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const view = fitCanvasToDisplay(canvas, ctx);
+    clearBoard(ctx, skin, view);
+
+    PREVIEW_CELLS.forEach((cell, x) => {
+      const px = x * PREVIEW_TILE_SIZE;
+      const onGoal = cell.tile === TILE_TYPES.GOAL;
+      drawTile(ctx, skin, PREVIEW_TILE_SIZE, px, 0, cell.tile, x, 0);
+      if (cell.box) {
+        drawBox(ctx, skin, PREVIEW_TILE_SIZE, px, 0, onGoal, false);
+      }
+      if (cell.player) {
+        drawPlayer(ctx, skin, PREVIEW_TILE_SIZE, px, 0, onGoal);
+      }
+    });
+  }, [skin]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={PREVIEW_CELLS.length * PREVIEW_TILE_SIZE}
+      height={PREVIEW_TILE_SIZE}
+      style={{ width: PREVIEW_CELLS.length * PREVIEW_TILE_SIZE, height: PREVIEW_TILE_SIZE }}
+      className="rounded border"
+      aria-hidden="true"
+    />
+  );
+};
@@ -0,0 +1,121 @@
+import { DragEvent, useState } from "react";
+import { NavLink, Outlet, useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { ImportResult, useSokoban } from "@/hooks/use-sokoban";
+import { cn } from "@/lib/utils";
+import { ImportDialog } from "./ImportDialog";
+
+const NAV_ITEMS = [
+  { to: "/play", label: "Play" },
+  { to: "/levels", label: "☰ Levels" },
+  { to: "/daily", label: "📅 Daily" },
+  { to: "/leaderboard", label: "🏆 Leaderboard" },
+  { to: "/stats", label: "📊 Stats" },
+  { to: "/editor", label: "✏️ Editor" },
+  { to: "/generate", label: "🎲 Generate" },
+  { to: "/settings", label: "⚙️ Settings" },
+];
+
+/**
+ * Page frame for every Sokoban route: title, navigation and level import,
+ * including level packs dropped anywhere on the page.
+ */
+export const SokobanLayout = () => {
+  const { levels, progress, importLevels } = useSokoban();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [importOpen, setImportOpen] = useState(false);
+  const [importResult, setImportResult] = useState<ImportResult | null>(null);
+  const [dragActive, setDragActive] = useState(false);
+
+  // Jump to the first imported level; problems are listed in the import dialog
+  const runImport = (text: string) => {
+    const result = importLevels(text);
+    if (result.count > 0) {
+      navigate(`/play/${result.firstIndex + 1}`);
+    }
+
+    if (result.errors.length === 0) {
+      setImportOpen(false);
+      toast({
+        title: "Levels imported",
+        description: `Imported ${result.count} level${result.count === 1 ? "" : "s"}${result.title ? ` from "${result.title}"` : ""}.`,
+      });
+      return;
+    }
+
+    setImportResult(result);
+    setImportOpen(true);
+  };
+
+  const openImport = () => {
+    setImportResult(null);
+    setImportOpen(true);
+  };
+
+  const handleDragOver = (e: DragEvent) => {
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (e: DragEvent) => {
+    if (e.relatedTarget === null) {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e: DragEvent) => {
+    e.preventDefault();
+    setDragActive(false);
+
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      file.text().then(runImport);
+      return;
+    }
+
+    const text = e.dataTransfer.getData("text/plain");
+    if (text) {
+      runImport(text);
+    }
+  };
+
+  return (
+    <div
+      className="flex min-h-screen justify-center bg-gradient-to-br from-[#667eea] to-[#764ba2] p-5"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <div className="w-full max-w-5xl">
+        <header className="mb-6 text-center text-white">
+          <h1 className="mb-2 text-4xl font-extrabold drop-shadow md:text-5xl">Sokoban</h1>
+          <p className="text-lg opacity-95">Push all boxes to the goal spots!</p>
+        </header>
+
+        <nav className="mb-4 flex flex-wrap justify-center gap-2" aria-label="Sokoban">
+          {NAV_ITEMS.map((item) => (
+            <Button key={item.to} asChild variant="secondary" size="sm">
+              <NavLink
+                to={item.to === "/play" ? `/play/${Math.min(progress.currentLevel, levels.length - 1) + 1}` : item.to}
+                className={({ isActive }) => cn(isActive && "ring-2 ring-white")}
+              >
+                {item.label}
+              </NavLink>
+            </Button>
+          ))}
+          <Button variant="secondary" size="sm" onClick={openImport}>
+            📂 Import
+          </Button>
+        </nav>
+
+        <main className={cn("rounded-lg", dragActive && "outline-dashed outline-4 outline-offset-8 outline-white")}>
+          <Outlet />
+        </main>
+      </div>
+
+      <ImportDialog open={importOpen} onOpenChange={setImportOpen} result={importResult} onImport={runImport} />
+    </div>
+  );
+};
@@ -0,0 +1,311 @@
+import { ReactNode, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { LEVELS } from "@/sokoban/levels.js";
+import { parseLevelCollection } from "@/sokoban/xsb.js";
+import {
+  loadProgress,
+  saveProgress,
+  getLevelKey,
+  recordLevelSolve,
+  recordAssistedSolve,
+  importProgress,
+} from "@/sokoban/progress.js";
+import { loadSettings, saveSettings } from "@/sokoban/settings.js";
+import { loadCollection, saveCollection } from "@/sokoban/collection.js";
+import {
+  loadDailyHistory,
+  saveDailyHistory,
+  startDailyAttempt,
+  findDailyAttempt,
+  finishDailyAttempt,
+} from "@/sokoban/daily.js";
+import { loadStats, saveStats, recordAttempt as addAttempt } from "@/sokoban/stats.js";
+import {
+  CUSTOM_SKIN_ID,
+  DEFAULT_THEME,
+  getTheme,
+  loadSpriteSkin,
+  loadCustomSkin,
+  saveCustomSkin,
+  clearCustomSkin,
+} from "@/sokoban/skins.js";
+import {
+  AttemptResult,
+  DailyChallenge,
+  DailyHistory,
+  Level,
+  Progress,
+  Settings,
+  Skin,
+  SokobanContext,
+  SokobanContextValue,
+  SolveResult,
+  Stats,
+} from "@/hooks/use-sokoban";
+
+function readAsDataUrl(file: File) {
+  return new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(new Error("The file could not be read."));
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Holds the level list, saved progress and settings for every Sokoban route.
+ * Imported and test-played levels live for the session, like before; levels
+ * saved to the player's collection follow the built-in ones on every visit.
+ * Progress and settings are saved to localStorage on every change.
+ */
+export const SokobanProvider = ({ children }: { children: ReactNode }) => {
+  const [savedLevels, setSavedLevels] = useState<Level[]>(loadCollection);
+  // levels.js is plain JS, so its `variant` strings are typed as any string
+  const [levels, setLevels] = useState<Level[]>(() => [...(LEVELS as Level[]), ...savedLevels]);
+  const [progress, setProgress] = useState<Progress>(loadProgress);
+  const [settings, setSettings] = useState<Settings>(loadSettings);
+  const [editorLevelIndex, setEditorLevelIndex] = useState<number | null>(null);
+  const [customSkin, setCustomSkin] = useState<Skin | null>(null);
+  const [dailyHistory, setDailyHistory] = useState<DailyHistory>(loadDailyHistory);
+  const [stats, setStats] = useState<Stats>(loadStats);
+  const levelsRef = useRef(levels);
+  const savedLevelsRef = useRef(savedLevels);
+  const progressRef = useRef(progress);
+  const dailyHistoryRef = useRef(dailyHistory);
+  const statsRef = useRef(stats);
+
+  // progress.js updates records in place, so work on a copy and save that
+  const updateProgress = useCallback(<T,>(change: (next: Progress) => T): T => {
+    const next = { ...progressRef.current, levels: { ...progressRef.current.levels } };
+    const result = change(next);
+    progressRef.current = next;
+    saveProgress(next);
+    setProgress(next);
+    return result;
+  }, []);
+
+  // daily.js also updates entries in place, so copy them as well
+  const updateDailyHistory = useCallback(<T,>(change: (next: DailyHistory) => T): T => {
+    const days = Object.fromEntries(Object.entries(dailyHistoryRef.current.days).map(([date, entry]) => [date, { ...entry }]));
+    const next = { ...dailyHistoryRef.current, days };
+    const result = change(next);
+    dailyHistoryRef.current = next;
+    saveDailyHistory(next);
+    setDailyHistory(next);
+    return result;
+  }, []);
+
+  const updateLevels = useCallback((next: Level[]) => {
+    levelsRef.current = next;
+    setLevels(next);
+  }, []);
+
+  const getRecord = useCallback((level: Level) => progress.levels[getLevelKey(level)], [progress]);
+
+  const setCurrentLevel = useCallback(
+    (index: number) => {
+      if (progressRef.current.currentLevel !== index) {
+        updateProgress((next) => {
+          next.currentLevel = index;
+        });
+      }
+    },
+    [updateProgress],
+  );
+
+  const recordSolve = useCallback(
+    (index: number, result: SolveResult) =>
+      updateProgress((next) => {
+        const key = getLevelKey(levelsRef.current[index]);
+        if (result.assistedBy) {
+          recordAssistedSolve(next, key);
+          return null;
+        }
+        return recordLevelSolve(next, key, result.moves, result.pushes);
+      }),
+    [updateProgress],
+  );
+
+  const importLevels = useCallback(
+    (text: string) => {
+      const collection = parseLevelCollection(text);
+      const firstIndex = levelsRef.current.length;
+      if (collection.levels.length > 0) {
+        updateLevels([...levelsRef.current, ...collection.levels]);
+      }
+      return {
+        title: collection.title,
+        count: collection.levels.length,
+        firstIndex,
+        errors: collection.errors,
+      };
+    },
+    [updateLevels],
+  );
+
+  const restoreProgress = useCallback(
+    (json: string) => updateProgress((next) => importProgress(next, json)),
+    [updateProgress],
+  );
+
+  const updateSettings = useCallback((changes: Partial<Settings>) => {
+    setSettings((current) => {
+      const next = { ...current, ...changes };
+      saveSettings(next);
+      return next;
+    });
+  }, []);
+
+  // The sprite sheet is stored as a data: URL and decoded again on every visit
+  useEffect(() => {
+    const stored = loadCustomSkin();
+    if (stored) {
+      loadSpriteSkin(stored.image, stored.name).then(setCustomSkin, (err) =>
+        console.warn("Could not load the saved skin:", err),
+      );
+    }
+  }, []);
+
+  const installSkin = useCallback(
+    async (file: File) => {
+      const source = await readAsDataUrl(file);
+      const name = file.name.replace(/\.[^.]+$/, "");
+      const loaded = await loadSpriteSkin(source, name);
+      const saved = saveCustomSkin(name, source);
+      setCustomSkin(loaded);
+      updateSettings({ theme: CUSTOM_SKIN_ID });
+      return saved;
+    },
+    [updateSettings],
+  );
+
+  const removeCustomSkin = useCallback(() => {
+    clearCustomSkin();
+    setCustomSkin(null);
+    if (settings.theme === CUSTOM_SKIN_ID) {
+      updateSettings({ theme: DEFAULT_THEME.id });
+    }
+  }, [settings.theme, updateSettings]);
+
+  // Until a saved sprite sheet has loaded, the board uses the default theme
+  const skin = useMemo<Skin>(
+    () => (settings.theme === CUSTOM_SKIN_ID && customSkin ? customSkin : getTheme(settings.theme)),
+    [settings.theme, customSkin],
+  );
+
+  // Repeated test plays replace the same entry instead of adding a new one each time
+  const saveEditorLevel = useCallback(
+    (level: Level, replace: boolean) => {
+      const next = [...levelsRef.current];
+      let index = next.length;
+      if (replace && editorLevelIndex !== null) {
+        index = editorLevelIndex;
+      }
+      next[index] = level;
+      updateLevels(next);
+      setEditorLevelIndex(index);
+      return index;
+    },
+    [editorLevelIndex, updateLevels],
+  );
+
+  // A level already in the list, e.g. played before being saved, keeps its place
+  const addLevel = useCallback(
+    (level: Level, save: boolean) => {
+      const key = getLevelKey(level);
+      let index = levelsRef.current.findIndex((other) => getLevelKey(other) === key);
+      if (index === -1) {
+        index = levelsRef.current.length;
+        updateLevels([...levelsRef.current, level]);
+      }
+
+      if (save && !savedLevelsRef.current.some((other) => getLevelKey(other) === key)) {
+        const next = [...savedLevelsRef.current, level];
+        savedLevelsRef.current = next;
+        saveCollection(next);
+        setSavedLevels(next);
+      }
+      return index;
+    },
+    [updateLevels],
+  );
+
+  const startDaily = useCallback(
+    (challenge: DailyChallenge, level: Level, optimalPushes: number) => {
+      updateDailyHistory((next) => startDailyAttempt(next, challenge, getLevelKey(level), optimalPushes));
+      return addLevel(level, false);
+    },
+    [updateDailyHistory, addLevel],
+  );
+
+  const finishDaily = useCallback(
+    (level: Level, result: SolveResult) => {
+      const date = findDailyAttempt(dailyHistoryRef.current, getLevelKey(level));
+      if (date !== null) {
+        updateDailyHistory((next) => finishDailyAttempt(next, date, result));
+      }
+      return date;
+    },
+    [updateDailyHistory],
+  );
+
+  const recordAttempt = useCallback((level: Level, attempt: AttemptResult, solved: boolean) => {
+    const next = { ...statsRef.current, attempts: [...statsRef.current.attempts] };
+    addAttempt(next, { ...attempt, levelKey: getLevelKey(level), levelName: level.name, endedAt: Date.now(), solved });
+    statsRef.current = next;
+    saveStats(next);
+    setStats(next);
+  }, []);
+
+  const value = useMemo<SokobanContextValue>(
+    () => ({
+      levels,
+      progress,
+      settings,
+      editorLevelIndex,
+      getRecord,
+      setCurrentLevel,
+      recordSolve,
+      importLevels,
+      restoreProgress,
+      updateSettings,
+      skin,
+      customSkin,
+      installSkin,
+      removeCustomSkin,
+      saveEditorLevel,
+      savedLevels,
+      addLevel,
+      dailyHistory,
+      startDaily,
+      finishDaily,
+      stats,
+      recordAttempt,
+    }),
+    [
+      levels,
+      progress,
+      settings,
+      editorLevelIndex,
+      getRecord,
+      setCurrentLevel,
+      recordSolve,
+      importLevels,
+      restoreProgress,
+      updateSettings,
+      skin,
+      customSkin,
+      installSkin,
+      removeCustomSkin,
+      saveEditorLevel,
+      savedLevels,
+      addLevel,
+      dailyHistory,
+      startDaily,
+      finishDaily,
+      stats,
+      recordAttempt,
+    ],
+  );
+
+  return <SokobanContext.Provider value={value}>{children}</SokobanContext.Provider>;
+};
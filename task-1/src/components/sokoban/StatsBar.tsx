@@ -0,0 +1,28 @@
+import { Card, CardContent } from "@/components/ui/card";
+
+interface StatsBarProps {
+  levelNumber: number;
+  levelName: string;
+  moves: number;
+  pushes: number;
+  /** Time on the clock, e.g. "1:23", while a daily challenge attempt runs. */
+  time?: string;
+}
+
+export const StatsBar = ({ levelNumber, levelName, moves, pushes, time }: StatsBarProps) => (
+  <Card>
+    <CardContent className="flex flex-wrap items-center justify-around gap-4 p-4 text-center">
+      <Stat label="Level" value={levelNumber} title={levelName} />
+      <Stat label="Moves" value={moves} />
+      <Stat label="Pushes" value={pushes} />
+      {time !== undefined && <Stat label="Time" value={time} />}
+    </CardContent>
+  </Card>
+);
+
+const Stat = ({ label, value, title }: { label: string; value: number | string; title?: string }) => (
+  <div title={title}>
+    <span className="mr-2 text-sm font-semibold uppercase text-muted-foreground">{label}:</span>
+    <span className="text-2xl font-bold text-[#667eea]">{value}</span>
+  </div>
+);
@@ -0,0 +1,27 @@
+import { Slider } from "@/components/ui/slider";
+
+interface TimelineProps {
+  value: number;
+  max: number;
+  onChange: (move: number) => void;
+}
+
+/**
+ * Scrub through the current attempt, including moves that can still be redone.
+ */
+export const Timeline = ({ value, max, onChange }: TimelineProps) => (
+  <div className="flex items-center gap-3">
+    <Slider
+      value={[value]}
+      min={0}
+      max={Math.max(max, 1)}
+      step={1}
+      disabled={max === 0}
+      onValueChange={([move]) => onChange(move)}
+      aria-label="Move history"
+    />
+    <span className="min-w-28 text-right text-sm tabular-nums text-muted-foreground">
+      Move {value} / {max}
+    </span>
+  </div>
+);
@@ -0,0 +1,79 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { SolveResult } from "@/hooks/use-sokoban";
+import { DailyResult } from "./DailyResult";
+import { LeaderboardSubmit } from "./LeaderboardSubmit";
+
+interface WinDialogProps {
+  result: SolveResult | null;
+  /** How the solve compares with earlier ones, e.g. "⭐ First clear!" */
+  recordMessage: string;
+  /** The shareable result when the solve ended a daily challenge attempt. */
+  dailyResult: string | null;
+  /** Set for levels with a server leaderboard (getLeaderboardLevelId() in leaderboard.js). */
+  leaderboardLevelId: string | null;
+  isLastLevel: boolean;
+  onCopySolution: () => void;
+  onDownloadSolution: () => void;
+  onReplay: () => void;
+  onContinue: () => void;
+  onClose: () => void;
+}
+
+export const WinDialog = ({
+  result,
+  recordMessage,
+  dailyResult,
+  leaderboardLevelId,
+  isLastLevel,
+  onCopySolution,
+  onDownloadSolution,
+  onReplay,
+  onContinue,
+  onClose,
+}: WinDialogProps) => (
+  <Dialog open={result !== null} onOpenChange={(open) => !open && onClose()}>
+    <DialogContent className="text-center sm:max-w-md">
+      <DialogHeader className="sm:text-center">
+        <DialogTitle className="text-2xl">🎉 Level Complete!</DialogTitle>
+        <DialogDescription>
+          Moves: {result?.moves} | Pushes: {result?.pushes}
+        </DialogDescription>
+      </DialogHeader>
+      <p className="font-semibold text-[#667eea]" role="status">
+        {recordMessage}
+      </p>
+      {dailyResult && <DailyResult text={dailyResult} />}
+      {/* Assisted solves never set records, here or on the server */}
+      {result && leaderboardLevelId && !result.assistedBy && <LeaderboardSubmit levelId={leaderboardLevelId} result={result} />}
+      <div className="rounded-md bg-muted p-3 text-left">
+        <span className="text-xs font-semibold uppercase text-muted-foreground">Solution (LURD)</span>
+        <code className="mt-1 block max-h-24 select-all overflow-y-auto break-all font-mono text-sm">{result?.solution}</code>
+        <div className="mt-2 flex gap-2">
+          <Button variant="secondary" size="sm" onClick={onCopySolution} aria-label="Copy solution">
+            📋 Copy
+          </Button>
+          <Button variant="secondary" size="sm" onClick={onDownloadSolution} aria-label="Save solution as a file">
+            ⬇ Save
+          </Button>
+        </div>
+      </div>
+      <DialogFooter className="sm:justify-center">
+        <Button variant="secondary" onClick={onReplay}>
+          Replay
+        </Button>
+        {/* Focused when the dialog opens, so Enter carries straight on */}
+        <Button onClick={onContinue} autoFocus>
+          {isLastLevel ? "Finish Collection" : "Next Level"}
+        </Button>
+      </DialogFooter>
+    </DialogContent>
+  </Dialog>
+);
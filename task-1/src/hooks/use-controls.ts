@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from "react";
+import type { Settings } from "@/hooks/use-sokoban";
+import { ACTIONS, createKeyRepeat, findKeyAction, getKeyCombo, getPressedActions } from "@/sokoban/controls.js";
+
+const REPEATING_ACTIONS = new Set(ACTIONS.filter((action) => action.repeats).map((action) => action.id));
+
+function getGamepads(): Gamepad[] {
+  return navigator.getGamepads ? navigator.getGamepads().filter((pad): pad is Gamepad => pad !== null) : [];
+}
+
+/**
+ * Run `onAction` with the action id (see ACTIONS in controls.js) of every
+ * bound key press and gamepad button press, repeating held ones as the
+ * settings say. Keys typed into form fields or pressed while a dialog is
+ * open are left alone; gamepads have no other way to answer a dialog, so
+ * their actions always get through. `onAction` may change between renders,
+ * and may return false to leave a key to the browser, as Tab is on levels
+ * with a single player.
+ */
+export function useControls(settings: Settings, onAction: (action: string) => boolean | void, enabled = true) {
+  const onActionRef = useRef(onAction);
+  onActionRef.current = onAction;
+  const { keyBindings, gamepadBindings, keyRepeat, keyRepeatDelay, keyRepeatInterval } = settings;
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const repeat = createKeyRepeat((action: string) => onActionRef.current(action));
+    const press = (source: string, action: string) => {
+      if (onActionRef.current(action) === false) {
+        return false;
+      }
+      if (keyRepeat && REPEATING_ACTIONS.has(action)) {
+        repeat.start(source, action, keyRepeatDelay, keyRepeatInterval);
+      }
+      return true;
+    };
+    const passedOn = new Set<string>(); // Codes of held keys left to the browser
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      const target = e.target instanceof Element ? e.target : document.body;
+      if (
+        target.closest("input, textarea, select, [role='slider'], [role='listbox']") ||
+        document.querySelector("[role='dialog'], [role='alertdialog']")
+      ) {
+        return;
+      }
+
+      const combo = getKeyCombo(e);
+      const action = combo && findKeyAction(keyBindings, combo);
+      if (!action) {
+        return;
+      }
+      // The keyboard's own repeat is ignored; held keys repeat at the configured pace
+      if (e.repeat) {
+        if (!passedOn.has(e.code)) {
+          e.preventDefault();
+        }
+      } else if (press(`key:${e.code}`, action)) {
+        passedOn.delete(e.code);
+        e.preventDefault();
+      } else {
+        passedOn.add(e.code);
+      }
+    };
+    const handleKeyUp = (e: KeyboardEvent) => {
+      passedOn.delete(e.code);
+      repeat.stop(`key:${e.code}`);
+    };
+
+    // Gamepads have no events for buttons, so they are polled once a frame while any is connected
+    let frame: number | null = null;
+    const held = new Map<number, Set<string>>(); // Gamepad index -> actions held on it
+    const poll = () => {
+      const pads = getGamepads();
+      pads.forEach((pad) => {
+        const before = held.get(pad.index) ?? new Set<string>();
+        const now: Set<string> = getPressedActions(pad, gamepadBindings);
+        now.forEach((action) => {
+          if (!before.has(action)) {
+            press(`pad:${pad.index}:${action}`, action);
+          }
+        });
+        before.forEach((action) => {
+          if (!now.has(action)) {
+            repeat.stop(`pad:${pad.index}:${action}`);
+          }
+        });
+        held.set(pad.index, now);
+      });
+      frame = pads.length > 0 ? requestAnimationFrame(poll) : null;
+    };
+    const startPolling = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(poll);
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", repeat.stopAll);
+    window.addEventListener("gamepadconnected", startPolling);
+    startPolling(); // A gamepad used on another page is connected already
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", repeat.stopAll);
+      window.removeEventListener("gamepadconnected", startPolling);
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+      repeat.stopAll();
+    };
+  }, [enabled, keyBindings, gamepadBindings, keyRepeat, keyRepeatDelay, keyRepeatInterval]);
+}
+
+/**
+ * The ids of the connected gamepads, kept up to date. Browsers only report
+ * a gamepad once one of its buttons has been pressed on the page.
+ */
+export function useConnectedGamepads() {
+  const [gamepads, setGamepads] = useState<string[]>(() => getGamepads().map((pad) => pad.id));
+
+  useEffect(() => {
+    const update = () => setGamepads(getGamepads().map((pad) => pad.id));
+    window.addEventListener("gamepadconnected", update);
+    window.addEventListener("gamepaddisconnected", update);
+    return () => {
+      window.removeEventListener("gamepadconnected", update);
+      window.removeEventListener("gamepaddisconnected", update);
+    };
+  }, []);
+
+  return gamepads;
+}
@@ -0,0 +1,112 @@
+import { RefObject, useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { createGame } from "@/sokoban/game.js";
+import { createEditor } from "@/sokoban/editor.js";
+import type { Level, SolveResult, Variant } from "@/hooks/use-sokoban";
+
+export type Game = ReturnType<typeof createGame>;
+export type Editor = ReturnType<typeof createEditor>;
+
+export interface GameSnapshot {
+  level: Level;
+  moveCount: number;
+  pushCount: number;
+  solution: string;
+  /** Who made each move of `solution`, one digit each (see engine.js). */
+  playerLog: string;
+  solved: boolean;
+  canUndo: boolean;
+  canRedo: boolean;
+  canUndoPush: boolean;
+  timelineLength: number;
+  deadlock: { message: string; canUndo: boolean } | null;
+  solverBusy: boolean;
+  solverStatus: { message: string; cancellable: boolean };
+  replay: {
+    index: number;
+    length: number;
+    playing: boolean;
+    speed: number;
+    message: string;
+    flagged: boolean;
+  } | null;
+  zoom: number;
+  /** The rules the level is played by; see VARIANTS in engine.js. */
+  variant: Variant;
+  /** Every player on the board; a Multiban level has more than one. */
+  players: { x: number; y: number }[];
+  /** Index into `players` of the one that moves. */
+  activePlayer: number;
+  /** False where the solver cannot help: reverse play and Multiban levels. */
+  canUseSolver: boolean;
+  /** A box selected to push, the cells it can be pushed to and what to do next. */
+  boxSelection: {
+    box: { x: number; y: number };
+    targets: { x: number; y: number }[];
+    message: string;
+  } | null;
+  /** The level as map characters (see LEVEL_LEGEND), for the screen reader text grid. */
+  board: string[];
+  /** The last move's result in words; `id` changes even when the text repeats. */
+  announcement: { id: number; text: string };
+}
+
+export interface EditorSnapshot {
+  width: number;
+  height: number;
+  tool: string;
+  fill: boolean;
+  canUndo: boolean;
+  map: string[];
+  problems: string[];
+}
+
+interface Store<T> {
+  subscribe: (listener: () => void) => () => void;
+  getSnapshot: () => T;
+}
+
+const noStore: Store<null> = {
+  subscribe: () => () => {},
+  getSnapshot: () => null,
+};
+
+function useStore<T>(store: Store<T> | null): T | null {
+  const { subscribe, getSnapshot } = store ?? noStore;
+  return useSyncExternalStore(subscribe, getSnapshot) as T | null;
+}
+
+/**
+ * Run a game (src/sokoban/game.js) on a canvas for the lifetime of the
+ * component. `onSolved` may change between renders.
+ */
+export function useGame(canvasRef: RefObject<HTMLCanvasElement>, onSolved: (result: SolveResult) => void) {
+  const [game, setGame] = useState<Game | null>(null);
+  const onSolvedRef = useRef(onSolved);
+  onSolvedRef.current = onSolved;
+
+  useEffect(() => {
+    const created = createGame(canvasRef.current, {
+      onSolved: (result: SolveResult) => onSolvedRef.current(result),
+    });
+    setGame(created);
+    return () => created.destroy();
+  }, [canvasRef]);
+
+  return { game, snapshot: useStore<GameSnapshot>(game) };
+}
+
+/**
+ * Run a level editor (src/sokoban/editor.js) on a canvas, starting from
+ * `map`. A new editor is made whenever `map` changes.
+ */
+export function useEditor(canvasRef: RefObject<HTMLCanvasElement>, map: string[]) {
+  const [editor, setEditor] = useState<Editor | null>(null);
+
+  useEffect(() => {
+    const created = createEditor(canvasRef.current, map);
+    setEditor(created);
+    return () => created.destroy();
+  }, [canvasRef, map]);
+
+  return { editor, snapshot: useStore<EditorSnapshot>(editor) };
+}
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import type { Level } from "@/hooks/use-sokoban";
+
+export type Difficulty = "easy" | "medium" | "hard";
+
+/** How a generated level rated, from rateLevel() in generator.js. */
+export interface LevelRating {
+  pushes: number;
+  boxLines: number;
+  nodes: number;
+  score: number;
+  difficulty: Difficulty;
+}
+
+export interface GeneratedLevel extends Level {
+  seed: string;
+  difficulty: Difficulty;
+  rating: LevelRating;
+}
+
+export type GeneratorStatus =
+  | { state: "idle" }
+  | { state: "busy"; attempt: number }
+  | { state: "done"; level: GeneratedLevel }
+  | { state: "error"; message: string };
+
+/**
+ * Generate levels (src/sokoban/generator.js) in a worker for the lifetime of
+ * the component. Starting a new generation or cancelling abandons the one
+ * running by terminating its worker.
+ */
+export function useGenerator() {
+  const [status, setStatus] = useState<GeneratorStatus>({ state: "idle" });
+  const workerRef = useRef<Worker | null>(null);
+  const jobRef = useRef(0);
+
+  const cancel = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setStatus((current) => (current.state === "busy" ? { state: "idle" } : current));
+  }, []);
+
+  const generate = useCallback((seed: string, difficulty: Difficulty) => {
+    workerRef.current?.terminate();
+    let worker: Worker;
+    try {
+      worker = new Worker(new URL("../sokoban/generator-worker.js", import.meta.url), { type: "module" });
+    } catch (err) {
+      setStatus({ state: "error", message: "The generator is unavailable in this browser." });
+      return;
+    }
+
+    const id = ++jobRef.current;
+    workerRef.current = worker;
+    worker.addEventListener("message", (e: MessageEvent) => {
+      const message = e.data;
+      if (message.id !== id) {
+        return;
+      }
+      if (message.type === "progress") {
+        setStatus({ state: "busy", attempt: message.attempt });
+        return;
+      }
+
+      setStatus(
+        message.type === "result" ? { state: "done", level: message.level } : { state: "error", message: message.message },
+      );
+      worker.terminate();
+      workerRef.current = null;
+    });
+    worker.addEventListener("error", () => {
+      setStatus({ state: "error", message: "The generator failed to start." });
+      workerRef.current = null;
+    });
+
+    setStatus({ state: "busy", attempt: 0 });
+    worker.postMessage({ id, seed, difficulty });
+  }, []);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  return { status, generate, cancel };
+}
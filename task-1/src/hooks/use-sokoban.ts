@@ -0,0 +1,183 @@
+import { createContext, useContext } from "react";
+import type { Difficulty } from "@/hooks/use-generator";
+
+/** The rules a level is played by; see VARIANTS in engine.js. */
+export type Variant = "standard" | "reverse";
+
+export interface Level {
+  name: string;
+  map: string[];
+  /** Leave out for the usual rules; see levels.js. */
+  variant?: Variant;
+  /** Known for the built-in levels; see levels.js. */
+  optimalPushes?: number;
+}
+
+export interface LevelRecord {
+  solved: boolean;
+  bestMoves: number | null;
+  bestPushes: number | null;
+  solvedAt: number | null;
+}
+
+export interface Progress {
+  version: number;
+  currentLevel: number;
+  levels: Record<string, LevelRecord>;
+}
+
+export interface Settings {
+  showDeadSquares: boolean;
+  deadlockWarnings: boolean;
+  /** A theme id from THEMES in skins.js, or CUSTOM_SKIN_ID for the uploaded sprite sheet. */
+  theme: string;
+  screenReaderMode: boolean;
+  /** The name last used on the leaderboard. */
+  playerName: string;
+  /** Two key combos (or null) per action id from ACTIONS in controls.js. */
+  keyBindings: Record<string, (string | null)[]>;
+  /** A standard-mapping gamepad button index (or null) per action id. */
+  gamepadBindings: Record<string, number | null>;
+  keyRepeat: boolean;
+  keyRepeatDelay: number;
+  keyRepeatInterval: number;
+  confirmReset: boolean;
+}
+
+/** A vector theme or a loaded sprite sheet skin from skins.js. */
+export interface Skin {
+  id: string;
+  name: string;
+}
+
+export interface SolveResult {
+  moves: number;
+  pushes: number;
+  solution: string;
+  /** From the first move after the level loaded. */
+  timeMs: number;
+  assistedBy: string | null;
+  /** The attempt that solved it, for the statistics; null if it made no moves. */
+  attempt: { timeMs: number; undos: number; resets: number } | null;
+}
+
+/** What an attempt came to, as from endAttempt() in game.js. */
+export interface AttemptResult {
+  moves: number;
+  pushes: number;
+  timeMs: number;
+  undos: number;
+  resets: number;
+  assistedBy: string | null;
+}
+
+/** One attempt at a level, as stored by stats.js. */
+export interface AttemptRecord extends AttemptResult {
+  levelKey: string;
+  levelName: string;
+  endedAt: number;
+  solved: boolean;
+}
+
+export interface Stats {
+  version: number;
+  /** Oldest first. */
+  attempts: AttemptRecord[];
+}
+
+/** What a solve changed, as returned by recordLevelSolve() in progress.js; null for assisted solves. */
+export interface SolveRecord {
+  firstSolve: boolean;
+  previous: LevelRecord | null;
+  newBestMoves: boolean;
+  newBestPushes: boolean;
+}
+
+export interface ImportError {
+  line: number;
+  level?: string;
+  message: string;
+}
+
+export interface ImportResult {
+  title: string | null;
+  count: number;
+  firstIndex: number;
+  errors: ImportError[];
+}
+
+/** A day's challenge from getDailyChallenge() in daily.js. */
+export interface DailyChallenge {
+  date: string;
+  number: number;
+  seed: string;
+  difficulty: Difficulty;
+}
+
+/** One day's attempt, as stored by daily.js. */
+export interface DailyEntry {
+  number: number;
+  difficulty: Difficulty;
+  levelKey: string;
+  optimalPushes: number;
+  startedAt: number;
+  finishedAt: number | null;
+  solved: boolean;
+  moves: number | null;
+  pushes: number | null;
+  timeMs: number | null;
+}
+
+export interface DailyHistory {
+  version: number;
+  /** Attempts by 'YYYY-MM-DD' date. */
+  days: Record<string, DailyEntry>;
+}
+
+export interface SokobanContextValue {
+  levels: Level[];
+  progress: Progress;
+  settings: Settings;
+  /** LEVELS index of the level made by the last editor test play, or null. */
+  editorLevelIndex: number | null;
+  getRecord: (level: Level) => LevelRecord | undefined;
+  setCurrentLevel: (index: number) => void;
+  recordSolve: (index: number, result: SolveResult) => SolveRecord | null;
+  importLevels: (text: string) => ImportResult;
+  restoreProgress: (json: string) => number;
+  updateSettings: (changes: Partial<Settings>) => void;
+  /** The skin to draw the board with, following settings.theme. */
+  skin: Skin;
+  /** The uploaded sprite sheet skin, once loaded. */
+  customSkin: Skin | null;
+  /** Load a sprite sheet image as the custom skin and switch to it. Resolves to false if it could not be saved. */
+  installSkin: (file: File) => Promise<boolean>;
+  removeCustomSkin: () => void;
+  saveEditorLevel: (level: Level, replace: boolean) => number;
+  /** Levels in the player's collection (collection.js), kept between visits. */
+  savedLevels: Level[];
+  /** Add a level to the list, or find it if it is there already, and return its index. `save` also keeps it in the collection. */
+  addLevel: (level: Level, save: boolean) => number;
+  dailyHistory: DailyHistory;
+  /** Start (or carry on with) the day's single attempt and return the level's index. */
+  startDaily: (challenge: DailyChallenge, level: Level, optimalPushes: number) => number;
+  /** End the running daily attempt on this level with a solve. Returns the attempt's date, or null if there is none. */
+  finishDaily: (level: Level, result: SolveResult) => string | null;
+  stats: Stats;
+  /** Add an attempt at a level to the statistics: a solve, or one the player left unsolved. */
+  recordAttempt: (level: Level, attempt: AttemptResult, solved: boolean) => void;
+}
+
+export const SokobanContext = createContext<SokobanContextValue | null>(null);
+
+/**
+ * Levels, progress and settings shared by the Sokoban pages. Must be used
+ * inside <SokobanProvider>.
+ */
+export function useSokoban() {
+  const context = useContext(SokobanContext);
+  if (!context) {
+    throw new Error("useSokoban must be used within a SokobanProvider");
+  }
+  return context;
+}
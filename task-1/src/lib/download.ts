@@ -0,0 +1,21 @@
+/**
+ * Save text as a file through a temporary download link.
+ */
+export function downloadText(filename: string, text: string, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * A level or collection name made safe for use in a file name.
+ */
+export function toFilename(name: string) {
+  return name.replace(/[^\w-]+/g, "_");
+}
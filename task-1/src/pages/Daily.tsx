@@ -0,0 +1,136 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { DailyResult } from "@/components/sokoban/DailyResult";
+import { useGenerator } from "@/hooks/use-generator";
+import { DailyChallenge, useSokoban } from "@/hooks/use-sokoban";
+import { cn } from "@/lib/utils";
+import { addDays, formatDailyShare, formatDuration, getDailyChallenge, getDailyDate, getDailyStreak } from "@/sokoban/daily.js";
+import { DIFFICULTIES } from "@/sokoban/generator.js";
+
+const HISTORY_DAYS = 14;
+
+/**
+ * /daily: today's challenge, the same generated level for everyone. It can be
+ * attempted once; the timer starts with the attempt and keeps running if the
+ * page is left. Finished days show a result to share, and the streak.
+ */
+const Daily = () => {
+  const { dailyHistory, startDaily, addLevel } = useSokoban();
+  const navigate = useNavigate();
+  const { status, generate } = useGenerator();
+  const [today] = useState(getDailyDate);
+  const challenge = getDailyChallenge(today) as DailyChallenge;
+  const entry = dailyHistory.days[today];
+  const streak = getDailyStreak(dailyHistory, today);
+  const level = status.state === "done" ? { name: `Daily #${challenge.number}`, map: status.level.map } : null;
+
+  useEffect(() => {
+    const { seed, difficulty } = getDailyChallenge(today) as DailyChallenge;
+    generate(seed, difficulty);
+  }, [today, generate]);
+
+  const play = () => {
+    if (!level || status.state !== "done") {
+      return;
+    }
+    // After the attempt the level can be played again, but only for fun
+    const index = entry?.finishedAt ? addLevel(level, false) : startDaily(challenge, level, status.level.rating.pushes);
+    navigate(`/play/${index + 1}`);
+  };
+
+  let action = "▶ Start Attempt";
+  if (entry?.finishedAt) {
+    action = "Play Again (not counted)";
+  } else if (entry) {
+    action = "▶ Continue Attempt";
+  }
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex flex-wrap items-center gap-2">
+            Daily Challenge #{challenge.number}
+            <Badge variant="secondary">{DIFFICULTIES[challenge.difficulty].name}</Badge>
+          </CardTitle>
+          <CardDescription>
+            {today}. Everyone gets the same level today. You have one attempt: the timer starts when you do and keeps
+            running until the level is solved. Finishing with auto-solve or a replay ends the attempt unsolved.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {entry?.finishedAt ? (
+            <DailyResult text={formatDailyShare(entry, streak)} />
+          ) : (
+            entry && (
+              <p role="status">
+                Attempt running for {formatDuration(Date.now() - entry.startedAt)}, since{" "}
+                {new Date(entry.startedAt).toLocaleTimeString()}.
+              </p>
+            )
+          )}
+          {status.state === "busy" && <p role="status">Building today's level…</p>}
+          {status.state === "error" && (
+            <p className="text-destructive" role="alert">
+              {status.message}
+            </p>
+          )}
+        </CardContent>
+        <CardFooter>
+          <Button onClick={play} disabled={!level}>
+            {action}
+          </Button>
+        </CardFooter>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg">Streak</CardTitle>
+          <CardDescription>
+            🔥 {streak.current} day{streak.current === 1 ? "" : "s"} in a row · best {streak.best}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ol className="flex flex-wrap gap-2" aria-label={`The last ${HISTORY_DAYS} days`}>
+            {Array.from({ length: HISTORY_DAYS }, (_, i) => {
+              const date = addDays(today, i - HISTORY_DAYS + 1);
+              const day = dailyHistory.days[date];
+              let mark = "·";
+              let label = "not played";
+              if (day?.solved) {
+                mark = "✓";
+                label = `solved in ${formatDuration(day.timeMs)}, ${day.pushes} pushes`;
+              } else if (day?.finishedAt) {
+                mark = "✗";
+                label = "not solved";
+              } else if (day) {
+                mark = "…";
+                label = "in progress";
+              }
+              return (
+                <li
+                  key={date}
+                  title={`${date}: ${label}`}
+                  aria-label={`${date}: ${label}`}
+                  className={cn(
+                    "flex h-9 w-9 items-center justify-center rounded-md border bg-muted/40 font-bold",
+                    day?.solved && "border-green-300 bg-green-50 text-green-700",
+                    day?.finishedAt && !day.solved && "border-red-300 bg-red-50 text-red-700",
+                    date === today && "ring-2 ring-[#667eea]/40",
+                  )}
+                >
+                  {mark}
+                </li>
+              );
+            })}
+          </ol>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Daily;
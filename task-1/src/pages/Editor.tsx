@@ -0,0 +1,209 @@
+import { KeyboardEvent as ReactKeyboardEvent, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Toggle } from "@/components/ui/toggle";
+import { EditorExportDialog } from "@/components/sokoban/EditorExportDialog";
+import { useEditor } from "@/hooks/use-game";
+import { useSokoban } from "@/hooks/use-sokoban";
+import { cn } from "@/lib/utils";
+import { EDITOR_MIN_SIZE, EDITOR_MAX_SIZE } from "@/sokoban/editor.js";
+
+const TOOLS = [
+  { tool: "wall", label: "🧱 Wall" },
+  { tool: "floor", label: "⬜ Floor" },
+  { tool: "goal", label: "🎯 Goal" },
+  { tool: "box", label: "📦 Box" },
+  { tool: "player", label: "🙂 Player" },
+];
+
+/**
+ * /editor: edit the level last played. Editing the level made by the last
+ * test play carries on with it; any other level is edited as a copy.
+ */
+const Editor = () => {
+  const { levels, progress, editorLevelIndex, saveEditorLevel, skin } = useSokoban();
+  const navigate = useNavigate();
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [start] = useState(() => {
+    const index = Math.min(progress.currentLevel, levels.length - 1);
+    const isOwnLevel = index === editorLevelIndex;
+    return { index, isOwnLevel, level: levels[index] };
+  });
+  const [isOwnLevel, setIsOwnLevel] = useState(start.isOwnLevel);
+  const [name, setName] = useState(start.isOwnLevel ? start.level.name : `${start.level.name} (edited)`);
+  const [exportFormat, setExportFormat] = useState<"js" | "xsb" | null>(null);
+  const { editor, snapshot } = useEditor(canvasRef, start.level.map);
+
+  useEffect(() => {
+    editor?.setSkin(skin);
+  }, [editor, skin]);
+
+  useEffect(() => {
+    if (!editor) {
+      return;
+    }
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      const target = e.target instanceof Element ? e.target : document.body;
+      if (target.closest("input, textarea, select") || document.querySelector("[role='dialog']")) {
+        return;
+      }
+
+      if ((e.key === "z" || e.key === "Z") && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        editor.undo();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [editor]);
+
+  const level = { name: name.trim() || "Custom Level", map: snapshot?.map ?? [] };
+  const problems = snapshot?.problems ?? [];
+
+  const newLevel = () => {
+    editor.newLevel();
+    setIsOwnLevel(false);
+    setName("Custom Level");
+  };
+
+  // Repeated test plays replace the same level instead of adding a new one each time
+  const testPlay = () => {
+    const index = saveEditorLevel(level, isOwnLevel);
+    navigate(`/play/${index + 1}`);
+  };
+
+  return (
+    <Card>
+      <CardContent className="space-y-4 p-4 md:p-6">
+        <canvas
+          ref={canvasRef}
+          className="mx-auto block aspect-square w-full max-w-[640px] cursor-crosshair rounded-lg border-[3px] border-[#4a5568] bg-[#f7fafc]"
+          aria-label="Level editor"
+        />
+
+        {snapshot && (
+          <>
+            <div className="flex flex-wrap items-end justify-center gap-3">
+              <div className="space-y-1">
+                <Label htmlFor="editorName">Name</Label>
+                <Input id="editorName" value={name} maxLength={60} onChange={(e) => setName(e.target.value)} />
+              </div>
+              <SizeInput id="editorWidth" label="Width" value={snapshot.width} onCommit={(width) => editor.resize(width, snapshot.height)} />
+              <SizeInput id="editorHeight" label="Height" value={snapshot.height} onCommit={(height) => editor.resize(snapshot.width, height)} />
+            </div>
+
+            <div className="flex flex-wrap justify-center gap-2" role="toolbar" aria-label="Editor tools">
+              {TOOLS.map(({ tool, label }) => (
+                <Toggle
+                  key={tool}
+                  variant="outline"
+                  size="sm"
+                  pressed={snapshot.tool === tool}
+                  onPressedChange={() => editor.selectTool(tool)}
+                >
+                  {label}
+                </Toggle>
+              ))}
+              <Toggle variant="outline" size="sm" pressed={snapshot.fill} onPressedChange={editor.toggleFill}>
+                🪣 Fill
+              </Toggle>
+            </div>
+
+            <div className="flex flex-wrap justify-center gap-2">
+              <Button variant="secondary" size="sm" onClick={editor.undo} disabled={!snapshot.canUndo} title="Undo (Ctrl+Z)">
+                ↶ Undo
+              </Button>
+              <Button variant="secondary" size="sm" onClick={newLevel}>
+                📄 New
+              </Button>
+              <Button variant="secondary" size="sm" onClick={editor.clearOutside}>
+                🌫️ Clear Outside
+              </Button>
+              <Button variant="secondary" size="sm" onClick={() => setExportFormat("js")}>
+                ⬇ levels.js
+              </Button>
+              <Button variant="secondary" size="sm" onClick={() => setExportFormat("xsb")}>
+                ⬇ XSB
+              </Button>
+            </div>
+
+            <p
+              className={cn(
+                "rounded-md px-4 py-2 text-center text-sm",
+                problems.length === 0 ? "bg-green-50 text-green-800" : "bg-amber-50 text-amber-900",
+              )}
+              role="status"
+            >
+              {problems.length === 0 ? "✅ Ready to play" : `⚠️ ${problems.join(" · ")}`}
+            </p>
+
+            <div className="flex justify-center gap-2">
+              <Button variant="secondary" onClick={() => navigate(`/play/${start.index + 1}`)}>
+                Close Editor
+              </Button>
+              <Button onClick={testPlay} disabled={problems.length > 0}>
+                ▶ Test Play
+              </Button>
+            </div>
+          </>
+        )}
+
+        <p className="text-center text-sm text-muted-foreground">
+          Click or drag to paint, right-click to paint floor. Fill paints a whole connected area.
+        </p>
+      </CardContent>
+
+      <EditorExportDialog format={exportFormat} level={level} problems={problems} onClose={() => setExportFormat(null)} />
+    </Card>
+  );
+};
+
+interface SizeInputProps {
+  id: string;
+  label: string;
+  value: number;
+  onCommit: (value: number) => void;
+}
+
+/**
+ * A map dimension, applied when the field loses focus or Enter is pressed so
+ * typing a two-digit size does not resize through the first digit.
+ */
+const SizeInput = ({ id, label, value, onCommit }: SizeInputProps) => {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const size = Number(text) ? Math.min(EDITOR_MAX_SIZE, Math.max(EDITOR_MIN_SIZE, Number(text))) : value;
+    setText(String(size));
+    if (size !== value) {
+      onCommit(size);
+    }
+  };
+
+  return (
+    <div className="w-20 space-y-1">
+      <Label htmlFor={id}>{label}</Label>
+      <Input
+        id={id}
+        type="number"
+        min={EDITOR_MIN_SIZE}
+        max={EDITOR_MAX_SIZE}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e: ReactKeyboardEvent) => e.key === "Enter" && commit()}
+      />
+    </div>
+  );
+};
+
+export default Editor;
@@ -0,0 +1,178 @@
+import { FormEvent, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { LevelPreview } from "@/components/sokoban/LevelPreview";
+import { Difficulty, GeneratedLevel, useGenerator } from "@/hooks/use-generator";
+import { useSokoban } from "@/hooks/use-sokoban";
+import { useToast } from "@/hooks/use-toast";
+import { DIFFICULTIES, createSeed, normalizeSeed } from "@/sokoban/generator.js";
+import { getLevelKey } from "@/sokoban/progress.js";
+
+const DIFFICULTY_IDS = Object.keys(DIFFICULTIES) as Difficulty[];
+
+function isDifficulty(value: string | null): value is Difficulty {
+  return DIFFICULTY_IDS.includes(value as Difficulty);
+}
+
+/**
+ * /generate: make a new level from a seed and a difficulty. The seed and
+ * difficulty are kept in the address (/generate?seed=k3x9qa&difficulty=hard),
+ * so a link regenerates exactly the same level.
+ */
+const Generate = () => {
+  const { skin, savedLevels, addLevel } = useSokoban();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { status, generate, cancel } = useGenerator();
+  const seedParam = searchParams.get("seed");
+  const difficultyParam = searchParams.get("difficulty");
+  const [seed, setSeed] = useState(() => seedParam ?? createSeed());
+  const [difficulty, setDifficulty] = useState<Difficulty>(() => (isDifficulty(difficultyParam) ? difficultyParam : "medium"));
+
+  // The address drives generation, so shared links and the Back button work
+  useEffect(() => {
+    if (seedParam && normalizeSeed(seedParam) && isDifficulty(difficultyParam)) {
+      setSeed(seedParam);
+      setDifficulty(difficultyParam);
+      generate(seedParam, difficultyParam);
+    }
+  }, [seedParam, difficultyParam, generate]);
+
+  const submit = (e: FormEvent) => {
+    e.preventDefault();
+    const next = normalizeSeed(seed) || createSeed();
+    if (next === seedParam && difficulty === difficultyParam) {
+      generate(next, difficulty);
+    } else {
+      setSearchParams({ seed: next, difficulty });
+    }
+  };
+
+  const toLevel = (level: GeneratedLevel) => ({ name: level.name, map: level.map });
+
+  const play = (level: GeneratedLevel) => {
+    navigate(`/play/${addLevel(toLevel(level), false) + 1}`);
+  };
+
+  const save = (level: GeneratedLevel) => {
+    addLevel(toLevel(level), true);
+    toast({ title: "Level saved", description: `"${level.name}" is in your levels now, on every visit.` });
+  };
+
+  const copyLink = (level: GeneratedLevel) => {
+    const url = `${window.location.origin}/generate?seed=${encodeURIComponent(level.seed)}&difficulty=${level.difficulty}`;
+    navigator.clipboard.writeText(url).then(
+      () => toast({ title: "Link copied", description: "Anyone opening it gets this same level." }),
+      () => toast({ title: "Could not copy", description: url }),
+    );
+  };
+
+  const level = status.state === "done" ? status.level : null;
+  const isSaved = level !== null && savedLevels.some((other) => getLevelKey(other) === getLevelKey(level));
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Level Generator</CardTitle>
+          <CardDescription>
+            Random rooms with boxes pulled back from the goals, checked by the solver and rated by the pushes, box
+            changes and search effort they take. The same seed and difficulty always make the same level.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form className="flex flex-wrap items-end gap-4" onSubmit={submit}>
+            <div className="space-y-2">
+              <Label>Difficulty</Label>
+              <RadioGroup
+                value={difficulty}
+                onValueChange={(value) => setDifficulty(value as Difficulty)}
+                className="flex gap-4"
+                aria-label="Difficulty"
+              >
+                {DIFFICULTY_IDS.map((id) => (
+                  <div key={id} className="flex items-center gap-2">
+                    <RadioGroupItem id={`difficulty-${id}`} value={id} />
+                    <Label htmlFor={`difficulty-${id}`} className="cursor-pointer">
+                      {DIFFICULTIES[id].name}
+                    </Label>
+                  </div>
+                ))}
+              </RadioGroup>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="seed">Seed</Label>
+              <div className="flex gap-2">
+                <Input id="seed" value={seed} onChange={(e) => setSeed(e.target.value)} className="w-40" />
+                <Button type="button" variant="secondary" onClick={() => setSeed(createSeed())} aria-label="New random seed">
+                  🎲
+                </Button>
+              </div>
+            </div>
+            <Button type="submit" disabled={status.state === "busy"}>
+              Generate
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {status.state === "busy" && (
+        <Card>
+          <CardContent className="flex items-center justify-between gap-4 pt-6" role="status">
+            <span>Generating… candidate {status.attempt}</span>
+            <Button variant="secondary" size="sm" onClick={cancel}>
+              Cancel
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {status.state === "error" && (
+        <Card>
+          <CardContent className="pt-6 text-destructive" role="alert">
+            {status.message}
+          </CardContent>
+        </Card>
+      )}
+
+      {level && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex flex-wrap items-center gap-2 text-lg">
+              {level.name}
+              <Badge variant={level.rating.difficulty === level.difficulty ? "secondary" : "destructive"}>
+                Rated {DIFFICULTIES[level.rating.difficulty].name}
+              </Badge>
+            </CardTitle>
+            <CardDescription>
+              {level.rating.pushes} pushes minimum · {level.rating.boxLines} box lines · {level.rating.nodes} positions
+              searched · score {level.rating.score}
+              {level.rating.difficulty !== level.difficulty &&
+                `. No ${DIFFICULTIES[level.difficulty].name.toLowerCase()} level came from this seed, so this is the closest.`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="overflow-x-auto">
+            <LevelPreview map={level.map} skin={skin} label={`Preview of ${level.name}`} />
+          </CardContent>
+          <CardFooter className="flex-wrap gap-2">
+            <Button onClick={() => play(level)}>▶ Play</Button>
+            <Button variant="secondary" onClick={() => save(level)} disabled={isSaved}>
+              {isSaved ? "✓ Saved" : "💾 Save to My Levels"}
+            </Button>
+            <Button variant="secondary" onClick={() => copyLink(level)}>
+              🔗 Copy Link
+            </Button>
+          </CardFooter>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default Generate;
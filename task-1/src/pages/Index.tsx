@@ -1,19 +1,14 @@
-import { useEffect } from "react";
+import { Navigate } from "react-router-dom";
+import { useSokoban } from "@/hooks/use-sokoban";
 
+/**
+ * Carry on with the level last played.
+ */
 const Index = () => {
-  useEffect(() => {
-    // Redirect to the Sokoban game
-    window.location.href = "/sokoban/index.html";
-  }, []);
+  const { levels, progress } = useSokoban();
+  const index = Math.min(progress.currentLevel, levels.length - 1);
 
-  return (
-    <div className="flex min-h-screen items-center justify-center bg-background">
-      <div className="text-center">
-        <h1 className="mb-4 text-4xl font-bold">Loading Sokoban...</h1>
-        <p className="text-xl text-muted-foreground">Redirecting to game...</p>
-      </div>
-    </div>
-  );
+  return <Navigate to={`/play/${index + 1}`} replace />;
 };
 
 export default Index;
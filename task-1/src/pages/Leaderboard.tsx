@@ -0,0 +1,170 @@
+import { useSearchParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import { formatDuration } from "@/sokoban/daily.js";
+import { fetchLevelLeaderboard, fetchTopPlayers } from "@/sokoban/leaderboard.js";
+import { LEVELS, hasUsualRules } from "@/sokoban/levels.js";
+import { getLevelKey } from "@/sokoban/progress.js";
+
+interface LeaderboardEntry {
+  rank: number;
+  username: string;
+  moves: number;
+  pushes: number;
+  timeMs: number;
+}
+
+interface TopPlayer {
+  rank: number;
+  username: string;
+  solved: number;
+  firstPlaces: number;
+  totalMoves: number;
+}
+
+// The server replays solutions by the usual rules, so the variant levels have no leaderboard
+const SHIPPED_LEVELS = LEVELS.flatMap((level, index) =>
+  hasUsualRules(level) ? [{ id: getLevelKey(level), number: index + 1, name: level.name }] : [],
+);
+
+const Message = ({ children, alert }: { children: string; alert?: boolean }) => (
+  <p className={alert ? "text-sm text-destructive" : "text-sm text-muted-foreground"} role={alert ? "alert" : "status"}>
+    {children}
+  </p>
+);
+
+/**
+ * /leaderboard: the verified scores for each built-in level, ranked by moves
+ * or pushes, and the top players across all of them. `?level=` picks the
+ * level by its id; `?sort=pushes` ranks by pushes.
+ */
+const Leaderboard = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const levelId = SHIPPED_LEVELS.some((level) => level.id === searchParams.get("level"))
+    ? searchParams.get("level")
+    : SHIPPED_LEVELS[0].id;
+  const sort = searchParams.get("sort") === "pushes" ? "pushes" : "moves";
+
+  const scores = useQuery<LeaderboardEntry[], Error>({
+    queryKey: ["leaderboard", levelId, sort],
+    queryFn: () => fetchLevelLeaderboard(levelId, sort),
+    retry: false,
+  });
+  const players = useQuery<TopPlayer[], Error>({
+    queryKey: ["leaderboard", "players"],
+    queryFn: fetchTopPlayers,
+    retry: false,
+  });
+
+  const update = (changes: Record<string, string>) => {
+    setSearchParams({ level: levelId, sort, ...changes }, { replace: true });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Leaderboard</CardTitle>
+        <CardDescription>
+          Every score here was checked by the server, which replays the solution move by move before recording it.
+          Submit yours from the win dialog of a built-in level.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Tabs defaultValue="levels">
+          <TabsList>
+            <TabsTrigger value="levels">Levels</TabsTrigger>
+            <TabsTrigger value="players">Top Players</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="levels" className="space-y-4">
+            <div className="flex flex-wrap items-center gap-4">
+              <Select value={levelId} onValueChange={(level) => update({ level })}>
+                <SelectTrigger className="w-64" aria-label="Level">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {SHIPPED_LEVELS.map((level) => (
+                    <SelectItem key={level.id} value={level.id}>
+                      {level.number}. {level.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <ToggleGroup type="single" value={sort} onValueChange={(value) => value && update({ sort: value })} aria-label="Rank by">
+                <ToggleGroupItem value="moves">Fewest moves</ToggleGroupItem>
+                <ToggleGroupItem value="pushes">Fewest pushes</ToggleGroupItem>
+              </ToggleGroup>
+            </div>
+
+            {scores.isPending && <Message>Loading…</Message>}
+            {scores.isError && <Message alert>{scores.error.message}</Message>}
+            {scores.data?.length === 0 && <Message>No verified solutions yet. Be the first!</Message>}
+            {scores.data && scores.data.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-12">#</TableHead>
+                    <TableHead>Player</TableHead>
+                    <TableHead className="text-right">Moves</TableHead>
+                    <TableHead className="text-right">Pushes</TableHead>
+                    <TableHead className="text-right">Time</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {scores.data.map((entry) => (
+                    <TableRow key={entry.username}>
+                      <TableCell>{entry.rank}</TableCell>
+                      <TableCell className="font-medium">{entry.username}</TableCell>
+                      <TableCell className="text-right">{entry.moves}</TableCell>
+                      <TableCell className="text-right">{entry.pushes}</TableCell>
+                      <TableCell className="text-right">{formatDuration(entry.timeMs)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </TabsContent>
+
+          <TabsContent value="players" className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Ranked by levels solved, then first places by moves, then fewest moves in total.
+            </p>
+            {players.isPending && <Message>Loading…</Message>}
+            {players.isError && <Message alert>{players.error.message}</Message>}
+            {players.data?.length === 0 && <Message>No verified solutions yet.</Message>}
+            {players.data && players.data.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-12">#</TableHead>
+                    <TableHead>Player</TableHead>
+                    <TableHead className="text-right">Levels solved</TableHead>
+                    <TableHead className="text-right">First places</TableHead>
+                    <TableHead className="text-right">Total moves</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {players.data.map((player) => (
+                    <TableRow key={player.username}>
+                      <TableCell>{player.rank}</TableCell>
+                      <TableCell className="font-medium">{player.username}</TableCell>
+                      <TableCell className="text-right">{player.solved}</TableCell>
+                      <TableCell className="text-right">{player.firstPlaces}</TableCell>
+                      <TableCell className="text-right">{player.totalMoves}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </TabsContent>
+        </Tabs>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,74 @@
+import { Link } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Level, LevelRecord, useSokoban } from "@/hooks/use-sokoban";
+import { cn } from "@/lib/utils";
+
+function describeBest(record: LevelRecord | undefined) {
+  if (!record) {
+    return "Unsolved";
+  }
+  if (record.bestMoves === null) {
+    return "Solved (assisted)";
+  }
+  return `Best: ${record.bestMoves} moves · ${record.bestPushes} pushes`;
+}
+
+/** The rule variants a level is played by, or "" for the usual rules. */
+function describeRules(level: Level) {
+  const players = level.map.join("").replace(/[^@+]/g, "").length;
+  const rules = [];
+  if (level.variant === "reverse") {
+    rules.push("⇄ Reverse");
+  }
+  if (players > 1) {
+    rules.push(`👥 ${players} players`);
+  }
+  return rules.join(" · ");
+}
+
+/**
+ * /levels: every level with its personal best. Each card links to the
+ * level's /play route.
+ */
+const Levels = () => {
+  const { levels, progress, getRecord } = useSokoban();
+  const solved = levels.filter((level) => getRecord(level)).length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Levels</CardTitle>
+        <CardDescription>
+          {solved} of {levels.length} levels solved
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="grid grid-cols-[repeat(auto-fill,minmax(160px,1fr))] gap-3">
+          {levels.map((level, index) => {
+            const record = getRecord(level);
+            const rules = describeRules(level);
+            return (
+              <li key={index}>
+                <Link
+                  to={`/play/${index + 1}`}
+                  className={cn(
+                    "flex h-full flex-col gap-1 rounded-lg border-2 bg-muted/40 p-3 transition-colors hover:border-[#667eea]",
+                    record && "border-green-300 bg-green-50",
+                    index === progress.currentLevel && "border-[#667eea] ring-2 ring-[#667eea]/30",
+                  )}
+                >
+                  <span className="font-extrabold">{record ? `✓ ${index + 1}` : index + 1}</span>
+                  <span className="text-sm">{level.name}</span>
+                  {rules && <span className="text-xs font-medium">{rules}</span>}
+                  <span className="text-xs text-muted-foreground">{describeBest(record)}</span>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default Levels;
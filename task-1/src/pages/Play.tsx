@@ -0,0 +1,565 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { AccessibleBoard } from "@/components/sokoban/AccessibleBoard";
+import { CollectionCompleteDialog } from "@/components/sokoban/CollectionCompleteDialog";
+import { GameControls } from "@/components/sokoban/GameControls";
+import { ReplayBar } from "@/components/sokoban/ReplayBar";
+import { ReplayDialog } from "@/components/sokoban/ReplayDialog";
+import { ResetDialog } from "@/components/sokoban/ResetDialog";
+import { StatsBar } from "@/components/sokoban/StatsBar";
+import { Timeline } from "@/components/sokoban/Timeline";
+import { WinDialog } from "@/components/sokoban/WinDialog";
+import { useControls } from "@/hooks/use-controls";
+import { useGame } from "@/hooks/use-game";
+import { SolveRecord, SolveResult, useSokoban } from "@/hooks/use-sokoban";
+import { useToast } from "@/hooks/use-toast";
+import { downloadText, toFilename } from "@/lib/download";
+import { MIN_ZOOM, MAX_ZOOM } from "@/sokoban/camera.js";
+import { formatKeys, formatShortcut } from "@/sokoban/controls.js";
+import { findDailyAttempt, formatDailyShare, formatDuration, getDailyStreak } from "@/sokoban/daily.js";
+import { DIRECTIONS } from "@/sokoban/engine.js";
+import { getLeaderboardLevelId } from "@/sokoban/leaderboard.js";
+import { getLevelKey } from "@/sokoban/progress.js";
+import {
+  createPositionSearch,
+  getSavedGame,
+  loadSavedGames,
+  readPositionSearch,
+  removeSavedGame,
+  saveSavedGames,
+  setSavedGame,
+} from "@/sokoban/savegame.js";
+import { THEMES } from "@/sokoban/skins.js";
+
+const WIN_DIALOG_DELAY_MS = 300; // Let the last push show before the dialog covers it
+
+const MOVE_KEYS = [
+  ["up", "↑"],
+  ["left", "←"],
+  ["down", "↓"],
+  ["right", "→"],
+];
+
+/**
+ * How a solve compares with earlier ones. `record` is null for assisted
+ * solves and for reverse practice.
+ */
+function describeRecord(record: SolveRecord | null, result: SolveResult, practice: boolean) {
+  if (practice) {
+    return "⇄ Solved in reverse. Practice solves are not recorded as progress.";
+  }
+  if (!record) {
+    const by = result.assistedBy === "hint" ? "with a hint" : `by ${result.assistedBy}`;
+    return `Solved ${by}, so no personal best was recorded.`;
+  }
+  if (record.firstSolve) {
+    return "⭐ First clear!";
+  }
+
+  // Earlier clears may have been auto-solved and have no bests yet
+  const previous = record.previous;
+  const was = (value: number | null) => (value === null ? "" : ` (was ${value})`);
+  const improvements = [];
+  if (record.newBestMoves) {
+    improvements.push(`${result.moves} moves${was(previous.bestMoves)}`);
+  }
+  if (record.newBestPushes) {
+    improvements.push(`${result.pushes} pushes${was(previous.bestPushes)}`);
+  }
+  if (improvements.length > 0) {
+    return `🏆 New best! ${improvements.join(", ")}`;
+  }
+
+  return `Personal best: ${previous.bestMoves} moves, ${previous.bestPushes} pushes`;
+}
+
+/**
+ * /play/:levelId, where levelId is the 1-based level number. Every level is
+ * its own history entry, so the browser's back button returns to the
+ * previous level. `?key=…&moves=…` opens the level at a shared position.
+ */
+const Play = () => {
+  const { levelId } = useParams();
+  const { levels } = useSokoban();
+  const index = Number(levelId) - 1;
+
+  if (!Number.isInteger(index) || index < 0 || index >= levels.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>Level not found</CardTitle>
+          <CardDescription>
+            There is no level “{levelId}”. This collection has {levels.length} levels.
+          </CardDescription>
+        </CardHeader>
+        <CardFooter className="gap-2">
+          <Button asChild>
+            <Link to="/levels">☰ Level Select</Link>
+          </Button>
+          <Button asChild variant="secondary">
+            <Link to="/play/1">Play Level 1</Link>
+          </Button>
+        </CardFooter>
+      </Card>
+    );
+  }
+
+  return <PlayLevel index={index} />;
+};
+
+const PlayLevel = ({ index }: { index: number }) => {
+  const {
+    levels,
+    settings,
+    skin,
+    customSkin,
+    setCurrentLevel,
+    recordSolve,
+    updateSettings,
+    dailyHistory,
+    finishDaily,
+    recordAttempt,
+  } = useSokoban();
+  const screenReaderMode = settings.screenReaderMode;
+  const listedLevel = levels[index];
+  // A level with the usual rules can be practised in reverse; that is a level of its own for saves and statistics
+  const [practiceIndex, setPracticeIndex] = useState<number | null>(null);
+  const canPractise = !listedLevel.variant || listedLevel.variant === "standard";
+  const practice = canPractise && practiceIndex === index;
+  const level = useMemo(
+    () => (practice ? { ...listedLevel, name: `${listedLevel.name} (reverse)`, variant: "reverse" as const } : listedLevel),
+    [listedLevel, practice],
+  );
+  const isLastLevel = index === levels.length - 1;
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { toast } = useToast();
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const winTimer = useRef<number>();
+  const [win, setWin] = useState<{ result: SolveResult; message: string; dailyDate: string | null } | null>(null);
+  const [replayOpen, setReplayOpen] = useState(false);
+  const [collectionOpen, setCollectionOpen] = useState(false);
+  const [resetOpen, setResetOpen] = useState(false);
+
+  // Read when a level loads, so clearing the shared position from the address does not reload it
+  const searchRef = useRef({ searchParams, setSearchParams });
+  searchRef.current = { searchParams, setSearchParams };
+
+  const [now, setNow] = useState(Date.now);
+  const dailyDate = findDailyAttempt(dailyHistory, getLevelKey(level));
+  const dailyAttempt = dailyDate === null ? null : dailyHistory.days[dailyDate];
+
+  const { game, snapshot } = useGame(canvasRef, (result) => {
+    const record = practice ? null : recordSolve(index, result);
+    const message = describeRecord(record, result, practice);
+    const finishedDaily = finishDaily(level, result);
+    if (result.attempt) {
+      const { moves, pushes, assistedBy } = result;
+      recordAttempt(level, { moves, pushes, assistedBy, ...result.attempt }, true);
+    }
+    clearTimeout(winTimer.current);
+    winTimer.current = window.setTimeout(() => setWin({ result, message, dailyDate: finishedDaily }), WIN_DIALOG_DELAY_MS);
+  });
+
+  // The daily challenge clock; it runs from the start of the attempt, not of this visit
+  useEffect(() => {
+    if (!dailyAttempt) {
+      return;
+    }
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [dailyAttempt]);
+
+  useEffect(() => {
+    game?.setOptions({
+      showDeadSquares: settings.showDeadSquares,
+      deadlockWarnings: settings.deadlockWarnings,
+      skin,
+    });
+  }, [game, settings.showDeadSquares, settings.deadlockWarnings, skin]);
+
+  // Open a shared position from the address, or else resume the saved game
+  useEffect(() => {
+    if (!game) {
+      return;
+    }
+
+    const shared = readPositionSearch(searchRef.current.searchParams, level);
+    if (shared && !shared.error) {
+      game.loadLevel(level, { history: shared.history, redo: [], assistedBy: null, timeMs: null });
+      toast({ title: "Shared position opened", description: `${shared.moves.length} moves in. Undo steps back through them.` });
+    } else {
+      if (shared) {
+        toast({ title: "Could not open the shared position", description: shared.error, variant: "destructive" });
+      }
+      if (game.loadLevel(level, getSavedGame(loadSavedGames(), getLevelKey(level)))) {
+        toast({ title: "Welcome back", description: "Your game was restored where you left it. ↻ Reset starts over." });
+      }
+    }
+    if (shared) {
+      searchRef.current.setSearchParams({}, { replace: true });
+    }
+
+    setWin(null);
+    setCollectionOpen(false);
+    return () => clearTimeout(winTimer.current);
+  }, [game, level, toast]);
+
+  // Leaving a level unsolved, for another page or by closing the tab, ends the attempt at it
+  useEffect(() => {
+    if (!game) {
+      return;
+    }
+
+    const endAttempt = () => {
+      const attempt = game.endAttempt();
+      if (attempt) {
+        recordAttempt(level, attempt, false);
+      }
+    };
+    window.addEventListener("pagehide", endAttempt);
+    return () => {
+      window.removeEventListener("pagehide", endAttempt);
+      endAttempt();
+    };
+  }, [game, level, recordAttempt]);
+
+  // Save the game as it changes; solved and untouched levels have nothing to resume
+  useEffect(() => {
+    if (!game || !snapshot) {
+      return;
+    }
+
+    const saves = loadSavedGames();
+    const key = getLevelKey(snapshot.level);
+    if (snapshot.solved || (!snapshot.canUndo && !snapshot.canRedo)) {
+      removeSavedGame(saves, key);
+    } else {
+      setSavedGame(saves, key, game.getSavedState());
+    }
+    saveSavedGames(saves);
+  }, [game, snapshot]);
+
+  useEffect(() => {
+    setCurrentLevel(index);
+  }, [index, setCurrentLevel]);
+
+  // After the last level show the summary instead of wrapping around
+  const nextLevel = () => {
+    setWin(null);
+    if (isLastLevel) {
+      setCollectionOpen(true);
+    } else {
+      navigate(`/play/${index + 2}`);
+    }
+  };
+
+  const requestReset = () => {
+    if (settings.confirmReset && snapshot.moveCount > 0) {
+      setResetOpen(true);
+    } else {
+      game.resetLevel();
+    }
+  };
+
+  // Keys are held back while a dialog is open, but gamepad buttons get here:
+  // they can answer the reset question and go on from the win dialog.
+  // Returns false to leave the key to the browser (Tab with a single player).
+  const runAction = (action: string): boolean | void => {
+    if (resetOpen) {
+      if (action === "reset") {
+        setResetOpen(false);
+        game.resetLevel();
+      } else if (action === "undo") {
+        setResetOpen(false);
+      }
+      return;
+    }
+    if (document.querySelector("[role='dialog']")) {
+      if (action === "nextLevel" && win) {
+        nextLevel();
+      }
+      return;
+    }
+
+    const actions: Record<string, () => boolean | void> = {
+      up: () => game.move(DIRECTIONS.UP),
+      down: () => game.move(DIRECTIONS.DOWN),
+      left: () => game.move(DIRECTIONS.LEFT),
+      right: () => game.move(DIRECTIONS.RIGHT),
+      undo: game.undo,
+      redo: game.redo,
+      // Screen reader users need Tab to move around the page; they switch from the grid or the button
+      switchPlayer: () => !screenReaderMode && game.switchPlayer(),
+      reset: requestReset,
+      nextLevel,
+      hint: () => game.requestSolution("hint"),
+      zoomIn: game.zoomIn,
+      zoomOut: game.zoomOut,
+      resetZoom: game.resetZoom,
+      surroundings: () => void (screenReaderMode && game.announceSurroundings()),
+      boxes: () => void (screenReaderMode && game.announceBoxes()),
+    };
+    return actions[action]?.();
+  };
+
+  useControls(settings, runAction, game !== null);
+
+  const copySolution = () => {
+    navigator.clipboard.writeText(win.result.solution).then(
+      () => toast({ title: "Solution copied" }),
+      () => toast({ title: "Could not copy", description: "Select the solution text and copy it by hand." }),
+    );
+  };
+
+  const sharePosition = () => {
+    const url = `${window.location.origin}/play/${index + 1}?${createPositionSearch(getLevelKey(level), snapshot.solution, snapshot.playerLog)}`;
+    navigator.clipboard.writeText(url).then(
+      () => toast({ title: "Position link copied", description: `It opens ${level.name} at move ${snapshot.moveCount}.` }),
+      () => toast({ title: "Could not copy", description: url }),
+    );
+  };
+
+  const downloadSolution = () => {
+    const text = [
+      ...level.map,
+      `Title: ${level.name}`,
+      ...(level.variant ? [`Variant: ${level.variant}`] : []),
+      `Solution (${win.result.moves} moves, ${win.result.pushes} pushes):`,
+      win.result.solution,
+      "",
+    ].join("\n");
+    downloadText(`${toFilename(level.name)}-solution.txt`, text);
+  };
+
+  return (
+    <Card>
+      <CardContent className="space-y-4 p-4 md:p-6">
+        {/* Hidden until focused, so it is the first thing keyboard and screen reader users reach */}
+        <Button
+          variant="secondary"
+          size="sm"
+          className="sr-only focus:not-sr-only"
+          onClick={() => updateSettings({ screenReaderMode: !screenReaderMode })}
+        >
+          {screenReaderMode ? "Turn off screen reader mode" : "Turn on screen reader mode"}
+        </Button>
+
+        {/* Sized by CSS; game.js matches the drawing to it and the screen's pixel density */}
+        <div className="relative">
+          <canvas
+            ref={canvasRef}
+            className="block h-[70vh] max-h-[900px] min-h-[320px] w-full cursor-pointer touch-none rounded-lg border-[3px] border-[#4a5568] bg-[#f7fafc]"
+            role="img"
+            aria-label={`Sokoban board: ${level.name}. ${
+              screenReaderMode ? "The level map follows as a text grid." : "Turn on screen reader mode to hear it described."
+            }`}
+          />
+          {snapshot && (
+            <div className="absolute right-3 top-3 flex gap-1">
+              <Select value={skin.id} onValueChange={(theme) => updateSettings({ theme })}>
+                <SelectTrigger className="h-9 w-auto gap-1 bg-secondary" aria-label="Board skin" title="Board skin">
+                  🎨 <SelectValue />
+                </SelectTrigger>
+                {/* Hand focus back to the page so the arrow keys move the player again */}
+                <SelectContent onCloseAutoFocus={(e) => e.preventDefault()}>
+                  {(customSkin ? [...THEMES, customSkin] : THEMES).map((option) => (
+                    <SelectItem key={option.id} value={option.id}>
+                      {option.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex gap-1" role="group" aria-label="Zoom">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={game.zoomOut}
+                  disabled={snapshot.zoom <= MIN_ZOOM}
+                  title={formatShortcut("Zoom out", settings.keyBindings, "zoomOut")}
+                  aria-label="Zoom out"
+                >
+                  −
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={game.resetZoom}
+                  title={formatShortcut("Fit the level to the screen", settings.keyBindings, "resetZoom")}
+                  aria-label={`Zoom ${Math.round(snapshot.zoom * 100)}%, fit the level to the screen`}
+                >
+                  {Math.round(snapshot.zoom * 100)}%
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={game.zoomIn}
+                  disabled={snapshot.zoom >= MAX_ZOOM}
+                  title={formatShortcut("Zoom in", settings.keyBindings, "zoomIn")}
+                  aria-label="Zoom in"
+                >
+                  +
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {snapshot && screenReaderMode && <AccessibleBoard game={game} snapshot={snapshot} />}
+
+        {snapshot && (
+          <>
+            <Timeline value={snapshot.moveCount} max={snapshot.timelineLength} onChange={(move) => game.jumpToMove(move)} />
+
+            <StatsBar
+              levelNumber={index + 1}
+              levelName={level.name}
+              moves={snapshot.moveCount}
+              pushes={snapshot.pushCount}
+              time={dailyAttempt ? formatDuration(now - dailyAttempt.startedAt) : undefined}
+            />
+
+            {snapshot.replay && (
+              <ReplayBar
+                replay={snapshot.replay}
+                onRestart={game.restartReplay}
+                onTogglePlaying={game.toggleReplayPlaying}
+                onStep={game.stepReplay}
+                onSpeedChange={game.setReplaySpeed}
+                onClose={game.stopReplay}
+              />
+            )}
+
+            <GameControls
+              snapshot={snapshot}
+              keyBindings={settings.keyBindings}
+              showDeadSquares={settings.showDeadSquares}
+              onUndo={game.undo}
+              onRedo={game.redo}
+              onUndoPush={game.undoLastPush}
+              onReset={requestReset}
+              onNextLevel={nextLevel}
+              onSharePosition={sharePosition}
+              onReplaySolution={() => {
+                game.cancelSolver();
+                setReplayOpen(true);
+              }}
+              onHint={() => game.requestSolution("hint")}
+              onSolve={() => game.requestSolution("solve")}
+              onShowDeadSquaresChange={(show) => updateSettings({ showDeadSquares: show })}
+              onSwitchPlayer={() => game.switchPlayer()}
+              reversePractice={canPractise ? practice : null}
+              onReversePracticeChange={(reverse) => setPracticeIndex(reverse ? index : null)}
+            />
+
+            {snapshot.deadlock && (
+              <Alert variant="destructive" className="flex flex-wrap items-center justify-center gap-4">
+                <AlertDescription>⚠️ {snapshot.deadlock.message}</AlertDescription>
+                {snapshot.deadlock.canUndo && (
+                  <Button variant="secondary" size="sm" onClick={game.undoToBeforeDeadlock}>
+                    ↶ Undo to before the deadlock
+                  </Button>
+                )}
+              </Alert>
+            )}
+
+            {snapshot.boxSelection && (
+              <div className="flex items-center justify-center gap-4 rounded-md bg-muted px-4 py-3 text-sm">
+                <span>📦 {snapshot.boxSelection.message}</span>
+                <Button variant="secondary" size="sm" onClick={game.releaseBox}>
+                  Let Go
+                </Button>
+              </div>
+            )}
+
+            {snapshot.solverStatus.message && (
+              <div className="flex items-center justify-center gap-4 rounded-md bg-muted px-4 py-3 text-sm" role="status">
+                <span>{snapshot.solverStatus.message}</span>
+                {snapshot.solverStatus.cancellable && (
+                  <Button variant="secondary" size="sm" onClick={game.cancelSolver}>
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="text-center text-sm leading-relaxed text-muted-foreground">
+          <p>
+            <strong className="text-foreground">Controls:</strong>{" "}
+            {MOVE_KEYS.map(([action, arrow]) => `${arrow} ${formatKeys(settings.keyBindings, action) || "unbound"}`).join(
+              " · ",
+            )}{" "}
+            to move, or a gamepad's D-pad and left stick. Keys and buttons can be changed in{" "}
+            <Link to="/settings" className="underline">
+              Settings
+            </Link>
+            .
+          </p>
+          <p>
+            Or tap a tile to walk there, swipe to take a step, or tap a box and then the square to push it to (or drag
+            it there).
+          </p>
+          <p>Zoom with the zoom buttons or Ctrl + scroll (pinch on touch screens); scroll or drag two fingers to look around.</p>
+          <p>
+            Push boxes (📦) onto goals (🎯) to win! On levels with several players (👥),{" "}
+            {formatKeys(settings.keyBindings, "switchPlayer") || "Switch Player"} or tapping a player switches between
+            them.
+          </p>
+          <p>Drop an .xsb, .sok or .txt level pack anywhere to import it.</p>
+        </div>
+      </CardContent>
+
+      <WinDialog
+        result={win?.result ?? null}
+        recordMessage={win?.message ?? ""}
+        dailyResult={
+          win?.dailyDate
+            ? formatDailyShare(dailyHistory.days[win.dailyDate], getDailyStreak(dailyHistory, win.dailyDate))
+            : null
+        }
+        leaderboardLevelId={getLeaderboardLevelId(level)}
+        isLastLevel={isLastLevel}
+        onCopySolution={copySolution}
+        onDownloadSolution={downloadSolution}
+        onReplay={() => {
+          setWin(null);
+          game.resetLevel();
+        }}
+        onContinue={nextLevel}
+        onClose={() => setWin(null)}
+      />
+      <ReplayDialog
+        open={replayOpen}
+        level={level}
+        onOpenChange={setReplayOpen}
+        onReplay={(verdict) => {
+          setWin(null);
+          game.startReplay(verdict);
+        }}
+      />
+      <ResetDialog
+        open={resetOpen}
+        moves={snapshot?.moveCount ?? 0}
+        onOpenChange={setResetOpen}
+        onConfirm={game?.resetLevel}
+      />
+      <CollectionCompleteDialog
+        open={collectionOpen}
+        onOpenChange={setCollectionOpen}
+        onLevelSelect={() => navigate("/levels")}
+        onRestart={() => {
+          setCollectionOpen(false);
+          navigate("/play/1");
+        }}
+      />
+    </Card>
+  );
+};
+
+export default Play;
@@ -0,0 +1,183 @@
+import { ChangeEvent } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Switch } from "@/components/ui/switch";
+import { ControlSettings } from "@/components/sokoban/ControlSettings";
+import { SkinPreview } from "@/components/sokoban/SkinPreview";
+import { useSokoban } from "@/hooks/use-sokoban";
+import { useToast } from "@/hooks/use-toast";
+import { downloadText } from "@/lib/download";
+import { exportProgress } from "@/sokoban/progress.js";
+import { THEMES } from "@/sokoban/skins.js";
+
+/**
+ * /settings: display options, board skins, controls and the progress backup.
+ */
+const Settings = () => {
+  const { progress, settings, updateSettings, restoreProgress, customSkin, installSkin, removeCustomSkin } = useSokoban();
+  const { toast } = useToast();
+  const skins = customSkin ? [...THEMES, customSkin] : THEMES;
+
+  const loadSkinFile = (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    installSkin(file).then(
+      (saved) =>
+        toast({
+          title: "Skin loaded",
+          description: saved
+            ? `Playing with "${file.name}".`
+            : `Playing with "${file.name}", but the image is too large to keep after this visit.`,
+        }),
+      (err) => toast({ title: "Could not load the skin", description: err.message, variant: "destructive" }),
+    );
+  };
+
+  const downloadProgress = () => {
+    downloadText(
+      `sokoban-progress-${new Date().toISOString().slice(0, 10)}.json`,
+      exportProgress(progress),
+      "application/json",
+    );
+  };
+
+  const restoreProgressFile = (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    file.text().then((text) => {
+      try {
+        const count = restoreProgress(text);
+        toast({ title: "Progress restored", description: `Restored records for ${count} level${count === 1 ? "" : "s"}.` });
+      } catch (err) {
+        toast({ title: "Could not restore progress", description: err.message, variant: "destructive" });
+      }
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Settings</CardTitle>
+          <CardDescription>Saved in this browser.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-center justify-between gap-4">
+            <Label htmlFor="showDeadSquares" className="space-y-1">
+              <span className="block">☠️ Show dead squares</span>
+              <span className="block font-normal text-muted-foreground">
+                Shade the squares from which a box can never reach a goal.
+              </span>
+            </Label>
+            <Switch
+              id="showDeadSquares"
+              checked={settings.showDeadSquares}
+              onCheckedChange={(checked) => updateSettings({ showDeadSquares: checked })}
+            />
+          </div>
+          <div className="flex items-center justify-between gap-4">
+            <Label htmlFor="deadlockWarnings" className="space-y-1">
+              <span className="block">⚠️ Deadlock warnings</span>
+              <span className="block font-normal text-muted-foreground">
+                Flag boxes that can no longer reach a goal after a push.
+              </span>
+            </Label>
+            <Switch
+              id="deadlockWarnings"
+              checked={settings.deadlockWarnings}
+              onCheckedChange={(checked) => updateSettings({ deadlockWarnings: checked })}
+            />
+          </div>
+          <div className="flex items-center justify-between gap-4">
+            <Label htmlFor="screenReaderMode" className="space-y-1">
+              <span className="block">🔊 Screen reader mode</span>
+              <span className="block font-normal text-muted-foreground">
+                Read out the result of every move and show the level as a text grid you can explore.
+              </span>
+            </Label>
+            <Switch
+              id="screenReaderMode"
+              checked={settings.screenReaderMode}
+              onCheckedChange={(checked) => updateSettings({ screenReaderMode: checked })}
+            />
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Board Skin</CardTitle>
+          <CardDescription>
+            Every theme marks boxes on goals with a check mark; the high-contrast and colour-blind safe themes also
+            use rings and stripes, so nothing depends on colour alone.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <RadioGroup value={settings.theme} onValueChange={(theme) => updateSettings({ theme })} aria-label="Board skin">
+            {skins.map((skin) => (
+              <div key={skin.id} className="flex items-center gap-3">
+                <RadioGroupItem id={`skin-${skin.id}`} value={skin.id} />
+                <Label htmlFor={`skin-${skin.id}`} className="flex flex-1 cursor-pointer items-center justify-between gap-4">
+                  <span>{skin.name}</span>
+                  <SkinPreview skin={skin} />
+                </Label>
+              </div>
+            ))}
+          </RadioGroup>
+        </CardContent>
+        <CardFooter className="flex-wrap gap-2">
+          <Button variant="secondary" asChild>
+            <label className="cursor-pointer">
+              🖼️ Load Sprite Sheet
+              <input type="file" accept="image/*" className="sr-only" onChange={loadSkinFile} />
+            </label>
+          </Button>
+          {customSkin && (
+            <Button variant="secondary" onClick={removeCustomSkin}>
+              Remove Sprite Sheet
+            </Button>
+          )}
+          <p className="basis-full text-sm text-muted-foreground">
+            Sprite sheets use the common 4 × N skin layout: four columns of square cells, with floor, goal, player and
+            player on goal in the first row, and box, box on goal, wall and outside in the second.
+          </p>
+        </CardFooter>
+      </Card>
+
+      <ControlSettings />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Progress</CardTitle>
+          <CardDescription>
+            Back up your solved levels and personal bests, or restore them from a backup. Restoring keeps the better
+            record for every level.
+          </CardDescription>
+        </CardHeader>
+        <CardFooter className="gap-2">
+          <Button variant="secondary" onClick={downloadProgress}>
+            ⬇ Export Progress
+          </Button>
+          <Button variant="secondary" asChild>
+            <label className="cursor-pointer">
+              ⬆ Import Progress
+              <input type="file" accept=".json,application/json" className="sr-only" onChange={restoreProgressFile} />
+            </label>
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default Settings;
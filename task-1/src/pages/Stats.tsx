@@ -0,0 +1,334 @@
+import { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from "@/components/ui/chart";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { AttemptRecord, useSokoban } from "@/hooks/use-sokoban";
+import { downloadText } from "@/lib/download";
+import { formatDuration } from "@/sokoban/daily.js";
+import { getLevelKey } from "@/sokoban/progress.js";
+import {
+  exportStatsCsv,
+  exportStatsJson,
+  getEfficiency,
+  getMostRetried,
+  getSolveTimes,
+  summarizeAttempts,
+} from "@/sokoban/stats.js";
+
+interface SolveTime {
+  solve: number;
+  levelName: string;
+  endedAt: number;
+  timeMs: number;
+}
+
+interface LevelEfficiency {
+  levelKey: string;
+  levelName: string;
+  solves: number;
+  bestPushes: number;
+  bestKnownPushes: number;
+  bestEfficiency: number;
+  averageEfficiency: number;
+}
+
+interface RetriedLevel {
+  levelKey: string;
+  levelName: string;
+  retries: number;
+  attempts: number;
+  solves: number;
+  timeMs: number;
+}
+
+const RECENT_ATTEMPTS = 10;
+
+const solveTimeConfig = {
+  seconds: { label: "Seconds", color: "hsl(var(--primary))" },
+} satisfies ChartConfig;
+
+const efficiencyConfig = {
+  best: { label: "Best solve", color: "hsl(var(--primary))" },
+  average: { label: "Average solve", color: "hsl(var(--muted-foreground))" },
+} satisfies ChartConfig;
+
+const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+function describeResult(attempt: AttemptRecord) {
+  if (!attempt.solved) {
+    return "Left unsolved";
+  }
+  if (attempt.assistedBy === "hint") {
+    return "💡 Solved with a hint";
+  }
+  return attempt.assistedBy ? `🤖 Solved by ${attempt.assistedBy}` : "✅ Solved";
+}
+
+/**
+ * /stats: the player's attempts at every level, from the statistics kept by
+ * stats.js: totals, solve times over the latest solves, efficiency against
+ * the best known solution, the most retried levels and the latest attempts.
+ * Everything can be exported as CSV or JSON.
+ */
+const Stats = () => {
+  const { stats, levels } = useSokoban();
+  const { attempts } = stats;
+
+  // Known optimal push counts by level key; levels without one are measured against the player's best
+  const optimalPushes = useMemo(
+    () =>
+      Object.fromEntries(
+        levels.filter((level) => level.optimalPushes).map((level) => [getLevelKey(level), level.optimalPushes]),
+      ),
+    [levels],
+  );
+
+  const totals = useMemo(() => summarizeAttempts(attempts), [attempts]);
+  const solveTimes: SolveTime[] = useMemo(() => getSolveTimes(attempts), [attempts]);
+  const efficiency: LevelEfficiency[] = useMemo(
+    () => getEfficiency(attempts, optimalPushes),
+    [attempts, optimalPushes],
+  );
+  const retried: RetriedLevel[] = useMemo(() => getMostRetried(attempts), [attempts]);
+  const recent = attempts.slice(-RECENT_ATTEMPTS).reverse();
+
+  const download = (format: "csv" | "json") => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadText(`sokoban-stats-${date}.csv`, exportStatsCsv(stats), "text/csv");
+    } else {
+      downloadText(`sokoban-stats-${date}.json`, exportStatsJson(stats), "application/json");
+    }
+  };
+
+  if (attempts.length === 0) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>Statistics</CardTitle>
+          <CardDescription>
+            Nothing to show yet. Every attempt at a level is recorded here: solved, or left for another page.
+          </CardDescription>
+        </CardHeader>
+        <CardFooter>
+          <Button asChild>
+            <Link to="/play">▶ Play</Link>
+          </Button>
+        </CardFooter>
+      </Card>
+    );
+  }
+
+  const summary = [
+    { label: "Attempts", value: totals.attempts },
+    { label: "Solved", value: `${totals.solves} (${percent(totals.solves / totals.attempts)})` },
+    { label: "Time played", value: formatDuration(totals.timeMs) },
+    { label: "Moves", value: totals.moves },
+    { label: "Pushes", value: totals.pushes },
+    { label: "Undos", value: totals.undos },
+    { label: "Resets", value: totals.resets },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Statistics</CardTitle>
+          <CardDescription>
+            Each visit to a level counts as one attempt, whether it ended in a solve or not. Solves by the solver or a
+            replay count as attempts but not as solved.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+            {summary.map(({ label, value }) => (
+              <div key={label}>
+                <dt className="text-sm text-muted-foreground">{label}</dt>
+                <dd className="text-2xl font-bold">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </CardContent>
+        <CardFooter className="flex-wrap gap-2">
+          <Button variant="secondary" onClick={() => download("csv")}>
+            ⬇ Export CSV
+          </Button>
+          <Button variant="secondary" onClick={() => download("json")}>
+            ⬇ Export JSON
+          </Button>
+        </CardFooter>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Solve Times</CardTitle>
+          <CardDescription>How long each of your latest solves took, oldest first.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {solveTimes.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No level solved yet.</p>
+          ) : (
+            <ChartContainer config={solveTimeConfig} className="max-h-72 w-full">
+              <LineChart data={solveTimes.map((entry) => ({ ...entry, seconds: Math.round(entry.timeMs / 1000) }))}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="solve" tickLine={false} axisLine={false} />
+                <YAxis tickLine={false} axisLine={false} width={40} />
+                <ChartTooltip
+                  content={
+                    <ChartTooltipContent
+                      labelFormatter={(_, payload) => {
+                        const entry = payload[0]?.payload as SolveTime | undefined;
+                        return entry ? `#${entry.solve}: ${entry.levelName}` : "";
+                      }}
+                    />
+                  }
+                />
+                <Line dataKey="seconds" type="monotone" stroke="var(--color-seconds)" strokeWidth={2} />
+              </LineChart>
+            </ChartContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Efficiency</CardTitle>
+          <CardDescription>
+            Pushes of the best known solution as a share of your pushes, for each level you have solved: 100% is as
+            few pushes as anyone knows how.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {efficiency.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No level solved yet.</p>
+          ) : (
+            <>
+              <ChartContainer config={efficiencyConfig} className="max-h-72 w-full">
+                <BarChart
+                  data={efficiency.map((level) => ({
+                    levelName: level.levelName,
+                    best: Math.round(level.bestEfficiency * 100),
+                    average: Math.round(level.averageEfficiency * 100),
+                  }))}
+                >
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="levelName" tickLine={false} axisLine={false} />
+                  <YAxis domain={[0, 100]} unit="%" tickLine={false} axisLine={false} width={48} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <ChartLegend content={<ChartLegendContent />} />
+                  <Bar dataKey="best" fill="var(--color-best)" radius={4} />
+                  <Bar dataKey="average" fill="var(--color-average)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Level</TableHead>
+                    <TableHead className="text-right">Solves</TableHead>
+                    <TableHead className="text-right">Your best pushes</TableHead>
+                    <TableHead className="text-right">Best known</TableHead>
+                    <TableHead className="text-right">Efficiency</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {efficiency.map((level) => (
+                    <TableRow key={level.levelKey}>
+                      <TableCell className="font-medium">{level.levelName}</TableCell>
+                      <TableCell className="text-right">{level.solves}</TableCell>
+                      <TableCell className="text-right">{level.bestPushes}</TableCell>
+                      <TableCell className="text-right">{level.bestKnownPushes}</TableCell>
+                      <TableCell className="text-right">{percent(level.bestEfficiency)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Most Retried Levels</CardTitle>
+          <CardDescription>Every reset and every attempt left unsolved counts as a retry.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {retried.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No retries yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Level</TableHead>
+                  <TableHead className="text-right">Retries</TableHead>
+                  <TableHead className="text-right">Attempts</TableHead>
+                  <TableHead className="text-right">Solved</TableHead>
+                  <TableHead className="text-right">Time played</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {retried.map((level) => (
+                  <TableRow key={level.levelKey}>
+                    <TableCell className="font-medium">{level.levelName}</TableCell>
+                    <TableCell className="text-right">{level.retries}</TableCell>
+                    <TableCell className="text-right">{level.attempts}</TableCell>
+                    <TableCell className="text-right">{level.solves}</TableCell>
+                    <TableCell className="text-right">{formatDuration(level.timeMs)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Latest Attempts</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Level</TableHead>
+                <TableHead>Result</TableHead>
+                <TableHead className="text-right">Time</TableHead>
+                <TableHead className="text-right">Moves</TableHead>
+                <TableHead className="text-right">Pushes</TableHead>
+                <TableHead className="text-right">Undos</TableHead>
+                <TableHead className="text-right">Resets</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {recent.map((attempt) => (
+                <TableRow key={`${attempt.endedAt}-${attempt.levelKey}`}>
+                  <TableCell>{new Date(attempt.endedAt).toLocaleString()}</TableCell>
+                  <TableCell className="font-medium">{attempt.levelName}</TableCell>
+                  <TableCell>{describeResult(attempt)}</TableCell>
+                  <TableCell className="text-right">{formatDuration(attempt.timeMs)}</TableCell>
+                  <TableCell className="text-right">{attempt.moves}</TableCell>
+                  <TableCell className="text-right">{attempt.pushes}</TableCell>
+                  <TableCell className="text-right">{attempt.undos}</TableCell>
+                  <TableCell className="text-right">{attempt.resets}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Stats;
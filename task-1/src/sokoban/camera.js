@@ -0,0 +1,106 @@
+/**
+ * CAMERA
+ *
+ * Which part of the board is on screen. Levels that fit the view are shown
+ * whole and centred; larger ones keep a readable tile size and scroll, with
+ * the camera following the player.
+ *
+ * A camera is { x, y }: the board position, in cells, shown at the centre of
+ * the view. Working in cells rather than pixels keeps the camera still when
+ * the tile size changes. A view is { width, height } in CSS pixels.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 3;
+export const ZOOM_STEP = 1.25;
+
+const MIN_FIT_TILE_SIZE = 32;  // Smaller fitted tiles are unreadable; scroll instead
+const MAX_FIT_TILE_SIZE = 96;  // Small levels do not grow past this
+const FOLLOW_MARGIN = 3;       // Cells kept between the player and the edge of the view
+
+// ==================== TILE SIZE ====================
+
+/**
+ * Tile size in CSS pixels for a width × height board: as large as fits the
+ * view, within readable limits, times the zoom.
+ */
+export function getTileSize(view, width, height, zoom = 1) {
+    const fit = Math.min(view.width / width, view.height / height);
+    const base = Math.min(MAX_FIT_TILE_SIZE, Math.max(MIN_FIT_TILE_SIZE, fit));
+    return Math.max(1, Math.floor(base * zoom));
+}
+
+export function clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+// ==================== POSITION ====================
+
+/**
+ * Keep the board on screen: an axis that fits the view is centred, one that
+ * does not may scroll only as far as its edges.
+ */
+export function clampCamera(camera, view, tileSize, width, height) {
+    return {
+        x: clampAxis(camera.x, view.width / tileSize, width),
+        y: clampAxis(camera.y, view.height / tileSize, height)
+    };
+}
+
+function clampAxis(center, visible, size) {
+    if (size <= visible) {
+        return size / 2;
+    }
+    return Math.min(size - visible / 2, Math.max(visible / 2, center));
+}
+
+/**
+ * Move the camera just enough to keep the cell at `point` (its top-left
+ * corner, in cells) FOLLOW_MARGIN cells inside the view, or centred when the
+ * view is too small for the margin.
+ */
+export function followPoint(camera, point, view, tileSize) {
+    return {
+        x: followAxis(camera.x, point.x + 0.5, view.width / tileSize),
+        y: followAxis(camera.y, point.y + 0.5, view.height / tileSize)
+    };
+}
+
+function followAxis(center, target, visible) {
+    const margin = Math.min(FOLLOW_MARGIN, visible / 2 - 0.5);
+    const low = center - visible / 2 + margin + 0.5;
+    const high = center + visible / 2 - margin - 0.5;
+    if (target < low) {
+        return center - (low - target);
+    }
+    if (target > high) {
+        return center + (target - high);
+    }
+    return center;
+}
+
+/**
+ * Canvas position, in CSS pixels, of the board's top-left corner.
+ * Rounded so tiles land on whole pixels and no seams show between them.
+ */
+export function getBoardOrigin(camera, view, tileSize) {
+    return {
+        x: Math.round(view.width / 2 - camera.x * tileSize),
+        y: Math.round(view.height / 2 - camera.y * tileSize)
+    };
+}
+
+/**
+ * The camera after changing tile size, keeping the board point under
+ * `anchor` (a view position in CSS pixels) where it is.
+ */
+export function zoomCamera(camera, view, fromTileSize, toTileSize, anchor) {
+    const dx = anchor.x - view.width / 2;
+    const dy = anchor.y - view.height / 2;
+    return {
+        x: camera.x + dx / fromTileSize - dx / toTileSize,
+        y: camera.y + dy / fromTileSize - dy / toTileSize
+    };
+}
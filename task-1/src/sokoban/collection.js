@@ -0,0 +1,49 @@
+/**
+ * SAVED LEVELS
+ *
+ * The player's own collection: levels kept in localStorage, such as generated
+ * levels they chose to save. They are added to the level list after the
+ * built-in LEVELS on every visit.
+ *
+ * Stored shape (COLLECTION_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   levels: [{ name, map }]          // map rows as in levels.js
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+const COLLECTION_STORAGE_KEY = 'sokoban.collection';
+const COLLECTION_VERSION = 1;
+
+// ==================== STORAGE ====================
+
+/**
+ * The saved levels, or [] when nothing is stored or the data is corrupt.
+ * Malformed entries are dropped.
+ */
+export function loadCollection() {
+    try {
+        const raw = localStorage.getItem(COLLECTION_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (!data || !Array.isArray(data.levels)) {
+            return [];
+        }
+        return data.levels.filter(level =>
+            level && typeof level.name === 'string' && Array.isArray(level.map) &&
+            level.map.every(row => typeof row === 'string'));
+    } catch (err) {
+        console.warn('Could not read saved levels:', err);
+        return [];
+    }
+}
+
+export function saveCollection(levels) {
+    try {
+        const data = { version: COLLECTION_VERSION, levels: levels.map(({ name, map }) => ({ name, map })) };
+        localStorage.setItem(COLLECTION_STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+        console.warn('Could not save levels:', err);
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * CONTROLS
+ *
+ * Key and gamepad bindings for the actions of the play page, and the repeat
+ * of held keys and buttons. Bindings live in the player's settings
+ * (settings.js); src/hooks/use-controls.ts turns key presses and gamepad
+ * state into actions with them.
+ *
+ * Keys are written as combos: any modifiers, then the KeyboardEvent key with
+ * letters in upper case ('Ctrl+Shift+Z', 'ArrowUp', 'Space'). The key follows
+ * the keyboard layout, so on an AZERTY keyboard 'Z' is the key marked Z.
+ * Gamepad buttons are indexes in the browser's standard mapping
+ * (GAMEPAD_BUTTONS); the left stick always moves as well as the D-pad.
+ *
+ * Stored shape (inside the settings, see settings.js):
+ *   keyBindings:     { [action]: [key, alternateKey] }   // combos or null
+ *   gamepadBindings: { [action]: button }                // index or null
+ */
+
+// ==================== CONSTANTS ====================
+
+// Every bindable action, in the order the settings page lists them
+export const ACTIONS = [
+    { id: 'up', label: 'Move up', repeats: true },
+    { id: 'down', label: 'Move down', repeats: true },
+    { id: 'left', label: 'Move left', repeats: true },
+    { id: 'right', label: 'Move right', repeats: true },
+    { id: 'undo', label: 'Undo', repeats: true },
+    { id: 'redo', label: 'Redo', repeats: true },
+    { id: 'reset', label: 'Reset level', repeats: false },
+    { id: 'nextLevel', label: 'Next level', repeats: false },
+    { id: 'hint', label: 'Hint', repeats: false },
+    { id: 'switchPlayer', label: 'Switch player (Multiban levels)', repeats: false },
+    { id: 'zoomIn', label: 'Zoom in', repeats: false },
+    { id: 'zoomOut', label: 'Zoom out', repeats: false },
+    { id: 'resetZoom', label: 'Fit the level to the screen', repeats: false },
+    { id: 'surroundings', label: 'Describe surroundings (screen reader mode)', repeats: false },
+    { id: 'boxes', label: 'List boxes and goals (screen reader mode)', repeats: false }
+];
+
+export const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'W'],
+    down: ['ArrowDown', 'S'],
+    left: ['ArrowLeft', 'A'],
+    right: ['ArrowRight', 'D'],
+    undo: ['Ctrl+Z', null],
+    redo: ['Ctrl+Y', 'Ctrl+Shift+Z'],
+    reset: ['R', null],
+    nextLevel: ['N', null],
+    hint: ['H', null],
+    switchPlayer: ['Tab', null],
+    zoomIn: ['+', '='],
+    zoomOut: ['-', null],
+    resetZoom: ['0', null],
+    surroundings: ['L', null],
+    boxes: ['G', null]
+};
+
+// Button names of the standard gamepad mapping, by index
+export const GAMEPAD_BUTTONS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+export const DEFAULT_GAMEPAD_BINDINGS = {
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+    undo: 4,
+    redo: 5,
+    reset: 8,
+    nextLevel: 9,
+    hint: 3,
+    switchPlayer: 10,
+    zoomIn: 7,
+    zoomOut: 6,
+    resetZoom: 11,
+    surroundings: 2,
+    boxes: 1
+};
+
+const MODIFIER_KEYS = new Set(['Control', 'Shift', 'Alt', 'AltGraph', 'Meta', 'OS', 'CapsLock', 'Dead', 'Unidentified']);
+const STICK_THRESHOLD = 0.5;      // How far the left stick must lean to count as a direction
+
+// ==================== KEYS ====================
+
+/**
+ * The combo for a key press, or null for a modifier key on its own. Shift is
+ * part of the combo for letters and named keys only: for other characters it
+ * is already in the key ('+' rather than Shift+=).
+ */
+export function getKeyCombo(e) {
+    if (MODIFIER_KEYS.has(e.key)) {
+        return null;
+    }
+
+    const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const isLetter = key.length === 1 && key.toLowerCase() !== key;
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) {
+        parts.push('Ctrl');
+    }
+    if (e.altKey) {
+        parts.push('Alt');
+    }
+    if (e.shiftKey && (isLetter || key.length > 1)) {
+        parts.push('Shift');
+    }
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * The action a combo is bound to, or null.
+ */
+export function findKeyAction(keyBindings, combo) {
+    const action = ACTIONS.find(({ id }) => keyBindings[id].includes(combo));
+    return action ? action.id : null;
+}
+
+/**
+ * Bind a combo to one of an action's two key slots (0 or 1; null clears the
+ * slot). A combo does only one thing, so it is taken from any other action.
+ * Returns { keyBindings, takenFrom } with the action that lost it, or null.
+ */
+export function bindKey(keyBindings, actionId, slot, combo) {
+    let takenFrom = null;
+    const next = {};
+    ACTIONS.forEach(({ id }) => {
+        next[id] = keyBindings[id].map(key => {
+            if (combo === null || key !== combo) {
+                return key;
+            }
+            if (id !== actionId) {
+                takenFrom = id;
+            }
+            return null;
+        });
+    });
+    next[actionId][slot] = combo;
+    return { keyBindings: next, takenFrom };
+}
+
+/**
+ * An action's keys for a tooltip or help text: 'Ctrl+Y or Ctrl+Shift+Z',
+ * or '' if it has none.
+ */
+export function formatKeys(keyBindings, actionId) {
+    return keyBindings[actionId].filter(Boolean).join(' or ');
+}
+
+/**
+ * A button's tooltip with the action's keys: 'Undo (Ctrl+Z)', or just the
+ * label if the action has no keys.
+ */
+export function formatShortcut(label, keyBindings, actionId) {
+    const keys = formatKeys(keyBindings, actionId);
+    return keys ? `${label} (${keys})` : label;
+}
+
+/**
+ * An action's keys in the format of the aria-keyshortcuts attribute.
+ */
+export function toAriaKeyShortcuts(keyBindings, actionId) {
+    return keyBindings[actionId]
+        .filter(Boolean)
+        .map(combo => combo.replace(/^Ctrl\+/, 'Control+'))
+        .join(' ');
+}
+
+// ==================== GAMEPADS ====================
+
+/**
+ * Bind a gamepad button (or null for none) to an action, taking it from any
+ * other action. Returns { gamepadBindings, takenFrom } like bindKey().
+ */
+export function bindButton(gamepadBindings, actionId, button) {
+    let takenFrom = null;
+    const next = { ...gamepadBindings };
+    ACTIONS.forEach(({ id }) => {
+        if (button !== null && id !== actionId && next[id] === button) {
+            next[id] = null;
+            takenFrom = id;
+        }
+    });
+    next[actionId] = button;
+    return { gamepadBindings: next, takenFrom };
+}
+
+/**
+ * The actions whose buttons are held on a gamepad (a Gamepad object from
+ * navigator.getGamepads()), with the left stick counting as the D-pad.
+ */
+export function getPressedActions(gamepad, gamepadBindings) {
+    const pressed = new Set();
+    ACTIONS.forEach(({ id }) => {
+        const button = gamepad.buttons[gamepadBindings[id]];
+        if (button && button.pressed) {
+            pressed.add(id);
+        }
+    });
+
+    const [x = 0, y = 0] = gamepad.axes;
+    if (Math.abs(x) >= STICK_THRESHOLD || Math.abs(y) >= STICK_THRESHOLD) {
+        if (Math.abs(x) > Math.abs(y)) {
+            pressed.add(x > 0 ? 'right' : 'left');
+        } else {
+            pressed.add(y > 0 ? 'down' : 'up');
+        }
+    }
+    return pressed;
+}
+
+// ==================== KEY REPEAT ====================
+
+/**
+ * Repeat the action of a held key or button: once after `delay` ms, then
+ * every `interval` ms until it is released. Only the latest one held
+ * repeats, as on a keyboard. `source` names the key or button so its
+ * release can be matched; `onRepeat(action)` runs each repeat.
+ */
+export function createKeyRepeat(onRepeat) {
+    let held = null;              // { source, timer } while something repeats
+
+    function start(source, action, delay, interval) {
+        stopAll();
+        const tick = () => {
+            onRepeat(action);
+            held.timer = setTimeout(tick, interval);
+        };
+        held = { source, timer: setTimeout(tick, delay) };
+    }
+
+    function stop(source) {
+        if (held && held.source === source) {
+            stopAll();
+        }
+    }
+
+    function stopAll() {
+        if (held) {
+            clearTimeout(held.timer);
+            held = null;
+        }
+    }
+
+    return { start, stop, stopAll };
+}
+
+// ==================== SETTINGS ====================
+
+/**
+ * Saved key bindings with anything missing or malformed set to the default.
+ */
+export function normalizeKeyBindings(data) {
+    const keyBindings = {};
+    ACTIONS.forEach(({ id }) => {
+        const keys = data && data[id];
+        const valid = Array.isArray(keys) && keys.length === 2 &&
+            keys.every(key => key === null || (typeof key === 'string' && key !== ''));
+        keyBindings[id] = valid ? keys.slice() : DEFAULT_KEY_BINDINGS[id].slice();
+    });
+    return keyBindings;
+}
+
+/**
+ * Saved gamepad bindings with anything missing or malformed set to the default.
+ */
+export function normalizeGamepadBindings(data) {
+    const gamepadBindings = {};
+    ACTIONS.forEach(({ id }) => {
+        const button = data ? data[id] : undefined;
+        const valid = button === null || (Number.isInteger(button) && button >= 0 && button < GAMEPAD_BUTTONS.length);
+        gamepadBindings[id] = valid ? button : DEFAULT_GAMEPAD_BINDINGS[id];
+    });
+    return gamepadBindings;
+}
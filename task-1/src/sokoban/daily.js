@@ -0,0 +1,226 @@
+/**
+ * DAILY CHALLENGE
+ *
+ * One generated level a day, the same for every player: the date picks the
+ * seed and the difficulty for generateLevel() (generator.js). Each day allows a
+ * single attempt, timed from the moment it starts; the result and the streak
+ * of solved days are kept in localStorage.
+ *
+ * Stored shape (DAILY_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   days: {
+ *     ['2026-10-19']: {
+ *       number, difficulty,          // the challenge (see getDailyChallenge)
+ *       levelKey,                    // getLevelKey() of the level, to spot it in /play
+ *       optimalPushes,               // from the generator's rating
+ *       startedAt, finishedAt,       // ms timestamps; finishedAt is null while playing
+ *       solved,                      // false if the solver or a replay finished it
+ *       moves, pushes, timeMs
+ *     }
+ *   }
+ * }
+ *
+ * Dates are local calendar days as 'YYYY-MM-DD'; day arithmetic is done in
+ * UTC so daylight saving changes never skip or repeat a day.
+ */
+
+// ==================== CONSTANTS ====================
+
+const DAILY_STORAGE_KEY = 'sokoban.daily';
+const DAILY_VERSION = 1;
+const DAILY_EPOCH = '2026-01-01';     // Challenge #1
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHARE_BAR_LENGTH = 10;
+
+// Difficulty by day of the week, Sunday first: easy early in the week, hard at the weekend
+const DAILY_SCHEDULE = ['hard', 'easy', 'easy', 'medium', 'medium', 'medium', 'hard'];
+
+// ==================== DATES ====================
+
+/**
+ * Today's date (or `now`'s) in local time as 'YYYY-MM-DD'.
+ */
+export function getDailyDate(now = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function toDayNumber(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * The date `days` days after (or before, if negative) a 'YYYY-MM-DD' date.
+ */
+export function addDays(date, days) {
+    return new Date((toDayNumber(date) + days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The challenge for a date: { date, number, seed, difficulty }. The seed and
+ * difficulty go to generateLevel().
+ */
+export function getDailyChallenge(date) {
+    const day = toDayNumber(date);
+    return {
+        date,
+        number: day - toDayNumber(DAILY_EPOCH) + 1,
+        seed: `daily-${date}`,
+        difficulty: DAILY_SCHEDULE[(day + 4) % 7]   // Day 0, 1 January 1970, was a Thursday
+    };
+}
+
+// ==================== ATTEMPTS ====================
+
+/**
+ * Start the day's attempt, unless it has started already. Returns the entry.
+ */
+export function startDailyAttempt(history, challenge, levelKey, optimalPushes, now = Date.now()) {
+    if (!history.days[challenge.date]) {
+        history.days[challenge.date] = {
+            number: challenge.number,
+            difficulty: challenge.difficulty,
+            levelKey,
+            optimalPushes,
+            startedAt: now,
+            finishedAt: null,
+            solved: false,
+            moves: null,
+            pushes: null,
+            timeMs: null
+        };
+    }
+    return history.days[challenge.date];
+}
+
+/**
+ * The date of the unfinished attempt on the level with this key, or null.
+ */
+export function findDailyAttempt(history, levelKey) {
+    const found = Object.entries(history.days).find(([, entry]) =>
+        entry.levelKey === levelKey && entry.finishedAt === null);
+    return found ? found[0] : null;
+}
+
+/**
+ * Finish the attempt for a date with a solve result from game.js
+ * ({ moves, pushes, assistedBy }). Assisted solves end the attempt without
+ * counting as solved. Returns the entry, or null if the attempt was over.
+ */
+export function finishDailyAttempt(history, date, result, now = Date.now()) {
+    const entry = history.days[date];
+    if (!entry || entry.finishedAt !== null) {
+        return null;
+    }
+
+    Object.assign(entry, {
+        finishedAt: now,
+        solved: !result.assistedBy,
+        moves: result.moves,
+        pushes: result.pushes,
+        timeMs: now - entry.startedAt
+    });
+    return entry;
+}
+
+/**
+ * Consecutive solved days: { current, best }. The current streak counts back
+ * from today, or from yesterday while today is still unsolved.
+ */
+export function getDailyStreak(history, today) {
+    const isSolved = date => Boolean(history.days[date] && history.days[date].solved);
+
+    let current = 0;
+    let date = isSolved(today) ? today : addDays(today, -1);
+    while (isSolved(date)) {
+        current++;
+        date = addDays(date, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(history.days).sort().forEach(day => {
+        if (!isSolved(day)) {
+            run = 0;
+            return;
+        }
+        run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+        previous = day;
+        best = Math.max(best, run);
+    });
+
+    return { current, best: Math.max(best, current) };
+}
+
+// ==================== SHARING ====================
+
+/**
+ * A duration as 'm:ss', or 'h:mm:ss' from an hour up.
+ */
+export function formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = n => String(n).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    return hours > 0
+        ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+        : `${minutes}:${pad(seconds % 60)}`;
+}
+
+/**
+ * A spoiler-free result to share: the numbers and a bar of how close the
+ * push count came to the optimum, but nothing of the level or the solution.
+ */
+export function formatDailyShare(entry, streak) {
+    const difficulty = entry.difficulty[0].toUpperCase() + entry.difficulty.slice(1);
+    const lines = [`Sokoban Daily #${entry.number} · ${difficulty}`];
+
+    if (!entry.solved) {
+        lines.push('❌ Not solved');
+    } else {
+        const efficiency = Math.min(1, entry.optimalPushes / entry.pushes);
+        const green = Math.round(efficiency * SHARE_BAR_LENGTH);
+        lines.push(`✅ Solved in ${formatDuration(entry.timeMs)}`);
+        lines.push(`📦 ${entry.pushes} pushes (optimal ${entry.optimalPushes}) · 🚶 ${entry.moves} moves`);
+        lines.push('🟩'.repeat(green) + '🟨'.repeat(SHARE_BAR_LENGTH - green));
+    }
+
+    if (streak.current > 1) {
+        lines.push(`🔥 ${streak.current}-day streak`);
+    }
+    return lines.join('\n');
+}
+
+// ==================== STORAGE ====================
+
+export function createEmptyDailyHistory() {
+    return { version: DAILY_VERSION, days: {} };
+}
+
+/**
+ * Read the saved history, or an empty one if there is none or it is corrupt.
+ */
+export function loadDailyHistory() {
+    try {
+        const raw = localStorage.getItem(DAILY_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (!data || typeof data.days !== 'object' || data.days === null) {
+            return createEmptyDailyHistory();
+        }
+        return { version: DAILY_VERSION, days: data.days };
+    } catch (err) {
+        console.warn('Could not read the daily challenge history:', err);
+        return createEmptyDailyHistory();
+    }
+}
+
+export function saveDailyHistory(history) {
+    try {
+        localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(history));
+    } catch (err) {
+        console.warn('Could not save the daily challenge history:', err);
+    }
+}
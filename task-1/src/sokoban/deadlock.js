@@ -0,0 +1,139 @@
+/**
+ * DEADLOCK DETECTION
+ *
+ * Finds boxes that can never reach a goal again so the player can be warned
+ * straight after the push that caused it.
+ *
+ * Detected deadlocks:
+ * - Dead squares: cells from which a box cannot be pushed to any goal, such as
+ *   corners and wall segments without a goal. Computed once per level by
+ *   pulling a box backwards from every goal; every cell it never reaches is dead.
+ * - Frozen boxes: a box that can move neither horizontally nor vertically
+ *   because it is held by walls, dead squares or other frozen boxes
+ *   (e.g. two boxes side by side against a wall) while not on a goal.
+ */
+
+import { TILE_TYPES, DIRECTIONS } from './engine.js';
+
+// ==================== DEAD SQUARES ====================
+
+/**
+ * Compute the dead-square map for a level.
+ * Returns a 2D array (same shape as grid) where true marks a floor cell
+ * inside the level that a box can never leave towards a goal.
+ */
+export function computeDeadSquares(grid, goals, player) {
+    const height = grid.length;
+    const width = grid[0].length;
+    const isOpen = (x, y) => x >= 0 && y >= 0 && x < width && y < height && grid[y][x] !== TILE_TYPES.WALL;
+
+    // Cells a box can be pulled to from some goal (i.e. pushed to that goal from)
+    const alive = grid.map(row => row.map(() => false));
+    const queue = goals.map(g => ({ x: g.x, y: g.y }));
+    queue.forEach(g => { alive[g.y][g.x] = true; });
+
+    for (let head = 0; head < queue.length; head++) {
+        const { x, y } = queue[head];
+        for (const dir of Object.values(DIRECTIONS)) {
+            // Pulling the box one step back needs room for the player behind it
+            const bx = x - dir.dx;
+            const by = y - dir.dy;
+            if (!isOpen(bx, by) || !isOpen(bx - dir.dx, by - dir.dy) || alive[by][bx]) {
+                continue;
+            }
+            alive[by][bx] = true;
+            queue.push({ x: bx, y: by });
+        }
+    }
+
+    // Only cells inside the level count; the area outside the walls is not a dead square
+    const inside = floodFill(grid, player, isOpen);
+    return grid.map((row, y) => row.map((tile, x) => inside[y][x] && !alive[y][x]));
+}
+
+function floodFill(grid, start, isOpen) {
+    const reached = grid.map(row => row.map(() => false));
+    const queue = [start];
+    reached[start.y][start.x] = true;
+
+    for (let head = 0; head < queue.length; head++) {
+        const { x, y } = queue[head];
+        for (const dir of Object.values(DIRECTIONS)) {
+            const nx = x + dir.dx;
+            const ny = y + dir.dy;
+            if (isOpen(nx, ny) && !reached[ny][nx]) {
+                reached[ny][nx] = true;
+                queue.push({ x: nx, y: ny });
+            }
+        }
+    }
+
+    return reached;
+}
+
+// ==================== DEADLOCKED BOXES ====================
+
+/**
+ * Find every box that can no longer reach a goal.
+ * Returns a list of { box, reason } where reason is
+ * 'corner', 'wall' (dead wall segment or other dead square) or 'frozen'.
+ */
+export function findDeadlocks(grid, boxes, goals, deadSquares) {
+    const isWall = (x, y) => y < 0 || y >= grid.length || x < 0 || x >= grid[y].length || grid[y][x] === TILE_TYPES.WALL;
+    const isGoal = (x, y) => goals.some(g => g.x === x && g.y === y);
+    const boxAt = new Set(boxes.map(b => `${b.x},${b.y}`));
+    const deadlocks = [];
+
+    boxes.forEach(box => {
+        if (isGoal(box.x, box.y)) {
+            return;
+        }
+
+        if (deadSquares[box.y][box.x]) {
+            const horizontalWall = isWall(box.x - 1, box.y) || isWall(box.x + 1, box.y);
+            const verticalWall = isWall(box.x, box.y - 1) || isWall(box.x, box.y + 1);
+            deadlocks.push({ box, reason: horizontalWall && verticalWall ? 'corner' : 'wall' });
+            return;
+        }
+
+        if (isBoxFrozen(box.x, box.y, { isWall, boxAt, deadSquares }, new Set())) {
+            deadlocks.push({ box, reason: 'frozen' });
+        }
+    });
+
+    return deadlocks;
+}
+
+/**
+ * A box is frozen when it is blocked on both axes. While a box is being
+ * checked it counts as a wall for its neighbours, which resolves chains and
+ * loops of boxes holding each other in place.
+ */
+function isBoxFrozen(x, y, board, checking) {
+    const key = `${x},${y}`;
+    checking.add(key);
+
+    const frozen = isAxisBlocked(x, y, 1, 0, board, checking) &&
+        isAxisBlocked(x, y, 0, 1, board, checking);
+
+    checking.delete(key);
+    return frozen;
+}
+
+function isAxisBlocked(x, y, dx, dy, board, checking) {
+    const sides = [{ x: x - dx, y: y - dy }, { x: x + dx, y: y + dy }];
+    const held = side => board.isWall(side.x, side.y) || checking.has(`${side.x},${side.y}`);
+
+    if (sides.some(held)) {
+        return true;
+    }
+
+    // Pushing along this axis would only move the box onto a dead square
+    if (sides.every(side => board.deadSquares[side.y][side.x])) {
+        return true;
+    }
+
+    return sides.some(side =>
+        board.boxAt.has(`${side.x},${side.y}`) && isBoxFrozen(side.x, side.y, board, checking)
+    );
+}
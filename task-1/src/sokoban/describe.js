@@ -0,0 +1,224 @@
+/**
+ * SPOKEN DESCRIPTIONS
+ *
+ * Plain-language descriptions of engine states (engine.js) for the screen
+ * reader mode: what a move did, why a move was blocked, what is around the
+ * player and which boxes and goals are left. The game announces them through
+ * an ARIA live region, so they are short and lead with what changed.
+ *
+ * "The player" and "you" are the active player of a Multiban level; the
+ * others are called another player. In reverse play boxes are pulled.
+ *
+ * Positions are spoken as 1-based rows and columns, counted from the top left.
+ */
+
+import {
+    DIRECTIONS, TILE_TYPES, isWall, isGoal, getBoxIndex, getPlayerIndex, isReverse, countGoalsFilled, isSolved
+} from './engine.js';
+
+// ==================== CONSTANTS ====================
+
+const DIRECTION_NAMES = new Map([
+    [DIRECTIONS.UP, 'up'],
+    [DIRECTIONS.RIGHT, 'right'],
+    [DIRECTIONS.DOWN, 'down'],
+    [DIRECTIONS.LEFT, 'left']
+]);
+
+// Where a neighbouring cell is, as a phrase
+const DIRECTION_PLACES = new Map([
+    [DIRECTIONS.UP, 'above'],
+    [DIRECTIONS.RIGHT, 'to the right'],
+    [DIRECTIONS.DOWN, 'below'],
+    [DIRECTIONS.LEFT, 'to the left']
+]);
+
+// Text grid symbols, the same characters as level maps
+const CELL_SYMBOLS = {
+    wall: '#',
+    floor: ' ',
+    goal: '.',
+    box: '$',
+    'box on a goal': '*',
+    player: '@',
+    'player on a goal': '+',
+    'another player': '@',
+    'another player on a goal': '+'
+};
+
+// ==================== CELLS ====================
+
+/**
+ * What is on a cell: 'wall', 'floor', 'goal', 'box', 'box on a goal',
+ * 'player', 'player on a goal', 'another player' or 'another player on a
+ * goal'. Outside the level counts as wall.
+ */
+export function describeCell(state, x, y) {
+    if (isWall(state, x, y)) {
+        return 'wall';
+    }
+
+    const onGoal = isGoal(state, x, y);
+    if (getBoxIndex(state, x, y) !== -1) {
+        return onGoal ? 'box on a goal' : 'box';
+    }
+    const player = getPlayerIndex(state, x, y);
+    if (player === state.activePlayer) {
+        return onGoal ? 'player on a goal' : 'player';
+    }
+    if (player !== -1) {
+        return onGoal ? 'another player on a goal' : 'another player';
+    }
+    return onGoal ? 'goal' : 'floor';
+}
+
+/**
+ * The level as rows of map characters (see LEVEL_LEGEND), for the text grid.
+ */
+export function getBoardRows(state) {
+    return state.grid.map((row, y) => row
+        .map((tile, x) => (tile === TILE_TYPES.EMPTY ? ' ' : CELL_SYMBOLS[describeCell(state, x, y)]))
+        .join(''));
+}
+
+export function describePosition(x, y) {
+    return `row ${y + 1}, column ${x + 1}`;
+}
+
+export function describeGoals(state) {
+    if (isSolved(state)) {
+        return 'All goals filled, level solved!';
+    }
+    return `${countGoalsFilled(state)} of ${state.goals.length} goals filled.`;
+}
+
+// ==================== MOVES ====================
+
+/**
+ * What one move from `before` to `after` did, e.g. "Pushed the box left onto
+ * a goal. 3 of 4 goals filled."
+ */
+export function describeMove(before, after) {
+    const direction = Object.values(DIRECTIONS).find(d =>
+        before.player.x + d.dx === after.player.x && before.player.y + d.dy === after.player.y);
+    const name = DIRECTION_NAMES.get(direction);
+
+    if (after.pushCount === before.pushCount) {
+        const onGoal = isGoal(after, after.player.x, after.player.y) ? ' onto a goal' : '';
+        return `Moved ${name}${onGoal}.`;
+    }
+
+    if (isReverse(after)) {
+        // The box moved onto the square the player left
+        const from = { x: before.player.x - direction.dx, y: before.player.y - direction.dy };
+        let where = '';
+        if (isGoal(after, before.player.x, before.player.y)) {
+            where = ' onto a goal';
+        } else if (isGoal(after, from.x, from.y)) {
+            where = ' off a goal';
+        }
+        return `Pulled the box ${name}${where}. ${describeGoals(after)}`;
+    }
+
+    const to = { x: after.player.x + direction.dx, y: after.player.y + direction.dy };
+    let where = '';
+    if (isGoal(after, to.x, to.y)) {
+        where = ' onto a goal';
+    } else if (isGoal(after, after.player.x, after.player.y)) {
+        where = ' off a goal';
+    }
+    return `Pushed the box ${name}${where}. ${describeGoals(after)}`;
+}
+
+/**
+ * Why a move in `direction` cannot be made.
+ */
+export function describeBlockedMove(state, direction) {
+    const place = DIRECTION_PLACES.get(direction);
+    const x = state.player.x + direction.dx;
+    const y = state.player.y + direction.dy;
+
+    if (isWall(state, x, y)) {
+        return `Blocked: wall ${place}.`;
+    }
+    if (getPlayerIndex(state, x, y) !== -1) {
+        return `Blocked: another player ${place}.`;
+    }
+    if (isReverse(state)) {
+        return `Blocked: box ${place}. Boxes can only be pulled: step away from one to pull it.`;
+    }
+
+    const behind = describeCell(state, x + direction.dx, y + direction.dy);
+    let blocker = 'another player';
+    if (behind === 'wall') {
+        blocker = 'a wall';
+    } else if (getBoxIndex(state, x + direction.dx, y + direction.dy) !== -1) {
+        blocker = 'another box';
+    }
+    return `Blocked: the box ${place} is against ${blocker}.`;
+}
+
+/**
+ * What a walk or push path (LURD letters) did.
+ */
+export function describePath(after, path) {
+    const pushes = path.replace(/[^UDLR]/g, '').length;
+    const steps = `${path.length} step${path.length === 1 ? '' : 's'}`;
+    const position = describePosition(after.player.x, after.player.y);
+
+    if (pushes === 0) {
+        return `Walked ${steps} to ${position}.`;
+    }
+    return `Made ${steps} with ${pushes} push${pushes === 1 ? '' : 'es'}, now at ${position}. ${describeGoals(after)}`;
+}
+
+// ==================== SURROUNDINGS ====================
+
+/**
+ * Where the player is and what is next to them in each direction; on a
+ * Multiban level, which player that is.
+ */
+export function describeSurroundings(state) {
+    const { x, y } = state.player;
+    const here = isGoal(state, x, y) ? ', on a goal' : '';
+    const around = [...DIRECTION_NAMES].map(([direction, name]) =>
+        `${name}: ${describeCell(state, x + direction.dx, y + direction.dy)}`);
+    const who = state.players.length > 1 ? `Player ${state.activePlayer + 1} of ${state.players.length}. ` : '';
+
+    return `${who}You are at ${describePosition(x, y)}${here}. ${around.join(', ')}.`;
+}
+
+/**
+ * The boxes still to place and the goals still empty, nearest the player first.
+ */
+export function describeBoxes(state) {
+    if (isSolved(state)) {
+        return describeGoals(state);
+    }
+
+    const distance = cell => Math.abs(cell.x - state.player.x) + Math.abs(cell.y - state.player.y);
+    const list = cells => [...cells]
+        .sort((a, b) => distance(a) - distance(b))
+        .map(cell => describePosition(cell.x, cell.y))
+        .join('; ');
+    const loose = state.boxes.filter(box => !isGoal(state, box.x, box.y));
+    const empty = state.goals.filter(goal => getBoxIndex(state, goal.x, goal.y) === -1);
+
+    return `${describeGoals(state)} Boxes to place: ${list(loose)}. Empty goals: ${list(empty)}.`;
+}
+
+/**
+ * Introduction read when a level starts.
+ */
+export function describeLevel(state, name) {
+    const boxes = `${state.boxes.length} box${state.boxes.length === 1 ? '' : 'es'}`;
+    const rules = [];
+    if (isReverse(state)) {
+        rules.push('Played in reverse: boxes are pulled, not pushed, back onto the goals.');
+    }
+    if (state.players.length > 1) {
+        rules.push(`${state.players.length} players take turns; switch player to move another.`);
+    }
+    const intro = [`${name}. ${state.width} columns by ${state.height} rows, ${boxes}.`, ...rules];
+    return `${intro.join(' ')} ${describeSurroundings(state)}`;
+}
@@ -0,0 +1,402 @@
+/**
+ * LEVEL EDITOR
+ *
+ * Paint levels onto a canvas with the same tile, box and player renderers the
+ * game uses (render.js). The editor page (src/pages/Editor.tsx) holds the
+ * level name, test play and export, and renders the toolbar from
+ * getSnapshot().
+ *
+ * - Tools: wall, floor, goal, box and player, painted by clicking or dragging
+ *   (right-click paints floor); Fill mode flood-fills a connected area instead
+ * - Clear Outside empties everything the walls do not enclose
+ * - Every edit can be undone
+ * - The map is validated with validateLevelMap() from xsb.js as you draw
+ *
+ * Cells hold LEVEL_LEGEND characters, or EDITOR_OUTSIDE for space outside the
+ * level, which exports as a space like any other floor.
+ */
+
+import { TILE_TYPES, LEVEL_LEGEND, DIRECTIONS } from './engine.js';
+import { normalizeBoardRows, validateLevelMap } from './xsb.js';
+import {
+    fitCanvasToDisplay, fitTileSize, getBoardOffset, getBoardCell, clearBoard, drawTile, drawOutside, drawBox, drawPlayer
+} from './render.js';
+import { DEFAULT_THEME } from './skins.js';
+
+// ==================== CONSTANTS ====================
+
+const EDITOR_OUTSIDE = null;
+export const EDITOR_MIN_SIZE = 3;
+export const EDITOR_MAX_SIZE = 30;
+
+// What each tool paints, given the cell it is painted on
+const EDITOR_TOOLS = {
+    wall: () => '#',
+    floor: () => ' ',
+    goal: cell => ({ '$': '*', '*': '*', '@': '+', '+': '+' })[cell] || '.',
+    box: cell => (isEditorGoal(cell) ? '*' : '$'),
+    player: cell => (isEditorGoal(cell) ? '+' : '@')
+};
+
+function isEditorGoal(cell) {
+    return cell === '.' || cell === '*' || cell === '+';
+}
+
+// ==================== EDITOR ====================
+
+/**
+ * Create an editor on a canvas, editing a copy of `map` (rows of
+ * LEVEL_LEGEND characters), drawn with `skin` (see skins.js).
+ *
+ * Returns the editing actions plus subscribe() and getSnapshot() for React's
+ * useSyncExternalStore, and destroy() to release the canvas.
+ */
+export function createEditor(canvas, map, skin = DEFAULT_THEME) {
+    const ctx = canvas.getContext('2d');
+    const listeners = new Set();
+    let snapshot = null;
+
+    let cells = [];
+    let width = 0;
+    let height = 0;
+    let tool = 'wall';
+    let fill = false;
+    let history = [];             // Earlier cell grids, the most recent last
+    let painting = null;          // Tool being dragged while a mouse button is held
+    let lastCell = null;          // Last cell painted by the current drag
+    let view = null;              // Canvas size in CSS pixels (see render.js)
+    let tileSize = 0;
+    let offset = null;            // View position of the map's top-left corner
+
+    canvas.addEventListener('mousedown', handleMouseDown);
+    canvas.addEventListener('mousemove', handleMouseMove);
+    canvas.addEventListener('contextmenu', handleContextMenu);
+    window.addEventListener('mouseup', handleMouseUp);
+    const resizeObserver = new ResizeObserver(() => {
+        layout();
+        render();
+    });
+    resizeObserver.observe(canvas);
+
+    setMap(map);
+    clearOutside();
+    history = [];
+    updateEditor();
+
+    // ==================== MAP EDITING ====================
+
+    function setMap(rows) {
+        height = rows.length;
+        width = Math.max(...rows.map(row => row.length));
+        cells = rows.map(row => Array.from({ length: width }, (_, x) => {
+            const char = row[x];
+            return char !== undefined && LEVEL_LEGEND[char] ? char : ' ';
+        }));
+    }
+
+    function saveState() {
+        history.push(cells.map(row => row.slice()));
+    }
+
+    function undo() {
+        if (history.length === 0) {
+            return;
+        }
+
+        cells = history.pop();
+        height = cells.length;
+        width = cells[0].length;
+        updateEditor();
+    }
+
+    /**
+     * Apply a tool to one cell, or to its whole connected area in Fill mode.
+     */
+    function paintCell(x, y, paintTool) {
+        if (paintTool === 'player') {
+            // There is only ever one player; painting it elsewhere moves it
+            cells.forEach((row, rowY) => row.forEach((cell, cellX) => {
+                if (cell === '@' || cell === '+') {
+                    cells[rowY][cellX] = cell === '+' ? '.' : ' ';
+                }
+            }));
+            cells[y][x] = EDITOR_TOOLS.player(cells[y][x]);
+            return;
+        }
+
+        if (!fill) {
+            cells[y][x] = EDITOR_TOOLS[paintTool](cells[y][x]);
+            return;
+        }
+
+        const target = cells[y][x];
+        const area = floodFill(x, y, cell => cell === target);
+        area.forEach(({ x: cellX, y: cellY }) => {
+            cells[cellY][cellX] = EDITOR_TOOLS[paintTool](cells[cellY][cellX]);
+        });
+    }
+
+    /**
+     * Cells connected to (x, y) whose contents pass `matches`.
+     */
+    function floodFill(x, y, matches) {
+        const seen = cells.map(row => row.map(() => false));
+        const queue = [{ x, y }];
+        seen[y][x] = true;
+
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            for (const dir of Object.values(DIRECTIONS)) {
+                const nx = cell.x + dir.dx;
+                const ny = cell.y + dir.dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height || seen[ny][nx]) {
+                    continue;
+                }
+                if (matches(cells[ny][nx])) {
+                    seen[ny][nx] = true;
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+        }
+
+        return queue;
+    }
+
+    /**
+     * Flood fill from every edge cell through everything that is not a wall and
+     * turn it into outside space, dropping any boxes, goals or player left there.
+     */
+    function clearOutside() {
+        const before = cells.map(row => row.slice());
+        const open = cell => cell !== '#';
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const onEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                if (onEdge && open(cells[y][x]) && cells[y][x] !== EDITOR_OUTSIDE) {
+                    floodFill(x, y, cell => open(cell) && cell !== EDITOR_OUTSIDE)
+                        .forEach(cell => { cells[cell.y][cell.x] = EDITOR_OUTSIDE; });
+                }
+            }
+        }
+
+        if (cells.some((row, y) => row.some((cell, x) => cell !== before[y][x]))) {
+            history.push(before);
+        }
+        updateEditor();
+    }
+
+    /**
+     * Resize the map, keeping the top-left corner. New cells are outside space.
+     */
+    function resize(newWidth, newHeight) {
+        newWidth = Math.min(EDITOR_MAX_SIZE, Math.max(EDITOR_MIN_SIZE, newWidth || width));
+        newHeight = Math.min(EDITOR_MAX_SIZE, Math.max(EDITOR_MIN_SIZE, newHeight || height));
+        if (newWidth === width && newHeight === height) {
+            updateEditor();
+            return;
+        }
+
+        saveState();
+        cells = Array.from({ length: newHeight }, (_, y) =>
+            Array.from({ length: newWidth }, (_, x) => (cells[y] && x < width ? cells[y][x] : EDITOR_OUTSIDE))
+        );
+        width = newWidth;
+        height = newHeight;
+        updateEditor();
+    }
+
+    /**
+     * Start over with an empty room of the current size.
+     */
+    function newLevel() {
+        saveState();
+        cells = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) =>
+            (x === 0 || y === 0 || x === width - 1 || y === height - 1 ? '#' : ' ')
+        ));
+        updateEditor();
+    }
+
+    function setSkin(nextSkin) {
+        skin = nextSkin || DEFAULT_THEME;
+        render();
+    }
+
+    function selectTool(nextTool) {
+        tool = nextTool;
+        updateUI();
+    }
+
+    function toggleFill() {
+        fill = !fill;
+        updateUI();
+    }
+
+    // ==================== MAP OUTPUT ====================
+
+    /**
+     * The map as LEVEL_LEGEND rows with outside space, trailing spaces, empty
+     * border rows and shared indentation removed.
+     */
+    function getMap() {
+        const rows = cells.map(row => row.map(cell => (cell === EDITOR_OUTSIDE ? ' ' : cell)).join(''));
+        while (rows.length > 0 && rows[0].trim() === '') {
+            rows.shift();
+        }
+        while (rows.length > 0 && rows[rows.length - 1].trim() === '') {
+            rows.pop();
+        }
+        return rows.length > 0 ? normalizeBoardRows(rows) : [];
+    }
+
+    /**
+     * Problems that stop the map from being played, as readable messages.
+     */
+    function validate(rows) {
+        if (rows.length === 0) {
+            return ['The map is empty.'];
+        }
+
+        // Number rows as they appear in the editor, not in the trimmed map
+        const top = cells.findIndex(row => row.some(cell => cell !== EDITOR_OUTSIDE && cell !== ' '));
+        const rowLines = rows.map((_, i) => top + i + 1);
+        return validateLevelMap(rows, rowLines).map(problem => `Row ${problem.line}: ${problem.message}`);
+    }
+
+    // ==================== INPUT ====================
+
+    function handleMouseDown(e) {
+        if (e.button !== 0 && e.button !== 2) {
+            return;
+        }
+
+        const cell = getBoardCell(canvas, offset, tileSize, e, width, height);
+        if (!cell) {
+            return;
+        }
+
+        e.preventDefault();
+        saveState();
+        painting = e.button === 2 ? 'floor' : tool;
+        lastCell = cell;
+        paintCell(cell.x, cell.y, painting);
+        updateEditor();
+    }
+
+    function handleMouseMove(e) {
+        if (!painting || fill || painting === 'player') {
+            return;
+        }
+
+        const cell = getBoardCell(canvas, offset, tileSize, e, width, height);
+        if (!cell || (cell.x === lastCell.x && cell.y === lastCell.y)) {
+            return;
+        }
+
+        lastCell = cell;
+        paintCell(cell.x, cell.y, painting);
+        updateEditor();
+    }
+
+    function handleMouseUp() {
+        painting = null;
+    }
+
+    function handleContextMenu(e) {
+        e.preventDefault();
+    }
+
+    // ==================== RENDERING ====================
+
+    function updateEditor() {
+        layout();
+        updateUI();
+        render();
+    }
+
+    /**
+     * Fit the whole map in the canvas at its current size.
+     */
+    function layout() {
+        view = fitCanvasToDisplay(canvas, ctx);
+        tileSize = fitTileSize(view, width, height);
+        offset = getBoardOffset(view, tileSize, width, height);
+    }
+
+    function render() {
+        clearBoard(ctx, skin, view);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const cell = cells[y][x];
+                const px = offset.x + x * tileSize;
+                const py = offset.y + y * tileSize;
+
+                if (cell === EDITOR_OUTSIDE) {
+                    drawOutside(ctx, skin, tileSize, px, py);
+                    continue;
+                }
+
+                const legend = LEVEL_LEGEND[cell];
+                const onGoal = legend.tile === TILE_TYPES.GOAL;
+                drawTile(ctx, skin, tileSize, px, py, legend.tile, x, y);
+                if (legend.box) {
+                    drawBox(ctx, skin, tileSize, px, py, onGoal, false);
+                }
+                if (legend.player) {
+                    drawPlayer(ctx, skin, tileSize, px, py, onGoal);
+                }
+            }
+        }
+    }
+
+    // ==================== UI UPDATES ====================
+
+    /**
+     * Take a new snapshot for the React UI and notify subscribers.
+     */
+    function updateUI() {
+        const rows = getMap();
+        snapshot = {
+            width,
+            height,
+            tool,
+            fill,
+            canUndo: history.length > 0,
+            map: rows,
+            problems: validate(rows)
+        };
+        listeners.forEach(listener => listener());
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function getSnapshot() {
+        return snapshot;
+    }
+
+    function destroy() {
+        listeners.clear();
+        resizeObserver.disconnect();
+        canvas.removeEventListener('mousedown', handleMouseDown);
+        canvas.removeEventListener('mousemove', handleMouseMove);
+        canvas.removeEventListener('contextmenu', handleContextMenu);
+        window.removeEventListener('mouseup', handleMouseUp);
+    }
+
+    return {
+        setSkin,
+        selectTool,
+        toggleFill,
+        undo,
+        resize,
+        newLevel,
+        clearOutside,
+        subscribe,
+        getSnapshot,
+        destroy
+    };
+}
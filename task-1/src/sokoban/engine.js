@@ -0,0 +1,348 @@
+/**
+ * SOKOBAN ENGINE
+ *
+ * The rules of the game with no DOM or canvas: level parsing, moving and
+ * pushing, the win check and undo. Runs unchanged in the browser and in Node.
+ *
+ * Two rule variants change how a level plays (VARIANTS):
+ * - Multiban: a level map may hold several players. Only the active one
+ *   moves; switchPlayer() picks another. Players block each other and are
+ *   never pushed.
+ * - Reverse ('reverse'): the level is played backwards. The boxes start on
+ *   the map's goals and the player pulls them back to the map's box
+ *   squares; a box is pulled by stepping away from it. parseLevel() swaps
+ *   the two, so in the state (and on screen) the box squares are the goals
+ *   and isSolved() needs no special case. Pulls count and log as pushes.
+ *
+ * States are immutable. Every function returns a new frozen state (or the
+ * same state when nothing changes) and never modifies its input, so old
+ * states can be kept and compared freely.
+ *
+ * State shape:
+ * {
+ *   width, height,
+ *   grid,          // grid[y][x] = TILE_TYPES value, shared by every state of a level
+ *   goals,         // [{ x, y }], shared as well
+ *   variant,       // a VARIANTS value
+ *   players,       // [{ x, y }], one for each player on the map
+ *   activePlayer,  // index into players of the one that moves
+ *   player,        // players[activePlayer]
+ *   boxes,         // [{ x, y }]
+ *   moveCount,
+ *   pushCount,
+ *   moveLog,       // LURD record of the moves so far (uppercase = push or pull)
+ *   playerLog      // index of the player who made each move in moveLog, one digit each
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const TILE_TYPES = {
+    EMPTY: 0,
+    WALL: 1,
+    FLOOR: 2,
+    GOAL: 3
+};
+
+export const VARIANTS = {
+    STANDARD: 'standard',
+    REVERSE: 'reverse'
+};
+
+// Players are logged as one digit per move (playerLog), so there can be ten at most
+export const MAX_PLAYERS = 10;
+
+// Map legend shared by parseLevel() and the XSB importer (xsb.js)
+export const LEVEL_LEGEND = {
+    '#': { tile: TILE_TYPES.WALL },
+    '.': { tile: TILE_TYPES.GOAL },
+    ' ': { tile: TILE_TYPES.FLOOR },
+    '@': { tile: TILE_TYPES.FLOOR, player: true },
+    '+': { tile: TILE_TYPES.GOAL, player: true },
+    '$': { tile: TILE_TYPES.FLOOR, box: true },
+    '*': { tile: TILE_TYPES.GOAL, box: true }
+};
+
+export const DIRECTIONS = {
+    UP: { dx: 0, dy: -1, lurd: 'u' },
+    DOWN: { dx: 0, dy: 1, lurd: 'd' },
+    LEFT: { dx: -1, dy: 0, lurd: 'l' },
+    RIGHT: { dx: 1, dy: 0, lurd: 'r' }
+};
+
+// LURD letters (solver output, recorded solutions) to directions; uppercase marks a push
+export const LURD_DIRECTIONS = {
+    u: DIRECTIONS.UP,
+    d: DIRECTIONS.DOWN,
+    l: DIRECTIONS.LEFT,
+    r: DIRECTIONS.RIGHT
+};
+
+// ==================== PARSING ====================
+
+/**
+ * Build the start state of a level from its map rows (LEVEL_LEGEND
+ * characters), played by the rules of `variant`. Unknown characters are
+ * read as floor; use validateLevelMap() in xsb.js to reject broken maps
+ * first.
+ */
+export function parseLevel(map, variant = VARIANTS.STANDARD) {
+    const height = map.length;
+    const width = Math.max(...map.map(row => row.length));
+    const reverse = variant === VARIANTS.REVERSE;
+    const grid = [];
+    const goals = [];
+    const boxes = [];
+    let players = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = Array(width).fill(TILE_TYPES.FLOOR);
+        for (let x = 0; x < map[y].length; x++) {
+            const cell = LEVEL_LEGEND[map[y][x]];
+            if (!cell) {
+                continue;
+            }
+
+            const isGoalCell = cell.tile === TILE_TYPES.GOAL;
+            const hasBox = Boolean(cell.box);
+            row[x] = cell.tile === TILE_TYPES.WALL ? TILE_TYPES.WALL : TILE_TYPES.FLOOR;
+            if (reverse ? hasBox : isGoalCell) {
+                row[x] = TILE_TYPES.GOAL;
+                goals.push(Object.freeze({ x, y }));
+            }
+            if (reverse ? isGoalCell : hasBox) {
+                boxes.push({ x, y });
+            }
+            if (cell.player) {
+                players.push({ x, y });
+            }
+        }
+        grid.push(Object.freeze(row));
+    }
+
+    if (reverse) {
+        players = placeReversePlayers(grid, boxes, players);
+    }
+
+    return createState({
+        width,
+        height,
+        grid: Object.freeze(grid),
+        goals: Object.freeze(goals),
+        variant,
+        players,
+        activePlayer: 0,
+        boxes,
+        moveCount: 0,
+        pushCount: 0,
+        moveLog: '',
+        playerLog: ''
+    });
+}
+
+/**
+ * In reverse play the boxes start on the map's goals, where a player may be
+ * standing. Such a player starts on the nearest free floor instead,
+ * searching outwards through open cells.
+ */
+function placeReversePlayers(grid, boxes, players) {
+    const taken = new Set(boxes.map(b => `${b.x},${b.y}`));
+    const isOpen = (x, y) => grid[y] !== undefined && grid[y][x] !== undefined &&
+        grid[y][x] !== TILE_TYPES.WALL && grid[y][x] !== TILE_TYPES.EMPTY;
+
+    return players.map(start => {
+        const seen = new Set([`${start.x},${start.y}`]);
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            if (!taken.has(`${x},${y}`)) {
+                taken.add(`${x},${y}`);
+                return { x, y };
+            }
+            Object.values(DIRECTIONS).forEach(({ dx, dy }) => {
+                const key = `${x + dx},${y + dy}`;
+                if (!seen.has(key) && isOpen(x + dx, y + dy)) {
+                    seen.add(key);
+                    queue.push({ x: x + dx, y: y + dy });
+                }
+            });
+        }
+        return start; // Boxed in on every side; the level cannot be played in reverse anyway
+    });
+}
+
+function createState(fields) {
+    const players = Object.freeze(fields.players.map(p => Object.freeze({ x: p.x, y: p.y })));
+    return Object.freeze({
+        ...fields,
+        players,
+        player: players[fields.activePlayer] || null,
+        boxes: Object.freeze(fields.boxes.map(b => Object.freeze({ x: b.x, y: b.y })))
+    });
+}
+
+// ==================== QUERIES ====================
+
+export function isWall(state, x, y) {
+    return x < 0 || y < 0 || x >= state.width || y >= state.height || state.grid[y][x] === TILE_TYPES.WALL;
+}
+
+export function isGoal(state, x, y) {
+    return state.goals.some(g => g.x === x && g.y === y);
+}
+
+export function getBoxIndex(state, x, y) {
+    return state.boxes.findIndex(b => b.x === x && b.y === y);
+}
+
+export function getPlayerIndex(state, x, y) {
+    return state.players.findIndex(p => p.x === x && p.y === y);
+}
+
+/**
+ * Whether a box can be pushed onto (x, y): inside the level, not a wall,
+ * not another box (boxes are never pushed in a chain) and not a player.
+ */
+export function canPushBox(state, x, y) {
+    return !isWall(state, x, y) && getBoxIndex(state, x, y) === -1 && getPlayerIndex(state, x, y) === -1;
+}
+
+export function isReverse(state) {
+    return state.variant === VARIANTS.REVERSE;
+}
+
+export function countGoalsFilled(state) {
+    return state.goals.filter(g => getBoxIndex(state, g.x, g.y) !== -1).length;
+}
+
+/**
+ * The level is solved when every goal has a box on it and there are exactly
+ * as many boxes as goals.
+ */
+export function isSolved(state) {
+    return state.boxes.length === state.goals.length && countGoalsFilled(state) === state.goals.length;
+}
+
+// ==================== MOVES ====================
+
+/**
+ * Move the active player one step in a direction (a DIRECTIONS entry),
+ * pushing a box if there is one in the way, or in reverse play pulling the
+ * box behind, if any. Returns the new state, or `state` itself when the move
+ * is blocked.
+ */
+export function move(state, direction) {
+    const x = state.player.x + direction.dx;
+    const y = state.player.y + direction.dy;
+    if (isWall(state, x, y) || getPlayerIndex(state, x, y) !== -1) {
+        return state;
+    }
+
+    const boxIndex = getBoxIndex(state, x, y);
+    if (isReverse(state)) {
+        if (boxIndex !== -1) {
+            return state; // Boxes are only ever pulled
+        }
+        const pulled = getBoxIndex(state, state.player.x - direction.dx, state.player.y - direction.dy);
+        return pulled === -1 ? step(state, direction) : moveBox(state, direction, pulled, state.player);
+    }
+
+    if (boxIndex === -1) {
+        return step(state, direction);
+    }
+    const boxX = x + direction.dx;
+    const boxY = y + direction.dy;
+    if (!canPushBox(state, boxX, boxY)) {
+        return state;
+    }
+    return moveBox(state, direction, boxIndex, { x: boxX, y: boxY });
+}
+
+function movePlayer(state, direction, changes) {
+    const players = state.players.slice();
+    players[state.activePlayer] = { x: state.player.x + direction.dx, y: state.player.y + direction.dy };
+    return createState({
+        ...state,
+        ...changes,
+        players,
+        moveCount: state.moveCount + 1,
+        playerLog: state.playerLog + state.activePlayer
+    });
+}
+
+function step(state, direction) {
+    return movePlayer(state, direction, { moveLog: state.moveLog + direction.lurd });
+}
+
+function moveBox(state, direction, boxIndex, to) {
+    const boxes = state.boxes.slice();
+    boxes[boxIndex] = to;
+    return movePlayer(state, direction, {
+        boxes,
+        pushCount: state.pushCount + 1,
+        moveLog: state.moveLog + direction.lurd.toUpperCase()
+    });
+}
+
+/**
+ * Make another player the active one. Returns `state` itself if it is
+ * already active or there is no such player.
+ */
+export function switchPlayer(state, index) {
+    if (index === state.activePlayer || !state.players[index]) {
+        return state;
+    }
+    return createState({ ...state, activePlayer: index });
+}
+
+/**
+ * Make one move given as a LURD letter. Returns `state` itself when the move
+ * is blocked or does not match the letter's case (uppercase must push,
+ * lowercase must not), so a recorded solution can be checked step by step.
+ */
+export function moveLurd(state, letter) {
+    const next = move(state, LURD_DIRECTIONS[letter.toLowerCase()]);
+    const pushed = next.pushCount > state.pushCount;
+    return next !== state && pushed === (letter !== letter.toLowerCase()) ? next : state;
+}
+
+/**
+ * Take back the last move in the move log, moving the box back if it was a
+ * push or pull. The player who made the move becomes the active one.
+ * Returns `state` itself at the start of the level.
+ */
+export function undoMove(state) {
+    if (state.moveLog === '') {
+        return state;
+    }
+
+    const letter = state.moveLog[state.moveLog.length - 1];
+    const direction = LURD_DIRECTIONS[letter.toLowerCase()];
+    const activePlayer = Number(state.playerLog[state.playerLog.length - 1]);
+    const { x, y } = state.players[activePlayer];
+    const players = state.players.slice();
+    players[activePlayer] = { x: x - direction.dx, y: y - direction.dy };
+    const fields = {
+        ...state,
+        players,
+        activePlayer,
+        moveCount: state.moveCount - 1,
+        moveLog: state.moveLog.slice(0, -1),
+        playerLog: state.playerLog.slice(0, -1)
+    };
+
+    if (letter !== direction.lurd) {
+        const boxes = state.boxes.slice();
+        if (isReverse(state)) {
+            // The pulled box followed the player; it goes back to where it was pulled from
+            const from = { x: x - 2 * direction.dx, y: y - 2 * direction.dy };
+            boxes[getBoxIndex(state, x - direction.dx, y - direction.dy)] = from;
+        } else {
+            boxes[getBoxIndex(state, x + direction.dx, y + direction.dy)] = { x, y };
+        }
+        fields.boxes = boxes;
+        fields.pushCount = state.pushCount - 1;
+    }
+
+    return createState(fields);
+}
@@ -0,0 +1,1605 @@
+/**
+ * SOKOBAN GAME
+ *
+ * One level being played on a canvas, with no other DOM: draws the board,
+ * turns pointer input on the canvas into moves, and keeps the history,
+ * deadlock, solver and replay state. The React play page (src/pages/Play.tsx)
+ * renders the stats, controls and dialogs from getSnapshot() and calls the
+ * actions returned by createGame().
+ *
+ * Game state:
+ * - `game` is the immutable engine state of the current attempt; every move
+ *   replaces it with the state engine.js returns
+ * - The history of moves, paths and resets (undo/redo) is kept here, since
+ *   it spans attempts. getSavedState() hands it out as plain data so a game
+ *   can be saved and later resumed through loadLevel()
+ * - For the statistics page, each visit to a level is counted as a separate
+ *   attempt with its own clock, undos and resets. It ends with a solve
+ *   (reported to onSolved) or when the page calls endAttempt()
+ *
+ * Rule variants (see engine.js):
+ * - A level's `variant` picks the rules. Dead squares, deadlock warnings,
+ *   the solver and pushing a box to a square follow the usual rules, so a
+ *   reverse level goes without them
+ * - On a Multiban level switchPlayer() changes the player that moves. The
+ *   switch is kept in the history, and the solver is not offered
+ *
+ * Announcements:
+ * - Every move, blocked move, undo and reset is described in words
+ *   (describe.js) in the snapshot's `announcement`, for the screen reader
+ *   mode's live region
+ *
+ * Display:
+ * - Moves take effect at once but are drawn as tweens on a
+ *   requestAnimationFrame loop: `shown` is the state on screen and `frames`
+ *   the states still to animate to. Keys pressed meanwhile are queued
+ * - The canvas fills its CSS box at devicePixelRatio resolution, and a
+ *   camera (camera.js) scrolls and zooms levels too big to show whole
+ */
+
+import {
+    DIRECTIONS, LURD_DIRECTIONS, parseLevel, move, moveLurd, undoMove, switchPlayer, isGoal, isSolved, isReverse,
+    getPlayerIndex
+} from './engine.js';
+import { computeDeadSquares, findDeadlocks } from './deadlock.js';
+import { findWalkPath, findPushPath, findPushTargets } from './pathfinding.js';
+import { createSolverPuzzle } from './solver.js';
+import { DEFAULT_THEME, PLAYER_COLORS } from './skins.js';
+import {
+    describeMove, describeBlockedMove, describePath, describeSurroundings, describeBoxes, describeLevel, describePosition,
+    getBoardRows
+} from './describe.js';
+import {
+    fitCanvasToDisplay, getBoardCell, clearBoard, drawTile, drawDeadSquare, drawPushTarget, drawSelection, drawBox,
+    drawPlayer, drawPlayerBadge
+} from './render.js';
+import {
+    ZOOM_STEP, getTileSize, clampZoom, clampCamera, followPoint, getBoardOrigin, zoomCamera
+} from './camera.js';
+
+// ==================== CONSTANTS ====================
+
+// Search limits for the solver; beyond these it reports "no solution found"
+export const SOLVER_BUDGET = {
+    maxNodes: 300000,
+    timeLimitMs: 20000
+};
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+const PLAYBACK_STEP_MS = 120;  // Delay between animated solver moves
+const REPLAY_STEP_MS = 250;    // Delay between replayed moves at 1x speed
+const SWIPE_MIN_DISTANCE = 30; // Pixels a pointer must travel to count as a swipe or drag
+const MOVE_ANIMATION_MS = 110; // Length of one tweened step; a backlog of steps plays faster
+const MAX_QUEUED_INPUTS = 3;   // Moves kept from keys pressed while a step is animating
+const CAMERA_EASING_MS = 120;  // Time constant of the camera easing towards its target
+const WHEEL_ZOOM_SPEED = 0.01; // Zoom change per pixel of Ctrl + wheel or trackpad pinch
+
+// Warnings shown when a push leaves a box unable to reach any goal (see deadlock.js)
+const DEADLOCK_MESSAGES = {
+    corner: 'A box is stuck in a corner and can never reach a goal.',
+    wall: 'A box is stuck against a wall with no reachable goal.',
+    frozen: 'Boxes are jammed against each other and can no longer move.'
+};
+
+// ==================== GAME ====================
+
+/**
+ * Create a game on a canvas. Nothing is drawn until loadLevel() is called.
+ *
+ * options:
+ * - onSolved({ moves, pushes, solution, timeMs, assistedBy, attempt }): the
+ *   level was solved; timeMs runs from the first move after loading (resets
+ *   do not restart it) and assistedBy is null, 'auto-solve', 'hint' or 'replay'.
+ *   attempt is { timeMs, undos, resets } of the attempt that solved it, or
+ *   null if it made no moves (say, a redo straight after a solve)
+ * - showDeadSquares, deadlockWarnings, skin: see setOptions()
+ *
+ * Besides the actions, the returned object has subscribe() and getSnapshot()
+ * for React's useSyncExternalStore, and destroy() to release the canvas.
+ */
+export function createGame(canvas, options = {}) {
+    const ctx = canvas.getContext('2d');
+    const listeners = new Set();
+    let snapshot = null;
+
+    // Level state
+    let level = null;             // { name, map, variant } being played
+    let game = null;              // Engine state of the current attempt (see engine.js)
+
+    // Display state
+    let view = null;              // Canvas size in CSS pixels (see render.js)
+    let tileSize = 0;
+    let zoom = 1;
+    let camera = { x: 0, y: 0 };  // Board position at the centre of the view, in cells (see camera.js)
+    let cameraTarget = camera;    // Where the camera is easing to
+    let shown = null;             // Engine state on screen; lags behind `game` while moves animate
+    let frames = [];              // Engine states still to animate to, oldest first
+    let frameStart = 0;           // When the tween towards frames[0] started
+    let frameRequest = null;      // requestAnimationFrame id while the loop runs
+    let lastFrameTime = 0;
+    let inputQueue = [];          // Directions (or { player } switches) pressed while a step was animating
+    let winPending = false;       // Solved, but the last steps are still animating
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    // Screen reader announcements; the id changes even when the text repeats
+    let announcement = { id: 0, text: '' };
+
+    // Display options
+    let showDeadSquares = Boolean(options.showDeadSquares);
+    let deadlockWarnings = options.deadlockWarnings !== false;
+    let skin = options.skin || DEFAULT_THEME;
+
+    // Solver state
+    let solverWorker = null;
+    let solverJob = null;         // { id, mode: 'hint' | 'solve' } while a search runs
+    let solverJobCount = 0;
+    let solverCache = null;       // { key, moves } remaining solution from a known position
+    let solverStatus = { message: '', cancellable: false };
+    let playback = null;          // { moves, index, timer, onDone } while moves are animated
+
+    // History state
+    let startState = null;        // Engine state as the level was loaded
+    let history = [];             // Undoable actions: LURD letters for a move or path, { reset, playerLog,
+                                  // activePlayer, assistedBy } for a reset or { switchPlayer, from } for a switch
+    let redoStack = [];           // Undone actions; the next one to redo is last
+    let assistedBy = null;        // 'auto-solve' | 'hint' | 'replay'; assisted attempts do not set personal bests
+    let startedAt = null;         // Time of the first move since the level was loaded
+    let attempt = createAttempt(); // { startedAt, undos, resets } since the level was loaded or last solved
+
+    // Deadlock state
+    let deadSquares = [];         // Computed once per level in loadLevel()
+    let deadlocks = [];           // [{ box, reason }] for the current position
+    let deadlockMove = null;      // Move count just before the move that caused the deadlock
+
+    // Pointer and touch input
+    let pointerStart = null;      // { id, x, y, cell } while a pointer is pressed on the board
+    const pointers = new Map();   // Pointer id -> { x, y } for every pointer pressed on the canvas
+    let pinch = null;             // { distance, center } while two fingers pinch or pan
+    let boxSelection = null;      // { box, targets, message, state } for a box selected to push; see getBoxSelection()
+
+    // Solution replay
+    let replay = null;            // { moves, index, timer, speed, verdict } while a solution is replayed
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerCancel);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    const resizeObserver = new ResizeObserver(() => {
+        if (game) {
+            layout();
+            render();
+        }
+    });
+    resizeObserver.observe(canvas);
+
+    // ==================== LEVEL MANAGEMENT ====================
+
+    /**
+     * Start a level, or pick up a saved game of it: `saved` is the data from
+     * getSavedState(). Returns true if the saved game was restored; one whose
+     * moves no longer fit the level is ignored.
+     */
+    function loadLevel(nextLevel, saved = null) {
+        // Parse level map and reset counters and history
+        level = nextLevel;
+        startState = parseLevel(level.map, level.variant);
+        game = startState;
+        history = [];
+        redoStack = [];
+
+        cancelSolver();
+        setSolverStatus('');
+        solverCache = null;
+        stopReplay();
+        assistedBy = null;
+        startedAt = null;
+
+        // Precompute dead squares for deadlock warnings and the overlay; pulled boxes have none
+        deadSquares = isReverse(game)
+            ? game.grid.map(row => row.map(() => false))
+            : computeDeadSquares(game.grid, game.goals, game.player);
+        deadlocks = [];
+        deadlockMove = null;
+        const restored = saved !== null && restoreGame(saved);
+        attempt = createAttempt();
+        updateDeadlocks();
+
+        // Each level starts fitted to the view and centred on the player
+        zoom = 1;
+        layout();
+        centerOnPlayer();
+        showNow();
+        announce(describeLevel(game, level.name));
+        updateUI();
+        render();
+        return restored;
+    }
+
+    /**
+     * Replay a saved history from the start of the level to rebuild the
+     * position, then take over its undo and redo stacks and its clock.
+     */
+    function restoreGame(saved) {
+        // Moves of the current attempt, everything since the last reset, and who made them
+        let moves = '';
+        let playerLog = '';
+        let activePlayer = 0;
+        saved.history.forEach(action => {
+            if (typeof action === 'string') {
+                moves += action;
+                playerLog += String(activePlayer).repeat(action.length);
+            } else if (isReset(action)) {
+                moves = '';
+                playerLog = '';
+                activePlayer = 0;
+            } else {
+                activePlayer = action.switchPlayer;
+            }
+        });
+
+        restorePosition(moves, playerLog);
+        game = switchPlayer(game, activePlayer);
+        if (game.moveLog !== moves || game.activePlayer !== activePlayer) {
+            restorePosition('');
+            startedAt = null;
+            return false;
+        }
+
+        history = saved.history.slice();
+        redoStack = saved.redo.slice();
+        assistedBy = saved.assistedBy;
+        startedAt = saved.timeMs === null ? null : Date.now() - saved.timeMs;
+        return true;
+    }
+
+    /**
+     * The game so far as plain data, to save and later pass back to
+     * loadLevel(): { history, redo, assistedBy, timeMs }.
+     */
+    function getSavedState() {
+        return {
+            history: history.slice(),
+            redo: redoStack.slice(),
+            assistedBy,
+            timeMs: startedAt === null ? null : Date.now() - startedAt
+        };
+    }
+
+    function createAttempt() {
+        return { startedAt: null, undos: 0, resets: 0 };
+    }
+
+    /**
+     * End the attempt without a solve, as the player leaves the level, and
+     * start a new one. Returns { moves, pushes, timeMs, undos, resets,
+     * assistedBy } for the statistics, or null if no move was made in it.
+     */
+    function endAttempt() {
+        const ended = attempt;
+        attempt = createAttempt();
+        if (ended.startedAt === null) {
+            return null;
+        }
+        return {
+            moves: game.moveCount,
+            pushes: game.pushCount,
+            timeMs: Date.now() - ended.startedAt,
+            undos: ended.undos,
+            resets: ended.resets,
+            assistedBy
+        };
+    }
+
+    /**
+     * Return to the start of the level. The reset is recorded in the history
+     * like a move, so an accidental reset can be undone.
+     */
+    function resetLevel() {
+        cancelSolver();
+        setSolverStatus('');
+        stopReplay();
+
+        if (game.moveCount === 0) {
+            return;
+        }
+
+        history.push({ reset: game.moveLog, playerLog: game.playerLog, activePlayer: game.activePlayer, assistedBy });
+        redoStack = [];
+        restorePosition('');
+        assistedBy = null;
+        attempt.resets++;
+
+        showNow();
+        announce(`Level reset. ${describeSurroundings(game)}`);
+        updateUI();
+        render();
+    }
+
+    /**
+     * Change display options while playing, without reloading the level:
+     * - showDeadSquares: shade squares a box can never leave
+     * - deadlockWarnings: flag deadlocked boxes after a push
+     * - skin: a theme or sprite sheet skin from skins.js
+     */
+    function setOptions(changes) {
+        if ('skin' in changes) {
+            skin = changes.skin || DEFAULT_THEME;
+        }
+        if ('showDeadSquares' in changes) {
+            showDeadSquares = Boolean(changes.showDeadSquares);
+        }
+        if ('deadlockWarnings' in changes) {
+            deadlockWarnings = Boolean(changes.deadlockWarnings);
+        }
+        if (game) {
+            updateUI();
+            render();
+        }
+    }
+
+    // ==================== INPUT HANDLING ====================
+
+    function moveInDirection(direction) {
+        cancelSolver();
+        stopReplay();
+
+        if (frames.length > 0) {
+            if (inputQueue.length < MAX_QUEUED_INPUTS) {
+                inputQueue.push(direction);
+            }
+            return;
+        }
+        tryMove(direction);
+    }
+
+    /**
+     * Make player `index` of a Multiban level the one that moves, or the
+     * next one by default. Returns false on a level with a single player,
+     * so the key can do what it does elsewhere.
+     */
+    function selectPlayer(index = null) {
+        if (!game || game.players.length < 2) {
+            return false;
+        }
+
+        cancelSolver();
+        stopReplay();
+        if (frames.length > 0) {
+            if (inputQueue.length < MAX_QUEUED_INPUTS) {
+                inputQueue.push({ player: index });
+            }
+            return true;
+        }
+        changePlayer(index);
+        return true;
+    }
+
+    function changePlayer(index) {
+        const next = switchPlayer(game, index === null ? (game.activePlayer + 1) % game.players.length : index);
+        if (next === game) {
+            return;
+        }
+
+        recordAction({ switchPlayer: next.activePlayer, from: game.activePlayer });
+        game = next;
+        showNow();
+        announce(describeSurroundings(game));
+        updateUI();
+        render();
+    }
+
+    function handlePointerDown(e) {
+        if (!game) {
+            return;
+        }
+
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pointers.size === 2) {
+            // A second finger turns the gesture into a pinch: zoom and pan, no move
+            pointerStart = null;
+            pinch = { distance: getPinchDistance(), center: getPinchCenter() };
+            return;
+        }
+        if (!e.isPrimary || e.button !== 0) {
+            return;
+        }
+
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        pointerStart = { id: e.pointerId, x: e.clientX, y: e.clientY, cell: getCellAt(e) };
+    }
+
+    function handlePointerMove(e) {
+        if (!pointers.has(e.pointerId)) {
+            return;
+        }
+
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pinch && pointers.size === 2) {
+            const distance = getPinchDistance();
+            const center = getPinchCenter();
+            panBy(pinch.center.x - center.x, pinch.center.y - center.y);
+            setZoom(zoom * distance / pinch.distance, toViewPoint(center));
+            pinch = { distance, center };
+        }
+    }
+
+    /**
+     * Releasing the pointer decides the gesture:
+     * - pressed on a box and dragged: push that box to where it was released
+     * - dragged anywhere else: a swipe, one step in the swipe direction
+     * - a tap: see selectCell()
+     */
+    function handlePointerUp(e) {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) {
+            pinch = null;
+        }
+        if (!pointerStart || e.pointerId !== pointerStart.id) {
+            return;
+        }
+
+        const start = pointerStart;
+        pointerStart = null;
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        const isDrag = Math.hypot(dx, dy) >= SWIPE_MIN_DISTANCE;
+        const end = getCellAt(e);
+        const box = start.cell && game.boxes.find(b => b.x === start.cell.x && b.y === start.cell.y);
+
+        cancelSolver();
+        stopReplay();
+
+        if (isDrag && box && !isReverse(game)) {
+            if (end) {
+                pushBoxTo(box, end);
+            }
+        } else if (isDrag) {
+            if (Math.abs(dx) > Math.abs(dy)) {
+                tryMove(dx > 0 ? DIRECTIONS.RIGHT : DIRECTIONS.LEFT);
+            } else {
+                tryMove(dy > 0 ? DIRECTIONS.DOWN : DIRECTIONS.UP);
+            }
+        } else if (end) {
+            selectCell(end);
+        }
+    }
+
+    function handlePointerCancel(e) {
+        pointers.delete(e.pointerId);
+        pinch = null;
+        pointerStart = null;
+    }
+
+    /**
+     * Ctrl + wheel (which is also how trackpads report a pinch) zooms at the
+     * pointer; the plain wheel scrolls a board bigger than the view.
+     */
+    function handleWheel(e) {
+        if (!game) {
+            return;
+        }
+
+        const scale = e.deltaMode === 1 ? 16 : 1; // Lines to pixels
+        if (e.ctrlKey) {
+            e.preventDefault();
+            setZoom(zoom * Math.exp(-e.deltaY * scale * WHEEL_ZOOM_SPEED), toViewPoint({ x: e.clientX, y: e.clientY }));
+        } else if (game.width * tileSize > view.width || game.height * tileSize > view.height) {
+            e.preventDefault();
+            panBy(e.deltaX * scale, e.deltaY * scale);
+        }
+    }
+
+    function getCellAt(e) {
+        return getBoardCell(canvas, getBoardOrigin(camera, view, tileSize), tileSize, e, game.width, game.height);
+    }
+
+    function getPinchDistance() {
+        const [a, b] = pointers.values();
+        return Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+    }
+
+    function getPinchCenter() {
+        const [a, b] = pointers.values();
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    function toViewPoint(point) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: point.x - rect.left, y: point.y - rect.top };
+    }
+
+    /**
+     * What tapping a cell does:
+     * - on another player of a Multiban level: switch to that player
+     * - on a box: select it and mark where it can be pushed, or let go of it
+     *   if it was selected already (not in reverse play, where boxes are
+     *   pulled)
+     * - anywhere else while a box is selected: push that box there
+     * - anywhere else: walk there
+     */
+    function selectCell(cell) {
+        const selection = getBoxSelection();
+        const box = game.boxes.find(b => b.x === cell.x && b.y === cell.y);
+        const player = getPlayerIndex(game, cell.x, cell.y);
+
+        if (player !== -1 && player !== game.activePlayer) {
+            changePlayer(player);
+        } else if (box && isReverse(game)) {
+            announce('Boxes are pulled in reverse play: stand next to one and step away from it.');
+            updateUI();
+        } else if (selection && box === selection.box) {
+            releaseBox();
+        } else if (box) {
+            selectBox(box, null);
+        } else if (selection) {
+            pushBoxTo(selection.box, cell);
+        } else {
+            walkTo(cell);
+        }
+    }
+
+    /**
+     * Select a box to push and find every cell it can be pushed to. `message`
+     * says why it was selected, if not by tapping it.
+     */
+    function selectBox(box, message) {
+        const targets = findPushTargets(game.grid, getObstacles(), game.player, box);
+        const count = `${targets.length} square${targets.length === 1 ? '' : 's'}`;
+        const where = targets.length === 0
+            ? 'It cannot be pushed anywhere from here.'
+            : `It can go to ${count}, marked on the board. Select one to push it there, or the box again to let go.`;
+
+        boxSelection = {
+            box,
+            targets,
+            message: `${message || `Box at ${describePosition(box.x, box.y)} selected.`} ${where}`,
+            state: game
+        };
+        announce(boxSelection.message);
+        updateUI();
+        render();
+    }
+
+    function releaseBox() {
+        if (getBoxSelection()) {
+            boxSelection = null;
+            announce('Box let go.');
+            updateUI();
+            render();
+        }
+    }
+
+    /**
+     * The selected box, or null. A selection belongs to the position it was
+     * made in, so any move, undo or reset lets go of the box.
+     */
+    function getBoxSelection() {
+        return boxSelection && boxSelection.state === game ? boxSelection : null;
+    }
+
+    /**
+     * Walk to a cell along the shortest path.
+     */
+    function walkTo(cell) {
+        const path = findWalkPath(game.grid, getObstacles(), game.player, cell);
+        if (path) {
+            tryMovePath(path);
+        } else if (path === null) {
+            announce(`There is no way to ${describePosition(cell.x, cell.y)}.`);
+            updateUI();
+        }
+    }
+
+    /**
+     * Push a box to a cell by the way with the fewest pushes, walking round
+     * it between pushes. Each move is kept in the history as if it had been
+     * made on its own. If the box cannot get there, it is selected to show
+     * where it can go instead.
+     */
+    function pushBoxTo(box, cell) {
+        const path = findPushPath(game.grid, getObstacles(), game.player, box, cell);
+        if (path === null) {
+            selectBox(box, 'That box cannot be pushed there.');
+        } else if (path) {
+            boxSelection = null;
+            tryMovePath(path, true);
+        }
+    }
+
+    /**
+     * What the walking and pushing paths go round: the boxes and, on a
+     * Multiban level, the other players.
+     */
+    function getObstacles() {
+        return [...game.boxes, ...game.players.filter((player, index) => index !== game.activePlayer)];
+    }
+
+    /**
+     * The same as tapping a cell (see selectCell()), for the screen reader
+     * mode's text grid.
+     */
+    function goTo(x, y) {
+        cancelSolver();
+        stopReplay();
+        selectCell({ x, y });
+    }
+
+    // ==================== ANNOUNCEMENTS ====================
+
+    function announce(text) {
+        announcement = { id: announcement.id + 1, text };
+    }
+
+    function announceSurroundings() {
+        announce(describeSurroundings(game));
+        updateUI();
+    }
+
+    function announceBoxes() {
+        announce(describeBoxes(game));
+        updateUI();
+    }
+
+    // ==================== GAME LOGIC ====================
+
+    function tryMove(direction) {
+        const before = game;
+        const letter = applyMove(direction);
+        if (!letter) {
+            announce(describeBlockedMove(game, direction));
+            updateUI();
+            return;
+        }
+
+        announce(describeMove(before, game));
+        animateMove();
+        recordAction(letter);
+        updateDeadlocks();
+        updateUI();
+        render();
+        checkWinCondition();
+    }
+
+    /**
+     * Make a whole path of moves (LURD) as a single undoable step, or with
+     * `stepwise` as one undoable step per move. Every move counts towards the
+     * move and push counts either way.
+     */
+    function tryMovePath(path, stepwise = false) {
+        let made = '';
+        for (const letter of path) {
+            const played = applyMove(LURD_DIRECTIONS[letter.toLowerCase()]);
+            if (!played) {
+                break;
+            }
+            made += played;
+            if (stepwise) {
+                recordAction(played);
+            }
+            animateMove();
+            updateDeadlocks();
+        }
+
+        if (made === '') {
+            return;
+        }
+
+        announce(describePath(game, made));
+        if (!stepwise) {
+            recordAction(made);
+        }
+        updateUI();
+        render();
+        checkWinCondition();
+    }
+
+    /**
+     * Move the player one step without touching the history or the screen.
+     * Returns the LURD letter of the move (uppercase for a push), or null if it is blocked.
+     */
+    function applyMove(direction) {
+        const next = move(game, direction);
+        if (next === game) {
+            return null;
+        }
+
+        game = next;
+        if (startedAt === null) {
+            startedAt = Date.now();
+        }
+        if (attempt.startedAt === null) {
+            attempt.startedAt = Date.now();
+        }
+        return game.moveLog[game.moveLog.length - 1];
+    }
+
+    /**
+     * Report a solve once the board on screen shows it.
+     */
+    function checkWinCondition() {
+        if (!isSolved(game)) {
+            return;
+        }
+        if (frames.length > 0) {
+            winPending = true;
+            return;
+        }
+
+        inputQueue = [];
+        const solvedAttempt = attempt.startedAt === null ? null : {
+            timeMs: Date.now() - attempt.startedAt,
+            undos: attempt.undos,
+            resets: attempt.resets
+        };
+        attempt = createAttempt();
+        if (options.onSolved) {
+            options.onSolved({
+                moves: game.moveCount,
+                pushes: game.pushCount,
+                solution: game.moveLog,
+                timeMs: Date.now() - startedAt,
+                assistedBy,
+                attempt: solvedAttempt
+            });
+        }
+    }
+
+    // ==================== HISTORY ====================
+
+    /**
+     * Add an action to the history: a move, a path of moves undone as one
+     * step or a player switch. Making the one that is next in line to be
+     * redone keeps the rest of the redo stack; anything else discards it.
+     */
+    function recordAction(action) {
+        const next = redoStack[redoStack.length - 1];
+        history.push(action);
+        if (next === action || (isSwitch(next) && isSwitch(action) && next.switchPlayer === action.switchPlayer)) {
+            redoStack.pop();
+        } else {
+            redoStack = [];
+        }
+    }
+
+    function isReset(action) {
+        return typeof action === 'object' && action !== null && 'reset' in action;
+    }
+
+    function isSwitch(action) {
+        return typeof action === 'object' && action !== null && 'switchPlayer' in action;
+    }
+
+    /**
+     * Rebuild a position by replaying a LURD string from the start of the
+     * level; `playerLog` (see engine.js) says who made each move on a
+     * Multiban level.
+     */
+    function restorePosition(moves, playerLog = '') {
+        game = startState;
+        deadlocks = [];
+        deadlockMove = null;
+
+        [...moves].forEach((letter, i) => {
+            game = switchPlayer(game, Number(playerLog[i] || 0));
+            applyMove(LURD_DIRECTIONS[letter.toLowerCase()]);
+            updateDeadlocks();
+        });
+    }
+
+    function stepBack() {
+        const action = history.pop();
+        redoStack.push(action);
+
+        if (typeof action === 'string') {
+            for (let i = 0; i < action.length; i++) {
+                game = undoMove(game);
+            }
+        } else if (isSwitch(action)) {
+            game = switchPlayer(game, action.from);
+        } else {
+            restorePosition(action.reset, action.playerLog);
+            game = switchPlayer(game, action.activePlayer || 0);
+            assistedBy = action.assistedBy;
+        }
+        updateDeadlocks();
+    }
+
+    function stepForward() {
+        const action = redoStack.pop();
+        history.push(action);
+
+        if (typeof action === 'string') {
+            [...action].forEach(letter => applyMove(LURD_DIRECTIONS[letter.toLowerCase()]));
+        } else if (isSwitch(action)) {
+            game = switchPlayer(game, action.switchPlayer);
+        } else {
+            restorePosition('');
+            assistedBy = null;
+        }
+        updateDeadlocks();
+    }
+
+    function undo() {
+        if (history.length === 0) {
+            return;
+        }
+
+        cancelSolver();
+        stopReplay();
+        stepBack();
+        attempt.undos++;
+        showNow();
+        announce(`Undone, back to move ${game.moveCount}. ${describeSurroundings(game)}`);
+        updateUI();
+        render();
+    }
+
+    function redo() {
+        if (redoStack.length === 0) {
+            return;
+        }
+
+        cancelSolver();
+        stopReplay();
+        stepForward();
+        showNow();
+        announce(`Redone, now at move ${game.moveCount}. ${describeSurroundings(game)}`);
+        updateUI();
+        render();
+        checkWinCondition();
+    }
+
+    /**
+     * Undo back to just before the most recent push of the current attempt.
+     */
+    function undoLastPush() {
+        const lastPush = game.moveLog.search(/[UDLR][udlr]*$/);
+        if (lastPush !== -1) {
+            jumpToMove(lastPush);
+        }
+    }
+
+    /**
+     * Undo or redo until the current attempt is `target` moves long.
+     * Paths are split where the target falls inside them, and player
+     * switches on the way are undone or redone with the moves. The timeline
+     * stops at resets; only undo and redo step across them.
+     */
+    function jumpToMove(target) {
+        if (target === game.moveCount) {
+            return;
+        }
+
+        cancelSolver();
+        stopReplay();
+        if (game.moveCount > target) {
+            attempt.undos++;
+        }
+        while (game.moveCount > target) {
+            const action = history[history.length - 1];
+            const excess = game.moveCount - target;
+            if (action.length > excess) {
+                history.splice(-1, 1, action.slice(0, -excess), action.slice(-excess));
+            }
+            stepBack();
+        }
+        while (game.moveCount < target && redoStack.length > 0 && !isReset(redoStack[redoStack.length - 1])) {
+            const action = redoStack[redoStack.length - 1];
+            const missing = target - game.moveCount;
+            if (action.length > missing) {
+                redoStack.splice(-1, 1, action.slice(missing), action.slice(0, missing));
+            }
+            stepForward();
+        }
+
+        showNow();
+        announce(`Jumped to move ${game.moveCount}. ${describeSurroundings(game)}`);
+        updateUI();
+        render();
+        checkWinCondition();
+    }
+
+    /**
+     * Length of the current attempt including the moves that can be redone.
+     */
+    function getTimelineLength() {
+        let length = game.moveCount;
+        for (let i = redoStack.length - 1; i >= 0 && !isReset(redoStack[i]); i--) {
+            length += typeof redoStack[i] === 'string' ? redoStack[i].length : 0;
+        }
+        return length;
+    }
+
+    // ==================== DEADLOCKS ====================
+
+    /**
+     * Re-check the current position for deadlocked boxes (see deadlock.js).
+     * When a deadlock first appears, remember the move count from before the
+     * move that caused it so it can be undone in one click.
+     */
+    function updateDeadlocks() {
+        const wasDeadlocked = deadlocks.length > 0;
+        deadlocks = isReverse(game) ? [] : findDeadlocks(game.grid, game.boxes, game.goals, deadSquares);
+
+        if (deadlocks.length === 0) {
+            deadlockMove = null;
+        } else if (!wasDeadlocked) {
+            deadlockMove = game.moveCount > 0 ? game.moveCount - 1 : null;
+        }
+    }
+
+    function undoToBeforeDeadlock() {
+        if (deadlockMove !== null) {
+            jumpToMove(deadlockMove);
+        }
+    }
+
+    function isBoxDeadlocked(box) {
+        return deadlockWarnings && deadlocks.some(d => d.box.x === box.x && d.box.y === box.y);
+    }
+
+    function describeDeadlock() {
+        if (!deadlockWarnings || deadlocks.length === 0) {
+            return null;
+        }
+
+        return {
+            message: deadlocks.length === 1
+                ? DEADLOCK_MESSAGES[deadlocks[0].reason]
+                : `${deadlocks.length} boxes can no longer reach a goal.`,
+            canUndo: deadlockMove !== null
+        };
+    }
+
+    // ==================== SOLVER ====================
+
+    /**
+     * Ask the solver (solver-worker.js) for a solution from the current position.
+     * 'hint' plays the moves up to and including the next push,
+     * 'solve' animates the whole solution.
+     */
+    function requestSolution(mode) {
+        cancelSolver();
+        stopReplay();
+
+        if (!canUseSolver()) {
+            setSolverStatus('The solver only knows the usual rules with a single player.');
+            return;
+        }
+
+        if (solverCache && solverCache.key === getPositionKey()) {
+            playSolution(mode, solverCache.moves);
+            return;
+        }
+
+        const worker = getSolverWorker();
+        if (!worker) {
+            setSolverStatus('The solver is unavailable in this browser.');
+            return;
+        }
+
+        solverJob = { id: ++solverJobCount, mode };
+        worker.postMessage({
+            id: solverJob.id,
+            puzzle: createSolverPuzzle(game),
+            budget: SOLVER_BUDGET
+        });
+
+        setSolverStatus('Thinking…', true);
+    }
+
+    function canUseSolver() {
+        return !isReverse(game) && game.players.length === 1;
+    }
+
+    function getSolverWorker() {
+        if (!solverWorker) {
+            try {
+                solverWorker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+            } catch (err) {
+                return null;
+            }
+            solverWorker.addEventListener('message', handleSolverMessage);
+            solverWorker.addEventListener('error', () => {
+                cancelSolver();
+                setSolverStatus('The solver failed to start.');
+            });
+        }
+        return solverWorker;
+    }
+
+    function handleSolverMessage(e) {
+        const message = e.data;
+        if (!solverJob || message.id !== solverJob.id) {
+            return; // Result of a cancelled search
+        }
+
+        if (message.type === 'progress') {
+            setSolverStatus(`Thinking… ${message.nodes.toLocaleString()} positions searched`, true);
+            return;
+        }
+
+        const mode = solverJob.mode;
+        solverJob = null;
+        updateUI();
+
+        switch (message.status) {
+            case 'solved':
+                solverCache = { key: getPositionKey(), moves: message.solution };
+                playSolution(mode, message.solution);
+                break;
+            case 'unsolvable':
+                setSolverStatus('No solution found from this position. Try undoing a few moves.');
+                break;
+            case 'budget':
+                setSolverStatus(`No solution found within the search budget (${message.nodes.toLocaleString()} positions).`);
+                break;
+        }
+    }
+
+    function playSolution(mode, moves) {
+        if (moves.length === 0) {
+            setSolverStatus('All boxes are already on goals.');
+            return;
+        }
+
+        const pushesLeft = (moves.match(/[UDLR]/g) || []).length;
+
+        if (mode === 'solve') {
+            assistedBy = 'auto-solve';
+            setSolverStatus(`Auto-solving: ${pushesLeft} push${pushesLeft === 1 ? '' : 'es'} to go`, true);
+            startPlayback(moves, () => setSolverStatus(''));
+            return;
+        }
+
+        // Hint: walk to the next push and make it. An attempt helped by a hint
+        // is assisted, unless something else already helped it along
+        assistedBy = assistedBy || 'hint';
+        const hintLength = moves.search(/[UDLR]/) + 1;
+        const rest = moves.slice(hintLength);
+        setSolverStatus(`Hint: ${pushesLeft} push${pushesLeft === 1 ? '' : 'es'} left in the best solution`, true);
+        startPlayback(moves.slice(0, hintLength), () => {
+            solverCache = { key: getPositionKey(), moves: rest };
+            setSolverStatus(`Hint played. ${pushesLeft - 1} push${pushesLeft === 2 ? '' : 'es'} left.`);
+        });
+    }
+
+    function startPlayback(moves, onDone) {
+        playback = { moves, index: 0, onDone, timer: null };
+        playback.timer = setInterval(playNextMove, PLAYBACK_STEP_MS);
+        updateUI();
+    }
+
+    function playNextMove() {
+        const played = applyLurdMove(playback.moves[playback.index]);
+        playback.index++;
+
+        // Stop if the board no longer matches the solution
+        if (!played) {
+            stopPlayback();
+            solverCache = null;
+            setSolverStatus('Playback stopped: the position changed.');
+            return;
+        }
+
+        if (playback.index >= playback.moves.length) {
+            const onDone = playback.onDone;
+            stopPlayback();
+            onDone();
+        }
+    }
+
+    function stopPlayback() {
+        if (playback) {
+            clearInterval(playback.timer);
+            playback = null;
+            updateUI();
+        }
+    }
+
+    /**
+     * Stop any running search (by terminating its worker) and any animated playback.
+     */
+    function cancelSolver() {
+        if (solverJob) {
+            solverWorker.terminate();
+            solverWorker = null;
+            solverJob = null;
+            setSolverStatus('');
+        }
+        if (playback) {
+            stopPlayback();
+            setSolverStatus('');
+        }
+    }
+
+    function getPositionKey() {
+        const boxKeys = game.boxes.map(b => `${b.x},${b.y}`).sort().join(';');
+        return `${game.player.x},${game.player.y}|${boxKeys}`;
+    }
+
+    function setSolverStatus(message, cancellable = false) {
+        solverStatus = { message, cancellable };
+        if (game) {
+            updateUI();
+        }
+    }
+
+    // ==================== SOLUTION REPLAY ====================
+
+    /**
+     * Make one move given as a LURD letter.
+     * Returns false if the move was blocked or did not match the letter's case
+     * (uppercase must push, lowercase must not).
+     */
+    function applyLurdMove(letter) {
+        if (moveLurd(game, letter) === game) {
+            return false;
+        }
+
+        tryMove(LURD_DIRECTIONS[letter.toLowerCase()]);
+        return true;
+    }
+
+    /**
+     * Replay the legal part of a verified solution (see verifyLurd() in
+     * lurd.js) from the start of the level, paused on its first move.
+     */
+    function startReplay(verdict, speed = replay ? replay.speed : 1) {
+        loadLevel(level);
+        assistedBy = 'replay';
+        replay = { moves: verdict.moves, index: 0, timer: null, speed, verdict };
+        updateUI();
+    }
+
+    function describeVerdict(verdict) {
+        if (verdict.illegal) {
+            const { index, letter, reason } = verdict.illegal;
+            return `⚠️ Illegal: move ${index + 1} '${letter}' ${reason}. Replay stops before it.`;
+        }
+        if (!verdict.solved) {
+            return `⚠️ Does not finish the level: ${verdict.goalsFilled} of ${verdict.goalCount} goals filled at the end.`;
+        }
+
+        const extra = verdict.extraMoves > 0 ? ` (${verdict.extraMoves} extra moves after the win ignored)` : '';
+        return `✅ Verified: solves the level in ${verdict.moves.length} moves, ${verdict.pushes} pushes${extra}.`;
+    }
+
+    function restartReplay() {
+        const { verdict, speed } = replay;
+        const wasPlaying = replay.timer !== null;
+
+        startReplay(verdict, speed);
+        if (wasPlaying) {
+            playReplay();
+        }
+    }
+
+    function toggleReplayPlaying() {
+        if (replay.timer) {
+            pauseReplay();
+        } else {
+            if (replay.index >= replay.moves.length) {
+                restartReplay();
+            }
+            playReplay();
+        }
+    }
+
+    function playReplay() {
+        clearInterval(replay.timer);
+        replay.timer = setInterval(stepReplay, REPLAY_STEP_MS / replay.speed);
+        updateUI();
+    }
+
+    function pauseReplay() {
+        clearInterval(replay.timer);
+        replay.timer = null;
+        updateUI();
+    }
+
+    function stepReplay() {
+        if (replay.index >= replay.moves.length) {
+            pauseReplay();
+            return;
+        }
+
+        // The move itself clears the replay if it is stopped meanwhile
+        const current = replay;
+        applyLurdMove(current.moves[current.index]);
+        current.index++;
+
+        if (current.index >= current.moves.length) {
+            pauseReplay();
+        } else {
+            updateUI();
+        }
+    }
+
+    function stepReplayOnce() {
+        pauseReplay();
+        stepReplay();
+    }
+
+    function setReplaySpeed(speed) {
+        replay.speed = speed;
+        if (replay.timer) {
+            playReplay();
+        } else {
+            updateUI();
+        }
+    }
+
+    function stopReplay() {
+        if (!replay) {
+            return;
+        }
+
+        clearInterval(replay.timer);
+        replay = null;
+        updateUI();
+    }
+
+    function describeReplay() {
+        if (!replay) {
+            return null;
+        }
+
+        return {
+            index: replay.index,
+            length: replay.moves.length,
+            playing: replay.timer !== null,
+            speed: replay.speed,
+            message: describeVerdict(replay.verdict),
+            flagged: !replay.verdict.solved || replay.verdict.illegal !== null
+        };
+    }
+
+    // ==================== ANIMATION ====================
+
+    /**
+     * Tween from the board on screen to the move just made. Moves made while
+     * another is animating (a walk, a push path) play one after another.
+     */
+    function animateMove() {
+        if (reducedMotion) {
+            shown = game;
+            followPlayer();
+            return;
+        }
+
+        if (frames.length === 0) {
+            frameStart = performance.now();
+        }
+        frames.push(game);
+        followPlayer();
+        requestFrame();
+    }
+
+    /**
+     * Show the current position at once, dropping any tween and queued keys.
+     */
+    function showNow() {
+        shown = game;
+        frames = [];
+        inputQueue = [];
+        winPending = false;
+        followPlayer();
+    }
+
+    function requestFrame() {
+        if (frameRequest === null) {
+            frameRequest = requestAnimationFrame(tick);
+        }
+    }
+
+    /**
+     * A backlog of steps and queued keys plays faster, so the board never
+     * trails far behind the keys.
+     */
+    function getStepDuration() {
+        return MOVE_ANIMATION_MS / (frames.length + inputQueue.length);
+    }
+
+    function tick(now) {
+        frameRequest = null;
+        const elapsed = lastFrameTime ? now - lastFrameTime : 0;
+        lastFrameTime = now;
+
+        if (frames.length > 0 && now - frameStart >= getStepDuration()) {
+            shown = frames.shift();
+            frameStart = now;
+            if (frames.length === 0) {
+                finishAnimation();
+            }
+        }
+
+        camera = easeCamera(elapsed);
+        render();
+
+        if (frames.length > 0 || camera !== cameraTarget) {
+            requestFrame();
+        } else {
+            lastFrameTime = 0;
+        }
+    }
+
+    function finishAnimation() {
+        if (winPending) {
+            winPending = false;
+            checkWinCondition();
+        } else if (inputQueue.length > 0) {
+            const input = inputQueue.shift();
+            if ('player' in input) {
+                changePlayer(input.player);
+            } else {
+                tryMove(input);
+            }
+        }
+    }
+
+    // ==================== CAMERA ====================
+
+    /**
+     * Size the canvas to its CSS box and the tiles to the level and zoom.
+     */
+    function layout() {
+        view = fitCanvasToDisplay(canvas, ctx);
+        tileSize = getTileSize(view, game.width, game.height, zoom);
+        camera = clampCamera(camera, view, tileSize, game.width, game.height);
+        cameraTarget = clampCamera(cameraTarget, view, tileSize, game.width, game.height);
+    }
+
+    function centerOnPlayer() {
+        const center = { x: game.player.x + 0.5, y: game.player.y + 0.5 };
+        camera = cameraTarget = clampCamera(center, view, tileSize, game.width, game.height);
+    }
+
+    /**
+     * Ease towards a camera that keeps the player in view.
+     */
+    function followPlayer() {
+        const target = followPoint(cameraTarget, game.player, view, tileSize);
+        cameraTarget = clampCamera(target, view, tileSize, game.width, game.height);
+        if (cameraTarget.x !== camera.x || cameraTarget.y !== camera.y) {
+            requestFrame();
+        }
+    }
+
+    function easeCamera(elapsed) {
+        if (reducedMotion) {
+            return cameraTarget;
+        }
+
+        const k = 1 - Math.exp(-elapsed / CAMERA_EASING_MS);
+        const x = camera.x + (cameraTarget.x - camera.x) * k;
+        const y = camera.y + (cameraTarget.y - camera.y) * k;
+        if (Math.abs(cameraTarget.x - x) < 0.01 && Math.abs(cameraTarget.y - y) < 0.01) {
+            return cameraTarget;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Pan by a distance in CSS pixels, as far as the board edges allow.
+     */
+    function panBy(dx, dy) {
+        const moved = { x: camera.x + dx / tileSize, y: camera.y + dy / tileSize };
+        camera = cameraTarget = clampCamera(moved, view, tileSize, game.width, game.height);
+        render();
+    }
+
+    /**
+     * Zoom keeping the board point under `anchor` (a view position, the
+     * centre by default) still.
+     */
+    function setZoom(nextZoom, anchor = { x: view.width / 2, y: view.height / 2 }) {
+        nextZoom = clampZoom(nextZoom);
+        if (!game || nextZoom === zoom) {
+            return;
+        }
+
+        const fromTileSize = tileSize;
+        zoom = nextZoom;
+        tileSize = getTileSize(view, game.width, game.height, zoom);
+        const zoomed = zoomCamera(camera, view, fromTileSize, tileSize, anchor);
+        camera = cameraTarget = clampCamera(zoomed, view, tileSize, game.width, game.height);
+        updateUI();
+        render();
+    }
+
+    function zoomIn() {
+        setZoom(zoom * ZOOM_STEP);
+    }
+
+    function zoomOut() {
+        setZoom(zoom / ZOOM_STEP);
+    }
+
+    /**
+     * Back to the fitted tile size, centred on the player.
+     */
+    function resetZoom() {
+        if (!game) {
+            return;
+        }
+
+        zoom = 1;
+        tileSize = getTileSize(view, game.width, game.height, zoom);
+        centerOnPlayer();
+        updateUI();
+        render();
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Draw the cells in view, with the player and boxes part way between the
+     * board on screen and the next frame.
+     */
+    function render() {
+        clearBoard(ctx, skin, view);
+
+        const origin = getBoardOrigin(camera, view, tileSize);
+        const left = Math.max(0, Math.floor(-origin.x / tileSize));
+        const top = Math.max(0, Math.floor(-origin.y / tileSize));
+        const right = Math.min(game.width, Math.ceil((view.width - origin.x) / tileSize));
+        const bottom = Math.min(game.height, Math.ceil((view.height - origin.y) / tileSize));
+
+        // Draw grid
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const px = origin.x + x * tileSize;
+                const py = origin.y + y * tileSize;
+
+                drawTile(ctx, skin, tileSize, px, py, game.grid[y][x], x, y);
+
+                if (showDeadSquares && deadSquares[y][x]) {
+                    drawDeadSquare(ctx, skin, tileSize, px, py);
+                }
+            }
+        }
+
+        const selection = getBoxSelection();
+        if (selection) {
+            selection.targets.forEach(cell => {
+                drawPushTarget(ctx, skin, tileSize, origin.x + cell.x * tileSize, origin.y + cell.y * tileSize);
+            });
+        }
+
+        const next = frames.length > 0 ? frames[0] : shown;
+        const t = frames.length > 0 ? Math.min(1, (performance.now() - frameStart) / getStepDuration()) : 0;
+        const tween = (from, to) => ({
+            x: origin.x + (from.x + (to.x - from.x) * t) * tileSize,
+            y: origin.y + (from.y + (to.y - from.y) * t) * tileSize
+        });
+
+        // Draw boxes; the engine keeps them in the same order from move to move
+        next.boxes.forEach((box, i) => {
+            const { x, y } = tween(shown.boxes[i], box);
+            const cell = t < 0.5 ? shown.boxes[i] : box;
+            drawBox(ctx, skin, tileSize, x, y, isGoal(game, cell.x, cell.y), isBoxDeadlocked(box));
+        });
+        if (selection) {
+            const { box } = selection;
+            drawSelection(ctx, skin, tileSize, origin.x + box.x * tileSize, origin.y + box.y * tileSize);
+        }
+
+        // Draw players; Multiban players have a colour and number each, and the active one is framed
+        const multiban = next.players.length > 1;
+        next.players.forEach((to, i) => {
+            const { x, y } = tween(shown.players[i], to);
+            const cell = t < 0.5 ? shown.players[i] : to;
+            const color = multiban ? PLAYER_COLORS[i] : null;
+            drawPlayer(ctx, skin, tileSize, x, y, isGoal(game, cell.x, cell.y), color);
+            if (multiban) {
+                drawPlayerBadge(ctx, tileSize, x, y, i + 1, color, i === game.activePlayer);
+            }
+        });
+    }
+
+    // ==================== UI UPDATES ====================
+
+    /**
+     * Take a new snapshot for the React UI and notify subscribers.
+     * Snapshots are replaced, never changed, so React can compare them.
+     */
+    function updateUI() {
+        snapshot = {
+            level,
+            moveCount: game.moveCount,
+            pushCount: game.pushCount,
+            solution: game.moveLog,
+            playerLog: game.playerLog,
+            solved: isSolved(game),
+            canUndo: history.length > 0,
+            canRedo: redoStack.length > 0,
+            canUndoPush: /[UDLR]/.test(game.moveLog),
+            timelineLength: getTimelineLength(),
+            deadlock: describeDeadlock(),
+            solverBusy: solverJob !== null || playback !== null,
+            solverStatus,
+            replay: describeReplay(),
+            zoom,
+            variant: game.variant,
+            players: game.players,
+            activePlayer: game.activePlayer,
+            canUseSolver: canUseSolver(),
+            boxSelection: describeBoxSelection(),
+            board: getBoardRows(game),
+            announcement
+        };
+        listeners.forEach(listener => listener());
+    }
+
+    function describeBoxSelection() {
+        const selection = getBoxSelection();
+        if (!selection) {
+            return null;
+        }
+        const { box, targets, message } = selection;
+        return { box: { x: box.x, y: box.y }, targets, message };
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function getSnapshot() {
+        return snapshot;
+    }
+
+    function destroy() {
+        cancelSolver();
+        stopReplay();
+        listeners.clear();
+        if (frameRequest !== null) {
+            cancelAnimationFrame(frameRequest);
+        }
+        resizeObserver.disconnect();
+        canvas.removeEventListener('pointerdown', handlePointerDown);
+        canvas.removeEventListener('pointermove', handlePointerMove);
+        canvas.removeEventListener('pointerup', handlePointerUp);
+        canvas.removeEventListener('pointercancel', handlePointerCancel);
+        canvas.removeEventListener('wheel', handleWheel);
+    }
+
+    return {
+        loadLevel,
+        getSavedState,
+        endAttempt,
+        resetLevel,
+        setOptions,
+        move: moveInDirection,
+        goTo,
+        switchPlayer: selectPlayer,
+        releaseBox,
+        announceSurroundings,
+        announceBoxes,
+        undo,
+        redo,
+        undoLastPush,
+        jumpToMove,
+        undoToBeforeDeadlock,
+        requestSolution,
+        cancelSolver: () => {
+            cancelSolver();
+            setSolverStatus('');
+        },
+        startReplay,
+        restartReplay,
+        toggleReplayPlaying,
+        stepReplay: stepReplayOnce,
+        setReplaySpeed,
+        stopReplay,
+        zoomIn,
+        zoomOut,
+        resetZoom,
+        subscribe,
+        getSnapshot,
+        destroy
+    };
+}
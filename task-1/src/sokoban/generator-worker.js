@@ -0,0 +1,25 @@
+/**
+ * GENERATOR WORKER
+ *
+ * Runs generateLevel() (generator.js) off the main thread; every candidate is
+ * solved to rate it, which can take a moment for hard levels.
+ *
+ * Messages in:  { id, seed, difficulty }
+ * Messages out: { type: 'progress', id, attempt }
+ *               { type: 'result', id, level }
+ *               { type: 'error', id, message }
+ */
+
+import { generateLevel } from './generator.js';
+
+self.onmessage = (e) => {
+    const { id, seed, difficulty } = e.data;
+    try {
+        const level = generateLevel(seed, difficulty, attempt => {
+            self.postMessage({ type: 'progress', id, attempt });
+        });
+        self.postMessage({ type: 'result', id, level });
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};
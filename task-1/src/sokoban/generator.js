@@ -0,0 +1,360 @@
+/**
+ * LEVEL GENERATOR
+ *
+ * Makes new levels from a seed. Each candidate is built in three steps:
+ *   1. a walled room with random wall blocks inside it, kept in one piece;
+ *   2. goals on random floor cells, with a box on every goal;
+ *   3. the boxes pulled backwards away from the goals, as if the level were
+ *      played in reverse. Every pull undoes a push, so the result can be won.
+ *
+ * Each candidate is then solved (solver.js) for its rating, and only solved
+ * levels are kept. The rating combines the minimum number of pushes, how often
+ * the solution switches to another box or direction ("box lines") and how
+ * many positions the search had to expand; its score picks the difficulty.
+ *
+ * Generation is deterministic: the same seed and difficulty always give the
+ * same level, on any machine. The solver therefore runs with a node budget
+ * only, never a time limit, and every random choice comes from the seeded
+ * generator below.
+ */
+
+import { DIRECTIONS, parseLevel, getBoxIndex, moveLurd } from './engine.js';
+import { solvePuzzle, createSolverPuzzle } from './solver.js';
+
+// ==================== CONSTANTS ====================
+
+export const DIFFICULTIES = {
+    easy: { name: 'Easy', width: 7, height: 7, boxes: 2, pulls: 10, blocks: 4, minScore: 0 },
+    medium: { name: 'Medium', width: 8, height: 8, boxes: 3, pulls: 24, blocks: 6, minScore: 25 },
+    hard: { name: 'Hard', width: 10, height: 9, boxes: 5, pulls: 60, blocks: 10, minScore: 50 }
+};
+
+const MAX_ATTEMPTS = 200;             // Candidates tried before settling for the closest one
+const SOLVER_MAX_NODES = 50000;       // Per candidate; harder ones are skipped
+const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const SEED_LENGTH = 6;
+
+const STEPS = Object.values(DIRECTIONS);
+
+// Wall blocks placed inside the room: a single cell or a short bar
+const WALL_BLOCKS = [
+    [[0, 0]],
+    [[0, 0], [1, 0]],
+    [[0, 0], [0, 1]],
+    [[0, 0], [1, 0], [0, 1]]
+];
+
+// ==================== SEEDS ====================
+
+/**
+ * A seed as the generator uses it: trimmed and lower case, so shared seeds
+ * survive being retyped.
+ */
+export function normalizeSeed(seed) {
+    return String(seed).trim().toLowerCase();
+}
+
+/**
+ * A fresh random seed of letters and digits, e.g. 'k3x9qa'.
+ */
+export function createSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+/**
+ * A seeded random number generator: a function returning numbers in [0, 1),
+ * the same sequence for the same seed string (FNV-1a hash into mulberry32).
+ */
+export function createRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.codePointAt(0), 16777619);
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// ==================== GENERATION ====================
+
+/**
+ * Generate a level for a seed and a difficulty id from DIFFICULTIES.
+ * Returns { name, map, seed, difficulty, rating }. If no candidate rates as
+ * the requested difficulty, the closest one is returned and its rating says
+ * what it really is. onProgress, if given, is called with each attempt number.
+ */
+export function generateLevel(seed, difficulty, onProgress) {
+    const settings = DIFFICULTIES[difficulty];
+    if (!settings) {
+        throw new Error(`Unknown difficulty "${difficulty}"; use easy, medium or hard.`);
+    }
+
+    const normalized = normalizeSeed(seed);
+    const random = createRandom(`${difficulty}:${normalized}`);
+    let best = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        if (onProgress) {
+            onProgress(attempt);
+        }
+
+        const map = createCandidate(random, settings);
+        if (!map) {
+            continue;
+        }
+
+        const state = parseLevel(map);
+        const result = solvePuzzle(createSolverPuzzle(state), { maxNodes: SOLVER_MAX_NODES, timeLimitMs: Infinity });
+        if (result.status !== 'solved' || result.pushes === 0) {
+            continue;
+        }
+
+        const rating = rateLevel(state, result.solution, result.nodes);
+        const distance = getScoreDistance(rating.score, difficulty);
+        if (!best || distance < best.distance) {
+            best = { map, rating, distance };
+        }
+        if (distance === 0) {
+            break;
+        }
+    }
+
+    if (!best) {
+        throw new Error('No solvable level came out of this seed. Try another one.');
+    }
+
+    return {
+        name: `${settings.name} #${normalized}`,
+        map: best.map,
+        seed: normalized,
+        difficulty,
+        rating: best.rating
+    };
+}
+
+/**
+ * One candidate level as map rows, or null if the room left no space for it.
+ */
+function createCandidate(random, settings) {
+    const floor = createRoom(random, settings);
+    const cells = [...floor];
+    if (cells.length < settings.boxes * 3) {
+        return null;
+    }
+
+    const goals = [];
+    while (goals.length < settings.boxes) {
+        const cell = pick(random, cells);
+        if (!goals.includes(cell)) {
+            goals.push(cell);
+        }
+    }
+
+    const start = cells.filter(cell => !goals.includes(cell));
+    const pulled = pullBoxes(random, settings, floor, goals, pick(random, start));
+    if (!pulled) {
+        return null;
+    }
+
+    return toMap(settings, floor, goals, pulled.boxes, pulled.player);
+}
+
+/**
+ * The floor of a room: the inside of a width × height wall ring, less some
+ * random wall blocks. Blocks that would split the floor or leave a cell walled
+ * in on three sides are not placed. Cells are numbered y * width + x.
+ */
+function createRoom(random, { width, height, blocks }) {
+    const floor = new Set();
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            floor.add(y * width + x);
+        }
+    }
+
+    let placed = 0;
+    for (let tries = 0; tries < blocks * 4 && placed < blocks; tries++) {
+        const shape = pick(random, WALL_BLOCKS);
+        const x = 1 + Math.floor(random() * (width - 2));
+        const y = 1 + Math.floor(random() * (height - 2));
+        const block = shape.map(([dx, dy]) => (y + dy) * width + x + dx).filter(cell => floor.has(cell));
+        if (block.length === 0) {
+            continue;
+        }
+
+        block.forEach(cell => floor.delete(cell));
+        if (isConnected(floor, width) && !hasDeadEnds(floor, width)) {
+            placed++;
+        } else {
+            block.forEach(cell => floor.add(cell));
+        }
+    }
+
+    return floor;
+}
+
+function getNeighbours(cell, width) {
+    return STEPS.map(step => cell + step.dy * width + step.dx);
+}
+
+function isConnected(floor, width) {
+    const [first] = floor;
+    const seen = new Set([first]);
+    const queue = [first];
+    while (queue.length > 0) {
+        getNeighbours(queue.pop(), width).forEach(next => {
+            if (floor.has(next) && !seen.has(next)) {
+                seen.add(next);
+                queue.push(next);
+            }
+        });
+    }
+    return seen.size === floor.size;
+}
+
+function hasDeadEnds(floor, width) {
+    return [...floor].some(cell => getNeighbours(cell, width).filter(next => floor.has(next)).length < 2);
+}
+
+/**
+ * Play the level backwards from its solved position: the player walks to a
+ * box and pulls it one cell, settings.pulls times. Returns the scattered
+ * { boxes, player }, or null if the boxes never left the goals.
+ */
+function pullBoxes(random, settings, floor, goals, player) {
+    const { width } = settings;
+    const boxes = goals.slice();
+
+    for (let i = 0; i < settings.pulls; i++) {
+        const reach = getReachable(floor, width, boxes, player);
+        const pulls = [];
+        boxes.forEach((box, index) => {
+            STEPS.forEach(step => {
+                const offset = step.dy * width + step.dx;
+                const stand = box + offset;
+                const back = stand + offset;
+                if (reach.has(stand) && floor.has(back) && !boxes.includes(back)) {
+                    pulls.push({ index, stand, back });
+                }
+            });
+        });
+        if (pulls.length === 0) {
+            break;
+        }
+
+        // Of two random pulls, take the one leaving its box further from the goals
+        const first = pick(random, pulls);
+        const second = pick(random, pulls);
+        const spread = ({ stand }) => Math.min(...goals.map(goal =>
+            Math.abs(goal % width - stand % width) + Math.abs(Math.floor(goal / width) - Math.floor(stand / width))));
+        const pull = spread(second) > spread(first) ? second : first;
+        boxes[pull.index] = pull.stand;
+        player = pull.back;
+    }
+
+    if (boxes.every(box => goals.includes(box))) {
+        return null;
+    }
+
+    // Anywhere the player can walk to is the same puzzle, so start somewhere random in it
+    return { boxes, player: pick(random, [...getReachable(floor, width, boxes, player)]) };
+}
+
+function getReachable(floor, width, boxes, start) {
+    const reach = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        getNeighbours(queue.pop(), width).forEach(next => {
+            if (floor.has(next) && !boxes.includes(next) && !reach.has(next)) {
+                reach.add(next);
+                queue.push(next);
+            }
+        });
+    }
+    return reach;
+}
+
+function toMap({ width, height }, floor, goals, boxes, player) {
+    const map = [];
+    for (let y = 0; y < height; y++) {
+        let row = '';
+        for (let x = 0; x < width; x++) {
+            const cell = y * width + x;
+            const goal = goals.includes(cell);
+            if (!floor.has(cell)) {
+                row += '#';
+            } else if (boxes.includes(cell)) {
+                row += goal ? '*' : '$';
+            } else if (cell === player) {
+                row += goal ? '+' : '@';
+            } else {
+                row += goal ? '.' : ' ';
+            }
+        }
+        map.push(row);
+    }
+    return map;
+}
+
+// ==================== RATING ====================
+
+/**
+ * Rate a level from its push-optimal solution (LURD) and the number of nodes
+ * the solver expanded to find it. Returns
+ * { pushes, boxLines, nodes, score, difficulty }.
+ *
+ * A box line is a run of pushes of one box in one direction; each change of
+ * box or direction starts a new one and is where the player has to think.
+ */
+export function rateLevel(state, solution, nodes) {
+    let pushes = 0;
+    let boxLines = 0;
+    let last = null;
+
+    for (const letter of solution) {
+        const step = STEPS.find(d => d.lurd === letter.toLowerCase());
+        if (letter !== letter.toLowerCase()) {
+            const box = getBoxIndex(state, state.player.x + step.dx, state.player.y + step.dy);
+            if (!last || last.box !== box || last.step !== step) {
+                boxLines++;
+            }
+            last = { box, step };
+            pushes++;
+        }
+        state = moveLurd(state, letter);
+    }
+
+    const score = Math.round(pushes + boxLines * 2 + Math.log2(nodes + 1) * 2);
+    return { pushes, boxLines, nodes, score, difficulty: getDifficultyForScore(score) };
+}
+
+/**
+ * The difficulty id a rating score falls under.
+ */
+export function getDifficultyForScore(score) {
+    const ids = Object.keys(DIFFICULTIES);
+    return ids.reduce((found, id) => (score >= DIFFICULTIES[id].minScore ? id : found), ids[0]);
+}
+
+// How far a score is outside a difficulty's band; 0 inside it
+function getScoreDistance(score, difficulty) {
+    const ids = Object.keys(DIFFICULTIES);
+    const next = DIFFICULTIES[ids[ids.indexOf(difficulty) + 1]];
+    const min = DIFFICULTIES[difficulty].minScore;
+    if (score < min) {
+        return min - score;
+    }
+    return next && score >= next.minScore ? score - next.minScore + 1 : 0;
+}
@@ -0,0 +1,94 @@
+/**
+ * LEADERBOARD CLIENT
+ *
+ * Talks to the leaderboard API on the task-3 backend (task-3/backend/sokoban.js),
+ * which replays every submitted solution with these same rules before it
+ * records a score. Only the levels shipped in levels.js have leaderboards;
+ * their id is the getLevelKey() hash of the map, which the server computes
+ * the same way.
+ *
+ * The server address comes from VITE_LEADERBOARD_URL and defaults to the
+ * backend's local port.
+ */
+
+import { LEVELS, hasUsualRules } from './levels.js';
+import { getLevelKey } from './progress.js';
+
+// ==================== CONSTANTS ====================
+
+const LEADERBOARD_URL = (import.meta.env && import.meta.env.VITE_LEADERBOARD_URL) || 'http://localhost:3001';
+
+// The server replays solutions by the usual rules, so only those levels have a leaderboard
+const SHIPPED_LEVEL_KEYS = new Set(LEVELS.filter(hasUsualRules).map(getLevelKey));
+
+// ==================== LEVELS ====================
+
+/**
+ * The leaderboard id of a level, or null for levels without one (imported,
+ * edited or generated levels).
+ */
+export function getLeaderboardLevelId(level) {
+    const key = getLevelKey(level);
+    return SHIPPED_LEVEL_KEYS.has(key) ? key : null;
+}
+
+// ==================== REQUESTS ====================
+
+/**
+ * Fetch JSON from the API. Rejects with an Error carrying the server's
+ * message (and its error code as `code`), or explaining that it is offline.
+ */
+async function request(path, init) {
+    let response;
+    try {
+        response = await fetch(`${LEADERBOARD_URL}/sokoban${path}`, init);
+    } catch (err) {
+        throw new Error('The leaderboard server cannot be reached. Is the backend running?');
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data || !data.ok) {
+        const error = new Error((data && data.message) || `The leaderboard server answered ${response.status}.`);
+        error.code = data && data.error;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * The best scores for a level: [{ rank, username, moves, pushes, timeMs, submittedAt }],
+ * ranked by moves or by pushes.
+ */
+export async function fetchLevelLeaderboard(levelId, sort = 'moves') {
+    const data = await request(`/levels/${encodeURIComponent(levelId)}/leaderboard?sort=${sort}`);
+    return data.entries;
+}
+
+/**
+ * Players ranked by levels solved, then first places, then total moves:
+ * [{ rank, username, solved, firstPlaces, totalMoves }].
+ */
+export async function fetchTopPlayers() {
+    const data = await request('/players/top');
+    return data.players;
+}
+
+/**
+ * Submit a solve for the server to verify. `result` is the game's solve
+ * result ({ moves, pushes, solution, timeMs }). Resolves to the server's
+ * { entry, rank: { moves, pushes } }.
+ */
+export async function submitSolution(levelId, username, result) {
+    const data = await request(`/levels/${encodeURIComponent(levelId)}/solutions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            username,
+            solution: result.solution,
+            timeMs: result.timeMs,
+            moves: result.moves,
+            pushes: result.pushes
+        })
+    });
+    return { entry: data.entry, rank: data.rank };
+}
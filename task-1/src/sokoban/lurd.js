@@ -0,0 +1,125 @@
+/**
+ * LURD SOLUTIONS
+ *
+ * Parsing and verification of solutions in LURD notation, the standard way
+ * Sokoban solutions are shared:
+ * - l, u, r, d   move left/up/right/down
+ * - L, U, R, D   move and push a box
+ *
+ * Whitespace and line breaks are ignored and run-length counts are expanded
+ * ("3r" -> "rrr"), so solutions copied from other programs paste cleanly.
+ */
+
+import {
+    LURD_DIRECTIONS, parseLevel, move, switchPlayer, isWall, getBoxIndex, getPlayerIndex, isSolved, countGoalsFilled
+} from './engine.js';
+
+// ==================== PARSING ====================
+
+/**
+ * Normalise pasted text into a plain LURD string.
+ * Returns { moves, error } where error is a message or null.
+ */
+export function parseLurd(text) {
+    const compact = text.replace(/\s+/g, '');
+    const invalid = compact.search(/[^udlrUDLR0-9]/);
+
+    if (invalid !== -1) {
+        return { moves: '', error: `Unexpected character '${compact[invalid]}' at position ${invalid + 1}.` };
+    }
+
+    const moves = compact.replace(/(\d+)([udlrUDLR])/g, (_, count, letter) => letter.repeat(Number(count)));
+    if (/\d/.test(moves)) {
+        return { moves: '', error: 'A repeat count must be followed by a move.' };
+    }
+    if (moves === '') {
+        return { moves: '', error: 'No moves found.' };
+    }
+
+    return { moves, error: null };
+}
+
+/**
+ * Shorten a LURD string with run-length counts ("rrrU" -> "3rU"), the
+ * reverse of the expansion in parseLurd().
+ */
+export function compressLurd(moves) {
+    return moves.replace(/([udlrUDLR])\1+/g, run => `${run.length}${run[0]}`);
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Play a LURD string against a level map (LEVEL_LEGEND characters) from its
+ * start position, using the rules in engine.js for `variant`. LURD has no
+ * way to switch players: on a Multiban map `playerLog` (one digit per move,
+ * see engine.js) says who makes each move, and without it the first player
+ * makes them all.
+ *
+ * Returns {
+ *   moves,        legal moves up to the end or the win, with the case of each
+ *                 letter corrected to whether it really pushes
+ *   playerLog,    who made each of those moves
+ *   illegal,      null or { index, letter, reason } for the first illegal move
+ *   solved,       true if the moves leave every box on a goal
+ *   extraMoves,   moves after the level was already solved (dropped)
+ *   pushes, goalsFilled, goalCount
+ * }
+ */
+export function verifyLurd(map, lurd, { variant, playerLog = '' } = {}) {
+    let state = parseLevel(map, variant);
+    let illegal = null;
+    let extraMoves = 0;
+
+    for (let i = 0; i < lurd.length; i++) {
+        if (isSolved(state)) {
+            extraMoves = lurd.length - i;
+            break;
+        }
+
+        if (i < playerLog.length) {
+            const player = Number(playerLog[i]);
+            if (!state.players[player]) {
+                illegal = { index: i, letter: lurd[i], reason: `is made by player ${player + 1}, who is not on the map` };
+                break;
+            }
+            state = switchPlayer(state, player);
+        }
+
+        const direction = LURD_DIRECTIONS[lurd[i].toLowerCase()];
+        const next = move(state, direction);
+        if (next === state) {
+            illegal = { index: i, letter: lurd[i], reason: describeBlockedMove(state, direction) };
+            break;
+        }
+        state = next;
+    }
+
+    return {
+        moves: state.moveLog,
+        playerLog: state.playerLog,
+        illegal,
+        solved: isSolved(state),
+        extraMoves,
+        pushes: state.pushCount,
+        goalsFilled: countGoalsFilled(state),
+        goalCount: state.goals.length
+    };
+}
+
+function describeBlockedMove(state, direction) {
+    const x = state.player.x + direction.dx;
+    const y = state.player.y + direction.dy;
+    if (isWall(state, x, y)) {
+        return 'walks into a wall';
+    }
+    if (getPlayerIndex(state, x, y) !== -1) {
+        return 'walks into another player';
+    }
+    if (isWall(state, x + direction.dx, y + direction.dy)) {
+        return 'pushes a box into a wall';
+    }
+    return getBoxIndex(state, x + direction.dx, y + direction.dy) !== -1
+        ? 'pushes a box into another box'
+        : 'pushes a box into another player';
+}
@@ -0,0 +1,155 @@
+/**
+ * PATHFINDING
+ *
+ * Shortest paths for the mouse and touch controls, returned in LURD notation
+ * (see lurd.js) or null when there is no way:
+ * - findWalkPath: walk the player to a cell without pushing anything
+ * - findPushPath: push one box to a cell with the fewest pushes, walking the
+ *   player round the box between pushes
+ * - findPushTargets: every cell one box can be pushed to, to show where it
+ *   can go
+ *
+ * `boxes` is everything in the way besides the walls; on a Multiban level
+ * the game passes the other players along with the boxes.
+ */
+
+import { TILE_TYPES, DIRECTIONS } from './engine.js';
+
+// ==================== WALKING ====================
+
+/**
+ * Shortest walk from one cell to another around walls and boxes.
+ * Returns a lowercase LURD string ('' if already there) or null.
+ */
+export function findWalkPath(grid, boxes, from, to) {
+    const blocked = new Set(boxes.map(b => `${b.x},${b.y}`));
+    return tracePath(buildWalkTree(grid, blocked, from), to);
+}
+
+/**
+ * Breadth-first search from `from` over open cells.
+ * Returns a Map of reached cell keys to { from, letter } (null for the start).
+ */
+function buildWalkTree(grid, blocked, from) {
+    const previous = new Map([[`${from.x},${from.y}`, null]]);
+    const queue = [from];
+
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        for (const dir of Object.values(DIRECTIONS)) {
+            const next = { x: cell.x + dir.dx, y: cell.y + dir.dy };
+            const key = `${next.x},${next.y}`;
+            if (previous.has(key) || !isPathCellOpen(grid, blocked, next)) {
+                continue;
+            }
+            previous.set(key, { from: cell, letter: dir.lurd });
+            queue.push(next);
+        }
+    }
+
+    return previous;
+}
+
+function tracePath(tree, to) {
+    if (!tree.has(`${to.x},${to.y}`)) {
+        return null;
+    }
+
+    let path = '';
+    for (let step = tree.get(`${to.x},${to.y}`); step; step = tree.get(`${step.from.x},${step.from.y}`)) {
+        path = step.letter + path;
+    }
+    return path;
+}
+
+function isPathCellOpen(grid, blocked, cell) {
+    return cell.y >= 0 && cell.y < grid.length && cell.x >= 0 && cell.x < grid[cell.y].length &&
+        grid[cell.y][cell.x] !== TILE_TYPES.WALL && !blocked.has(`${cell.x},${cell.y}`);
+}
+
+// ==================== PUSHING ====================
+
+/**
+ * Push the box at `box` to `target`, leaving every other box where it is.
+ * Breadth-first over pushes, so the path uses the fewest pushes possible.
+ * Returns a LURD string or null.
+ */
+export function findPushPath(grid, boxes, player, box, target) {
+    const others = getOtherBoxes(boxes, box);
+    if (!isPathCellOpen(grid, others, target)) {
+        return null;
+    }
+
+    const found = searchPushes(grid, others, player, box,
+        state => state.box.x === target.x && state.box.y === target.y);
+    if (!found) {
+        return null;
+    }
+
+    let path = '';
+    for (let s = found; s; s = s.parent) {
+        path = s.moves + path;
+    }
+    return path;
+}
+
+/**
+ * Every cell the box at `box` can be pushed to with the other boxes left
+ * where they are, not counting the cell it is on: [{ x, y }], nearest in
+ * pushes first.
+ */
+export function findPushTargets(grid, boxes, player, box) {
+    const targets = new Map();
+    searchPushes(grid, getOtherBoxes(boxes, box), player, box, state => {
+        targets.set(`${state.box.x},${state.box.y}`, state.box);
+        return false;
+    });
+    targets.delete(`${box.x},${box.y}`);
+    return [...targets.values()];
+}
+
+function getOtherBoxes(boxes, box) {
+    return new Set(boxes
+        .filter(b => b.x !== box.x || b.y !== box.y)
+        .map(b => `${b.x},${b.y}`));
+}
+
+/**
+ * Breadth-first search over pushes of one box. A state is the box position
+ * plus where the player stands, with the moves that led there from its
+ * parent. Returns the first state `isDone(state)` accepts, or null once
+ * every state has been visited.
+ */
+function searchPushes(grid, others, player, box, isDone) {
+    const start = { box, player, parent: null, moves: '' };
+    const seen = new Set([`${box.x},${box.y}|${player.x},${player.y}`]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+        const state = queue[head];
+        if (isDone(state)) {
+            return state;
+        }
+
+        const blocked = new Set(others).add(`${state.box.x},${state.box.y}`);
+        const walks = buildWalkTree(grid, blocked, state.player);
+
+        for (const dir of Object.values(DIRECTIONS)) {
+            const next = { x: state.box.x + dir.dx, y: state.box.y + dir.dy };
+            const key = `${next.x},${next.y}|${state.box.x},${state.box.y}`;
+            if (seen.has(key) || !isPathCellOpen(grid, others, next)) {
+                continue;
+            }
+
+            const walk = tracePath(walks, { x: state.box.x - dir.dx, y: state.box.y - dir.dy });
+            if (walk === null) {
+                continue;
+            }
+
+            seen.add(key);
+            queue.push({ box: next, player: state.box, parent: state, moves: walk + dir.lurd.toUpperCase() });
+        }
+    }
+
+    return null;
+}
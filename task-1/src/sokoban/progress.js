@@ -0,0 +1,179 @@
+/**
+ * PLAYER PROGRESS
+ *
+ * Persists per-level completion and personal bests in localStorage so they
+ * survive a page refresh, and converts them to/from a JSON backup file.
+ *
+ * Stored shape (PROGRESS_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   currentLevel: 0,                 // index of the last level played
+ *   levels: {
+ *     [levelKey]: { solved: true, bestMoves, bestPushes, solvedAt }
+ *   }
+ * }
+ *
+ * Levels are keyed by a hash of their map rather than their index, so records
+ * stay attached to the right level when imported packs shift the list.
+ */
+
+// ==================== CONSTANTS ====================
+
+const PROGRESS_STORAGE_KEY = 'sokoban.progress';
+const PROGRESS_VERSION = 1;
+
+// ==================== STORAGE ====================
+
+export function createEmptyProgress() {
+    return { version: PROGRESS_VERSION, currentLevel: 0, levels: {} };
+}
+
+/**
+ * Read saved progress. Falls back to empty progress when nothing is stored,
+ * storage is unavailable (e.g. private browsing) or the data is corrupt.
+ */
+export function loadProgress() {
+    try {
+        const raw = localStorage.getItem(PROGRESS_STORAGE_KEY);
+        return raw ? normalizeProgress(JSON.parse(raw)) : createEmptyProgress();
+    } catch (err) {
+        console.warn('Could not read saved progress:', err);
+        return createEmptyProgress();
+    }
+}
+
+export function saveProgress(progress) {
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+    } catch (err) {
+        console.warn('Could not save progress:', err);
+    }
+}
+
+/**
+ * Stable key for a level: a hash of its map rows. A level played in reverse
+ * (see engine.js) is a different puzzle, so its key is marked as well.
+ */
+export function getLevelKey(level) {
+    const text = level.map.join('\n');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    const variant = level.variant && level.variant !== 'standard' ? `-${level.variant}` : '';
+    return 'L' + (hash >>> 0).toString(36) + variant;
+}
+
+// ==================== RECORDS ====================
+
+/**
+ * Record a completed level and update personal bests.
+ * Moves and pushes are tracked as separate records.
+ * Returns { firstSolve, previous, newBestMoves, newBestPushes }.
+ */
+export function recordLevelSolve(progress, key, moves, pushes) {
+    const previous = progress.levels[key] || null;
+    const firstSolve = !previous || !previous.solved;
+    const newBestMoves = firstSolve || previous.bestMoves === null || moves < previous.bestMoves;
+    const newBestPushes = firstSolve || previous.bestPushes === null || pushes < previous.bestPushes;
+
+    progress.levels[key] = {
+        solved: true,
+        bestMoves: newBestMoves ? moves : previous.bestMoves,
+        bestPushes: newBestPushes ? pushes : previous.bestPushes,
+        solvedAt: firstSolve ? Date.now() : previous.solvedAt
+    };
+
+    return { firstSolve, previous, newBestMoves, newBestPushes };
+}
+
+/**
+ * Mark a level as solved without touching its best scores
+ * (used when the solution came from the built-in solver).
+ */
+export function recordAssistedSolve(progress, key) {
+    if (!progress.levels[key]) {
+        progress.levels[key] = { solved: true, bestMoves: null, bestPushes: null, solvedAt: Date.now() };
+    }
+}
+
+// ==================== BACKUP ====================
+
+export function exportProgress(progress) {
+    return JSON.stringify({ ...progress, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+/**
+ * Merge a JSON backup into the current progress, keeping the better record
+ * for every level. Throws an Error with a readable message if the file is
+ * not a progress backup.
+ */
+export function importProgress(progress, json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!data || typeof data !== 'object' || typeof data.levels !== 'object' || data.levels === null) {
+        throw new Error('The file is not a Sokoban progress backup.');
+    }
+    if (data.version > PROGRESS_VERSION) {
+        throw new Error('The backup was made by a newer version of the game.');
+    }
+
+    const incoming = normalizeProgress(data);
+    let merged = 0;
+
+    Object.entries(incoming.levels).forEach(([key, record]) => {
+        const current = progress.levels[key];
+        if (!current) {
+            progress.levels[key] = record;
+        } else {
+            progress.levels[key] = {
+                solved: true,
+                bestMoves: minRecord(current.bestMoves, record.bestMoves),
+                bestPushes: minRecord(current.bestPushes, record.bestPushes),
+                solvedAt: minRecord(current.solvedAt, record.solvedAt)
+            };
+        }
+        merged++;
+    });
+
+    return merged;
+}
+
+function minRecord(a, b) {
+    if (a === null || a === undefined) {
+        return b;
+    }
+    if (b === null || b === undefined) {
+        return a;
+    }
+    return Math.min(a, b);
+}
+
+/**
+ * Keep only well-formed level records from stored or imported data.
+ */
+function normalizeProgress(data) {
+    const progress = createEmptyProgress();
+    if (Number.isInteger(data.currentLevel) && data.currentLevel >= 0) {
+        progress.currentLevel = data.currentLevel;
+    }
+
+    const isCount = value => value === null || (Number.isInteger(value) && value >= 0);
+    Object.entries(data.levels || {}).forEach(([key, record]) => {
+        if (record && record.solved === true && isCount(record.bestMoves) && isCount(record.bestPushes)) {
+            progress.levels[key] = {
+                solved: true,
+                bestMoves: record.bestMoves,
+                bestPushes: record.bestPushes,
+                solvedAt: Number.isFinite(record.solvedAt) ? record.solvedAt : null
+            };
+        }
+    });
+
+    return progress;
+}
@@ -0,0 +1,341 @@
+/**
+ * BOARD RENDERING
+ *
+ * Canvas drawing shared by the game (game.js) and the level editor
+ * (editor.js). Drawing is in CSS pixels on a canvas whose backing store is
+ * scaled by devicePixelRatio, so tiles stay sharp on high-density screens;
+ * every drawing function takes the 2D context, the skin (skins.js) and the
+ * tile size.
+ *
+ * A view is the canvas's { width, height } in CSS pixels.
+ */
+
+import { TILE_TYPES } from './engine.js';
+import { SPRITE_CELLS } from './skins.js';
+
+// ==================== CANVAS ====================
+
+/**
+ * Size the canvas's backing store to its displayed size times
+ * devicePixelRatio and scale the context to match, so callers draw in CSS
+ * pixels. Returns the view.
+ */
+export function fitCanvasToDisplay(canvas, ctx) {
+    const ratio = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    const view = {
+        width: rect.width || canvas.width / ratio,
+        height: rect.height || canvas.height / ratio
+    };
+
+    const width = Math.round(view.width * ratio);
+    const height = Math.round(view.height * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return view;
+}
+
+// ==================== LAYOUT ====================
+
+/**
+ * The largest whole tile size that fits a width × height board in the view.
+ */
+export function fitTileSize(view, width, height) {
+    return Math.max(1, Math.min(
+        Math.floor(view.width / width),
+        Math.floor(view.height / height)
+    ));
+}
+
+/**
+ * View position of the top-left corner of a board centred in the view.
+ */
+export function getBoardOffset(view, tileSize, width, height) {
+    return {
+        x: Math.round((view.width - width * tileSize) / 2),
+        y: Math.round((view.height - height * tileSize) / 2)
+    };
+}
+
+/**
+ * Map a mouse or pointer event to the board cell under it, given the view
+ * position of the board's top-left corner. Returns null off the board.
+ */
+export function getBoardCell(canvas, origin, tileSize, e, width, height) {
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left - origin.x) / tileSize);
+    const y = Math.floor((e.clientY - rect.top - origin.y) / tileSize);
+
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+        return null;
+    }
+    return { x, y };
+}
+
+// ==================== DRAWING ====================
+
+/**
+ * Draw one cell of a sprite sheet skin (see skins.js) at a board position.
+ */
+function drawSprite(ctx, skin, size, x, y, cell) {
+    const [column, row] = SPRITE_CELLS[cell];
+    const { image, cellSize } = skin;
+    ctx.drawImage(image, column * cellSize, row * cellSize, cellSize, cellSize, x, y, size, size);
+}
+
+export function clearBoard(ctx, skin, view) {
+    ctx.fillStyle = skin.colors.background;
+    ctx.fillRect(0, 0, view.width, view.height);
+}
+
+export function drawTile(ctx, skin, size, x, y, type, gridX, gridY) {
+    const colors = skin.colors;
+    const padding = 2;
+
+    if (skin.image) {
+        const cell = { [TILE_TYPES.WALL]: 'wall', [TILE_TYPES.FLOOR]: 'floor', [TILE_TYPES.GOAL]: 'goal' }[type] || 'outside';
+        drawSprite(ctx, skin, size, x, y, cell);
+        return;
+    }
+
+    switch (type) {
+        case TILE_TYPES.WALL:
+            // Wall - dark gray with texture
+            ctx.fillStyle = colors.wall;
+            ctx.fillRect(x, y, size, size);
+            ctx.fillStyle = colors.wallFace;
+            ctx.fillRect(x + padding, y + padding, size - padding * 2, size - padding * 2);
+            break;
+
+        case TILE_TYPES.FLOOR: {
+            // Floor - light gray checkerboard
+            const isEven = (gridX + gridY) % 2 === 0;
+            ctx.fillStyle = isEven ? colors.floor : colors.floorAlt;
+            ctx.fillRect(x + padding, y + padding, size - padding * 2, size - padding * 2);
+            break;
+        }
+
+        case TILE_TYPES.GOAL:
+            // Goal - green target
+            ctx.fillStyle = colors.goal;
+            ctx.fillRect(x + padding, y + padding, size - padding * 2, size - padding * 2);
+            ctx.strokeStyle = colors.goalMark;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x + size * 0.2, y + size * 0.2, size * 0.6, size * 0.6);
+
+            // Draw crosshair
+            ctx.beginPath();
+            ctx.moveTo(x + size * 0.5, y + size * 0.3);
+            ctx.lineTo(x + size * 0.5, y + size * 0.7);
+            ctx.moveTo(x + size * 0.3, y + size * 0.5);
+            ctx.lineTo(x + size * 0.7, y + size * 0.5);
+            ctx.stroke();
+
+            // Ring, so goals differ from floor by shape as well as colour
+            if (skin.patterns) {
+                ctx.beginPath();
+                ctx.arc(x + size * 0.5, y + size * 0.5, size * 0.42, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            break;
+    }
+}
+
+/**
+ * Space outside the level, shown in the editor so it can be painted on.
+ */
+export function drawOutside(ctx, skin, size, x, y) {
+    if (skin.image) {
+        drawSprite(ctx, skin, size, x, y, 'outside');
+        return;
+    }
+
+    // Faint outline
+    ctx.strokeStyle = skin.colors.outline;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+}
+
+export function drawDeadSquare(ctx, skin, size, x, y) {
+    // Dead square - red tint with a cross
+    ctx.fillStyle = skin.colors.dangerTint;
+    ctx.fillRect(x + 2, y + 2, size - 4, size - 4);
+    ctx.strokeStyle = skin.colors.dangerMark;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x + size * 0.4, y + size * 0.4);
+    ctx.lineTo(x + size * 0.6, y + size * 0.6);
+    ctx.moveTo(x + size * 0.6, y + size * 0.4);
+    ctx.lineTo(x + size * 0.4, y + size * 0.6);
+    ctx.stroke();
+}
+
+export function drawPushTarget(ctx, skin, size, x, y) {
+    // Where a selected box can be pushed - a dot in the middle of the cell
+    ctx.fillStyle = skin.colors.select;
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size * 0.14, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+export function drawSelection(ctx, skin, size, x, y) {
+    // Frame round the selected box
+    const width = Math.max(2, size * 0.08);
+    ctx.strokeStyle = skin.colors.select;
+    ctx.lineWidth = width;
+    ctx.strokeRect(x + width / 2, y + width / 2, size - width, size - width);
+}
+
+export function drawBox(ctx, skin, size, x, y, isOnGoal, isDeadlocked) {
+    const colors = skin.colors;
+    const padding = size * 0.15;
+
+    if (skin.image) {
+        drawSprite(ctx, skin, size, x, y, isOnGoal ? 'boxOnGoal' : 'box');
+    } else {
+        // Box shadow
+        ctx.fillStyle = colors.shadow;
+        ctx.fillRect(x + padding + 4, y + padding + 4, size - padding * 2, size - padding * 2);
+
+        // Box color
+        ctx.fillStyle = isOnGoal ? colors.boxOnGoal : colors.box;
+        ctx.fillRect(x + padding, y + padding, size - padding * 2, size - padding * 2);
+
+        // Box highlight
+        ctx.fillStyle = isOnGoal ? colors.boxOnGoalTop : colors.boxTop;
+        ctx.fillRect(x + padding, y + padding, size - padding * 2, size * 0.2);
+
+        // Stripes, so a box on a goal differs by pattern as well as colour
+        if (isOnGoal && skin.patterns) {
+            drawStripes(ctx, colors.boxOnGoalEdge, x + padding, y + padding, size - padding * 2);
+        }
+
+        // Box border
+        ctx.strokeStyle = isOnGoal ? colors.boxOnGoalEdge : colors.boxEdge;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + padding, y + padding, size - padding * 2, size - padding * 2);
+
+        // Checkmark if on goal
+        if (isOnGoal) {
+            ctx.strokeStyle = colors.check;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(x + size * 0.35, y + size * 0.5);
+            ctx.lineTo(x + size * 0.45, y + size * 0.6);
+            ctx.lineTo(x + size * 0.65, y + size * 0.35);
+            ctx.stroke();
+        }
+    }
+
+    // Warning outline and badge if the box can no longer reach a goal
+    if (isDeadlocked) {
+        ctx.strokeStyle = colors.danger;
+        ctx.lineWidth = 4;
+        ctx.strokeRect(x + padding - 2, y + padding - 2, size - padding * 2 + 4, size - padding * 2 + 4);
+
+        ctx.fillStyle = colors.danger;
+        ctx.beginPath();
+        ctx.arc(x + size - padding, y + padding, size * 0.14, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = 'white';
+        ctx.font = `bold ${Math.round(size * 0.2)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('!', x + size - padding, y + padding + 1);
+    }
+}
+
+/**
+ * Diagonal stripes across a square, clipped to it.
+ */
+function drawStripes(ctx, color, x, y, side) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, side, side);
+    ctx.clip();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, side * 0.06);
+    ctx.beginPath();
+    for (let offset = -side; offset < side; offset += side / 4) {
+        ctx.moveTo(x + offset, y + side);
+        ctx.lineTo(x + offset + side, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draw a player; `color` replaces the theme's body colour (Multiban players
+ * have one each, see PLAYER_COLORS in skins.js). Sprite skins ignore it.
+ */
+export function drawPlayer(ctx, skin, size, x, y, isOnGoal, color = null) {
+    const colors = skin.colors;
+    const center = size * 0.5;
+    const radius = size * 0.3;
+
+    if (skin.image) {
+        drawSprite(ctx, skin, size, x, y, isOnGoal ? 'playerOnGoal' : 'player');
+        return;
+    }
+
+    // Shadow
+    ctx.fillStyle = colors.shadow;
+    ctx.beginPath();
+    ctx.arc(x + center + 2, y + center + 2, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Player body
+    ctx.fillStyle = color || colors.player;
+    ctx.beginPath();
+    ctx.arc(x + center, y + center, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Player highlight
+    ctx.fillStyle = colors.playerShade;
+    ctx.beginPath();
+    ctx.arc(x + center, y + center, radius, Math.PI, Math.PI * 1.5);
+    ctx.fill();
+
+    // Player eyes
+    ctx.fillStyle = colors.eye;
+    ctx.beginPath();
+    ctx.arc(x + center - size * 0.1, y + center - size * 0.05, size * 0.08, 0, Math.PI * 2);
+    ctx.arc(x + center + size * 0.1, y + center - size * 0.05, size * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = colors.pupil;
+    ctx.beginPath();
+    ctx.arc(x + center - size * 0.1, y + center - size * 0.05, size * 0.04, 0, Math.PI * 2);
+    ctx.arc(x + center + size * 0.1, y + center - size * 0.05, size * 0.04, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+/**
+ * Number a Multiban player in its colour, in a badge on the corner of its
+ * tile; the active player's tile is framed as well.
+ */
+export function drawPlayerBadge(ctx, size, x, y, number, color, isActive) {
+    if (isActive) {
+        const width = Math.max(2, size * 0.06);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.strokeRect(x + width / 2, y + width / 2, size - width, size - width);
+    }
+
+    const radius = size * 0.16;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x + radius + 2, y + radius + 2, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${Math.round(size * 0.22)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(number), x + radius + 2, y + radius + 3);
+}
@@ -0,0 +1,214 @@
+/**
+ * SAVED GAMES AND POSITION LINKS
+ *
+ * The level being played is saved as it changes, so closing the tab or
+ * leaving the page does not lose it: the undo/redo history is kept per level
+ * and replayed when the level is opened again (see game.js getSavedState()).
+ * Position links carry the moves made so far in the page address, so someone
+ * else can open the same position; on a Multiban level they also say which
+ * player made each move.
+ *
+ * Stored shape (SAVED_GAMES_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   games: {
+ *     [levelKey]: {
+ *       history, redo,               // undo and redo stacks from game.js
+ *       assistedBy,                  // null, 'auto-solve', 'hint' or 'replay'
+ *       timeMs,                      // time played so far, null before the first move
+ *       savedAt
+ *     }
+ *   }
+ * }
+ *
+ * Only the most recently played MAX_SAVED_GAMES levels are kept.
+ */
+
+import { parseLurd, verifyLurd, compressLurd } from './lurd.js';
+import { getLevelKey } from './progress.js';
+
+// ==================== CONSTANTS ====================
+
+const SAVED_GAMES_STORAGE_KEY = 'sokoban.saves';
+const SAVED_GAMES_VERSION = 1;
+const MAX_SAVED_GAMES = 20;
+
+// Players in a position link are letters, 'a' for the first, so a run of moves
+// by one player is written with a count like LURD ("3a2b")
+const PLAYER_LETTERS = 'abcdefghij';
+
+// ==================== SAVED GAMES ====================
+
+/**
+ * A history entry from game.js: a LURD string for a move or path,
+ * { reset, playerLog, activePlayer, assistedBy } for a reset or
+ * { switchPlayer, from } for a switch between Multiban players.
+ */
+function isValidAction(action) {
+    if (typeof action === 'string') {
+        return /^[udlrUDLR]+$/.test(action);
+    }
+    if (!action) {
+        return false;
+    }
+    if ('switchPlayer' in action) {
+        return Number.isInteger(action.switchPlayer) && Number.isInteger(action.from);
+    }
+    return typeof action.reset === 'string' && /^[udlrUDLR]*$/.test(action.reset) &&
+        (action.playerLog === undefined || /^\d*$/.test(action.playerLog));
+}
+
+/**
+ * The saved game for a level, or null if there is none or it is malformed.
+ */
+export function getSavedGame(saves, levelKey) {
+    const saved = saves.games[levelKey];
+    if (!saved || !Array.isArray(saved.history) || !Array.isArray(saved.redo) ||
+        !saved.history.every(isValidAction) || !saved.redo.every(isValidAction)) {
+        return null;
+    }
+    return {
+        history: saved.history,
+        redo: saved.redo,
+        assistedBy: saved.assistedBy || null,
+        timeMs: Number.isFinite(saved.timeMs) ? saved.timeMs : null
+    };
+}
+
+/**
+ * Save a level's game ({ history, redo, assistedBy, timeMs }), dropping the
+ * least recently saved games beyond MAX_SAVED_GAMES.
+ */
+export function setSavedGame(saves, levelKey, state, now = Date.now()) {
+    saves.games[levelKey] = { ...state, savedAt: now };
+
+    const keys = Object.keys(saves.games).sort((a, b) => saves.games[b].savedAt - saves.games[a].savedAt);
+    keys.slice(MAX_SAVED_GAMES).forEach(key => delete saves.games[key]);
+}
+
+export function removeSavedGame(saves, levelKey) {
+    delete saves.games[levelKey];
+}
+
+// ==================== POSITION LINKS ====================
+
+/**
+ * The query string of a link to a position: the level's key, so a link is
+ * not opened on another level, and the moves so far with run-length counts.
+ * `playerLog` (see engine.js) is who made each move; it is left out of the
+ * link when the first player made them all.
+ */
+export function createPositionSearch(levelKey, moves, playerLog = '') {
+    const search = { key: levelKey, moves: compressLurd(moves) };
+    if (/[1-9]/.test(playerLog)) {
+        search.players = [...playerLog].map(player => PLAYER_LETTERS[player]).join('')
+            .replace(/([a-j])\1+/g, run => `${run.length}${run[0]}`);
+    }
+    return new URLSearchParams(search).toString();
+}
+
+/**
+ * The playerLog written in a link's `players`, or null if it is malformed.
+ */
+function readPlayers(text) {
+    if (!/^(\d*[a-j])*$/.test(text)) {
+        return null;
+    }
+    return text.replace(/(\d*)([a-j])/g, (_, count, letter) =>
+        String(PLAYER_LETTERS.indexOf(letter)).repeat(count === '' ? 1 : Number(count)));
+}
+
+/**
+ * The history (see game.js) that replays `moves` made by the players in
+ * `playerLog`: each player's run of moves, with a switch between runs.
+ */
+function toHistory(moves, playerLog) {
+    const history = [];
+    let activePlayer = 0;
+    let run = '';
+    [...moves].forEach((letter, i) => {
+        const player = Number(playerLog[i]);
+        if (player !== activePlayer) {
+            if (run) {
+                history.push(run);
+            }
+            history.push({ switchPlayer: player, from: activePlayer });
+            activePlayer = player;
+            run = '';
+        }
+        run += letter;
+    });
+    if (run) {
+        history.push(run);
+    }
+    return history;
+}
+
+/**
+ * Read a position link's query string (URLSearchParams) for a level.
+ * Returns null if it has no position, otherwise { moves, history, error }:
+ * the moves to play from the start of the level and the history to load
+ * them with (game.js loadLevel()), or why the link does not fit it.
+ */
+export function readPositionSearch(params, level) {
+    const text = params.get('moves');
+    if (text === null) {
+        return null;
+    }
+
+    const key = params.get('key');
+    if (key !== null && key !== getLevelKey(level)) {
+        return { moves: '', history: [], error: 'This position was shared from a different level.' };
+    }
+
+    const parsed = parseLurd(text);
+    const playerLog = readPlayers(params.get('players') || '');
+    if (parsed.error || playerLog === null) {
+        const reason = parsed.error || 'The players are not written as letters with counts.';
+        return { moves: '', history: [], error: `The position link is damaged: ${reason}` };
+    }
+    if (playerLog !== '' && playerLog.length !== parsed.moves.length) {
+        return { moves: '', history: [], error: 'The position link is damaged: it does not name a player for every move.' };
+    }
+
+    const verdict = verifyLurd(level.map, parsed.moves, { variant: level.variant, playerLog });
+    if (verdict.illegal) {
+        const { index, reason } = verdict.illegal;
+        return { moves: '', history: [], error: `The position does not fit this level: move ${index + 1} ${reason}.` };
+    }
+    if (verdict.extraMoves > 0) {
+        return { moves: '', history: [], error: 'The position goes on after the level is solved.' };
+    }
+    return { moves: verdict.moves, history: toHistory(verdict.moves, verdict.playerLog), error: null };
+}
+
+// ==================== STORAGE ====================
+
+export function createEmptySavedGames() {
+    return { version: SAVED_GAMES_VERSION, games: {} };
+}
+
+/**
+ * Read the saved games, or none if nothing is stored or the data is corrupt.
+ */
+export function loadSavedGames() {
+    try {
+        const raw = localStorage.getItem(SAVED_GAMES_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (!data || typeof data.games !== 'object' || data.games === null) {
+            return createEmptySavedGames();
+        }
+        return { version: SAVED_GAMES_VERSION, games: data.games };
+    } catch (err) {
+        console.warn('Could not read saved games:', err);
+        return createEmptySavedGames();
+    }
+}
+
+export function saveSavedGames(saves) {
+    try {
+        localStorage.setItem(SAVED_GAMES_STORAGE_KEY, JSON.stringify(saves));
+    } catch (err) {
+        console.warn('Could not save the game:', err);
+    }
+}
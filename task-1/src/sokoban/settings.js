@@ -0,0 +1,78 @@
+/**
+ * PLAYER SETTINGS
+ *
+ * Persists display options and controls in localStorage so they survive a
+ * page refresh.
+ *
+ * Stored shape (SETTINGS_STORAGE_KEY):
+ * {
+ *   showDeadSquares: false,          // shade squares a box can never leave
+ *   deadlockWarnings: true,          // flag deadlocked boxes after a push
+ *   theme: 'classic',                // board skin: a theme id or 'custom' (see skins.js)
+ *   screenReaderMode: false,         // spoken move results and a text grid of the board
+ *   playerName: '',                  // name last used on the leaderboard
+ *   keyBindings: { up: ['ArrowUp', 'W'], ... },   // see controls.js
+ *   gamepadBindings: { up: 12, ... },
+ *   keyRepeat: true,                 // held keys and buttons repeat their action
+ *   keyRepeatDelay: 250,             // ms before the first repeat
+ *   keyRepeatInterval: 120,          // ms between repeats
+ *   confirmReset: false              // ask before resetting the level
+ * }
+ */
+
+import {
+    DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS, normalizeKeyBindings, normalizeGamepadBindings
+} from './controls.js';
+
+// ==================== CONSTANTS ====================
+
+const SETTINGS_STORAGE_KEY = 'sokoban.settings';
+
+export const DEFAULT_SETTINGS = {
+    showDeadSquares: false,
+    deadlockWarnings: true,
+    theme: 'classic',
+    screenReaderMode: false,
+    playerName: '',
+    keyBindings: DEFAULT_KEY_BINDINGS,
+    gamepadBindings: DEFAULT_GAMEPAD_BINDINGS,
+    keyRepeat: true,
+    keyRepeatDelay: 250,
+    keyRepeatInterval: 120,
+    confirmReset: false
+};
+
+// ==================== STORAGE ====================
+
+/**
+ * Read saved settings. Unknown or malformed values fall back to the defaults.
+ */
+export function loadSettings() {
+    try {
+        const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        return normalizeSettings(raw ? JSON.parse(raw) : {});
+    } catch (err) {
+        console.warn('Could not read saved settings:', err);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('Could not save settings:', err);
+    }
+}
+
+function normalizeSettings(data) {
+    const settings = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (data && typeof data[key] === typeof DEFAULT_SETTINGS[key]) {
+            settings[key] = data[key];
+        }
+    });
+    settings.keyBindings = normalizeKeyBindings(data && data.keyBindings);
+    settings.gamepadBindings = normalizeGamepadBindings(data && data.gamepadBindings);
+    return settings;
+}
@@ -0,0 +1,258 @@
+/**
+ * SKINS AND THEMES
+ *
+ * How the board looks. A skin is either a vector theme, which render.js draws
+ * from a palette, or a sprite sheet image cut into square cells.
+ *
+ * Every theme marks a box on a goal with a check mark as well as a colour
+ * change. Themes with `patterns` also ring the goals and stripe the boxes on
+ * them, so the board reads without telling colours apart at all.
+ *
+ * Sprite sheets use the common 4 × N skin layout: four columns of square
+ * cells, the cell size being a quarter of the image width.
+ *   row 1: floor, goal, player, player on a goal
+ *   row 2: box, box on a goal, wall, outside
+ * Further rows (animation frames, wall joins) are ignored.
+ *
+ * The chosen skin id is a setting (settings.js); an uploaded sprite sheet is
+ * stored separately under CUSTOM_SKIN_STORAGE_KEY as
+ * { name, image } where image is a data: URL.
+ */
+
+// ==================== CONSTANTS ====================
+
+const CUSTOM_SKIN_STORAGE_KEY = 'sokoban.skin';
+
+export const CUSTOM_SKIN_ID = 'custom';
+
+// Column and row of each picture in a sprite sheet
+export const SPRITE_CELLS = {
+    floor: [0, 0],
+    goal: [1, 0],
+    player: [2, 0],
+    playerOnGoal: [3, 0],
+    box: [0, 1],
+    boxOnGoal: [1, 1],
+    wall: [2, 1],
+    outside: [3, 1]
+};
+
+const SPRITE_COLUMNS = 4;
+const SPRITE_MIN_ROWS = 2;
+
+const CLASSIC_COLORS = {
+    background: '#e2e8f0',
+    outline: '#cbd5e0',        // Outside space in the editor
+    wall: '#4a5568',
+    wallFace: '#2d3748',
+    floor: '#f7fafc',
+    floorAlt: '#edf2f7',
+    goal: '#c6f6d5',
+    goalMark: '#48bb78',
+    box: '#ed8936',
+    boxTop: '#f6ad55',
+    boxEdge: '#c05621',
+    boxOnGoal: '#48bb78',
+    boxOnGoalTop: '#68d391',
+    boxOnGoalEdge: '#2f855a',
+    check: '#ffffff',
+    player: '#667eea',
+    playerShade: '#7c3aed',
+    eye: '#ffffff',
+    pupil: '#2d3748',
+    shadow: 'rgba(0, 0, 0, 0.2)',
+    danger: '#e53e3e',
+    dangerTint: 'rgba(229, 62, 62, 0.18)',
+    dangerMark: 'rgba(229, 62, 62, 0.5)',
+    select: '#3182ce'          // Selected box and where it can be pushed
+};
+
+// Multiban player colours, by player; the same in every theme so a player keeps its colour
+export const PLAYER_COLORS = [
+    '#667eea', '#e53e3e', '#38a169', '#d69e2e', '#805ad5',
+    '#dd6b20', '#319795', '#d53f8c', '#2d3748', '#718096'
+];
+
+export const THEMES = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        patterns: false,
+        colors: CLASSIC_COLORS
+    },
+    {
+        id: 'dark',
+        name: 'Dark',
+        patterns: false,
+        colors: {
+            ...CLASSIC_COLORS,
+            background: '#171923',
+            outline: '#4a5568',
+            wall: '#718096',
+            wallFace: '#4a5568',
+            floor: '#2d3748',
+            floorAlt: '#283141',
+            goal: '#1c4532',
+            goalMark: '#68d391',
+            box: '#dd6b20',
+            boxTop: '#ed8936',
+            boxEdge: '#9c4221',
+            boxOnGoal: '#38a169',
+            boxOnGoalTop: '#48bb78',
+            boxOnGoalEdge: '#22543d',
+            player: '#a3bffa',
+            playerShade: '#9f7aea',
+            pupil: '#1a202c',
+            shadow: 'rgba(0, 0, 0, 0.45)',
+            select: '#63b3ed'
+        }
+    },
+    {
+        id: 'high-contrast',
+        name: 'High contrast',
+        patterns: true,
+        colors: {
+            ...CLASSIC_COLORS,
+            background: '#000000',
+            outline: '#808080',
+            wall: '#ffffff',
+            wallFace: '#bfbfbf',
+            floor: '#000000',
+            floorAlt: '#000000',
+            goal: '#000000',
+            goalMark: '#ffff00',
+            box: '#ffff00',
+            boxTop: '#ffff00',
+            boxEdge: '#ffffff',
+            boxOnGoal: '#00ffff',
+            boxOnGoalTop: '#00ffff',
+            boxOnGoalEdge: '#ffffff',
+            check: '#000000',
+            player: '#ff00ff',
+            playerShade: '#ff00ff',
+            eye: '#ffffff',
+            pupil: '#000000',
+            shadow: 'rgba(0, 0, 0, 0)',
+            danger: '#ff4040',
+            dangerTint: 'rgba(255, 64, 64, 0.35)',
+            dangerMark: '#ff4040',
+            select: '#00ff00'
+        }
+    },
+    {
+        // Okabe–Ito palette: orange and blue stay distinct with every common colour-vision deficiency
+        id: 'colour-blind',
+        name: 'Colour-blind safe',
+        patterns: true,
+        colors: {
+            ...CLASSIC_COLORS,
+            goal: '#d6ecf8',
+            goalMark: '#0072b2',
+            box: '#e69f00',
+            boxTop: '#f0c050',
+            boxEdge: '#8a5f00',
+            boxOnGoal: '#0072b2',
+            boxOnGoalTop: '#56b4e9',
+            boxOnGoalEdge: '#004b75',
+            player: '#cc79a7',
+            playerShade: '#a3558a',
+            danger: '#d55e00',
+            dangerTint: 'rgba(213, 94, 0, 0.2)',
+            dangerMark: 'rgba(213, 94, 0, 0.6)',
+            select: '#009e73'
+        }
+    }
+];
+
+export const DEFAULT_THEME = THEMES[0];
+
+// ==================== THEMES ====================
+
+/**
+ * The vector theme with this id, or the classic theme for unknown ids.
+ */
+export function getTheme(id) {
+    return THEMES.find(theme => theme.id === id) || DEFAULT_THEME;
+}
+
+// ==================== SPRITE SHEETS ====================
+
+/**
+ * Cell size and row count of a width × height sprite sheet in the 4 × N
+ * layout. Throws an Error explaining the problem if the image does not fit it.
+ */
+export function getSpriteLayout(width, height) {
+    const cellSize = width / SPRITE_COLUMNS;
+    if (!Number.isInteger(cellSize) || cellSize < 1) {
+        throw new Error(`The image is ${width} pixels wide; a skin needs ${SPRITE_COLUMNS} columns of square cells, so its width must divide by ${SPRITE_COLUMNS}.`);
+    }
+
+    const rows = height / cellSize;
+    if (!Number.isInteger(rows)) {
+        throw new Error(`The image is ${width} × ${height}; its height must be a whole number of ${cellSize}-pixel rows.`);
+    }
+    if (rows < SPRITE_MIN_ROWS) {
+        throw new Error(`A skin needs at least ${SPRITE_MIN_ROWS} rows of cells (floor, goal and player; box and wall).`);
+    }
+
+    return { cellSize, rows };
+}
+
+/**
+ * Load a sprite sheet skin from an image URL (usually a data: URL).
+ * Resolves to { id, name, source, image, cellSize, colors, patterns }; the
+ * classic colours are used for what sprites do not cover, like warnings.
+ */
+export function loadSpriteSkin(source, name) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            try {
+                const { cellSize } = getSpriteLayout(image.naturalWidth, image.naturalHeight);
+                resolve({ id: CUSTOM_SKIN_ID, name, source, image, cellSize, colors: CLASSIC_COLORS, patterns: false });
+            } catch (err) {
+                reject(err);
+            }
+        };
+        image.onerror = () => reject(new Error('The file is not an image the browser can open.'));
+        image.src = source;
+    });
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * The stored sprite sheet as { name, image }, or null.
+ */
+export function loadCustomSkin() {
+    try {
+        const raw = localStorage.getItem(CUSTOM_SKIN_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        return data && typeof data.name === 'string' && typeof data.image === 'string' ? data : null;
+    } catch (err) {
+        console.warn('Could not read the saved skin:', err);
+        return null;
+    }
+}
+
+/**
+ * Store a sprite sheet. Returns false if it could not be saved (images can
+ * be larger than the storage quota), in which case it lasts for the session.
+ */
+export function saveCustomSkin(name, image) {
+    try {
+        localStorage.setItem(CUSTOM_SKIN_STORAGE_KEY, JSON.stringify({ name, image }));
+        return true;
+    } catch (err) {
+        console.warn('Could not save the skin:', err);
+        return false;
+    }
+}
+
+export function clearCustomSkin() {
+    try {
+        localStorage.removeItem(CUSTOM_SKIN_STORAGE_KEY);
+    } catch (err) {
+        console.warn('Could not remove the saved skin:', err);
+    }
+}
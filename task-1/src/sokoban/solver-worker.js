@@ -0,0 +1,23 @@
+/**
+ * SOLVER WORKER
+ *
+ * Runs solvePuzzle() (solver.js) off the main thread.
+ *
+ * Messages in:  { id, puzzle, budget }
+ * Messages out: { type: 'progress', id, nodes }
+ *               { type: 'result', id, status, solution?, pushes?, nodes }
+ *
+ * A search cannot be interrupted by a message; the page cancels it by
+ * terminating the worker.
+ */
+
+import { solvePuzzle } from './solver.js';
+
+self.onmessage = (e) => {
+    const { id, puzzle, budget } = e.data;
+    const result = solvePuzzle(puzzle, budget, nodes => {
+        self.postMessage({ type: 'progress', id, nodes });
+    });
+
+    self.postMessage({ type: 'result', id, ...result });
+};
@@ -0,0 +1,416 @@
+/**
+ * SOKOBAN SOLVER
+ *
+ * Push-optimal A* search over box positions. Loaded by solver-worker.js so
+ * the search runs off the main thread.
+ *
+ * Search:
+ * - A state is the set of box cells plus the area the player can reach,
+ *   identified by its top-left-most cell
+ * - Every edge is one push; the heuristic is the sum of each box's push
+ *   distance to its nearest goal, which never overestimates, so the first
+ *   solution found uses the fewest pushes
+ * - Pruning: dead squares (cells from which a box can never reach a goal)
+ *   and frozen 2x2 blocks of boxes and walls that are not all on goals
+ *
+ * Solutions are returned in LURD notation: lowercase letters are moves,
+ * uppercase letters are pushes.
+ */
+
+import { TILE_TYPES } from './engine.js';
+
+// ==================== CONSTANTS ====================
+
+const SOLVER_DIRECTIONS = [
+    { dx: 0, dy: -1, move: 'u', push: 'U' },
+    { dx: 0, dy: 1, move: 'd', push: 'D' },
+    { dx: -1, dy: 0, move: 'l', push: 'L' },
+    { dx: 1, dy: 0, move: 'r', push: 'R' }
+];
+
+const SOLVER_PROGRESS_INTERVAL = 5000; // Expanded states between progress reports
+
+// ==================== SEARCH ====================
+
+/**
+ * Solve a puzzle from the given position.
+ *
+ * puzzle: { width, height, walls: boolean[] (row-major), goals, boxes, player }
+ * budget: { maxNodes, timeLimitMs }
+ * onProgress(nodes): optional, called periodically during the search
+ *
+ * Returns one of:
+ * - { status: 'solved', solution, pushes, nodes }
+ * - { status: 'unsolvable', nodes }  search space exhausted
+ * - { status: 'budget', nodes }      node or time budget ran out
+ */
+export function solvePuzzle(puzzle, budget, onProgress) {
+    const board = createSolverBoard(puzzle);
+    const startBoxes = puzzle.boxes.map(b => board.index(b.x, b.y)).sort((a, b) => a - b);
+    const startPlayer = board.index(puzzle.player.x, puzzle.player.y);
+
+    if (startBoxes.length !== board.goalCount) {
+        return { status: 'unsolvable', nodes: 0 };
+    }
+    if (startBoxes.some(cell => board.distance[cell] < 0)) {
+        return { status: 'unsolvable', nodes: 0 };
+    }
+
+    const startTime = Date.now();
+    const occupied = new Uint8Array(board.size);
+    const states = [];  // { key, boxes, player, parent, box, dir, g }
+    const bestCost = new Map();
+    const open = new SolverHeap();
+
+    const addState = (boxes, player, parent, box, dir, g) => {
+        const key = boxes.join(',') + '|' + board.reachable(player, boxes).min;
+        const known = bestCost.get(key);
+        if (known !== undefined && known <= g) {
+            return;
+        }
+        bestCost.set(key, g);
+        states.push({ key, boxes, player, parent, box, dir, g });
+        open.push(states.length - 1, g + board.heuristic(boxes), g);
+    };
+
+    addState(startBoxes, startPlayer, -1, -1, -1, 0);
+    let nodes = 0;
+
+    while (open.size > 0) {
+        const id = open.pop();
+        const state = states[id];
+        const boxes = state.boxes;
+
+        if (board.isSolved(boxes)) {
+            const pushes = [];
+            for (let s = state; s.parent !== -1; s = states[s.parent]) {
+                pushes.push({ box: s.box, dir: s.dir });
+            }
+            pushes.reverse();
+            return {
+                status: 'solved',
+                solution: board.toLurd(startPlayer, startBoxes, pushes),
+                pushes: pushes.length,
+                nodes
+            };
+        }
+
+        if (bestCost.get(state.key) < state.g) {
+            continue; // Stale heap entry, a cheaper path to this state was found
+        }
+
+        nodes++;
+        if (nodes >= budget.maxNodes) {
+            return { status: 'budget', nodes };
+        }
+        if (nodes % 1000 === 0 && Date.now() - startTime > budget.timeLimitMs) {
+            return { status: 'budget', nodes };
+        }
+        if (onProgress && nodes % SOLVER_PROGRESS_INTERVAL === 0) {
+            onProgress(nodes);
+        }
+
+        const reach = board.reachable(state.player, boxes);
+        boxes.forEach(cell => { occupied[cell] = 1; });
+
+        for (let i = 0; i < boxes.length; i++) {
+            const cell = boxes[i];
+
+            for (let dir = 0; dir < 4; dir++) {
+                const offset = board.offsets[dir];
+                const target = cell + offset;
+
+                if (!reach.cells.has(cell - offset) || board.walls[target] || occupied[target]) {
+                    continue;
+                }
+                if (board.distance[target] < 0) {
+                    continue; // Dead square
+                }
+
+                occupied[cell] = 0;
+                occupied[target] = 1;
+                const frozen = board.isFrozen(target, occupied);
+                occupied[target] = 0;
+                occupied[cell] = 1;
+                if (frozen) {
+                    continue;
+                }
+
+                const nextBoxes = boxes.slice();
+                nextBoxes[i] = target;
+                nextBoxes.sort((a, b) => a - b);
+                addState(nextBoxes, cell, id, cell, dir, state.g + 1);
+            }
+        }
+
+        boxes.forEach(cell => { occupied[cell] = 0; });
+    }
+
+    return { status: 'unsolvable', nodes };
+}
+
+// ==================== BOARD ====================
+
+/**
+ * The puzzle for solvePuzzle() from an engine state (see engine.js). Only
+ * plain data, so it can be posted to the worker.
+ */
+export function createSolverPuzzle(state) {
+    return {
+        width: state.width,
+        height: state.height,
+        walls: state.grid.flat().map(tile => tile === TILE_TYPES.WALL),
+        goals: state.goals,
+        boxes: state.boxes,
+        player: state.player
+    };
+}
+
+/**
+ * Precompute everything about a level that does not depend on box positions.
+ * The board is padded with a ring of walls so neighbour lookups never leave it.
+ */
+function createSolverBoard(puzzle) {
+    const width = puzzle.width + 2;
+    const size = width * (puzzle.height + 2);
+    const index = (x, y) => (y + 1) * width + (x + 1);
+
+    const walls = new Uint8Array(size).fill(1);
+    for (let y = 0; y < puzzle.height; y++) {
+        for (let x = 0; x < puzzle.width; x++) {
+            walls[index(x, y)] = puzzle.walls[y * puzzle.width + x] ? 1 : 0;
+        }
+    }
+
+    const goals = new Uint8Array(size);
+    puzzle.goals.forEach(g => { goals[index(g.x, g.y)] = 1; });
+
+    const offsets = SOLVER_DIRECTIONS.map(d => d.dy * width + d.dx);
+    const distance = computePushDistances(walls, goals, offsets);
+
+    // Scratch buffers for flood fills; `seen` is stamped per call to avoid clearing it
+    const blockedByBox = new Uint8Array(size);
+    const seen = new Uint32Array(size);
+    let stamp = 0;
+
+    return {
+        size,
+        walls,
+        offsets,
+        distance,
+        goalCount: puzzle.goals.length,
+        index,
+
+        heuristic(boxes) {
+            let total = 0;
+            for (const cell of boxes) {
+                total += distance[cell];
+            }
+            return total;
+        },
+
+        isSolved(boxes) {
+            return boxes.every(cell => goals[cell] === 1);
+        },
+
+        /**
+         * Flood fill the player's area.
+         * Returns { cells: Set, min } where min identifies the area.
+         */
+        reachable(player, boxes) {
+            boxes.forEach(cell => { blockedByBox[cell] = 1; });
+            stamp++;
+
+            const cells = new Set([player]);
+            const queue = [player];
+            let min = player;
+            seen[player] = stamp;
+
+            for (let head = 0; head < queue.length; head++) {
+                const cell = queue[head];
+                for (const offset of offsets) {
+                    const next = cell + offset;
+                    if (seen[next] === stamp || walls[next] || blockedByBox[next]) {
+                        continue;
+                    }
+                    seen[next] = stamp;
+                    cells.add(next);
+                    queue.push(next);
+                    if (next < min) {
+                        min = next;
+                    }
+                }
+            }
+
+            boxes.forEach(cell => { blockedByBox[cell] = 0; });
+            return { cells, min };
+        },
+
+        /**
+         * True if the box at `cell` is part of a 2x2 block of walls and boxes
+         * that contains a box not on a goal. Such boxes can never move again.
+         */
+        isFrozen(cell, occupied) {
+            const blocked = c => walls[c] === 1 || occupied[c] === 1;
+            const corners = [cell, cell - 1, cell - width, cell - width - 1];
+
+            return corners.some(corner => {
+                const square = [corner, corner + 1, corner + width, corner + width + 1];
+                return square.every(blocked) &&
+                    square.some(c => occupied[c] === 1 && goals[c] === 0);
+            });
+        },
+
+        /**
+         * Expand a list of pushes into full LURD notation by walking the
+         * player to each push position along a shortest path.
+         */
+        toLurd(player, startBoxes, pushes) {
+            const occupied = new Uint8Array(size);
+            startBoxes.forEach(cell => { occupied[cell] = 1; });
+            let moves = '';
+
+            for (const { box, dir } of pushes) {
+                const offset = offsets[dir];
+                moves += findWalk(player, box - offset, walls, occupied, offsets);
+                moves += SOLVER_DIRECTIONS[dir].push;
+                occupied[box] = 0;
+                occupied[box + offset] = 1;
+                player = box;
+            }
+
+            return moves;
+        }
+    };
+}
+
+/**
+ * Minimum pushes needed to bring a box from each cell to its nearest goal,
+ * ignoring other boxes. Computed by pulling boxes backwards from every goal.
+ * Cells that can never reach a goal (dead squares) get -1.
+ */
+function computePushDistances(walls, goals, offsets) {
+    const distance = new Int32Array(walls.length).fill(-1);
+    const queue = [];
+
+    for (let cell = 0; cell < walls.length; cell++) {
+        if (goals[cell]) {
+            distance[cell] = 0;
+            queue.push(cell);
+        }
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        for (const offset of offsets) {
+            // Box came from `from`, pushed by a player standing at `from - offset`
+            const from = cell - offset;
+            const playerCell = from - offset;
+            if (playerCell < 0 || walls[from] || walls[playerCell] || distance[from] !== -1) {
+                continue;
+            }
+            distance[from] = distance[cell] + 1;
+            queue.push(from);
+        }
+    }
+
+    return distance;
+}
+
+/**
+ * Shortest walk (lowercase LURD) between two cells avoiding walls and boxes.
+ */
+function findWalk(from, to, walls, occupied, offsets) {
+    if (from === to) {
+        return '';
+    }
+
+    const previous = new Map([[from, -1]]);
+    const queue = [from];
+
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        for (let dir = 0; dir < 4; dir++) {
+            const next = cell + offsets[dir];
+            if (previous.has(next) || walls[next] || occupied[next]) {
+                continue;
+            }
+            previous.set(next, dir);
+            if (next === to) {
+                let path = '';
+                for (let c = to; c !== from; c -= offsets[previous.get(c)]) {
+                    path = SOLVER_DIRECTIONS[previous.get(c)].move + path;
+                }
+                return path;
+            }
+            queue.push(next);
+        }
+    }
+
+    return '';
+}
+
+// ==================== PRIORITY QUEUE ====================
+
+/**
+ * Binary min-heap of state ids ordered by f, preferring deeper states (higher g)
+ * on ties so the search dives towards a solution.
+ */
+class SolverHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(id, f, g) {
+        const items = this.items;
+        items.push({ id, f, g });
+        let i = items.length - 1;
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) {
+                break;
+            }
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) {
+                    smallest = left;
+                }
+                if (right < items.length && this.less(items[right], items[smallest])) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+
+        return top.id;
+    }
+
+    less(a, b) {
+        return a.f < b.f || (a.f === b.f && a.g > b.g);
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * PLAYER STATISTICS
+ *
+ * A record of every attempt at a level, for the statistics page: how long it
+ * took, the moves, pushes, undos and resets, and whether it ended in a solve.
+ * An attempt is one visit to a level (see game.js endAttempt()); a saved
+ * game picked up later counts as a new attempt. The helpers below summarise
+ * the records for the page's charts and tables, and export them as CSV or
+ * JSON.
+ *
+ * Stored shape (STATS_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   attempts: [                      // oldest first
+ *     {
+ *       levelKey, levelName,         // getLevelKey() and the name at the time
+ *       endedAt,                     // ms timestamp
+ *       timeMs,                      // from the first move of the attempt
+ *       moves, pushes,               // of the position it ended on
+ *       undos, resets,
+ *       solved,
+ *       assistedBy                   // null, 'auto-solve', 'hint' or 'replay'
+ *     }
+ *   ]
+ * }
+ *
+ * Only the latest MAX_ATTEMPTS attempts are kept.
+ */
+
+// ==================== CONSTANTS ====================
+
+const STATS_STORAGE_KEY = 'sokoban.stats';
+const STATS_VERSION = 1;
+const MAX_ATTEMPTS = 2000;
+
+const CSV_COLUMNS = [
+    'endedAt', 'levelName', 'levelKey', 'solved', 'assistedBy', 'timeMs', 'moves', 'pushes', 'undos', 'resets'
+];
+
+// ==================== ATTEMPTS ====================
+
+/**
+ * Add an attempt (see the stored shape) to the statistics in place,
+ * dropping the oldest ones beyond MAX_ATTEMPTS.
+ */
+export function recordAttempt(stats, attempt) {
+    stats.attempts.push(attempt);
+    if (stats.attempts.length > MAX_ATTEMPTS) {
+        stats.attempts.splice(0, stats.attempts.length - MAX_ATTEMPTS);
+    }
+}
+
+/**
+ * Solves made without the solver or a replay; only these say how well the
+ * player did.
+ */
+function getOwnSolves(attempts) {
+    return attempts.filter(attempt => attempt.solved && !attempt.assistedBy);
+}
+
+/**
+ * Totals over all attempts: { attempts, solves, timeMs, moves, pushes,
+ * undos, resets }.
+ */
+export function summarizeAttempts(attempts) {
+    const totals = { attempts: attempts.length, solves: getOwnSolves(attempts).length };
+    ['timeMs', 'moves', 'pushes', 'undos', 'resets'].forEach(field => {
+        totals[field] = attempts.reduce((sum, attempt) => sum + attempt[field], 0);
+    });
+    return totals;
+}
+
+/**
+ * The latest `limit` solves in order, numbered from the first ever:
+ * [{ solve, levelName, endedAt, timeMs }].
+ */
+export function getSolveTimes(attempts, limit = 30) {
+    const solves = getOwnSolves(attempts).map((attempt, index) => ({
+        solve: index + 1,
+        levelName: attempt.levelName,
+        endedAt: attempt.endedAt,
+        timeMs: attempt.timeMs
+    }));
+    return solves.slice(-limit);
+}
+
+/**
+ * How close the solves of each level came to the best known solution, in
+ * pushes: the lower of the level's optimum (`optimalPushes`, by level key,
+ * where known) and the player's own best. Efficiency is the best known
+ * pushes divided by the pushes of a solve, so 1 is as good as it gets.
+ * Returns [{ levelKey, levelName, solves, bestPushes, bestKnownPushes,
+ * bestEfficiency, averageEfficiency }] in the order the levels were first
+ * solved.
+ */
+export function getEfficiency(attempts, optimalPushes = {}) {
+    const levels = new Map();
+    getOwnSolves(attempts).forEach(attempt => {
+        const level = levels.get(attempt.levelKey) || { levelKey: attempt.levelKey, pushes: [] };
+        level.levelName = attempt.levelName;
+        level.pushes.push(attempt.pushes);
+        levels.set(attempt.levelKey, level);
+    });
+
+    return [...levels.values()].map(({ levelKey, levelName, pushes }) => {
+        const bestPushes = Math.min(...pushes);
+        const bestKnownPushes = Math.min(bestPushes, optimalPushes[levelKey] || Infinity);
+        // A level solved without a push (all boxes on goals already) cannot do better
+        const efficiencyOf = count => (count === 0 ? 1 : bestKnownPushes / count);
+        return {
+            levelKey,
+            levelName,
+            solves: pushes.length,
+            bestPushes,
+            bestKnownPushes,
+            bestEfficiency: efficiencyOf(bestPushes),
+            averageEfficiency: pushes.reduce((sum, count) => sum + efficiencyOf(count), 0) / pushes.length
+        };
+    });
+}
+
+/**
+ * The levels started over most often: every attempt that ended unsolved and
+ * every reset counts as a retry. Returns up to `limit` of
+ * [{ levelKey, levelName, retries, attempts, solves, timeMs }], most
+ * retried first, leaving out levels never retried.
+ */
+export function getMostRetried(attempts, limit = 10) {
+    const levels = new Map();
+    attempts.forEach(attempt => {
+        const level = levels.get(attempt.levelKey) ||
+            { levelKey: attempt.levelKey, retries: 0, attempts: 0, solves: 0, timeMs: 0 };
+        level.levelName = attempt.levelName;
+        level.retries += attempt.resets + (attempt.solved ? 0 : 1);
+        level.attempts++;
+        level.solves += attempt.solved && !attempt.assistedBy ? 1 : 0;
+        level.timeMs += attempt.timeMs;
+        levels.set(attempt.levelKey, level);
+    });
+
+    return [...levels.values()]
+        .filter(level => level.retries > 0)
+        .sort((a, b) => b.retries - a.retries || b.attempts - a.attempts)
+        .slice(0, limit);
+}
+
+// ==================== EXPORT ====================
+
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The attempts as CSV, one row each with a header row. Times are ISO dates
+ * and durations milliseconds, for spreadsheets to work with.
+ */
+export function exportStatsCsv(stats) {
+    const rows = stats.attempts.map(attempt => CSV_COLUMNS.map(column => (
+        column === 'endedAt' ? new Date(attempt.endedAt).toISOString() : attempt[column]
+    )));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function exportStatsJson(stats) {
+    return JSON.stringify({ ...stats, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+// ==================== STORAGE ====================
+
+export function createEmptyStats() {
+    return { version: STATS_VERSION, attempts: [] };
+}
+
+/**
+ * Read the saved statistics, or none if nothing is stored or the data is
+ * corrupt.
+ */
+export function loadStats() {
+    try {
+        const raw = localStorage.getItem(STATS_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (!data || !Array.isArray(data.attempts)) {
+            return createEmptyStats();
+        }
+        return { version: STATS_VERSION, attempts: data.attempts };
+    } catch (err) {
+        console.warn('Could not read the statistics:', err);
+        return createEmptyStats();
+    }
+}
+
+export function saveStats(stats) {
+    try {
+        localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+    } catch (err) {
+        console.warn('Could not save the statistics:', err);
+    }
+}
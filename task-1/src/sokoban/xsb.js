@@ -0,0 +1,358 @@
+/**
+ * XSB / SOK LEVEL IMPORTER
+ *
+ * Parses the community-standard Sokoban text format used by .xsb, .sok and
+ * .txt level packs into level objects for the LEVELS array.
+ *
+ * Supported:
+ * - Single levels and multi-level collections
+ * - Collection header (Title:, Author:, free-text description)
+ * - Per-level Title:, Author: and Comment: ... Comment-End: blocks
+ * - Per-level Variant: reverse, for a level played backwards (see engine.js)
+ * - Multiban boards with more than one player
+ * - A one-line title directly above a board (e.g. "; 12" or "Level 12")
+ * - '-' and '_' as floor, run-length encoded rows ("4#$") and '|' row breaks
+ *
+ * Boards are translated into the LEVEL_LEGEND characters that loadLevel()
+ * understands and validated before they are accepted. Broken boards are
+ * reported with line numbers instead of being loaded. Levels can be written
+ * back out as XSB or as levels.js entries (used by the level editor).
+ */
+
+import { TILE_TYPES, LEVEL_LEGEND, DIRECTIONS, VARIANTS, MAX_PLAYERS } from './engine.js';
+
+// ==================== CONSTANTS ====================
+
+const XSB_BOARD_LINE = /^[ #@+$*.\-_0-9|]*#[ #@+$*.\-_0-9|]*$/;
+const XSB_KEY_LINE = /^\s*(title|author|comment|comment[-_]end|variant)\s*:\s*(.*)$/i;
+const XSB_FLOOR_CHARS = /[-_]/g;
+
+// ==================== PARSING ====================
+
+/**
+ * Parse the text of a level file into a collection.
+ * Returns { title, author, description, levels, errors } where levels only
+ * contains boards that passed validation and errors lists { line, level, message }.
+ */
+export function parseLevelCollection(text) {
+    const items = tokenizeLevelText(text);
+    const collection = { title: '', author: '', description: [] };
+    const boards = [];
+    let current = null;
+
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+
+        switch (item.type) {
+            case 'board':
+                current = {
+                    line: item.line,
+                    rows: item.rows,
+                    heading: item.heading || '',
+                    title: '',
+                    author: '',
+                    variant: null,
+                    comments: []
+                };
+                boards.push(current);
+                break;
+
+            case 'key': {
+                const target = current || collection;
+                if (item.key === 'title' && !target.title) {
+                    target.title = item.value;
+                } else if (item.key === 'author' && !target.author) {
+                    target.author = item.value;
+                } else if (item.key === 'comment' && item.value) {
+                    (current ? current.comments : collection.description).push(item.value);
+                } else if (item.key === 'variant' && current && !current.variant) {
+                    current.variant = { value: item.value.toLowerCase(), line: item.line };
+                }
+                break;
+            }
+
+            case 'text': {
+                // A single text line directly above a board is that board's title
+                const next = items[i + 1];
+                if (next && next.type === 'board' && !item.paragraph) {
+                    next.heading = item.value;
+                } else {
+                    (current ? current.comments : collection.description).push(item.value);
+                }
+                break;
+            }
+        }
+    }
+
+    const levels = [];
+    const errors = [];
+
+    boards.forEach((board, index) => {
+        const heading = /^\d+$/.test(board.heading) ? `Level ${board.heading}` : board.heading;
+        const name = board.title || heading || `${collection.title || 'Imported'} #${index + 1}`;
+        const map = normalizeBoardRows(board.rows.map(row => row.text));
+        const problems = validateLevelMap(map, board.rows.map(row => row.line));
+        const variant = board.variant ? board.variant.value : VARIANTS.STANDARD;
+        if (!Object.values(VARIANTS).includes(variant)) {
+            problems.push({ line: board.variant.line, message: `Unknown variant '${board.variant.value}'` });
+        }
+
+        if (problems.length > 0) {
+            problems.forEach(problem => errors.push({ line: problem.line, level: name, message: problem.message }));
+            return;
+        }
+
+        const level = { name, map };
+        if (variant !== VARIANTS.STANDARD) {
+            level.variant = variant;
+        }
+        const author = board.author || collection.author;
+        if (author) {
+            level.author = author;
+        }
+        if (board.comments.length > 0) {
+            level.comments = board.comments.join('\n');
+        }
+        levels.push(level);
+    });
+
+    if (boards.length === 0) {
+        errors.push({ line: 1, level: '', message: 'No level boards found' });
+    }
+
+    return {
+        title: collection.title,
+        author: collection.author,
+        description: collection.description.join('\n'),
+        levels,
+        errors
+    };
+}
+
+/**
+ * Split raw text into a flat list of items:
+ * - { type: 'board', line, rows: [{ text, line }] }
+ * - { type: 'key', line, key, value }   (Title:, Author:, Comment:, Variant:)
+ * - { type: 'text', line, value, paragraph }
+ * Blank lines only separate items and are dropped.
+ */
+function tokenizeLevelText(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const items = [];
+    let board = null;
+    let commentBlock = null;
+    let previousWasText = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = i + 1;
+        const raw = lines[i].replace(/\s+$/, '');
+
+        // Multi-line Comment: ... Comment-End: blocks are taken verbatim
+        if (commentBlock) {
+            const match = raw.match(XSB_KEY_LINE);
+            if (match && /^comment[-_]end$/i.test(match[1])) {
+                items.push({ type: 'key', line: commentBlock.line, key: 'comment', value: commentBlock.lines.join('\n').trim() });
+                commentBlock = null;
+            } else {
+                commentBlock.lines.push(raw);
+            }
+            continue;
+        }
+
+        if (raw.trim() !== '' && XSB_BOARD_LINE.test(raw)) {
+            if (!board) {
+                board = { type: 'board', line: lineNumber, rows: [] };
+                items.push(board);
+            }
+            expandBoardLine(raw).forEach(row => board.rows.push({ text: row, line: lineNumber }));
+            previousWasText = false;
+            continue;
+        }
+        board = null;
+
+        if (raw.trim() === '') {
+            previousWasText = false;
+            continue;
+        }
+
+        const match = raw.match(XSB_KEY_LINE);
+        if (match) {
+            const key = match[1].toLowerCase();
+            if (key === 'comment' && match[2].trim() === '') {
+                commentBlock = { line: lineNumber, lines: [] };
+            } else if (key === 'title' || key === 'author' || key === 'comment' || key === 'variant') {
+                items.push({ type: 'key', line: lineNumber, key, value: match[2].trim() });
+            }
+            previousWasText = false;
+            continue;
+        }
+
+        // Free text; ';' is the conventional comment marker in .txt packs
+        const value = raw.replace(/^\s*;\s*/, '').trim();
+        if (previousWasText) {
+            // Multi-line paragraphs are never treated as a title
+            const last = items[items.length - 1];
+            last.value += '\n' + value;
+            last.paragraph = true;
+        } else {
+            items.push({ type: 'text', line: lineNumber, value, paragraph: false });
+        }
+        previousWasText = true;
+    }
+
+    if (commentBlock) {
+        items.push({ type: 'key', line: commentBlock.line, key: 'comment', value: commentBlock.lines.join('\n').trim() });
+    }
+
+    return items;
+}
+
+/**
+ * Expand run-length encoding ("3#" -> "###") and '|' row separators.
+ * Returns one or more board rows.
+ */
+function expandBoardLine(line) {
+    if (!/[0-9|]/.test(line)) {
+        return [line];
+    }
+
+    const expanded = line.replace(/(\d+)(\D)/g, (_, count, char) => char.repeat(Number(count)));
+    return expanded.replace(/\d+$/, '').split('|');
+}
+
+/**
+ * Convert XSB floor variants to spaces, strip trailing whitespace and
+ * remove indentation shared by every row.
+ */
+export function normalizeBoardRows(rows) {
+    const cleaned = rows.map(row => row.replace(XSB_FLOOR_CHARS, ' ').replace(/\s+$/, ''));
+    const indent = Math.min(...cleaned
+        .filter(row => row.trim() !== '')
+        .map(row => row.length - row.trimStart().length));
+
+    return cleaned.map(row => row.slice(indent));
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check a map (LEVEL_LEGEND characters) for problems that would make it
+ * unplayable. A Multiban map may have up to MAX_PLAYERS players, each of
+ * them enclosed. rowLines maps each row to its line number in the source text.
+ * Returns a list of { line, message }; empty when the map is valid.
+ */
+export function validateLevelMap(map, rowLines) {
+    const problems = [];
+    const lineOf = y => (rowLines && rowLines[y] !== undefined ? rowLines[y] : y + 1);
+    const players = [];
+    let boxCount = 0;
+    let goalCount = 0;
+
+    for (let y = 0; y < map.length; y++) {
+        for (let x = 0; x < map[y].length; x++) {
+            const char = map[y][x];
+            const cell = LEVEL_LEGEND[char];
+
+            if (!cell) {
+                problems.push({ line: lineOf(y), message: `Unknown character '${char}' at column ${x + 1}` });
+                continue;
+            }
+
+            if (cell.player) {
+                if (players.length === MAX_PLAYERS) {
+                    problems.push({ line: lineOf(y), message: `More than ${MAX_PLAYERS} players (column ${x + 1})` });
+                } else {
+                    players.push({ x, y });
+                }
+            }
+            if (cell.box) {
+                boxCount++;
+            }
+            if (cell.tile === TILE_TYPES.GOAL) {
+                goalCount++;
+            }
+        }
+    }
+
+    if (players.length === 0) {
+        problems.push({ line: lineOf(0), message: 'No player (@ or +) on the board' });
+    }
+    if (boxCount === 0) {
+        problems.push({ line: lineOf(0), message: 'No boxes on the board' });
+    }
+    if (boxCount !== goalCount) {
+        problems.push({ line: lineOf(0), message: `Box/goal count mismatch: ${boxCount} boxes but ${goalCount} goals` });
+    }
+
+    players.forEach((player, index) => {
+        const leak = findOpenBoundary(map, player);
+        if (leak) {
+            const who = players.length > 1 ? `player ${index + 1}` : 'the player';
+            problems.push({
+                line: lineOf(leak.y),
+                message: `Open boundary: ${who} can walk off the board at column ${leak.x + 1}`
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Flood fill from the player through every non-wall cell.
+ * Returns the first reachable cell on the edge of the map, or null if the
+ * player area is fully enclosed by walls.
+ */
+function findOpenBoundary(map, start) {
+    const visited = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const { x, y } = queue.shift();
+
+        for (const dir of Object.values(DIRECTIONS)) {
+            const nx = x + dir.dx;
+            const ny = y + dir.dy;
+
+            if (ny < 0 || ny >= map.length || nx < 0 || nx >= map[ny].length) {
+                return { x, y };
+            }
+
+            const key = `${nx},${ny}`;
+            if (visited.has(key) || map[ny][nx] === '#') {
+                continue;
+            }
+
+            visited.add(key);
+            queue.push({ x: nx, y: ny });
+        }
+    }
+
+    return null;
+}
+
+// ==================== EXPORT ====================
+
+/**
+ * A level as an object literal for the LEVELS array in levels.js.
+ */
+export function formatLevelAsJs(level) {
+    const rows = level.map.map(row => `            ${JSON.stringify(row)}`).join(',\n');
+    return [
+        '    {',
+        `        name: ${JSON.stringify(level.name)},`,
+        ...(level.variant ? [`        variant: ${JSON.stringify(level.variant)},`] : []),
+        '        map: [',
+        rows,
+        '        ]',
+        '    }'
+    ].join('\n');
+}
+
+/**
+ * A level as XSB text that parseLevelCollection() reads back.
+ */
+export function formatLevelAsXsb(level) {
+    const variant = level.variant ? [`Variant: ${level.variant}`] : [];
+    return [`; ${level.name}`, '', ...level.map, '', `Title: ${level.name}`, ...variant, ''].join('\n');
+}
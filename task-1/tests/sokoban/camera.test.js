@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MAX_ZOOM, getTileSize, clampZoom, clampCamera, followPoint, getBoardOrigin, zoomCamera
+} from '../../src/sokoban/camera.js';
+
+const view = { width: 640, height: 480 };
+
+describe('getTileSize', () => {
+    it('fits a small level to the view, up to the largest tile size', () => {
+        expect(getTileSize(view, 10, 8)).toBe(60);
+        expect(getTileSize(view, 3, 3)).toBe(96);
+    });
+
+    it('keeps big levels readable instead of shrinking them to fit', () => {
+        expect(getTileSize(view, 40, 30)).toBe(32);
+        expect(getTileSize(view, 40, 30, 2)).toBe(64);
+    });
+
+    it('limits the zoom', () => {
+        expect(clampZoom(10)).toBe(MAX_ZOOM);
+        expect(clampZoom(1.5)).toBe(1.5);
+    });
+});
+
+describe('camera position', () => {
+    it('centres a board that fits the view', () => {
+        expect(clampCamera({ x: 0, y: 99 }, view, 60, 10, 8)).toEqual({ x: 5, y: 4 });
+    });
+
+    it('scrolls a big board no further than its edges', () => {
+        // 20 × 15 cells are visible at 32px
+        expect(clampCamera({ x: 0, y: 0 }, view, 32, 40, 30)).toEqual({ x: 10, y: 7.5 });
+        expect(clampCamera({ x: 99, y: 99 }, view, 32, 40, 30)).toEqual({ x: 30, y: 22.5 });
+    });
+
+    it('follows the player only when it nears the edge of the view', () => {
+        const camera = { x: 10, y: 7.5 };
+        expect(followPoint(camera, { x: 10, y: 7 }, view, 32)).toEqual(camera);
+        expect(followPoint(camera, { x: 17, y: 7 }, view, 32)).toEqual({ x: 11, y: 7.5 });
+        expect(followPoint(camera, { x: 10, y: 0 }, view, 32)).toEqual({ x: 10, y: 4.5 });
+    });
+
+    it('places the camera point at the centre of the view', () => {
+        expect(getBoardOrigin({ x: 5, y: 4 }, view, 60)).toEqual({ x: 20, y: 0 });
+    });
+
+    it('keeps the point under the cursor still while zooming', () => {
+        const camera = { x: 10, y: 7.5 };
+        const anchor = { x: 480, y: 120 };
+        const zoomed = zoomCamera(camera, view, 32, 64, anchor);
+        const cellBefore = (anchor.x - getBoardOrigin(camera, view, 32).x) / 32;
+        const cellAfter = (anchor.x - getBoardOrigin(zoomed, view, 64).x) / 64;
+        expect(cellAfter).toBeCloseTo(cellBefore);
+    });
+});
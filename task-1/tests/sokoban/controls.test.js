@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    DEFAULT_KEY_BINDINGS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    getKeyCombo,
+    findKeyAction,
+    bindKey,
+    formatShortcut,
+    toAriaKeyShortcuts,
+    bindButton,
+    getPressedActions,
+    createKeyRepeat,
+    normalizeKeyBindings,
+    normalizeGamepadBindings
+} from '../../src/sokoban/controls.js';
+
+const press = (key, modifiers = {}) => ({ key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+
+const gamepad = (pressed = [], axes = [0, 0]) => ({
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+    axes
+});
+
+describe('key combos', () => {
+    it('writes letters in upper case after the modifiers', () => {
+        expect(getKeyCombo(press('z', { ctrlKey: true }))).toBe('Ctrl+Z');
+        expect(getKeyCombo(press('Z', { metaKey: true, shiftKey: true }))).toBe('Ctrl+Shift+Z');
+        expect(getKeyCombo(press(' '))).toBe('Space');
+        expect(getKeyCombo(press('ArrowUp', { shiftKey: true }))).toBe('Shift+ArrowUp');
+    });
+
+    it('leaves Shift out of characters that already include it', () => {
+        expect(getKeyCombo(press('+', { shiftKey: true }))).toBe('+');
+    });
+
+    it('ignores modifier keys on their own', () => {
+        expect(getKeyCombo(press('Control', { ctrlKey: true }))).toBeNull();
+    });
+
+    it('finds the action of a combo', () => {
+        expect(findKeyAction(DEFAULT_KEY_BINDINGS, 'W')).toBe('up');
+        expect(findKeyAction(DEFAULT_KEY_BINDINGS, 'Ctrl+Shift+Z')).toBe('redo');
+        expect(findKeyAction(DEFAULT_KEY_BINDINGS, 'Q')).toBeNull();
+    });
+});
+
+describe('bindKey', () => {
+    it('moves a combo from the action that had it', () => {
+        const { keyBindings, takenFrom } = bindKey(DEFAULT_KEY_BINDINGS, 'up', 1, 'Z');
+        expect(keyBindings.up).toEqual(['ArrowUp', 'Z']);
+        expect(takenFrom).toBeNull();
+
+        const moved = bindKey(keyBindings, 'left', 1, 'W');
+        expect(moved.keyBindings.left).toEqual(['ArrowLeft', 'W']);
+        expect(moved.keyBindings.up).toEqual(['ArrowUp', 'Z']);
+        expect(bindKey(DEFAULT_KEY_BINDINGS, 'undo', 1, 'R').takenFrom).toBe('reset');
+        expect(DEFAULT_KEY_BINDINGS.up).toEqual(['ArrowUp', 'W']);
+    });
+
+    it('clears a slot with null', () => {
+        expect(bindKey(DEFAULT_KEY_BINDINGS, 'reset', 0, null).keyBindings.reset).toEqual([null, null]);
+    });
+
+    it('describes the keys for tooltips and screen readers', () => {
+        expect(formatShortcut('Redo', DEFAULT_KEY_BINDINGS, 'redo')).toBe('Redo (Ctrl+Y or Ctrl+Shift+Z)');
+        expect(toAriaKeyShortcuts(DEFAULT_KEY_BINDINGS, 'redo')).toBe('Control+Y Control+Shift+Z');
+        const unbound = bindKey(DEFAULT_KEY_BINDINGS, 'hint', 0, null).keyBindings;
+        expect(formatShortcut('Hint', unbound, 'hint')).toBe('Hint');
+    });
+});
+
+describe('gamepads', () => {
+    it('maps held buttons to actions', () => {
+        expect([...getPressedActions(gamepad([12, 4]), DEFAULT_GAMEPAD_BINDINGS)].sort()).toEqual(['undo', 'up']);
+    });
+
+    it('treats the left stick as the D-pad', () => {
+        expect([...getPressedActions(gamepad([], [0.9, 0.3]), DEFAULT_GAMEPAD_BINDINGS)]).toEqual(['right']);
+        expect([...getPressedActions(gamepad([], [0.2, -0.3]), DEFAULT_GAMEPAD_BINDINGS)]).toEqual([]);
+    });
+
+    it('moves a button from the action that had it', () => {
+        const { gamepadBindings, takenFrom } = bindButton(DEFAULT_GAMEPAD_BINDINGS, 'undo', 0);
+        expect(gamepadBindings.undo).toBe(0);
+        expect(takenFrom).toBeNull();
+        expect(bindButton(gamepadBindings, 'redo', 0)).toMatchObject({ takenFrom: 'undo', gamepadBindings: { undo: null, redo: 0 } });
+    });
+});
+
+describe('createKeyRepeat', () => {
+    it('repeats after the delay until released', () => {
+        vi.useFakeTimers();
+        const onRepeat = vi.fn();
+        const repeat = createKeyRepeat(onRepeat);
+
+        repeat.start('key:KeyW', 'up', 250, 100);
+        vi.advanceTimersByTime(249);
+        expect(onRepeat).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(201);
+        expect(onRepeat).toHaveBeenCalledTimes(3);
+
+        repeat.stop('key:KeyA');
+        vi.advanceTimersByTime(100);
+        expect(onRepeat).toHaveBeenCalledTimes(4);
+        repeat.stop('key:KeyW');
+        vi.advanceTimersByTime(1000);
+        expect(onRepeat).toHaveBeenCalledTimes(4);
+        vi.useRealTimers();
+    });
+
+    it('repeats only the latest key held', () => {
+        vi.useFakeTimers();
+        const onRepeat = vi.fn();
+        const repeat = createKeyRepeat(onRepeat);
+
+        repeat.start('key:KeyW', 'up', 100, 100);
+        repeat.start('key:KeyD', 'right', 100, 100);
+        vi.advanceTimersByTime(150);
+        expect(onRepeat.mock.calls).toEqual([['right']]);
+        repeat.stopAll();
+        vi.useRealTimers();
+    });
+});
+
+describe('saved bindings', () => {
+    it('falls back to the defaults for missing or malformed entries', () => {
+        const keyBindings = normalizeKeyBindings({ up: ['Z', null], down: 'S', left: ['A'] });
+        expect(keyBindings.up).toEqual(['Z', null]);
+        expect(keyBindings.down).toEqual(DEFAULT_KEY_BINDINGS.down);
+        expect(keyBindings.left).toEqual(DEFAULT_KEY_BINDINGS.left);
+        expect(normalizeKeyBindings(undefined)).toEqual(DEFAULT_KEY_BINDINGS);
+
+        const gamepadBindings = normalizeGamepadBindings({ up: null, down: 99, left: 'x' });
+        expect(gamepadBindings.up).toBeNull();
+        expect(gamepadBindings.down).toBe(DEFAULT_GAMEPAD_BINDINGS.down);
+        expect(gamepadBindings.left).toBe(DEFAULT_GAMEPAD_BINDINGS.left);
+    });
+});
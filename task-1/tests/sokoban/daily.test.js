@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getDailyDate,
+    addDays,
+    getDailyChallenge,
+    createEmptyDailyHistory,
+    startDailyAttempt,
+    findDailyAttempt,
+    finishDailyAttempt,
+    getDailyStreak,
+    formatDuration,
+    formatDailyShare
+} from '../../src/sokoban/daily.js';
+
+describe('dates', () => {
+    it('uses the local calendar day', () => {
+        expect(getDailyDate(new Date(2026, 9, 19, 23, 59))).toBe('2026-10-19');
+        expect(getDailyDate(new Date(2026, 0, 5, 0, 1))).toBe('2026-01-05');
+    });
+
+    it('steps across months, years and clock changes', () => {
+        expect(addDays('2026-10-24', 2)).toBe('2026-10-26');
+        expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+        expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    });
+});
+
+describe('getDailyChallenge', () => {
+    it('gives every player the same challenge for a date', () => {
+        expect(getDailyChallenge('2026-10-19')).toEqual(getDailyChallenge('2026-10-19'));
+        expect(getDailyChallenge('2026-01-01').number).toBe(1);
+        expect(getDailyChallenge('2026-10-19').seed).not.toBe(getDailyChallenge('2026-10-20').seed);
+    });
+
+    it('gets harder through the week', () => {
+        expect(getDailyChallenge('2026-10-19').difficulty).toBe('easy');   // Monday
+        expect(getDailyChallenge('2026-10-22').difficulty).toBe('medium'); // Thursday
+        expect(getDailyChallenge('2026-10-24').difficulty).toBe('hard');   // Saturday
+    });
+});
+
+describe('attempts', () => {
+    const challenge = getDailyChallenge('2026-10-19');
+
+    it('allows one attempt a day, timed from its start', () => {
+        const history = createEmptyDailyHistory();
+        startDailyAttempt(history, challenge, 'Labc', 12, 1000);
+        startDailyAttempt(history, challenge, 'Labc', 12, 5000);
+        expect(findDailyAttempt(history, 'Labc')).toBe('2026-10-19');
+        expect(findDailyAttempt(history, 'Lother')).toBeNull();
+
+        const entry = finishDailyAttempt(history, '2026-10-19', { moves: 40, pushes: 14, assistedBy: null }, 61000);
+        expect(entry).toMatchObject({ solved: true, moves: 40, pushes: 14, timeMs: 60000 });
+        expect(findDailyAttempt(history, 'Labc')).toBeNull();
+        expect(finishDailyAttempt(history, '2026-10-19', { moves: 30, pushes: 12, assistedBy: null }, 90000)).toBeNull();
+        expect(history.days['2026-10-19'].moves).toBe(40);
+    });
+
+    it('ends assisted attempts unsolved', () => {
+        const history = createEmptyDailyHistory();
+        startDailyAttempt(history, challenge, 'Labc', 12, 0);
+        expect(finishDailyAttempt(history, '2026-10-19', { moves: 40, pushes: 12, assistedBy: 'auto-solve' }, 1).solved).toBe(false);
+    });
+});
+
+describe('getDailyStreak', () => {
+    const history = { version: 1, days: {} };
+    ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-16', '2026-10-17', '2026-10-18'].forEach(date => {
+        history.days[date] = { solved: true };
+    });
+    history.days['2026-10-13'] = { solved: false };
+
+    it('counts back from yesterday until today is solved', () => {
+        expect(getDailyStreak(history, '2026-10-19')).toEqual({ current: 3, best: 3 });
+        expect(getDailyStreak(history, '2026-10-20')).toEqual({ current: 0, best: 3 });
+        expect(getDailyStreak({ version: 1, days: { ...history.days, '2026-10-19': { solved: true } } }, '2026-10-19'))
+            .toEqual({ current: 4, best: 4 });
+    });
+});
+
+describe('sharing', () => {
+    it('formats durations', () => {
+        expect(formatDuration(0)).toBe('0:00');
+        expect(formatDuration(192500)).toBe('3:12');
+        expect(formatDuration(3723000)).toBe('1:02:03');
+    });
+
+    it('shares the numbers without the level', () => {
+        const entry = { number: 292, difficulty: 'hard', optimalPushes: 24, solved: true, moves: 148, pushes: 30, timeMs: 192000 };
+        expect(formatDailyShare(entry, { current: 5, best: 5 })).toBe([
+            'Sokoban Daily #292 · Hard',
+            '✅ Solved in 3:12',
+            '📦 30 pushes (optimal 24) · 🚶 148 moves',
+            '🟩🟩🟩🟩🟩🟩🟩🟩🟨🟨',
+            '🔥 5-day streak'
+        ].join('\n'));
+        expect(formatDailyShare({ ...entry, solved: false }, { current: 0, best: 5 }))
+            .toBe('Sokoban Daily #292 · Hard\n❌ Not solved');
+    });
+});
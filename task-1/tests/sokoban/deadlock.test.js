@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { parseLevel } from '../../src/sokoban/engine.js';
+import { computeDeadSquares, findDeadlocks } from '../../src/sokoban/deadlock.js';
+
+describe('deadlock detection', () => {
+    const { grid, goals, player } = parseLevel(['#####', '#  .#', '# @ #', '#####']);
+    const deadSquares = computeDeadSquares(grid, goals, player);
+
+    it('marks corners without a goal as dead squares', () => {
+        expect(deadSquares[2][1]).toBe(true);
+        expect(deadSquares[1][2]).toBe(false);
+    });
+
+    it('reports a box pushed into a corner', () => {
+        const deadlocks = findDeadlocks(grid, [{ x: 1, y: 2 }], goals, deadSquares);
+        expect(deadlocks).toHaveLength(1);
+        expect(deadlocks[0].reason).toBe('corner');
+    });
+
+    it('ignores a box that can still reach a goal', () => {
+        expect(findDeadlocks(grid, [{ x: 2, y: 1 }], goals, deadSquares)).toEqual([]);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { parseLevel, move, DIRECTIONS } from '../../src/sokoban/engine.js';
+import {
+    describeCell, describeMove, describeBlockedMove, describePath, describeSurroundings, describeBoxes, getBoardRows
+} from '../../src/sokoban/describe.js';
+
+const level = parseLevel([
+    '#######',
+    '#@ $ .#',
+    '#  $. #',
+    '#$   .#',
+    '#######'
+]);
+
+describe('describeMove', () => {
+    it('says where the player went', () => {
+        expect(describeMove(level, move(level, DIRECTIONS.DOWN))).toBe('Moved down.');
+    });
+
+    it('counts the goals filled after a push', () => {
+        const start = move(move(level, DIRECTIONS.DOWN), DIRECTIONS.RIGHT);
+        const pushed = move(start, DIRECTIONS.RIGHT);
+        expect(describeMove(start, pushed)).toBe('Pushed the box right onto a goal. 1 of 3 goals filled.');
+        expect(describeMove(pushed, move(pushed, DIRECTIONS.RIGHT))).toBe('Pushed the box right off a goal. 0 of 3 goals filled.');
+    });
+});
+
+describe('describeBlockedMove', () => {
+    it('explains what is in the way', () => {
+        expect(describeBlockedMove(level, DIRECTIONS.UP)).toBe('Blocked: wall above.');
+        const atBoxes = parseLevel(['#####', '#@$$.', '#####']);
+        expect(describeBlockedMove(atBoxes, DIRECTIONS.RIGHT)).toBe('Blocked: the box to the right is against another box.');
+    });
+});
+
+describe('surroundings', () => {
+    it('names the cells around the player', () => {
+        expect(describeCell(level, 0, 0)).toBe('wall');
+        expect(describeCell(level, 4, 2)).toBe('goal');
+        expect(describeSurroundings(level)).toBe('You are at row 2, column 2. up: wall, right: floor, down: floor, left: wall.');
+    });
+
+    it('lists loose boxes and empty goals nearest first', () => {
+        const text = describeBoxes(level);
+        expect(text).toMatch(/^0 of 3 goals filled\./);
+        expect(text).toContain('Boxes to place: row 2, column 4; row 4, column 2; row 3, column 4.');
+    });
+
+    it('describes a walk', () => {
+        expect(describePath(level, 'rd')).toBe('Walked 2 steps to row 2, column 2.');
+    });
+
+    it('writes the board as map rows', () => {
+        expect(getBoardRows(level)).toEqual(['#######', '#@ $ .#', '#  $. #', '#$   .#', '#######']);
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import {
+    TILE_TYPES, DIRECTIONS, VARIANTS, parseLevel, move, moveLurd, undoMove, switchPlayer, isWall, isGoal, canPushBox,
+    countGoalsFilled, isSolved
+} from '../../src/sokoban/engine.js';
+
+const CORRIDOR = ['#######', '#.$@$.#', '#######'];
+
+describe('parseLevel', () => {
+    it('reads walls, goals, boxes and the player', () => {
+        const state = parseLevel(['#####', '#+*$#', '#. .#', '#####']);
+        expect(state.width).toBe(5);
+        expect(state.height).toBe(4);
+        expect(state.grid[0][0]).toBe(TILE_TYPES.WALL);
+        expect(state.grid[1][1]).toBe(TILE_TYPES.GOAL);
+        expect(state.grid[2][2]).toBe(TILE_TYPES.FLOOR);
+        expect(state.player).toEqual({ x: 1, y: 1 });
+        expect(state.boxes).toEqual([{ x: 2, y: 1 }, { x: 3, y: 1 }]);
+        expect(state.goals).toEqual([{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }, { x: 3, y: 2 }]);
+        expect(state.moveCount).toBe(0);
+        expect(state.moveLog).toBe('');
+    });
+
+    it('pads short rows with floor', () => {
+        const state = parseLevel(['####', '#@.', '####']);
+        expect(state.width).toBe(4);
+        expect(state.grid[1][3]).toBe(TILE_TYPES.FLOOR);
+    });
+
+    it('returns a frozen state', () => {
+        const state = parseLevel(CORRIDOR);
+        expect(Object.isFrozen(state)).toBe(true);
+        expect(Object.isFrozen(state.boxes[0])).toBe(true);
+        expect(Object.isFrozen(state.grid[0])).toBe(true);
+    });
+});
+
+describe('queries', () => {
+    const state = parseLevel(CORRIDOR);
+
+    it('treats cells outside the level as walls', () => {
+        expect(isWall(state, -1, 1)).toBe(true);
+        expect(isWall(state, 7, 1)).toBe(true);
+        expect(isWall(state, 3, 1)).toBe(false);
+    });
+
+    it('finds goals and free cells for a box', () => {
+        expect(isGoal(state, 1, 1)).toBe(true);
+        expect(isGoal(state, 2, 1)).toBe(false);
+        expect(canPushBox(state, 1, 1)).toBe(true);
+        expect(canPushBox(state, 2, 1)).toBe(false);
+        expect(canPushBox(state, 0, 1)).toBe(false);
+    });
+
+    it('needs every goal filled and no spare boxes to be solved', () => {
+        expect(isSolved(state)).toBe(false);
+        expect(isSolved(parseLevel(['####', '#*@#', '####']))).toBe(true);
+        expect(isSolved(parseLevel(['#####', '#*$@#', '#####']))).toBe(false);
+    });
+});
+
+describe('move', () => {
+    it('walks onto floor without touching the old state', () => {
+        const start = parseLevel(['#####', '#@  #', '#####']);
+        const next = move(start, DIRECTIONS.RIGHT);
+        expect(next.player).toEqual({ x: 2, y: 1 });
+        expect(next.moveCount).toBe(1);
+        expect(next.pushCount).toBe(0);
+        expect(next.moveLog).toBe('r');
+        expect(start.player).toEqual({ x: 1, y: 1 });
+        expect(start.moveCount).toBe(0);
+    });
+
+    it('pushes a box and logs the push in uppercase', () => {
+        const next = move(parseLevel(CORRIDOR), DIRECTIONS.LEFT);
+        expect(next.boxes[0]).toEqual({ x: 1, y: 1 });
+        expect(next.pushCount).toBe(1);
+        expect(next.moveLog).toBe('L');
+        expect(countGoalsFilled(next)).toBe(1);
+    });
+
+    it('returns the same state when blocked', () => {
+        const state = move(parseLevel(CORRIDOR), DIRECTIONS.LEFT);
+        expect(move(state, DIRECTIONS.UP)).toBe(state);
+        expect(move(state, DIRECTIONS.LEFT)).toBe(state);
+        expect(move(parseLevel(['#####', '#@$$#', '#####']), DIRECTIONS.RIGHT).moveCount).toBe(0);
+    });
+});
+
+describe('moveLurd', () => {
+    it('only accepts a move whose case matches the push', () => {
+        const state = parseLevel(CORRIDOR);
+        expect(moveLurd(state, 'l')).toBe(state);
+        expect(moveLurd(state, 'L').moveLog).toBe('L');
+        expect(moveLurd(parseLevel(['#####', '#@  #', '#####']), 'R').moveCount).toBe(0);
+    });
+});
+
+describe('undoMove', () => {
+    it('walks back and pulls pushed boxes', () => {
+        const start = parseLevel(CORRIDOR);
+        let state = start;
+        for (const letter of 'LrrR') {
+            state = moveLurd(state, letter);
+        }
+        expect(isSolved(state)).toBe(true);
+
+        for (let i = 0; i < 4; i++) {
+            state = undoMove(state);
+        }
+        expect(state).toEqual(start);
+    });
+
+    it('does nothing at the start of the level', () => {
+        const start = parseLevel(CORRIDOR);
+        expect(undoMove(start)).toBe(start);
+    });
+});
+
+describe('reverse play', () => {
+    const level = ['######', '#@$. #', '#    #', '######'];
+
+    it('starts with the boxes on the goals and the goals where the boxes were', () => {
+        const state = parseLevel(level, VARIANTS.REVERSE);
+        expect(state.variant).toBe('reverse');
+        expect(state.boxes).toEqual([{ x: 3, y: 1 }]);
+        expect(state.goals).toEqual([{ x: 2, y: 1 }]);
+        expect(state.grid[1][2]).toBe(TILE_TYPES.GOAL);
+        expect(state.grid[1][3]).toBe(TILE_TYPES.FLOOR);
+    });
+
+    it('moves a player off a box square to the nearest free cell', () => {
+        const state = parseLevel(['#####', '#+$ #', '#####'], VARIANTS.REVERSE);
+        expect(state.boxes).toEqual([{ x: 1, y: 1 }]);
+        expect(state.player).toEqual({ x: 2, y: 1 });
+    });
+
+    it('pulls the box behind the player, logs pulls as pushes and undoes them', () => {
+        const start = parseLevel(level, VARIANTS.REVERSE);
+        const next = moveLurd(start, 'r');
+        expect(move(next, DIRECTIONS.RIGHT)).toBe(next); // Boxes cannot be pushed
+
+        const solved = moveLurd(next, 'L');
+        expect(solved.boxes).toEqual([{ x: 2, y: 1 }]);
+        expect(solved.pushCount).toBe(1);
+        expect(solved.moveLog).toBe('rL');
+        expect(isSolved(solved)).toBe(true);
+        expect(undoMove(undoMove(solved))).toEqual(start);
+    });
+});
+
+describe('Multiban', () => {
+    const start = parseLevel(['######', '#@$.@#', '######']);
+
+    it('reads every player and moves the active one', () => {
+        expect(start.players).toEqual([{ x: 1, y: 1 }, { x: 4, y: 1 }]);
+        expect(start.activePlayer).toBe(0);
+
+        const second = switchPlayer(start, 1);
+        expect(second.player).toEqual({ x: 4, y: 1 });
+        expect(switchPlayer(second, 1)).toBe(second);
+        expect(switchPlayer(second, 2)).toBe(second);
+        expect(move(second, DIRECTIONS.LEFT).players).toEqual([{ x: 1, y: 1 }, { x: 3, y: 1 }]);
+    });
+
+    it('lets players block each other and undoes each move for the player who made it', () => {
+        const moved = move(switchPlayer(start, 1), DIRECTIONS.LEFT);
+        expect(moved.playerLog).toBe('1');
+
+        const first = switchPlayer(moved, 0);
+        expect(canPushBox(first, 3, 1)).toBe(false);
+        expect(move(first, DIRECTIONS.RIGHT)).toBe(first);
+        expect(undoMove(first)).toEqual(switchPlayer(start, 1));
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createGame } from '../../src/sokoban/game.js';
+import { LURD_DIRECTIONS } from '../../src/sokoban/engine.js';
+
+// Three pushes to the right solve it
+const LEVEL = { name: 'Test', map: ['#######', '#@$  .#', '#######'] };
+
+// Room to walk: the top row is a straight path of four moves to the right
+const ROOM = { name: 'Room', map: ['#######', '#@    #', '# $ . #', '#######'] };
+
+// A 2D context that takes any drawing call, enough for render.js to run without a browser
+const context = new Proxy({}, { get: () => () => context });
+
+function createCanvas() {
+    return {
+        width: 0,
+        height: 0,
+        getContext: () => context,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 320, height: 240 }),
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+// Answers every search with `solution`, a tick after it is asked
+function createSolverWorker(solution) {
+    return class {
+        addEventListener(type, listener) {
+            if (type === 'message') {
+                this.listener = listener;
+            }
+        }
+
+        postMessage({ id }) {
+            setTimeout(() => this.listener({ data: { id, status: 'solved', solution } }));
+        }
+    };
+}
+
+function play(game, moves) {
+    [...moves].forEach(letter => game.move(LURD_DIRECTIONS[letter.toLowerCase()]));
+}
+
+describe('createGame', () => {
+    let onSolved;
+    let game;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        // Reduced motion applies every move at once, without animation frames
+        vi.stubGlobal('window', { matchMedia: () => ({ matches: true }), devicePixelRatio: 1 });
+        vi.stubGlobal('ResizeObserver', class { observe() {} disconnect() {} });
+        vi.stubGlobal('requestAnimationFrame', () => 1);
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+        vi.stubGlobal('Worker', createSolverWorker('RRR'));
+        onSolved = vi.fn();
+        game = createGame(createCanvas(), { onSolved });
+        game.loadLevel(LEVEL);
+    });
+
+    afterEach(() => {
+        game.destroy();
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('reports a solve without help as unassisted', () => {
+        play(game, 'RRR');
+        expect(onSolved).toHaveBeenCalledWith(expect.objectContaining({ moves: 3, assistedBy: null }));
+    });
+
+    it('marks a solve that took a hint as assisted', () => {
+        game.requestSolution('hint');
+        vi.advanceTimersByTime(1000);
+        expect(game.getSnapshot().solution).toBe('R');
+        expect(game.getSavedState().assistedBy).toBe('hint');
+
+        play(game, 'RR');
+        expect(onSolved).toHaveBeenCalledWith(expect.objectContaining({ moves: 3, assistedBy: 'hint' }));
+    });
+
+    it('starts a clean attempt after a reset, and undoing the reset brings the hint back', () => {
+        game.requestSolution('hint');
+        vi.advanceTimersByTime(1000);
+        game.resetLevel();
+        expect(game.getSavedState().assistedBy).toBeNull();
+
+        game.undo();
+        expect(game.getSavedState().assistedBy).toBe('hint');
+    });
+
+    describe('history', () => {
+        const position = () => {
+            const { solution, moveCount, pushCount, canUndo, canRedo } = game.getSnapshot();
+            return { solution, moveCount, pushCount, canUndo, canRedo };
+        };
+
+        it('undoes and redoes pushes, boxes and counts included', () => {
+            play(game, 'RR');
+            game.undo();
+            game.undo();
+            expect(position()).toEqual({ solution: '', moveCount: 0, pushCount: 0, canUndo: false, canRedo: true });
+
+            game.redo();
+            expect(position()).toEqual({ solution: 'R', moveCount: 1, pushCount: 1, canUndo: true, canRedo: true });
+            game.redo();
+            expect(position()).toEqual({ solution: 'RR', moveCount: 2, pushCount: 2, canUndo: true, canRedo: false });
+
+            play(game, 'R');
+            expect(onSolved).toHaveBeenCalledWith(expect.objectContaining({ moves: 3, pushes: 3, solution: 'RRR' }));
+        });
+
+        it('drops the redo list after a different move, but keeps it for the move next in line', () => {
+            play(game, 'RR');
+            game.undo();
+            game.undo();
+            play(game, 'R');
+            expect(position()).toMatchObject({ solution: 'R', canRedo: true });
+            game.redo();
+            expect(position()).toMatchObject({ solution: 'RR', canRedo: false });
+
+            game.undo();
+            play(game, 'l');
+            expect(position()).toMatchObject({ solution: 'Rl', canRedo: false });
+            game.redo();
+            expect(position()).toMatchObject({ solution: 'Rl', moveCount: 2 });
+        });
+
+        it('splits a path move when jumping into the middle of it', () => {
+            game.loadLevel(ROOM);
+            game.goTo(5, 1);
+            expect(position()).toMatchObject({ solution: 'rrrr', moveCount: 4 });
+
+            game.jumpToMove(1);
+            expect(position()).toMatchObject({ solution: 'r', canUndo: true, canRedo: true });
+            game.jumpToMove(3);
+            expect(position()).toMatchObject({ solution: 'rrr', canRedo: true });
+
+            // The path is now three steps: 'r', 'rr' and 'r'
+            game.undo();
+            expect(position().solution).toBe('r');
+            game.redo();
+            game.redo();
+            expect(position()).toMatchObject({ solution: 'rrrr', canRedo: false });
+
+            // A new move from the middle of the path drops the rest of it
+            game.jumpToMove(2);
+            play(game, 'd');
+            expect(position()).toMatchObject({ solution: 'rrd', moveCount: 3, canRedo: false });
+        });
+    });
+});
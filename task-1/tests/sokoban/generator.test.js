@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DIFFICULTIES,
+    createRandom,
+    normalizeSeed,
+    generateLevel,
+    rateLevel,
+    getDifficultyForScore
+} from '../../src/sokoban/generator.js';
+import { parseLevel, moveLurd, isSolved } from '../../src/sokoban/engine.js';
+import { validateLevelMap } from '../../src/sokoban/xsb.js';
+import { solvePuzzle, createSolverPuzzle } from '../../src/sokoban/solver.js';
+
+describe('createRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const a = createRandom('seed');
+        const b = createRandom('seed');
+        const c = createRandom('other');
+        const first = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(first);
+        expect([c(), c(), c()]).not.toEqual(first);
+        first.forEach(n => {
+            expect(n).toBeGreaterThanOrEqual(0);
+            expect(n).toBeLessThan(1);
+        });
+    });
+
+    it('treats retyped seeds alike', () => {
+        expect(normalizeSeed('  K3x9QA ')).toBe('k3x9qa');
+    });
+});
+
+describe('generateLevel', () => {
+    it('regenerates exactly the same level from a seed', () => {
+        const level = generateLevel('share-me', 'medium');
+        expect(generateLevel(' SHARE-ME', 'medium')).toEqual(level);
+        expect(generateLevel('share-me', 'easy').map).not.toEqual(level.map);
+        expect(level.name).toBe('Medium #share-me');
+    });
+
+    it.each(Object.keys(DIFFICULTIES))('makes a valid, solvable %s level', (difficulty) => {
+        const level = generateLevel('test', difficulty);
+        expect(validateLevelMap(level.map)).toEqual([]);
+        expect(level.rating.difficulty).toBe(difficulty);
+
+        // Play the solution through the engine rather than trusting the generator
+        const start = parseLevel(level.map);
+        const result = solvePuzzle(createSolverPuzzle(start), { maxNodes: 200000, timeLimitMs: 20000 });
+        expect(result.status).toBe('solved');
+        expect(result.pushes).toBe(level.rating.pushes);
+        const end = [...result.solution].reduce(moveLurd, start);
+        expect(isSolved(end)).toBe(true);
+    });
+
+    it('rejects unknown difficulties', () => {
+        expect(() => generateLevel('test', 'impossible')).toThrow(/Unknown difficulty/);
+    });
+});
+
+describe('rateLevel', () => {
+    const state = parseLevel([
+        '#######',
+        '#@$  .#',
+        '#  $ .#',
+        '#######'
+    ]);
+
+    it('counts pushes and box lines', () => {
+        // Box 1 right three times (one line), then box 2 right twice (another)
+        const rating = rateLevel(state, 'RRRlldrRR', 10);
+        expect(rating.pushes).toBe(5);
+        expect(rating.boxLines).toBe(2);
+        expect(rating.nodes).toBe(10);
+        expect(rating.difficulty).toBe('easy');
+    });
+
+    it('splits a box line when the push direction changes', () => {
+        const level = parseLevel([
+            '######',
+            '#@$  #',
+            '#    #',
+            '#   .#',
+            '######'
+        ]);
+        expect(rateLevel(level, 'RRurDD', 1).boxLines).toBe(2);
+    });
+});
+
+describe('getDifficultyForScore', () => {
+    it('maps scores to the difficulty bands', () => {
+        expect(getDifficultyForScore(0)).toBe('easy');
+        expect(getDifficultyForScore(DIFFICULTIES.medium.minScore)).toBe('medium');
+        expect(getDifficultyForScore(DIFFICULTIES.hard.minScore + 100)).toBe('hard');
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { LEVELS, hasUsualRules } from '../../src/sokoban/levels.js';
+import { parseLevel, moveLurd, switchPlayer, isSolved } from '../../src/sokoban/engine.js';
+import { validateLevelMap } from '../../src/sokoban/xsb.js';
+import { solvePuzzle, createSolverPuzzle } from '../../src/sokoban/solver.js';
+
+const SOLVER_BUDGET = { maxNodes: 200000, timeLimitMs: 20000 };
+
+describe('shipped levels', () => {
+    it('has at least two levels', () => {
+        expect(LEVELS.length).toBeGreaterThanOrEqual(2);
+    });
+
+    it.each(LEVELS.map(level => [level.name, level]))('%s is a valid map', (_, level) => {
+        expect(validateLevelMap(level.map)).toEqual([]);
+        const state = parseLevel(level.map);
+        expect(state.boxes.length).toBe(state.goals.length);
+        expect(isSolved(state)).toBe(false);
+        expect(isSolved(parseLevel(level.map, level.variant))).toBe(false);
+    });
+
+    it.each(LEVELS.filter(hasUsualRules).map(level => [level.name, level]))('%s can be solved in its optimal pushes', (_, level) => {
+        const start = parseLevel(level.map);
+        const result = solvePuzzle(createSolverPuzzle(start), SOLVER_BUDGET);
+        expect(result.status).toBe('solved');
+        expect(result.pushes).toBe(level.optimalPushes);
+
+        // Play the solution through the engine rather than trusting the solver
+        let state = start;
+        for (const letter of result.solution) {
+            const next = moveLurd(state, letter);
+            expect(next).not.toBe(state);
+            state = next;
+        }
+        expect(isSolved(state)).toBe(true);
+    });
+
+    // The solver only knows the usual rules, so these are checked with known solutions
+    it.each([
+        ['Two Rooms', [[0, 'rUruL'], [1, 'lluRurDD']]],
+        ['Pull Back', [[0, 'rrruullUldUldL']]]
+    ])('%s can be solved by its own rules', (name, turns) => {
+        const level = LEVELS.find(l => l.name === name);
+        expect(hasUsualRules(level)).toBe(false);
+        let state = parseLevel(level.map, level.variant);
+        for (const [player, moves] of turns) {
+            state = switchPlayer(state, player);
+            for (const letter of moves) {
+                const next = moveLurd(state, letter);
+                expect(next).not.toBe(state);
+                state = next;
+            }
+        }
+        expect(isSolved(state)).toBe(true);
+    });
+});
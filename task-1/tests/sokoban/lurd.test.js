@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseLurd, compressLurd, verifyLurd } from '../../src/sokoban/lurd.js';
+
+const MAP = ['#######', '#.$@$.#', '#######'];
+
+describe('parseLurd', () => {
+    it('expands run-length counts and ignores whitespace', () => {
+        expect(parseLurd('2l\nr')).toEqual({ moves: 'llr', error: null });
+    });
+
+    it('rejects unknown characters and dangling counts', () => {
+        expect(parseLurd('lx').error).toMatch(/Unexpected character 'x'/);
+        expect(parseLurd('l3').error).toMatch(/repeat count/);
+        expect(parseLurd('  ').error).toBe('No moves found.');
+    });
+});
+
+describe('compressLurd', () => {
+    it('counts runs of the same move, keeping pushes apart from moves', () => {
+        expect(compressLurd('rrrUUuld')).toBe('3r2Uuld');
+        expect(parseLurd(compressLurd('llllLLd')).moves).toBe('llllLLd');
+    });
+});
+
+describe('verifyLurd', () => {
+    it('corrects the case of each letter to the actual pushes', () => {
+        const verdict = verifyLurd(MAP, 'lrr');
+        expect(verdict.moves).toBe('LrR');
+        expect(verdict.solved).toBe(true);
+        expect(verdict.pushes).toBe(2);
+    });
+
+    it('does not accept an unfinished solution', () => {
+        const verdict = verifyLurd(MAP, 'L');
+        expect(verdict.solved).toBe(false);
+        expect(verdict.goalsFilled).toBe(1);
+        expect(verdict.goalCount).toBe(2);
+    });
+
+    it('flags the first illegal move', () => {
+        expect(verifyLurd(MAP, 'LL').illegal).toEqual({ index: 1, letter: 'L', reason: 'pushes a box into a wall' });
+        expect(verifyLurd(['#####', '#@$$#', '#####'], 'R').illegal.reason).toBe('pushes a box into another box');
+        expect(verifyLurd(MAP, 'u').illegal.reason).toBe('walks into a wall');
+    });
+
+    it('counts moves made after the level was solved', () => {
+        expect(verifyLurd(MAP, 'LrRll').extraMoves).toBe(2);
+    });
+
+    it('moves the players named in the player log on a Multiban map', () => {
+        const map = ['#######', '#.$@ @#', '#######'];
+        expect(verifyLurd(map, 'L').illegal).toBeNull();
+        expect(verifyLurd(map, 'lL', { playerLog: '10' })).toMatchObject({ moves: 'lL', playerLog: '10', solved: true });
+        expect(verifyLurd(map, 'll', { playerLog: '11' }).illegal.reason).toBe('walks into another player');
+        expect(verifyLurd(map, 'l', { playerLog: '2' }).illegal.reason).toBe('is made by player 3, who is not on the map');
+    });
+
+    it('plays by the rules of the variant', () => {
+        const map = ['######', '# @$.#', '######'];
+        expect(verifyLurd(map, 'rL', { variant: 'reverse' })).toMatchObject({ moves: 'rL', solved: true, pushes: 1 });
+        expect(verifyLurd(map, 'rL').extraMoves).toBe(1);
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { parseLevel } from '../../src/sokoban/engine.js';
+import { findWalkPath, findPushPath, findPushTargets } from '../../src/sokoban/pathfinding.js';
+
+describe('pathfinding', () => {
+    const { grid } = parseLevel(['#####', '#   #', '#   #', '#####']);
+    const boxes = [{ x: 2, y: 1 }];
+
+    it('walks around boxes', () => {
+        expect(findWalkPath(grid, boxes, { x: 1, y: 1 }, { x: 3, y: 1 })).toBe('drru');
+        expect(findWalkPath(grid, boxes, { x: 1, y: 1 }, { x: 1, y: 1 })).toBe('');
+        expect(findWalkPath(grid, boxes, { x: 1, y: 1 }, { x: 0, y: 1 })).toBeNull();
+    });
+
+    it('walks behind a box to push it', () => {
+        expect(findPushPath(grid, boxes, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 1 })).toBe('drruL');
+    });
+
+    it('does not push a box into a wall', () => {
+        expect(findPushPath(grid, boxes, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 })).toBeNull();
+    });
+
+    it('finds every cell a box can be pushed to', () => {
+        const targets = findPushTargets(grid, boxes, { x: 1, y: 1 }, { x: 2, y: 1 });
+        expect(targets.map(({ x, y }) => `${x},${y}`).sort()).toEqual(['1,1', '3,1']);
+
+        // From the middle of a bigger room the box can reach every other cell, corners included
+        const room = parseLevel(['######', '#    #', '#    #', '#    #', '######']);
+        const middle = findPushTargets(room.grid, [{ x: 2, y: 2 }], { x: 1, y: 1 }, { x: 2, y: 2 });
+        expect(middle).toHaveLength(11);
+        expect(middle).toContainEqual({ x: 4, y: 3 });
+    });
+});
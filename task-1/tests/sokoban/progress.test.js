@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createEmptyProgress, getLevelKey, recordLevelSolve, recordAssistedSolve, exportProgress, importProgress
+} from '../../src/sokoban/progress.js';
+
+describe('progress records', () => {
+    it('keys levels by their map', () => {
+        const level = { name: 'A', map: ['###', '#@#', '###'] };
+        expect(getLevelKey(level)).toBe(getLevelKey({ ...level, name: 'B' }));
+        expect(getLevelKey(level)).not.toBe(getLevelKey({ name: 'A', map: ['###', '#@ ', '###'] }));
+    });
+
+    it('keeps moves and pushes as separate bests', () => {
+        const progress = createEmptyProgress();
+        expect(recordLevelSolve(progress, 'L1', 20, 5).firstSolve).toBe(true);
+
+        const record = recordLevelSolve(progress, 'L1', 18, 7);
+        expect(record).toMatchObject({ firstSolve: false, newBestMoves: true, newBestPushes: false });
+        expect(progress.levels.L1).toMatchObject({ bestMoves: 18, bestPushes: 5 });
+    });
+
+    it('marks assisted solves without setting bests', () => {
+        const progress = createEmptyProgress();
+        recordAssistedSolve(progress, 'L1');
+        expect(progress.levels.L1).toMatchObject({ solved: true, bestMoves: null, bestPushes: null });
+    });
+});
+
+describe('progress backup', () => {
+    it('merges a backup keeping the better record', () => {
+        const backup = createEmptyProgress();
+        recordLevelSolve(backup, 'L1', 10, 9);
+        recordLevelSolve(backup, 'L2', 30, 4);
+
+        const progress = createEmptyProgress();
+        recordLevelSolve(progress, 'L1', 12, 3);
+
+        expect(importProgress(progress, exportProgress(backup))).toBe(2);
+        expect(progress.levels.L1).toMatchObject({ bestMoves: 10, bestPushes: 3 });
+        expect(progress.levels.L2).toMatchObject({ bestMoves: 30, bestPushes: 4 });
+    });
+
+    it('rejects files that are not backups', () => {
+        const progress = createEmptyProgress();
+        expect(() => importProgress(progress, 'not json')).toThrow('The file is not valid JSON.');
+        expect(() => importProgress(progress, '{}')).toThrow('The file is not a Sokoban progress backup.');
+        expect(() => importProgress(progress, '{"version":99,"levels":{}}')).toThrow(/newer version/);
+    });
+});
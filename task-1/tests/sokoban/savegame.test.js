@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createEmptySavedGames,
+    getSavedGame,
+    setSavedGame,
+    removeSavedGame,
+    createPositionSearch,
+    readPositionSearch
+} from '../../src/sokoban/savegame.js';
+import { getLevelKey } from '../../src/sokoban/progress.js';
+
+const LEVEL = { name: 'Test', map: ['#########', '#. $@$ .#', '#########'] };
+const KEY = getLevelKey(LEVEL);
+const STATE = { history: ['L', { reset: 'L', assistedBy: null }, 'r'], redo: [], assistedBy: null, timeMs: 1500 };
+
+describe('saved games', () => {
+    it('keeps a game per level until it is removed', () => {
+        const saves = createEmptySavedGames();
+        setSavedGame(saves, KEY, STATE, 100);
+        expect(getSavedGame(saves, KEY)).toEqual(STATE);
+        expect(getSavedGame(saves, 'other')).toBeNull();
+
+        removeSavedGame(saves, KEY);
+        expect(getSavedGame(saves, KEY)).toBeNull();
+    });
+
+    it('ignores malformed histories', () => {
+        const saves = createEmptySavedGames();
+        setSavedGame(saves, KEY, { ...STATE, history: ['Lx'] });
+        expect(getSavedGame(saves, KEY)).toBeNull();
+        setSavedGame(saves, KEY, { ...STATE, redo: null });
+        expect(getSavedGame(saves, KEY)).toBeNull();
+    });
+
+    it('keeps player switches and who made the moves before a reset', () => {
+        const saves = createEmptySavedGames();
+        const multiban = {
+            ...STATE,
+            history: [{ switchPlayer: 1, from: 0 }, 'l', { reset: 'l', playerLog: '1', activePlayer: 1, assistedBy: null }]
+        };
+        setSavedGame(saves, KEY, multiban);
+        expect(getSavedGame(saves, KEY)).toEqual(multiban);
+        setSavedGame(saves, KEY, { ...STATE, history: [{ switchPlayer: 'next', from: 0 }] });
+        expect(getSavedGame(saves, KEY)).toBeNull();
+    });
+
+    it('drops the least recently saved games beyond the limit', () => {
+        const saves = createEmptySavedGames();
+        for (let i = 0; i < 25; i++) {
+            setSavedGame(saves, `L${i}`, STATE, i);
+        }
+        expect(Object.keys(saves.games)).toHaveLength(20);
+        expect(getSavedGame(saves, 'L4')).toBeNull();
+        expect(getSavedGame(saves, 'L5')).not.toBeNull();
+    });
+});
+
+describe('position links', () => {
+    const read = search => readPositionSearch(new URLSearchParams(search), LEVEL);
+
+    it('round-trips the moves with run-length counts', () => {
+        const search = createPositionSearch(KEY, 'LLrr');
+        expect(search).toBe(`key=${KEY}&moves=2L2r`);
+        expect(read(search)).toEqual({ moves: 'LLrr', history: ['LLrr'], error: null });
+    });
+
+    it('says which player made each move on a Multiban level', () => {
+        const level = { name: 'Two', map: ['#######', '#@$ .##', '#######', '##. $@#', '#######'] };
+        const key = getLevelKey(level);
+        const search = createPositionSearch(key, 'RlL', '001');
+        expect(search).toBe(`key=${key}&moves=RlL&players=2ab`);
+        expect(readPositionSearch(new URLSearchParams(search), level)).toEqual({
+            moves: 'RlL',
+            history: ['Rl', { switchPlayer: 1, from: 0 }, 'L'],
+            error: null
+        });
+
+        // Without the players every move is the first player's
+        expect(readPositionSearch(new URLSearchParams(`key=${key}&moves=RlL`), level).error)
+            .toBe('The position does not fit this level: move 3 walks into a wall.');
+        expect(readPositionSearch(new URLSearchParams(`key=${key}&moves=RlL&players=2a`), level).error)
+            .toMatch(/does not name a player for every move/);
+        expect(readPositionSearch(new URLSearchParams(`key=${key}&moves=RlL&players=2a1z`), level).error)
+            .toMatch(/damaged/);
+        expect(readPositionSearch(new URLSearchParams(`key=${key}&moves=RlL&players=2a1c`), level).error)
+            .toBe('The position does not fit this level: move 3 is made by player 3, who is not on the map.');
+    });
+
+    it('leaves the players out when the first player made every move', () => {
+        expect(createPositionSearch(KEY, 'LLrr', '0000')).toBe(`key=${KEY}&moves=2L2r`);
+    });
+
+    it('plays reverse levels by their own rules', () => {
+        const level = { name: 'Pull', variant: 'reverse', map: ['######', '# @$.#', '######'] };
+        const key = getLevelKey(level);
+        expect(readPositionSearch(new URLSearchParams(`key=${key}&moves=rL`), level))
+            .toEqual({ moves: 'rL', history: ['rL'], error: null });
+    });
+
+    it('is null without a position', () => {
+        expect(read('')).toBeNull();
+    });
+
+    it('explains links that do not fit the level', () => {
+        expect(read('key=Lother&moves=L').error).toMatch(/different level/);
+        expect(read('moves=Lx').error).toMatch(/damaged/);
+        expect(read('moves=LLL').error).toBe('The position does not fit this level: move 3 pushes a box into a wall.');
+        expect(read('moves=LLrrRRl').error).toMatch(/after the level is solved/);
+    });
+
+    it('corrects the case of pushes', () => {
+        expect(read('moves=llrrr').moves).toBe('LLrrR');
+    });
+});
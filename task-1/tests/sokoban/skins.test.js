@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { THEMES, DEFAULT_THEME, getTheme, getSpriteLayout } from '../../src/sokoban/skins.js';
+
+describe('themes', () => {
+    it('finds themes by id and falls back to the default', () => {
+        expect(getTheme('dark').name).toBe('Dark');
+        expect(getTheme('no-such-theme')).toBe(DEFAULT_THEME);
+    });
+
+    it('gives every theme the full palette', () => {
+        const keys = Object.keys(DEFAULT_THEME.colors).sort();
+        THEMES.forEach(theme => {
+            expect(Object.keys(theme.colors).sort()).toEqual(keys);
+        });
+    });
+
+    it('has themes that do not rely on colour alone', () => {
+        expect(getTheme('colour-blind').patterns).toBe(true);
+        expect(getTheme('high-contrast').patterns).toBe(true);
+    });
+});
+
+describe('getSpriteLayout', () => {
+    it('cuts a 4 × N sheet into square cells', () => {
+        expect(getSpriteLayout(128, 64)).toEqual({ cellSize: 32, rows: 2 });
+        expect(getSpriteLayout(256, 448)).toEqual({ cellSize: 64, rows: 7 });
+    });
+
+    it('explains images that do not fit the layout', () => {
+        expect(() => getSpriteLayout(130, 64)).toThrow(/divide by 4/);
+        expect(() => getSpriteLayout(128, 70)).toThrow(/whole number/);
+        expect(() => getSpriteLayout(128, 32)).toThrow(/at least 2 rows/);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createEmptyStats,
+    recordAttempt,
+    summarizeAttempts,
+    getSolveTimes,
+    getEfficiency,
+    getMostRetried,
+    exportStatsCsv,
+    exportStatsJson
+} from '../../src/sokoban/stats.js';
+
+function attempt(levelKey, changes = {}) {
+    return {
+        levelKey,
+        levelName: `Level ${levelKey}`,
+        endedAt: Date.UTC(2026, 9, 19),
+        timeMs: 60000,
+        moves: 20,
+        pushes: 10,
+        undos: 0,
+        resets: 0,
+        solved: true,
+        assistedBy: null,
+        ...changes
+    };
+}
+
+describe('statistics', () => {
+    it('drops the oldest attempts beyond the limit', () => {
+        const stats = createEmptyStats();
+        for (let i = 0; i < 2005; i++) {
+            recordAttempt(stats, attempt('a', { endedAt: i }));
+        }
+        expect(stats.attempts).toHaveLength(2000);
+        expect(stats.attempts[0].endedAt).toBe(5);
+    });
+
+    it('totals every attempt but counts only unassisted solves', () => {
+        const totals = summarizeAttempts([
+            attempt('a', { undos: 2 }),
+            attempt('a', { solved: false, resets: 3, timeMs: 1000 }),
+            attempt('b', { assistedBy: 'auto-solve' })
+        ]);
+        expect(totals).toEqual({
+            attempts: 3, solves: 1, timeMs: 121000, moves: 60, pushes: 30, undos: 2, resets: 3
+        });
+    });
+
+    it('numbers the latest solve times from the first solve', () => {
+        const attempts = [1, 2, 3, 4].map(n => attempt('a', { timeMs: n * 1000 }));
+        attempts.splice(1, 0, attempt('a', { solved: false }));
+        expect(getSolveTimes(attempts, 2).map(({ solve, timeMs }) => [solve, timeMs])).toEqual([[3, 3000], [4, 4000]]);
+    });
+
+    it('measures solves against the best known push count', () => {
+        const attempts = [
+            attempt('a', { pushes: 10 }),
+            attempt('a', { pushes: 20 }),
+            attempt('b', { pushes: 8 }),
+            attempt('b', { pushes: 6, assistedBy: 'replay' })
+        ];
+        const [a, b] = getEfficiency(attempts, { a: 5 });
+        expect(a).toMatchObject({ solves: 2, bestPushes: 10, bestKnownPushes: 5, bestEfficiency: 0.5 });
+        expect(a.averageEfficiency).toBeCloseTo(0.375);
+        // Without a known optimum the player's own best is the benchmark
+        expect(b).toMatchObject({ solves: 1, bestPushes: 8, bestKnownPushes: 8, bestEfficiency: 1 });
+    });
+
+    it('ranks levels by retries', () => {
+        const retried = getMostRetried([
+            attempt('a', { resets: 1 }),
+            attempt('b', { solved: false }),
+            attempt('b', { resets: 2 }),
+            attempt('c')
+        ]);
+        expect(retried.map(({ levelKey, retries, attempts, solves }) => [levelKey, retries, attempts, solves]))
+            .toEqual([['b', 3, 2, 1], ['a', 1, 1, 1]]);
+    });
+
+    it('exports CSV with quoted fields and JSON', () => {
+        const stats = createEmptyStats();
+        recordAttempt(stats, attempt('a', { levelName: 'Say "hi", then go' }));
+        const lines = exportStatsCsv(stats).trim().split('\r\n');
+        expect(lines[0]).toBe('endedAt,levelName,levelKey,solved,assistedBy,timeMs,moves,pushes,undos,resets');
+        expect(lines[1]).toBe('2026-10-19T00:00:00.000Z,"Say ""hi"", then go",a,true,,60000,20,10,0,0');
+        expect(JSON.parse(exportStatsJson(stats)).attempts).toEqual(stats.attempts);
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { parseLevelCollection, formatLevelAsJs, formatLevelAsXsb } from '../../src/sokoban/xsb.js';
+
+describe('parseLevelCollection', () => {
+    it('imports valid levels and reports broken ones with line numbers', () => {
+        const collection = parseLevelCollection('Title: Test\n\n; One\n\n#####\n#@$.#\n#####\n\n; Broken\n\n####\n#$.#\n####');
+        expect(collection.title).toBe('Test');
+        expect(collection.levels.map(level => level.name)).toEqual(['One']);
+        expect(collection.errors).toHaveLength(1);
+        expect(collection.errors[0].line).toBe(11);
+    });
+
+    it('rejects a board that is not enclosed', () => {
+        expect(parseLevelCollection('#####\n#@$.\n#####').errors).toHaveLength(1);
+    });
+
+    it('expands run-length rows and alternative floor characters', () => {
+        const collection = parseLevelCollection('5#\n#@$.#\n#-_-#\n5#');
+        expect(collection.levels[0].map).toEqual(['#####', '#@$.#', '#   #', '#####']);
+    });
+
+    it('reads Multiban boards and the Variant: key', () => {
+        const collection = parseLevelCollection('######\n#@$.@#\n######\nVariant: Reverse\n\n#####\n#@$.#\n#####\nVariant: sideways');
+        expect(collection.levels).toEqual([{ name: 'Imported #1', map: ['######', '#@$.@#', '######'], variant: 'reverse' }]);
+        expect(collection.errors).toEqual([{ line: 9, level: 'Imported #2', message: "Unknown variant 'sideways'" }]);
+    });
+});
+
+describe('level export', () => {
+    const level = { name: 'Test', map: ['#####', '#@$.#', '#####'] };
+
+    it('writes XSB that imports back unchanged', () => {
+        const collection = parseLevelCollection(formatLevelAsXsb(level));
+        expect(collection.levels[0].map).toEqual(level.map);
+        expect(collection.levels[0].name).toBe('Test');
+    });
+
+    it('keeps the variant', () => {
+        const reverse = { ...level, variant: 'reverse' };
+        expect(parseLevelCollection(formatLevelAsXsb(reverse)).levels[0].variant).toBe('reverse');
+        expect(formatLevelAsJs(reverse)).toContain('variant: "reverse"');
+    });
+
+    it('writes a levels.js entry', () => {
+        const js = formatLevelAsJs(level);
+        expect(js).toContain('name: "Test"');
+        expect(js).toContain('"#@$.#"');
+    });
+});
@@ -0,0 +1,125 @@
+// Tap Sprint game modes: the room settings the host picks, and how a round and
+// a match of several rounds are scored under them.
+//
+// settings: {
+//   mode: 'sprint' | 'race',   // sprint: most taps in durationMs wins; race: first to targetTaps wins
+//   durationMs,                // the tap window; in a race, the time limit
+//   targetTaps,                // race only
+//   rounds,                    // rounds in a match; taps add up over the match
+//   teamCount                  // 0 for every player on their own, or 2-4 teams whose taps are summed
+// }
+
+const MODES = ['sprint', 'race'];
+const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Yellow'];
+
+const DEFAULT_SETTINGS = {
+  mode: 'sprint',
+  durationMs: 15_000,
+  targetTaps: 50,
+  rounds: 1,
+  teamCount: 0,
+};
+
+// Allowed range of each numeric setting
+const LIMITS = {
+  durationMs: [5_000, 60_000],
+  targetTaps: [10, 500],
+  rounds: [1, 9],
+  teamCount: [0, TEAM_NAMES.length],
+};
+
+/**
+ * The settings with `changes` applied, or { error: 'invalid_settings' } if
+ * `changes` is not an object or a change is unknown or out of range.
+ * Returns { settings }.
+ */
+function applySettings(current, changes = {}) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return { error: 'invalid_settings' };
+  const settings = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === 'mode') {
+      if (!MODES.includes(value)) return { error: 'invalid_settings' };
+    } else if (LIMITS[key]) {
+      const [min, max] = LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) return { error: 'invalid_settings' };
+      if (key === 'teamCount' && value === 1) return { error: 'invalid_settings' };
+    } else {
+      return { error: 'invalid_settings' };
+    }
+    settings[key] = value;
+  }
+  return { settings };
+}
+
+// The team with the fewest players, for a new player; lowest index on a tie
+function pickTeam(players, teamCount) {
+  if (!teamCount) return null;
+  const sizes = new Array(teamCount).fill(0);
+  for (const p of players) {
+    if (p.team !== null && p.team < teamCount) sizes[p.team] += 1;
+  }
+  return sizes.indexOf(Math.min(...sizes));
+}
+
+// Taps summed per team, most first: [{ team, name, taps, players: [playerId] }]
+function sumTeams(scores, teamCount) {
+  const teams = TEAM_NAMES.slice(0, teamCount).map((name, team) => ({ team, name, taps: 0, players: [] }));
+  for (const s of scores) {
+    if (s.team === null || !teams[s.team]) continue;
+    teams[s.team].taps += s.taps;
+    teams[s.team].players.push(s.playerId);
+  }
+  return teams.sort((a, b) => b.taps - a.taps);
+}
+
+/**
+ * Rank a round or match: `scores` are [{ playerId, username, team, taps }].
+ * Returns { scores, winner, teams, winningTeam } with scores most taps first.
+ * In team mode `teams` is from sumTeams() and `winningTeam` the index of the
+ * team with most taps; otherwise both are null. A race ends the moment the
+ * target is reached, so most taps is also the winner there.
+ */
+function scoreRound(scores, settings) {
+  const sorted = scores.slice().sort((a, b) => b.taps - a.taps);
+  const teams = settings.teamCount ? sumTeams(sorted, settings.teamCount) : null;
+  return {
+    scores: sorted,
+    winner: sorted[0] || null,
+    teams,
+    winningTeam: teams && teams[0] ? teams[0].team : null,
+  };
+}
+
+// Whether a tap by `player` ends a race: they, or their team, reached the target
+function hasReachedTarget(players, player, settings) {
+  if (settings.mode !== 'race') return false;
+  if (!settings.teamCount) return player.taps >= settings.targetTaps;
+  const teamTaps = players.filter((p) => p.team === player.team).reduce((sum, p) => sum + p.taps, 0);
+  return teamTaps >= settings.targetTaps;
+}
+
+// Add a round's scores to the match totals: { round, totals: { [playerId]: { playerId, username, team, taps } } }
+function addRoundToMatch(match, scores) {
+  for (const s of scores) {
+    const total = match.totals[s.playerId] || { playerId: s.playerId, username: s.username, team: s.team, taps: 0 };
+    total.team = s.team;
+    total.taps += s.taps;
+    match.totals[s.playerId] = total;
+  }
+}
+
+function createMatch() {
+  return { round: 0, totals: {} };
+}
+
+module.exports = {
+  MODES,
+  TEAM_NAMES,
+  DEFAULT_SETTINGS,
+  applySettings,
+  pickTeam,
+  scoreRound,
+  hasReachedTarget,
+  addRoundToMatch,
+  createMatch,
+};
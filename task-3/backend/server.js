@@ -1,35 +1,85 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const cors = require('cors');
 const { Server } = require('socket.io');
+const { createSokobanRouter } = require('./sokoban');
+const { createGameStore, rankScores, rankRaceTimes, getGameMode, getPlayerStats } = require('./store');
+const {
+  MODES,
+  DEFAULT_SETTINGS,
+  applySettings,
+  pickTeam,
+  scoreRound,
+  hasReachedTarget,
+  addRoundToMatch,
+  createMatch,
+} = require('./modes');
 
 // Configuration
 const PORT = process.env.PORT || 3001;
-const TAP_WINDOW_MS = 15_000; // 15 seconds
-const MAX_LEADERBOARD_GAMES = 50;
+const RECONNECT_GRACE_MS = Number(process.env.TAP_SPRINT_GRACE_MS) || 30_000; // how long a dropped player keeps their place
+const COUNTDOWN_MS = 3_000; // 3-2-1 between game_start and the first counted tap
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const RECENT_GAMES = 10;
+
+// Leaderboard time windows: when each one starts, given the current time
+const WINDOWS = {
+  today: (now) => new Date(now).setHours(0, 0, 0, 0), // since midnight, server time
+  week: (now) => now - 7 * DAY_MS,
+  all: () => 0,
+};
 
 // In-memory state
 // games: gameId -> {
-//   status: 'lobby' | 'running' | 'ended',
-//   players: Map<playerId, { playerId, username, socketId, taps }>,
+//   status: 'lobby' | 'running' | 'ended',   // 'running' includes the countdown before startTime
+//   hostId: string|null,                 // the player who may start, kick and lock; the first joiner
+//   locked: boolean,                     // no new players may join
+//   autoStart: boolean,                  // start as soon as every player is ready
+//   settings: object,                    // game mode chosen by the host, see modes.js
+//   match: { round, totals }|null,       // rounds played so far and taps summed over them
+//   players: Map<playerId, {             // in the order they joined
+//     playerId, username, socketId, taps,
+//     team: number|null,                 // index into TEAM_NAMES in team mode
+//     ready: boolean,
+//     sessionToken,                      // lets a new socket take the player over (resume_session)
+//     connected: boolean,
+//     graceHandle: NodeJS.Timeout|null,  // removes the player if they do not come back
+//     left: boolean                      // grace ran out mid-game; removed once the results are in
+//   }>,
 //   startTime: number|null,
-//   endTime: number|null,
-//   timeoutHandle: NodeJS.Timeout|null
+//   endTime: number|null,                // end of the tap window; a race can finish earlier
+//   finishTime: number|null,             // when a race's target was reached
+//   timeoutHandle: NodeJS.Timeout|null,
+//   results: object|null                 // the last game_results payload, for players who resume
 // }
 const games = new Map();
 
-// Keep recent finished games to build a leaderboard
-// items: { gameId, timestamp, winner: { playerId, username, taps }, scores: [{ playerId, username, taps }] }
-const recentGames = [];
+// sessionToken -> { gameId, playerId }
+const sessions = new Map();
+
+// Every finished game, kept for the leaderboard and player stats (see store.js)
+// items: one per round, { gameId, timestamp, mode, durationMs, targetTaps, finishMs, round, rounds,
+//   teamCount, winner, winningTeam, scores: [{ playerId, username, team, taps }] }
+const gameStore = createGameStore();
 
 function createGameIfMissing(gameId) {
   if (!games.has(gameId)) {
     games.set(gameId, {
       status: 'lobby',
+      hostId: null,
+      locked: false,
+      autoStart: false,
+      settings: { ...DEFAULT_SETTINGS },
+      match: null,
       players: new Map(),
       startTime: null,
       endTime: null,
+      finishTime: null,
       timeoutHandle: null,
+      results: null,
     });
   }
   return games.get(gameId);
@@ -39,42 +89,195 @@ function generateId(prefix = 'id') {
   return `${prefix}_${Math.random().toString(36).slice(2, 10)}${Date.now().toString(36).slice(-4)}`;
 }
 
+// Session tokens stand in for the player, so unlike ids they must not be guessable
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Socket payloads come straight from clients: anything but an object counts as empty
+function readPayload(payload) {
+  return payload && typeof payload === 'object' ? payload : {};
+}
+
+// The lobby as every client sees it: sent in lobby_update and the resume_session ack
+function getLobby(gameId, game) {
+  return {
+    gameId,
+    hostId: game.hostId,
+    locked: game.locked,
+    autoStart: game.autoStart,
+    settings: game.settings,
+    round: game.match ? game.match.round : 0, // of the match under way, or the last one
+    players: Array.from(game.players.values()).map((p) => ({
+      playerId: p.playerId,
+      username: p.username,
+      team: p.team,
+      connected: p.connected,
+      ready: p.ready,
+    })),
+  };
+}
+
+function emitLobbyUpdate(gameId, game) {
+  io.to(gameId).emit('lobby_update', getLobby(gameId, game));
+}
+
+function findPlayerBySocket(game, socketId) {
+  return Array.from(game.players.values()).find((p) => p.socketId === socketId) || null;
+}
+
+// Host-only actions come from the host's own socket; returns an error code, or null if allowed
+function checkHost(game, socketId) {
+  if (!game) return 'unknown_game';
+  const player = findPlayerBySocket(game, socketId);
+  if (!player) return 'not_in_game';
+  if (player.playerId !== game.hostId) return 'not_host';
+  return null;
+}
+
+// Hand the host role to whoever has been in the room longest, preferring a connected player
+function handOverHost(game) {
+  const remaining = Array.from(game.players.values());
+  const next = remaining.find((p) => p.connected) || remaining[0];
+  game.hostId = next ? next.playerId : null;
+}
+
+function removePlayer(gameId, game, playerId) {
+  const player = game.players.get(playerId);
+  if (!player) return;
+  clearTimeout(player.graceHandle);
+  sessions.delete(player.sessionToken);
+  game.players.delete(playerId);
+  if (game.hostId === playerId) handOverHost(game);
+  emitLobbyUpdate(gameId, game);
+}
+
+// A match is under way between its rounds; settings stay fixed until it is over
+function isMatchInProgress(game) {
+  return Boolean(game.match && game.match.round > 0 && game.match.round < game.settings.rounds);
+}
+
+// Start a round: game_start goes out now with a startTime COUNTDOWN_MS ahead, so every
+// client counts 3-2-1 to the same server instant. Taps before startTime are not counted.
+function startGame(gameId, game) {
+  // Reset all players' tap counts for a fresh round
+  for (const p of game.players.values()) {
+    p.taps = 0;
+  }
+  if (!isMatchInProgress(game)) {
+    game.match = createMatch();
+  }
+  game.match.round += 1;
+
+  game.status = 'running';
+  game.results = null;
+  game.startTime = Date.now() + COUNTDOWN_MS; // authoritative server start time
+  game.endTime = game.startTime + game.settings.durationMs;
+  game.finishTime = null;
+
+  // Broadcast universal start signal
+  io.to(gameId).emit('game_start', {
+    gameId,
+    startTime: game.startTime,
+    durationMs: game.settings.durationMs,
+    countdownMs: COUNTDOWN_MS,
+    settings: game.settings,
+    round: game.match.round,
+  });
+
+  // Schedule end of game
+  if (game.timeoutHandle) {
+    clearTimeout(game.timeoutHandle);
+  }
+  game.timeoutHandle = setTimeout(() => endGame(gameId, game), game.endTime - Date.now() + 5); // +5ms guard
+}
+
+function endGame(gameId, game) {
+  // Stop accepting taps and compute results
+  clearTimeout(game.timeoutHandle);
+  game.timeoutHandle = null;
+  game.status = 'ended';
+  const results = computeResults(game);
+  const { match, settings } = game;
+  addRoundToMatch(match, results.scores);
+  game.results = {
+    gameId,
+    startTime: game.startTime,
+    endTime: game.finishTime || game.endTime,
+    durationMs: settings.durationMs,
+    settings,
+    round: match.round,
+    ...results, // this round: scores, winner, teams, winningTeam
+    match: {
+      over: match.round >= settings.rounds,
+      ...scoreRound(Object.values(match.totals), settings), // taps summed over the rounds so far
+    },
+  };
+  io.to(gameId).emit('game_results', game.results);
+
+  // Record to leaderboard
+  recordGameToLeaderboard(gameId, game);
+
+  // Players who dropped out for good during the game counted until now
+  for (const p of Array.from(game.players.values())) {
+    if (p.left) removePlayer(gameId, game, p.playerId);
+  }
+
+  // Everyone readies up again for the next round
+  for (const p of game.players.values()) {
+    p.ready = false;
+  }
+  emitLobbyUpdate(gameId, game);
+}
+
+// With autoStart on, the round begins once every player in the room is ready
+function startIfAllReady(gameId, game) {
+  if (!game.autoStart || game.status === 'running' || game.players.size === 0) return;
+  if (Array.from(game.players.values()).every((p) => p.ready)) {
+    startGame(gameId, game);
+  }
+}
+
+// The round so far under the room's mode: { scores, winner, teams, winningTeam }
 function computeResults(game) {
   const scores = Array.from(game.players.values())
-    .map((p) => ({ playerId: p.playerId, username: p.username, taps: p.taps }))
-    .sort((a, b) => b.taps - a.taps);
-  const winner = scores[0] || null;
-  return { scores, winner };
+    .map((p) => ({ playerId: p.playerId, username: p.username, team: p.team, taps: p.taps }));
+  return scoreRound(scores, game.settings);
 }
 
 function recordGameToLeaderboard(gameId, game) {
-  const { scores, winner } = computeResults(game);
-  recentGames.push({
+  const { scores, winner, winningTeam } = computeResults(game);
+  const { settings } = game;
+  gameStore.addGame({
     gameId,
     timestamp: Date.now(),
+    mode: settings.mode,
+    durationMs: settings.durationMs,
+    targetTaps: settings.mode === 'race' ? settings.targetTaps : null,
+    finishMs: game.finishTime ? game.finishTime - game.startTime : null,
+    round: game.match.round,
+    rounds: settings.rounds,
+    teamCount: settings.teamCount,
     winner,
+    winningTeam,
     scores,
   });
-  if (recentGames.length > MAX_LEADERBOARD_GAMES) {
-    recentGames.shift();
-  }
 }
 
-function buildLeaderboardTopN(n = 10) {
-  // Flatten all player scores across recent games and take best N
-  const allScores = [];
-  for (const g of recentGames) {
-    for (const s of g.scores) {
-      allScores.push({ username: s.username, taps: s.taps, gameId: g.gameId, timestamp: g.timestamp });
-    }
-  }
-  allScores.sort((a, b) => b.taps - a.taps || a.timestamp - b.timestamp);
-  return allScores.slice(0, n);
+function readPositiveInt(value, fallback, max = Infinity) {
+  const n = Number.parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
 }
 
 // Server setup
 const app = express();
 app.use(cors());
+
+// Sokoban leaderboard with server-side solution checks (see sokoban.js); it parses
+// its own JSON bodies so that a malformed one gets its JSON error
+const sokobanRouter = createSokobanRouter();
+app.use('/sokoban', sokobanRouter);
+
 app.use(express.json());
 
 // Simple health check
@@ -82,14 +285,54 @@ app.get('/health', (req, res) => {
   res.json({ ok: true });
 });
 
-// Bonus: leaderboard endpoint (in-memory)
+// Best scores of all finished games: ?window=today|week|all&page=1&pageSize=10&mode=sprint|race
+// Sprints are ranked by taps among games of one duration (durationMs), races by the
+// winner's time among races to one target (targetTaps); team games and the rounds of
+// a match are left out (see isSoloGame() in store.js)
 app.get('/leaderboard', (req, res) => {
+  const window = req.query.window || 'all';
+  if (!WINDOWS[window]) {
+    return res.status(400).json({ ok: false, error: 'invalid_window', message: 'window must be "today", "week" or "all".' });
+  }
+  const mode = req.query.mode || 'sprint';
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ ok: false, error: 'invalid_mode', message: 'mode must be "sprint" or "race".' });
+  }
+  const page = readPositiveInt(req.query.page, 1);
+  const pageSize = readPositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const durationMs = readPositiveInt(req.query.durationMs, DEFAULT_SETTINGS.durationMs);
+  const targetTaps = readPositiveInt(req.query.targetTaps, DEFAULT_SETTINGS.targetTaps);
+
+  const games = gameStore.listGames({ since: WINDOWS[window](Date.now()) });
+  const board = games.filter((game) => {
+    const played = getGameMode(game);
+    if (played.mode !== mode) return false;
+    return mode === 'race' ? played.targetTaps === targetTaps : played.durationMs === durationMs;
+  });
+  const scores = mode === 'race' ? rankRaceTimes(board) : rankScores(board);
   res.json({
-    top: buildLeaderboardTopN(10),
-    recentGames: recentGames.slice(-10),
+    ok: true,
+    window,
+    mode,
+    ...(mode === 'race' ? { targetTaps } : { durationMs }),
+    page,
+    pageSize,
+    total: scores.length,
+    totalPages: Math.ceil(scores.length / pageSize),
+    top: scores.slice((page - 1) * pageSize, page * pageSize),
+    recentGames: games.slice(-RECENT_GAMES),
   });
 });
 
+// Lifetime stats of one player, across every game they finished
+app.get('/players/:username', (req, res) => {
+  const stats = getPlayerStats(gameStore, req.params.username, RECENT_GAMES);
+  if (!stats) {
+    return res.status(404).json({ ok: false, error: 'unknown_player', message: 'No finished games for this player.' });
+  }
+  res.json({ ok: true, player: stats });
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -100,8 +343,9 @@ const io = new Server(server, {
 
 io.on('connection', (socket) => {
   // join_game(username, gameId?) -> returns playerId
-  socket.on('join_game', (payload = {}, ack) => {
+  socket.on('join_game', (rawPayload, ack) => {
     try {
+      const payload = readPayload(rawPayload);
       const username = String(payload.username || '').trim();
       const gameId = String(payload.gameId || 'default');
       if (!username) {
@@ -110,96 +354,207 @@ io.on('connection', (socket) => {
       }
 
       const game = createGameIfMissing(gameId);
-      if (game.status !== 'lobby') {
+      if (game.status === 'running') {
         if (typeof ack === 'function') ack({ ok: false, error: 'game_already_started' });
         return;
       }
+      if (game.locked) {
+        if (typeof ack === 'function') ack({ ok: false, error: 'room_locked' });
+        return;
+      }
 
       const playerId = generateId('player');
+      const sessionToken = generateSessionToken();
       game.players.set(playerId, {
         playerId,
         username,
         socketId: socket.id,
         taps: 0,
+        team: pickTeam(game.players.values(), game.settings.teamCount),
+        ready: false,
+        sessionToken,
+        connected: true,
+        graceHandle: null,
+        left: false,
       });
+      sessions.set(sessionToken, { gameId, playerId });
+      if (!game.hostId) game.hostId = playerId;
       socket.join(gameId);
 
       // Notify room of lobby update
-      io.to(gameId).emit('lobby_update', {
-        gameId,
-        players: Array.from(game.players.values()).map((p) => ({ playerId: p.playerId, username: p.username })),
-      });
+      emitLobbyUpdate(gameId, game);
 
       if (typeof ack === 'function') {
-        ack({ ok: true, playerId, gameId });
+        ack({ ok: true, playerId, gameId, sessionToken });
       }
     } catch (err) {
       if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
     }
   });
 
-  // start_game() -> server triggers countdown and sends synchronized start time
-  socket.on('start_game', (payload = {}, ack) => {
+  // start_game() -> host only; server schedules the countdown and sends the synchronized start time
+  socket.on('start_game', (rawPayload, ack) => {
     try {
+      const payload = readPayload(rawPayload);
       const gameId = String(payload.gameId || 'default');
-      const game = createGameIfMissing(gameId);
-      if (game.status === 'running') {
-        if (typeof ack === 'function') ack({ ok: false, error: 'already_running' });
+      const game = games.get(gameId);
+      const error = checkHost(game, socket.id);
+      if (error) {
+        if (typeof ack === 'function') ack({ ok: false, error });
         return;
       }
-      if (game.players.size === 0) {
-        if (typeof ack === 'function') ack({ ok: false, error: 'no_players' });
+      if (game.status === 'running') {
+        if (typeof ack === 'function') ack({ ok: false, error: 'already_running' });
         return;
       }
 
-      // Reset all players' tap counts for a fresh round
-      for (const p of game.players.values()) {
-        p.taps = 0;
+      startGame(gameId, game);
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, gameId, startTime: game.startTime, durationMs: game.settings.durationMs, countdownMs: COUNTDOWN_MS });
       }
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
 
-      game.status = 'running';
-      game.startTime = Date.now(); // authoritative server start time
-      game.endTime = game.startTime + TAP_WINDOW_MS;
+  // set_ready(ready) -> the player's own ready toggle; may start the game if autoStart is on
+  socket.on('set_ready', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const gameId = String(payload.gameId || 'default');
+      const game = games.get(gameId);
+      const player = game && findPlayerBySocket(game, socket.id);
+      if (!player) {
+        if (typeof ack === 'function') ack({ ok: false, error: 'not_in_game' });
+        return;
+      }
+      if (game.status === 'running') {
+        if (typeof ack === 'function') ack({ ok: false, error: 'already_running' });
+        return;
+      }
+      player.ready = Boolean(payload.ready);
+      emitLobbyUpdate(gameId, game);
+      startIfAllReady(gameId, game);
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
 
-      // Broadcast universal start signal
-      io.to(gameId).emit('game_start', {
-        gameId,
-        startTime: game.startTime,
-        durationMs: TAP_WINDOW_MS,
-      });
+  // set_team(team) -> a player's own choice of team in team mode, between matches
+  socket.on('set_team', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const gameId = String(payload.gameId || 'default');
+      const game = games.get(gameId);
+      const player = game && findPlayerBySocket(game, socket.id);
+      let error = player ? null : 'not_in_game';
+      if (!error && game.status === 'running') error = 'already_running';
+      if (!error && isMatchInProgress(game)) error = 'match_in_progress';
+      if (!error && !(Number.isInteger(payload.team) && payload.team >= 0 && payload.team < game.settings.teamCount)) {
+        error = 'invalid_team';
+      }
+      if (error) {
+        if (typeof ack === 'function') ack({ ok: false, error });
+        return;
+      }
+      player.team = payload.team;
+      emitLobbyUpdate(gameId, game);
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
 
-      // Schedule end of game
-      if (game.timeoutHandle) {
-        clearTimeout(game.timeoutHandle);
+  // Host-only room settings: update_room({ locked?, autoStart?, settings? }); settings are the game mode (modes.js)
+  socket.on('update_room', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const gameId = String(payload.gameId || 'default');
+      const game = games.get(gameId);
+      let error = checkHost(game, socket.id);
+      if (!error && payload.settings !== undefined) {
+        if (game.status === 'running') error = 'already_running';
+        else if (isMatchInProgress(game)) error = 'match_in_progress';
       }
-      game.timeoutHandle = setTimeout(() => {
-        // Stop accepting taps and compute results
-        game.status = 'ended';
-        const results = computeResults(game);
-        io.to(gameId).emit('game_results', {
-          gameId,
-          startTime: game.startTime,
-          endTime: game.endTime,
-          durationMs: TAP_WINDOW_MS,
-          scores: results.scores,
-          winner: results.winner,
-        });
+      const changed = !error && payload.settings !== undefined ? applySettings(game.settings, payload.settings) : {};
+      error = error || changed.error;
+      if (error) {
+        if (typeof ack === 'function') ack({ ok: false, error });
+        return;
+      }
+      if (changed.settings) {
+        const teamsChanged = changed.settings.teamCount !== game.settings.teamCount;
+        game.settings = changed.settings;
+        game.match = null;
+        if (teamsChanged) {
+          // Deal everyone out again, in the order they joined
+          Array.from(game.players.values()).forEach((p, i) => {
+            p.team = game.settings.teamCount ? i % game.settings.teamCount : null;
+          });
+        }
+      }
+      if (payload.locked !== undefined) game.locked = Boolean(payload.locked);
+      if (payload.autoStart !== undefined) game.autoStart = Boolean(payload.autoStart);
+      emitLobbyUpdate(gameId, game);
+      startIfAllReady(gameId, game);
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
 
-        // Record to leaderboard
-        recordGameToLeaderboard(gameId, game);
-      }, TAP_WINDOW_MS + 5); // +5ms guard
+  // kick_player(playerId) -> host only, between games; the player gets 'kicked' and loses their session
+  socket.on('kick_player', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const gameId = String(payload.gameId || 'default');
+      const game = games.get(gameId);
+      let error = checkHost(game, socket.id);
+      const target = game && game.players.get(String(payload.playerId || ''));
+      if (!error && (!target || target.playerId === game.hostId)) error = 'invalid_player';
+      if (!error && game.status === 'running') error = 'already_running';
+      if (error) {
+        if (typeof ack === 'function') ack({ ok: false, error });
+        return;
+      }
+      if (target.socketId) {
+        io.to(target.socketId).emit('kicked', { gameId });
+        const targetSocket = io.sockets.sockets.get(target.socketId);
+        if (targetSocket) targetSocket.leave(gameId);
+      }
+      removePlayer(gameId, game, target.playerId);
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
 
-      if (typeof ack === 'function') {
-        ack({ ok: true, gameId, startTime: game.startTime, durationMs: TAP_WINDOW_MS });
+  // transfer_host(playerId) -> host only; hands the host role to another player in the room
+  socket.on('transfer_host', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const gameId = String(payload.gameId || 'default');
+      const game = games.get(gameId);
+      const error = checkHost(game, socket.id);
+      const target = game && game.players.get(String(payload.playerId || ''));
+      if (error || !target) {
+        if (typeof ack === 'function') ack({ ok: false, error: error || 'invalid_player' });
+        return;
       }
+      game.hostId = target.playerId;
+      emitLobbyUpdate(gameId, game);
+      if (typeof ack === 'function') ack({ ok: true });
     } catch (err) {
       if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
     }
   });
 
   // tap() -> count if within window
-  socket.on('tap', (payload = {}) => {
+  socket.on('tap', (rawPayload) => {
     try {
+      const payload = readPayload(rawPayload);
       const gameId = String(payload.gameId || 'default');
       const playerId = String(payload.playerId || '');
       const game = games.get(gameId);
@@ -221,35 +576,113 @@ io.on('connection', (socket) => {
         playerId,
         taps: player.taps,
       });
+
+      // A race is over as soon as a player (or team) reaches the target
+      if (hasReachedTarget(Array.from(game.players.values()), player, game.settings)) {
+        game.finishTime = now;
+        endGame(gameId, game);
+      }
     } catch (_) {
       // no-op
     }
   });
 
-  socket.on('disconnect', () => {
-    // Remove player from any game they were part of
-    for (const [gameId, game] of games) {
-      let removed = null;
-      for (const [pid, p] of game.players) {
-        if (p.socketId === socket.id) {
-          removed = pid;
-          break;
-        }
+  // resume_session(sessionToken) -> the player's game as it stands, to pick up where they left off
+  socket.on('resume_session', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const session = sessions.get(String(payload.sessionToken || ''));
+      const game = session && games.get(session.gameId);
+      const player = game && game.players.get(session.playerId);
+      // A player whose grace ran out mid-game is only kept for the results
+      if (!player || player.left) {
+        if (typeof ack === 'function') ack({ ok: false, error: 'session_expired' });
+        return;
       }
-      if (removed) {
-        game.players.delete(removed);
-        io.to(gameId).emit('lobby_update', {
-          gameId,
-          players: Array.from(game.players.values()).map((p) => ({ playerId: p.playerId, username: p.username })),
+
+      // The new socket takes over, whether the old one dropped or is still open in another tab
+      clearTimeout(player.graceHandle);
+      player.graceHandle = null;
+      player.connected = true;
+      player.socketId = socket.id;
+      // Everyone else dropped out too: the room has had no host who could start it
+      const host = game.players.get(game.hostId);
+      if (!host || !host.connected) game.hostId = player.playerId;
+      socket.join(session.gameId);
+      emitLobbyUpdate(session.gameId, game);
+
+      if (typeof ack === 'function') {
+        ack({
+          ok: true,
+          ...getLobby(session.gameId, game), // gameId, hostId, locked, autoStart, players
+          playerId: player.playerId,
+          username: player.username,
+          status: game.status,
+          startTime: game.startTime,
+          durationMs: game.settings.durationMs,
+          scores: computeResults(game).scores, // live counts while running
+          results: game.results,
         });
       }
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
+    }
+  });
+
+  // leave_game(sessionToken) -> give up the place in the game for good
+  socket.on('leave_game', (rawPayload, ack) => {
+    try {
+      const payload = readPayload(rawPayload);
+      const session = sessions.get(String(payload.sessionToken || ''));
+      const game = session && games.get(session.gameId);
+      if (game) {
+        socket.leave(session.gameId);
+        removePlayer(session.gameId, game, session.playerId);
+      }
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'internal_error' });
     }
   });
-});
 
-server.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Tap Sprint backend listening on port ${PORT}`);
+  socket.on('disconnect', () => {
+    // Hold the player's place (and taps) for a while in case they reconnect
+    for (const [gameId, game] of games) {
+      for (const p of game.players.values()) {
+        if (p.socketId !== socket.id) continue;
+        p.connected = false;
+        p.socketId = null;
+        // Only the host can start, so the room does not wait for them to come back
+        if (game.hostId === p.playerId) handOverHost(game);
+        p.graceHandle = setTimeout(() => {
+          if (game.status === 'running') {
+            p.left = true; // Their taps still count in this game's results
+          } else {
+            removePlayer(gameId, game, p.playerId);
+          }
+        }, RECONNECT_GRACE_MS);
+        emitLobbyUpdate(gameId, game);
+      }
+    }
+  });
 });
 
+// Tests require the module and listen on a port of their own
+if (require.main === module) {
+  // Without the Sokoban rules every /sokoban route would fail, so do not start at all
+  sokobanRouter.ready.then(
+    () => server.listen(PORT, () => {
+      // eslint-disable-next-line no-console
+      console.log(`Tap Sprint backend listening on port ${PORT}`);
+    }),
+    (err) => {
+      // eslint-disable-next-line no-console
+      console.error('Could not load the Sokoban rules:', err);
+      process.exit(1);
+    },
+  );
+}
+
+module.exports = { app, server, io, gameStore };
+
 
@@ -0,0 +1,134 @@
+/**
+ * SOKOBAN LEVELS
+ * 
+ * Level format:
+ * - Array of strings, each string is a row
+ * - Legend:
+ *   # = wall
+ *   . = goal (target spot)
+ *   (space) = floor
+ *   $ = box/crate
+ *   @ = player
+ *   * = box on goal
+ *   + = player on goal
+ * - A map with more than one player is a Multiban level: the players take
+ *   turns, switched with Tab (see engine.js)
+ * - variant: 'reverse' for a level played backwards, pulling the boxes off
+ *   the goals back to where the map puts them; leave it out for the usual
+ *   rules
+ * - optimalPushes: the fewest pushes that solve the level, as found by the
+ *   solver (solver.js); the statistics page measures solves against it
+ *
+ * Progress is keyed by the map (getLevelKey() in progress.js), so changing a
+ * shipped map starts its records afresh; the README says when that happened.
+ *
+ * The last two levels show off the rule variants. The solver, replays, the
+ * daily statistics and the leaderboard (task-3/backend/sokoban.js) only know
+ * the usual rules with a single player; see hasUsualRules().
+ */
+
+export const LEVELS = [
+    // Level 1 - Simple introduction
+    {
+        name: "Getting Started",
+        optimalPushes: 3,
+        map: [
+            "#####",
+            "#. .#",
+            "# $$#",
+            "# @ #",
+            "#####"
+        ]
+    },
+    
+    // Level 2 - Three boxes
+    {
+        name: "Three Goals",
+        optimalPushes: 3,
+        map: [
+            "#######",
+            "# ... #",
+            "# $$$ #",
+            "#  @  #",
+            "#######"
+        ]
+    },
+    
+    // Level 3 - Corridor challenge
+    {
+        name: "The Corridor",
+        optimalPushes: 5,
+        map: [
+            "########",
+            "#  . . #",
+            "#  $ $ #",
+            "#  @ . #",
+            "#  $   #",
+            "#      #",
+            "########"
+        ]
+    },
+    
+    // Level 4 - Classic puzzle
+    {
+        name: "Classic Puzzle",
+        optimalPushes: 4,
+        map: [
+            "  #####  ",
+            "###   ###",
+            "#. $@$ .#",
+            "###   ###",
+            "  #####  "
+        ]
+    },
+    
+    // Level 5 - Corner challenge
+    {
+        name: "Corner Strategy",
+        optimalPushes: 13,
+        map: [
+            "########",
+            "#..    #",
+            "#.. $$ #",
+            "#  $  ##",
+            "# $ #  #",
+            "#   @  #",
+            "########"
+        ]
+    },
+
+    // Level 6 - Multiban: each player has a room of their own
+    {
+        name: "Two Rooms",
+        map: [
+            "#########",
+            "#.  #   #",
+            "# $ # $ #",
+            "#@  #  @#",
+            "#   #  .#",
+            "#########"
+        ]
+    },
+
+    // Level 7 - Reverse: pull the boxes off the goals back to where they start
+    {
+        name: "Pull Back",
+        variant: "reverse",
+        map: [
+            "########",
+            "#      #",
+            "# $ $  #",
+            "# #..# #",
+            "#  @   #",
+            "########"
+        ]
+    }
+];
+
+/**
+ * Whether a level is played by the usual rules with a single player, the
+ * only ones the solver, replays and the leaderboard know.
+ */
+export function hasUsualRules(level) {
+    return !level.variant && level.map.join('').replace(/[^@+]/g, '').length === 1;
+}
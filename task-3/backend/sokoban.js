@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const express = require('express');
+
+// Sokoban leaderboard: solutions are replayed with the game's own rules before a
+// score is recorded, so only real solves count. sokoban-rules/ is a copy of the
+// game's engine, lurd, levels and progress modules from task-1/src/sokoban, so the
+// backend runs on its own; test/sokoban-rules.test.js fails when the copy is stale.
+
+const RULES_DIR = path.join(__dirname, 'sokoban-rules');
+const RULES_FILES = ['lurd.js', 'levels.js', 'progress.js'];
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'sokoban-scores.json');
+const MAX_USERNAME_LENGTH = 24;
+const MAX_SOLUTION_LENGTH = 100_000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Error codes, HTTP status and message; messages may be filled in per request
+const ERRORS = {
+  username_required: [400, 'Enter a player name.'],
+  username_too_long: [400, `Player names are at most ${MAX_USERNAME_LENGTH} characters.`],
+  unknown_level: [404, 'There is no built-in level with this id. Leaderboards cover the levels shipped with the game.'],
+  solution_required: [400, 'Send the solution as a LURD string.'],
+  solution_too_long: [400, `Solutions are at most ${MAX_SOLUTION_LENGTH} moves.`],
+  invalid_solution: [400, 'The solution is not valid LURD.'],
+  illegal_move: [400, 'The solution contains an illegal move.'],
+  push_mismatch: [400, 'A move is marked as a push but does not push a box, or the other way round.'],
+  not_solved: [400, 'The solution does not solve the level.'],
+  extra_moves: [400, 'The solution goes on after the level is solved.'],
+  score_mismatch: [400, 'The claimed moves or pushes do not match the solution.'],
+  invalid_time: [400, 'timeMs must be a whole number of milliseconds.'],
+  invalid_sort: [400, 'sort must be "moves" or "pushes".'],
+  invalid_json: [400, 'The request body is not valid JSON.'],
+};
+
+function sendError(res, error, message) {
+  const [status, fallback] = ERRORS[error];
+  res.status(status).json({ ok: false, error, message: message || fallback });
+}
+
+// Sokoban ranks by moves with pushes as the tie-break, or the other way round, then
+// the earlier submission. timeMs is only what the client reports (the replay cannot
+// check it), so it is shown but never decides a rank.
+const COMPARE = {
+  moves: (a, b) => a.moves - b.moves || a.pushes - b.pushes || a.submittedAt - b.submittedAt,
+  pushes: (a, b) => a.pushes - b.pushes || a.moves - b.moves || a.submittedAt - b.submittedAt,
+};
+
+// ==================== STORE ====================
+
+// scores: levelId -> [{ username, moves, pushes, timeMs, solution, submittedAt }]
+// Each player keeps only the submissions that are their best by moves or by pushes.
+function createScoreStore(dataFile) {
+  let scores = {};
+  try {
+    scores = JSON.parse(fs.readFileSync(dataFile, 'utf8')).scores || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      // eslint-disable-next-line no-console
+      console.warn(`Could not read ${dataFile}, starting with no Sokoban scores:`, err.message);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+    const tmp = `${dataFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, scores }, null, 2));
+    fs.renameSync(tmp, dataFile);
+  }
+
+  function bestPerPlayer(levelId, sort) {
+    const best = new Map();
+    for (const entry of scores[levelId] || []) {
+      const key = entry.username.toLowerCase();
+      const current = best.get(key);
+      if (!current || COMPARE[sort](entry, current) < 0) {
+        best.set(key, entry);
+      }
+    }
+    return Array.from(best.values()).sort(COMPARE[sort]);
+  }
+
+  function add(levelId, entry) {
+    const key = entry.username.toLowerCase();
+    const others = (scores[levelId] || []).filter((e) => e.username.toLowerCase() !== key);
+    const own = (scores[levelId] || []).filter((e) => e.username.toLowerCase() === key).concat(entry);
+    const keep = new Set(['moves', 'pushes'].map((sort) => own.slice().sort(COMPARE[sort])[0]));
+    scores[levelId] = others.concat(own.filter((e) => keep.has(e)));
+    save();
+  }
+
+  function ranking(levelId, sort) {
+    return bestPerPlayer(levelId, sort).map((entry, i) => ({
+      rank: i + 1,
+      username: entry.username,
+      moves: entry.moves,
+      pushes: entry.pushes,
+      timeMs: entry.timeMs,
+      submittedAt: entry.submittedAt,
+    }));
+  }
+
+  // Most levels solved first, then most first places by moves, then fewest moves in total
+  function topPlayers() {
+    const players = new Map();
+    for (const levelId of Object.keys(scores)) {
+      bestPerPlayer(levelId, 'moves').forEach((entry, i) => {
+        const key = entry.username.toLowerCase();
+        const player = players.get(key) || { username: entry.username, solved: 0, firstPlaces: 0, totalMoves: 0 };
+        player.solved += 1;
+        player.firstPlaces += i === 0 ? 1 : 0;
+        player.totalMoves += entry.moves;
+        players.set(key, player);
+      });
+    }
+    return Array.from(players.values())
+      .sort((a, b) => b.solved - a.solved || b.firstPlaces - a.firstPlaces || a.totalMoves - b.totalMoves)
+      .map((player, i) => ({ rank: i + 1, ...player }));
+  }
+
+  return { add, ranking, topPlayers };
+}
+
+// ==================== ROUTES ====================
+
+function readLimit(query) {
+  const limit = Number.parseInt(query.limit, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+/**
+ * Load the game's rules from `dir` (ES modules, hence the async import) and the
+ * levels that have leaderboards. Rejects if a module is missing or does not
+ * export what the routes use.
+ */
+async function loadSokobanRules(dir = RULES_DIR) {
+  const [lurd, levels, progress] = await Promise.all(
+    RULES_FILES.map((file) => import(pathToFileURL(path.join(dir, file)).href)),
+  );
+  const exported = { parseLurd: lurd.parseLurd, verifyLurd: lurd.verifyLurd, hasUsualRules: levels.hasUsualRules, getLevelKey: progress.getLevelKey };
+  for (const [name, fn] of Object.entries(exported)) {
+    if (typeof fn !== 'function') throw new Error(`The Sokoban rules in ${dir} do not export ${name}()`);
+  }
+  if (!Array.isArray(levels.LEVELS)) throw new Error(`The Sokoban rules in ${dir} have no LEVELS`);
+
+  // Solutions are replayed by the usual rules, so levels of the other variants have no leaderboard
+  const byId = new Map(
+    levels.LEVELS
+      .map((level, i) => [progress.getLevelKey(level), { ...level, number: i + 1 }])
+      .filter(([, level]) => levels.hasUsualRules(level)),
+  );
+  return { parseLurd: lurd.parseLurd, verifyLurd: lurd.verifyLurd, levels: byId };
+}
+
+/**
+ * Express router for the Sokoban leaderboard, mounted at /sokoban:
+ *   GET  /levels                            built-in levels that have leaderboards
+ *   GET  /levels/:levelId/leaderboard       ?sort=moves|pushes&limit=10
+ *   POST /levels/:levelId/solutions         { username, solution, timeMs, moves?, pushes? }
+ *   GET  /players/top                       ?limit=10
+ * Level ids are getLevelKey() from the game's progress.js, a hash of the map.
+ * The router parses its own JSON bodies, so mount it before any app-wide
+ * express.json(): a body that is not JSON then gets an `invalid_json` error.
+ * `router.ready` settles once the rules are loaded; wait for it before
+ * listening, so a server without them fails at startup.
+ */
+function createSokobanRouter({ dataFile = process.env.SOKOBAN_DATA_FILE || DEFAULT_DATA_FILE } = {}) {
+  const router = express.Router();
+  const store = createScoreStore(dataFile);
+
+  const ready = loadSokobanRules();
+  router.ready = ready;
+
+  router.use(express.json());
+  router.use(async (req, res, next) => {
+    req.sokoban = await ready;
+    next();
+  });
+
+  router.get('/levels', (req, res) => {
+    const levels = Array.from(req.sokoban.levels, ([levelId, level]) => ({ levelId, number: level.number, name: level.name }));
+    res.json({ ok: true, levels });
+  });
+
+  router.get('/levels/:levelId/leaderboard', (req, res) => {
+    const level = req.sokoban.levels.get(req.params.levelId);
+    if (!level) return sendError(res, 'unknown_level');
+    const sort = req.query.sort || 'moves';
+    if (!COMPARE[sort]) return sendError(res, 'invalid_sort');
+
+    res.json({
+      ok: true,
+      levelId: req.params.levelId,
+      name: level.name,
+      sort,
+      entries: store.ranking(req.params.levelId, sort).slice(0, readLimit(req.query)),
+    });
+  });
+
+  router.post('/levels/:levelId/solutions', (req, res) => {
+    const { levelId } = req.params;
+    const body = req.body || {};
+    const level = req.sokoban.levels.get(levelId);
+    if (!level) return sendError(res, 'unknown_level');
+
+    const username = String(body.username || '').trim();
+    if (!username) return sendError(res, 'username_required');
+    if (username.length > MAX_USERNAME_LENGTH) return sendError(res, 'username_too_long');
+    if (!Number.isSafeInteger(body.timeMs) || body.timeMs < 0) return sendError(res, 'invalid_time');
+
+    if (typeof body.solution !== 'string' || !body.solution.trim()) return sendError(res, 'solution_required');
+    if (body.solution.length > MAX_SOLUTION_LENGTH) return sendError(res, 'solution_too_long');
+    const parsed = req.sokoban.parseLurd(body.solution);
+    if (parsed.error) return sendError(res, 'invalid_solution', `The solution is not valid LURD: ${parsed.error}`);
+
+    // Replay from the start of the level; the counts come from the replay, not the client
+    const verdict = req.sokoban.verifyLurd(level.map, parsed.moves);
+    if (verdict.illegal) {
+      const { index, letter, reason } = verdict.illegal;
+      return sendError(res, 'illegal_move', `Move ${index + 1} ('${letter}') ${reason}.`);
+    }
+    if (!verdict.solved) {
+      return sendError(res, 'not_solved', `The solution ends with ${verdict.goalsFilled} of ${verdict.goalCount} boxes on goals.`);
+    }
+    if (verdict.extraMoves > 0) {
+      return sendError(res, 'extra_moves', `The level is solved ${verdict.extraMoves} move(s) before the solution ends.`);
+    }
+    const mismatch = Array.from(parsed.moves).findIndex((letter, i) => letter !== verdict.moves[i]);
+    if (mismatch !== -1) {
+      return sendError(res, 'push_mismatch', `Move ${mismatch + 1} ('${parsed.moves[mismatch]}') is marked wrongly: it should be '${verdict.moves[mismatch]}'.`);
+    }
+
+    const moves = verdict.moves.length;
+    const pushes = verdict.pushes;
+    if ((body.moves !== undefined && body.moves !== moves) || (body.pushes !== undefined && body.pushes !== pushes)) {
+      return sendError(res, 'score_mismatch', `The solution takes ${moves} moves and ${pushes} pushes.`);
+    }
+
+    const entry = { username, moves, pushes, timeMs: body.timeMs, solution: verdict.moves, submittedAt: Date.now() };
+    store.add(levelId, entry);
+
+    const rankOf = (sort) => {
+      const found = store.ranking(levelId, sort).find((e) => e.username.toLowerCase() === username.toLowerCase());
+      return found ? found.rank : null;
+    };
+    res.status(201).json({
+      ok: true,
+      levelId,
+      entry: { username, moves, pushes, timeMs: entry.timeMs, submittedAt: entry.submittedAt },
+      rank: { moves: rankOf('moves'), pushes: rankOf('pushes') },
+    });
+  });
+
+  router.get('/players/top', (req, res) => {
+    res.json({ ok: true, players: store.topPlayers().slice(0, readLimit(req.query)) });
+  });
+
+  // Errors in the same JSON shape as the routes, not Express's HTML error page
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed' || err instanceof SyntaxError) return sendError(res, 'invalid_json');
+    next(err);
+  });
+
+  return router;
+}
+
+module.exports = { createSokobanRouter, loadSokobanRules, RULES_DIR };
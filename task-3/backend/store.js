@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tap Sprint game history: every finished game with its per-player scores,
+// kept so leaderboards and player stats survive a restart.
+//
+// A game record is one round, { gameId, timestamp, mode, durationMs, targetTaps,
+// finishMs, round, rounds, teamCount, winner, winningTeam, scores }, as built by
+// recordGameToLeaderboard() in server.js; scores are
+// [{ playerId, username, team, taps }], most taps first. Records from before game
+// modes have only { gameId, timestamp, winner, scores }; getGameMode() fills in
+// the rest. Every store has the same two methods:
+//   addGame(record)        keep a finished game
+//   listGames({ since })   the games finished at or after `since` (ms), oldest first
+// The leaderboard and player stats below are worked out from listGames(), so
+// a new kind of store only has to provide those two.
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'tap-sprint-games.jsonl');
+
+// ==================== STORES ====================
+
+// Keeps games for the life of the process only; for tests and throwaway servers
+function createMemoryStore(games = []) {
+  function addGame(record) {
+    games.push(record);
+  }
+
+  function listGames({ since = 0 } = {}) {
+    return games.filter((game) => game.timestamp >= since);
+  }
+
+  return { addGame, listGames };
+}
+
+// One JSON game record per line, appended as each game ends, so a crash loses
+// at most the game being written. The whole file is read once at startup.
+function createFileStore(dataFile = DEFAULT_DATA_FILE) {
+  const games = [];
+  let text = '';
+  try {
+    text = fs.readFileSync(dataFile, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      // eslint-disable-next-line no-console
+      console.warn(`Could not read ${dataFile}, starting with no Tap Sprint games:`, err.message);
+    }
+  }
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      games.push(JSON.parse(line));
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn(`Skipping line ${i + 1} of ${dataFile}, it is not a game record:`, err.message);
+    }
+  });
+
+  const memory = createMemoryStore(games);
+
+  function addGame(record) {
+    memory.addGame(record);
+    try {
+      fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+      fs.appendFileSync(dataFile, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      // The game is still in memory; only a restart would lose it
+      // eslint-disable-next-line no-console
+      console.warn(`Could not save game ${record.gameId} to ${dataFile}:`, err.message);
+    }
+  }
+
+  return { addGame, listGames: memory.listGames };
+}
+
+/**
+ * The store named by `type`: 'file' (the default) or 'memory'. The data file
+ * can also be set with the TAP_SPRINT_DATA_FILE env var.
+ */
+function createGameStore({
+  type = process.env.TAP_SPRINT_STORE || 'file',
+  dataFile = process.env.TAP_SPRINT_DATA_FILE || DEFAULT_DATA_FILE,
+} = {}) {
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') return createFileStore(dataFile);
+  throw new Error(`Unknown Tap Sprint store '${type}', expected 'file' or 'memory'`);
+}
+
+// ==================== QUERIES ====================
+
+// The mode a game was played in; older records are solo 15-second sprints
+function getGameMode(game) {
+  return {
+    mode: game.mode || 'sprint',
+    durationMs: game.durationMs || 15_000,
+    targetTaps: game.targetTaps || null,
+    rounds: game.rounds || 1,
+    teamCount: game.teamCount || 0,
+  };
+}
+
+// A single round played by everyone on their own. Team taps and rounds of a
+// match are not scores a player made alone, so only solo games are ranked.
+function isSoloGame(game) {
+  const { rounds, teamCount } = getGameMode(game);
+  return rounds === 1 && !teamCount;
+}
+
+// Every player's score in every solo game, best first; earlier games win ties.
+// Only compare games of one mode and duration (see the /leaderboard route).
+function rankScores(games) {
+  const scores = [];
+  for (const game of games.filter(isSoloGame)) {
+    for (const s of game.scores) {
+      scores.push({ username: s.username, taps: s.taps, gameId: game.gameId, timestamp: game.timestamp });
+    }
+  }
+  scores.sort((a, b) => b.taps - a.taps || a.timestamp - b.timestamp);
+  return scores.map((score, i) => ({ rank: i + 1, ...score }));
+}
+
+// Solo races by how fast the winner reached the target, fastest first
+function rankRaceTimes(games) {
+  return games
+    .filter((game) => game.finishMs !== null && game.finishMs !== undefined && game.winner && isSoloGame(game))
+    .map((game) => ({ username: game.winner.username, finishMs: game.finishMs, gameId: game.gameId, timestamp: game.timestamp }))
+    .sort((a, b) => a.finishMs - b.finishMs || a.timestamp - b.timestamp)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+// A player won a round by finishing first, or in team mode by being on the winning team
+function isWin(game, score) {
+  if (game.winningTeam !== null && game.winningTeam !== undefined) return score.team === game.winningTeam;
+  return Boolean(game.winner && game.winner.playerId === score.playerId);
+}
+
+/**
+ * Lifetime stats for a player, matched by username regardless of case, or
+ * null if they have never finished a game. `bestTaps` and `averageTaps` only
+ * count solo sprints (null if there are none); everything else counts every
+ * game. `recentGames` lists their latest `recent` games, newest first, with
+ * their place in each.
+ */
+function getPlayerStats(store, username, recent = 10) {
+  const key = username.toLowerCase();
+  const played = [];
+  for (const game of store.listGames()) {
+    const place = game.scores.findIndex((s) => s.username.toLowerCase() === key);
+    if (place !== -1) {
+      played.push({ game, score: game.scores[place], place: place + 1 });
+    }
+  }
+  if (played.length === 0) return null;
+
+  const sum = (taps) => taps.reduce((total, n) => total + n, 0);
+  const taps = played.map(({ score }) => score.taps);
+  const soloTaps = played
+    .filter(({ game }) => isSoloGame(game) && getGameMode(game).mode === 'sprint')
+    .map(({ score }) => score.taps);
+  const wins = played.filter(({ game, score }) => isWin(game, score)).length;
+  return {
+    username: played[played.length - 1].score.username,
+    gamesPlayed: played.length,
+    wins,
+    winRate: wins / played.length,
+    totalTaps: sum(taps),
+    bestTaps: soloTaps.length ? Math.max(...soloTaps) : null,
+    averageTaps: soloTaps.length ? sum(soloTaps) / soloTaps.length : null,
+    firstPlayedAt: played[0].game.timestamp,
+    lastPlayedAt: played[played.length - 1].game.timestamp,
+    recentGames: played.slice(-recent).reverse().map(({ game, score, place }) => ({
+      gameId: game.gameId,
+      timestamp: game.timestamp,
+      ...getGameMode(game),
+      taps: score.taps,
+      place,
+      players: game.scores.length,
+      won: isWin(game, score),
+    })),
+  };
+}
+
+module.exports = {
+  createGameStore,
+  createMemoryStore,
+  createFileStore,
+  getGameMode,
+  isSoloGame,
+  rankScores,
+  rankRaceTimes,
+  getPlayerStats,
+};
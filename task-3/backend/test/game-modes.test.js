@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gameStore, useServer, connect, emit, next, wait, getJson, createRoom, sprint } = require('./helpers');
+
+// Game modes per room (modes.js): sprint length, races, rounds and teams
+
+useServer();
+
+test('GET /leaderboard ranks solo games only, leaving out team games and matches', async () => {
+  gameStore.addGame(sprint('solo', 'Solo', 10));
+  gameStore.addGame(sprint('teams', 'Team', 100, { teamCount: 2, winningTeam: 0, scores: [{ username: 'Team', team: 0, taps: 100 }] }));
+  gameStore.addGame(sprint('match', 'Match', 99, { rounds: 3 }));
+
+  const { body } = await getJson('/leaderboard?durationMs=20000');
+  assert.deepEqual(body.top.map((entry) => entry.username), ['Solo']);
+  assert.equal((await getJson('/players/match')).body.player.bestTaps, null);
+});
+
+test('set_team and room settings ack an error for a null payload', async () => {
+  const socket = await connect();
+  assert.deepEqual(await emit(socket, 'set_team', null), { ok: false, error: 'not_in_game' });
+
+  await emit(socket, 'join_game', { username: 'Null', gameId: 'null-room' });
+  assert.deepEqual(await emit(socket, 'update_room', { gameId: 'null-room', settings: null }), { ok: false, error: 'invalid_settings' });
+  assert.deepEqual(await emit(socket, 'update_room', { gameId: 'null-room', settings: [] }), { ok: false, error: 'invalid_settings' });
+});
+
+test('players pick teams between matches, and a new team count deals them again', async () => {
+  const { host, guest, hostJoin, guestJoin } = await createRoom('team-room');
+  assert.deepEqual(await emit(guest, 'set_team', { gameId: 'team-room', team: 0 }), { ok: false, error: 'invalid_team' });
+
+  const lobby = next(guest, 'lobby_update');
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'team-room', settings: { teamCount: 2 } }), { ok: true });
+  const teams = Object.fromEntries((await lobby).players.map((p) => [p.playerId, p.team]));
+  assert.deepEqual(teams, { [hostJoin.playerId]: 0, [guestJoin.playerId]: 1 });
+
+  assert.deepEqual(await emit(guest, 'set_team', { gameId: 'team-room', team: 0 }), { ok: true });
+  assert.deepEqual(await emit(guest, 'set_team', { gameId: 'team-room', team: 2 }), { ok: false, error: 'invalid_team' });
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'team-room', settings: { teamCount: 1 } }), { ok: false, error: 'invalid_settings' });
+});
+
+test('a race ends at the target, and a match keeps its settings between rounds', async () => {
+  const { host, guest, hostJoin } = await createRoom('race-room');
+  const settings = { mode: 'race', targetTaps: 10, durationMs: 5_000, rounds: 2 };
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'race-room', autoStart: true, settings }), { ok: true });
+
+  const started = next(host, 'game_start');
+  await emit(host, 'set_ready', { gameId: 'race-room', ready: true });
+  await emit(guest, 'set_ready', { gameId: 'race-room', ready: true });
+  const start = await started;
+  assert.equal(start.round, 1);
+  assert.deepEqual(start.settings, { ...settings, teamCount: 0 });
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'race-room', settings: { rounds: 3 } }), { ok: false, error: 'already_running' });
+
+  await wait(start.startTime - Date.now() + 20);
+  const results = next(host, 'game_results');
+  for (let i = 0; i < 10; i += 1) host.emit('tap', { gameId: 'race-room', playerId: hostJoin.playerId });
+  const round = await results;
+  assert.equal(round.winner.playerId, hostJoin.playerId);
+  assert.equal(round.scores.length, 2);
+  assert.ok(round.endTime < start.startTime + 5_000);
+  assert.equal(round.match.over, false);
+
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'race-room', settings: { rounds: 3 } }), { ok: false, error: 'match_in_progress' });
+
+  // Rounds of a match are kept but not ranked
+  const recorded = gameStore.listGames().filter((game) => game.gameId === 'race-room');
+  assert.equal(recorded.length, 1);
+  assert.ok(recorded[0].finishMs >= 0);
+  const board = await getJson('/leaderboard?mode=race&targetTaps=10');
+  assert.equal(board.body.total, 0);
+});
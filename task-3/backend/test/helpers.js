@@ -0,0 +1,95 @@
+const test = require('node:test');
+const os = require('os');
+const path = require('path');
+const { io: connectClient } = require('socket.io-client');
+
+// Shared by the tests that talk to server.js. node --test runs every test file
+// in a process of its own, so each file gets its own server and game store.
+
+// Before server.js loads: keep games in memory and make the grace period short
+process.env.TAP_SPRINT_STORE = 'memory';
+process.env.TAP_SPRINT_GRACE_MS = '500';
+process.env.SOKOBAN_DATA_FILE = path.join(os.tmpdir(), `sokoban-scores-${process.pid}.json`);
+const { server, io, gameStore } = require('../server');
+
+const HOUR_MS = 60 * 60 * 1000;
+let url;
+const sockets = [];
+
+// Listen on a free port for the tests of the file, closing their sockets after each one
+function useServer() {
+  test.before(() => new Promise((resolve) => {
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  test.afterEach(() => {
+    for (const socket of sockets.splice(0)) socket.close();
+  });
+
+  test.after(() => new Promise((resolve) => io.close(resolve)));
+}
+
+function connect() {
+  const socket = connectClient(url, { transports: ['websocket'], forceNew: true });
+  sockets.push(socket);
+  return new Promise((resolve) => socket.on('connect', () => resolve(socket)));
+}
+
+const emit = (socket, event, payload) => new Promise((resolve) => socket.emit(event, payload, resolve));
+const next = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function getJson(pathname) {
+  const res = await fetch(`${url}${pathname}`);
+  return { status: res.status, body: await res.json() };
+}
+
+function postJson(pathname, body) {
+  return fetch(`${url}${pathname}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+}
+
+// A room with a host and a second player
+async function createRoom(gameId) {
+  const host = await connect();
+  const guest = await connect();
+  const hostJoin = await emit(host, 'join_game', { username: 'Host', gameId });
+  const guestJoin = await emit(guest, 'join_game', { username: 'Guest', gameId });
+  return { host, guest, hostJoin, guestJoin };
+}
+
+// A finished solo sprint, as recordGameToLeaderboard() stores it
+function sprint(gameId, username, taps, extra = {}) {
+  const score = { playerId: `player_${username}`, username, team: null, taps };
+  return {
+    gameId,
+    timestamp: Date.now() - HOUR_MS,
+    mode: 'sprint',
+    durationMs: 20_000,
+    targetTaps: null,
+    finishMs: null,
+    round: 1,
+    rounds: 1,
+    teamCount: 0,
+    winner: score,
+    winningTeam: null,
+    scores: [score],
+    ...extra,
+  };
+}
+
+module.exports = {
+  HOUR_MS,
+  gameStore,
+  useServer,
+  connect,
+  emit,
+  next,
+  wait,
+  getJson,
+  postJson,
+  createRoom,
+  sprint,
+};
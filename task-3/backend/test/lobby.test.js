@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, connect, emit, next, wait, getJson, createRoom } = require('./helpers');
+
+// The lobby: the host role, ready checks and the 3-2-1 countdown before a round
+
+useServer();
+
+test('lobby handlers ack an error for a null payload and the server stays up', async () => {
+  const socket = await connect();
+  for (const [event, error] of [
+    ['join_game', 'username_required'],
+    ['start_game', 'unknown_game'],
+    ['set_ready', 'not_in_game'],
+    ['update_room', 'unknown_game'],
+    ['kick_player', 'unknown_game'],
+    ['transfer_host', 'unknown_game'],
+  ]) {
+    assert.deepEqual(await emit(socket, event, null), { ok: false, error }, event);
+  }
+
+  // tap has no ack: it ignores the payload, and the socket keeps working
+  socket.emit('tap', null);
+  assert.deepEqual(await emit(socket, 'set_ready', null), { ok: false, error: 'not_in_game' });
+  assert.equal(socket.connected, true);
+  assert.equal((await getJson('/health')).body.ok, true);
+});
+
+test('only the host can start, lock, kick and hand over the room', async () => {
+  const { host, guest, hostJoin, guestJoin } = await createRoom('host-room');
+  assert.deepEqual(await emit(guest, 'start_game', { gameId: 'host-room' }), { ok: false, error: 'not_host' });
+  assert.deepEqual(await emit(guest, 'update_room', { gameId: 'host-room', locked: true }), { ok: false, error: 'not_host' });
+
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'host-room', locked: true }), { ok: true });
+  const late = await connect();
+  assert.deepEqual(await emit(late, 'join_game', { username: 'Late', gameId: 'host-room' }), { ok: false, error: 'room_locked' });
+
+  assert.deepEqual(await emit(host, 'kick_player', { gameId: 'host-room', playerId: hostJoin.playerId }), { ok: false, error: 'invalid_player' });
+  assert.deepEqual(await emit(host, 'transfer_host', { gameId: 'host-room', playerId: 'player_nobody' }), { ok: false, error: 'invalid_player' });
+  const lobby = next(host, 'lobby_update');
+  assert.deepEqual(await emit(host, 'transfer_host', { gameId: 'host-room', playerId: guestJoin.playerId }), { ok: true });
+  assert.equal((await lobby).hostId, guestJoin.playerId);
+
+  const kicked = next(host, 'kicked');
+  assert.deepEqual(await emit(guest, 'kick_player', { gameId: 'host-room', playerId: hostJoin.playerId }), { ok: true });
+  assert.deepEqual(await kicked, { gameId: 'host-room' });
+  assert.deepEqual(await emit(host, 'resume_session', { sessionToken: hostJoin.sessionToken }), { ok: false, error: 'session_expired' });
+});
+
+test('a disconnected host hands over at once and does not take it back on resume', async () => {
+  const { host, guest, hostJoin, guestJoin } = await createRoom('handover-room');
+  const lobby = next(guest, 'lobby_update');
+  host.close();
+  const update = await lobby;
+  assert.equal(update.hostId, guestJoin.playerId);
+  assert.equal(update.players.find((p) => p.playerId === hostJoin.playerId).connected, false);
+
+  const back = await connect();
+  const resumed = await emit(back, 'resume_session', { sessionToken: hostJoin.sessionToken });
+  assert.equal(resumed.ok, true);
+  assert.equal(resumed.playerId, hostJoin.playerId);
+  assert.equal(resumed.hostId, guestJoin.playerId);
+  assert.equal(resumed.status, 'lobby');
+});
+
+test('with autoStart on, the game starts once everyone is ready and counts taps only after the countdown', async () => {
+  const { host, guest, hostJoin } = await createRoom('ready-room');
+  // The shortest sprint, so the round ends soon after the countdown
+  assert.deepEqual(await emit(host, 'update_room', { gameId: 'ready-room', autoStart: true, settings: { durationMs: 5_000 } }), { ok: true });
+
+  let started = false;
+  host.once('game_start', () => { started = true; });
+  assert.deepEqual(await emit(host, 'set_ready', { gameId: 'ready-room', ready: true }), { ok: true });
+  assert.equal(started, false);
+
+  const starting = next(host, 'game_start');
+  assert.deepEqual(await emit(guest, 'set_ready', { gameId: 'ready-room', ready: true }), { ok: true });
+  const start = await starting;
+  assert.equal(start.countdownMs, 3_000);
+  assert.ok(start.startTime - Date.now() > 2_000);
+  assert.deepEqual(await emit(guest, 'set_ready', { gameId: 'ready-room', ready: false }), { ok: false, error: 'already_running' });
+  assert.deepEqual(await emit(host, 'start_game', { gameId: 'ready-room' }), { ok: false, error: 'already_running' });
+
+  // A tap during the 3-2-1 is not counted, one after it is
+  host.emit('tap', { gameId: 'ready-room', playerId: hostJoin.playerId });
+  await wait(start.startTime - Date.now() + 20);
+  const counted = next(host, 'tap_update');
+  host.emit('tap', { gameId: 'ready-room', playerId: hostJoin.playerId });
+  assert.equal((await counted).taps, 1);
+
+  const results = await next(host, 'game_results');
+  assert.equal(results.winner.playerId, hostJoin.playerId);
+  assert.equal(results.winner.taps, 1);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SETTINGS,
+  applySettings,
+  pickTeam,
+  scoreRound,
+  hasReachedTarget,
+  addRoundToMatch,
+  createMatch,
+} = require('../modes');
+
+const score = (playerId, taps, team = null) => ({ playerId, username: playerId, team, taps });
+
+test('applySettings applies valid changes without touching the current settings', () => {
+  const { settings, error } = applySettings(DEFAULT_SETTINGS, { mode: 'race', targetTaps: 100, teamCount: 2 });
+  assert.equal(error, undefined);
+  assert.deepEqual(settings, { ...DEFAULT_SETTINGS, mode: 'race', targetTaps: 100, teamCount: 2 });
+  assert.equal(DEFAULT_SETTINGS.mode, 'sprint');
+});
+
+test('applySettings rejects unknown keys and out-of-range values', () => {
+  for (const changes of [
+    { mode: 'relay' },
+    { colour: 'red' },
+    { durationMs: 4_999 },
+    { durationMs: 60_001 },
+    { targetTaps: 10.5 },
+    { rounds: 0 },
+    { rounds: '3' },
+    { teamCount: 1 },
+    { teamCount: 5 },
+  ]) {
+    assert.deepEqual(applySettings(DEFAULT_SETTINGS, changes), { error: 'invalid_settings' }, JSON.stringify(changes));
+  }
+});
+
+test('applySettings rejects settings that are not an object', () => {
+  for (const changes of [null, [], 'race', 3]) {
+    assert.deepEqual(applySettings(DEFAULT_SETTINGS, changes), { error: 'invalid_settings' });
+  }
+});
+
+test('pickTeam puts a new player in the smallest team, lowest index first', () => {
+  assert.equal(pickTeam([], 0), null);
+  assert.equal(pickTeam([], 3), 0);
+  assert.equal(pickTeam([{ team: 0 }, { team: 1 }], 3), 2);
+  assert.equal(pickTeam([{ team: 0 }, { team: 1 }, { team: 2 }], 3), 0);
+});
+
+test('scoreRound ranks solo players by taps', () => {
+  const result = scoreRound([score('a', 3), score('b', 7)], DEFAULT_SETTINGS);
+  assert.deepEqual(result.scores.map((s) => s.playerId), ['b', 'a']);
+  assert.equal(result.winner.playerId, 'b');
+  assert.equal(result.teams, null);
+  assert.equal(result.winningTeam, null);
+});
+
+test('scoreRound sums team taps and picks the team with most', () => {
+  const result = scoreRound([score('a', 9, 0), score('b', 5, 1), score('c', 6, 1)], { ...DEFAULT_SETTINGS, teamCount: 2 });
+  assert.equal(result.winner.playerId, 'a');
+  assert.equal(result.winningTeam, 1);
+  assert.deepEqual(result.teams, [
+    { team: 1, name: 'Blue', taps: 11, players: ['c', 'b'] },
+    { team: 0, name: 'Red', taps: 9, players: ['a'] },
+  ]);
+});
+
+test('scoreRound of no players has no winner', () => {
+  assert.deepEqual(scoreRound([], DEFAULT_SETTINGS), { scores: [], winner: null, teams: null, winningTeam: null });
+});
+
+test('hasReachedTarget only ends races, counting team taps together', () => {
+  const race = { ...DEFAULT_SETTINGS, mode: 'race', targetTaps: 10 };
+  assert.equal(hasReachedTarget([], { taps: 50 }, DEFAULT_SETTINGS), false);
+  assert.equal(hasReachedTarget([], { taps: 9 }, race), false);
+  assert.equal(hasReachedTarget([], { taps: 10 }, race), true);
+
+  const players = [{ team: 0, taps: 6 }, { team: 0, taps: 4 }, { team: 1, taps: 9 }];
+  assert.equal(hasReachedTarget(players, players[0], { ...race, teamCount: 2 }), true);
+  assert.equal(hasReachedTarget(players, players[2], { ...race, teamCount: 2 }), false);
+});
+
+test('addRoundToMatch adds up taps over the rounds', () => {
+  const match = createMatch();
+  addRoundToMatch(match, [score('a', 3, 0), score('b', 4, 1)]);
+  addRoundToMatch(match, [score('a', 5, 1)]);
+  assert.deepEqual(match.totals, {
+    a: { playerId: 'a', username: 'a', team: 1, taps: 8 },
+    b: { playerId: 'b', username: 'b', team: 1, taps: 4 },
+  });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, connect, emit, next, wait, createRoom } = require('./helpers');
+
+// Session resume: a dropped player keeps their place for TAP_SPRINT_GRACE_MS
+// (500 ms here, see helpers.js) and can take it back with their session token
+
+useServer();
+
+test('a player can resume in the lobby until they leave', async () => {
+  const first = await connect();
+  const joined = await emit(first, 'join_game', { username: 'Resumer', gameId: 'resume-room' });
+  first.close();
+  await wait(50);
+
+  const second = await connect();
+  const resumed = await emit(second, 'resume_session', { sessionToken: joined.sessionToken });
+  assert.equal(resumed.ok, true);
+  assert.equal(resumed.username, 'Resumer');
+  assert.equal(resumed.players[0].connected, true);
+
+  // The grace period of the first socket does not remove the resumed player
+  await wait(600);
+  assert.deepEqual(await emit(second, 'set_ready', { gameId: 'resume-room', ready: true }), { ok: true });
+
+  assert.deepEqual(await emit(second, 'leave_game', { sessionToken: joined.sessionToken }), { ok: true });
+  assert.deepEqual(await emit(second, 'resume_session', { sessionToken: joined.sessionToken }), { ok: false, error: 'session_expired' });
+});
+
+
+test('a player whose grace period has run out cannot resume', async () => {
+  const { host, guest, hostJoin, guestJoin } = await createRoom('grace-room');
+  const dropped = next(host, 'lobby_update');
+  guest.close();
+
+  // Still in the room, shown as disconnected, until the grace period ends
+  const during = await dropped;
+  assert.equal(during.players.find((p) => p.playerId === guestJoin.playerId).connected, false);
+  const after = await next(host, 'lobby_update');
+  assert.deepEqual(after.players.map((p) => p.playerId), [hostJoin.playerId]);
+
+  const back = await connect();
+  assert.deepEqual(await emit(back, 'resume_session', { sessionToken: guestJoin.sessionToken }), { ok: false, error: 'session_expired' });
+});
+
+test('resume_session and leave_game cope with a missing payload or an unknown token', async () => {
+  const socket = await connect();
+  assert.deepEqual(await emit(socket, 'resume_session', null), { ok: false, error: 'session_expired' });
+  assert.deepEqual(await emit(socket, 'resume_session', { sessionToken: 'nope' }), { ok: false, error: 'session_expired' });
+  assert.deepEqual(await emit(socket, 'leave_game', null), { ok: true });
+});
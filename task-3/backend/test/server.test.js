@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HOUR_MS, gameStore, useServer, getJson, postJson, sprint } = require('./helpers');
+
+useServer();
+
+test('GET /leaderboard pages solo sprints of one duration', async () => {
+  for (let taps = 1; taps <= 12; taps += 1) gameStore.addGame(sprint(`solo-${taps}`, `P${taps}`, taps));
+  gameStore.addGame(sprint('longer', 'Longer', 98, { durationMs: 30_000 }));
+
+  const { status, body } = await getJson('/leaderboard?durationMs=20000');
+  assert.equal(status, 200);
+  assert.equal(body.mode, 'sprint');
+  assert.equal(body.durationMs, 20_000);
+  assert.equal(body.total, 12);
+  assert.equal(body.totalPages, 2);
+  assert.deepEqual(body.top.map((entry) => entry.taps), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3]);
+  assert.equal(body.recentGames.length, 10);
+
+  const second = await getJson('/leaderboard?durationMs=20000&page=2&pageSize=5');
+  assert.deepEqual(second.body.top.map((entry) => [entry.rank, entry.taps]), [[6, 7], [7, 6], [8, 5], [9, 4], [10, 3]]);
+  const past = await getJson('/leaderboard?durationMs=20000&page=9');
+  assert.deepEqual(past.body.top, []);
+});
+
+test('GET /leaderboard falls back to the defaults for bad paging values', async () => {
+  for (const [query, page, pageSize] of [
+    ['page=0&pageSize=0', 1, 10],
+    ['page=-2&pageSize=-5', 1, 10],
+    ['page=abc&pageSize=xyz', 1, 10],
+    ['pageSize=1000', 1, 100],
+  ]) {
+    const { body } = await getJson(`/leaderboard?durationMs=20000&${query}`);
+    assert.equal(body.page, page, query);
+    assert.equal(body.pageSize, pageSize, query);
+  }
+  const { body } = await getJson('/leaderboard?durationMs=oops');
+  assert.equal(body.durationMs, 15_000);
+});
+
+test('GET /leaderboard filters by window and ranks races by time', async () => {
+  gameStore.addGame(sprint('race-slow', 'Slow', 30, { mode: 'race', targetTaps: 30, durationMs: 15_000, finishMs: 9_000 }));
+  gameStore.addGame(sprint('race-fast', 'Fast', 30, { mode: 'race', targetTaps: 30, durationMs: 15_000, finishMs: 4_000 }));
+  gameStore.addGame(sprint('old', 'Old', 50, { durationMs: 25_000, timestamp: Date.now() - 10 * 24 * HOUR_MS }));
+  gameStore.addGame(sprint('recent', 'Recent', 40, { durationMs: 25_000 }));
+
+  const race = await getJson('/leaderboard?mode=race&targetTaps=30');
+  assert.equal(race.body.targetTaps, 30);
+  assert.deepEqual(race.body.top.map((entry) => [entry.rank, entry.username, entry.finishMs]), [[1, 'Fast', 4_000], [2, 'Slow', 9_000]]);
+
+  const all = await getJson('/leaderboard?durationMs=25000');
+  const week = await getJson('/leaderboard?durationMs=25000&window=week');
+  assert.deepEqual(all.body.top.map((entry) => entry.username), ['Old', 'Recent']);
+  assert.deepEqual(week.body.top.map((entry) => entry.username), ['Recent']);
+});
+
+test('GET /leaderboard rejects unknown windows and modes', async () => {
+  const badWindow = await getJson('/leaderboard?window=year');
+  assert.equal(badWindow.status, 400);
+  assert.equal(badWindow.body.error, 'invalid_window');
+  const badMode = await getJson('/leaderboard?mode=relay');
+  assert.equal(badMode.status, 400);
+  assert.equal(badMode.body.error, 'invalid_mode');
+});
+
+test('GET /players/:username has stats for known players only', async () => {
+  gameStore.addGame(sprint('stats-1', 'Stats', 30));
+  gameStore.addGame(sprint('stats-2', 'Stats', 45, { durationMs: 15_000 }));
+
+  const known = await getJson('/players/stats');
+  assert.equal(known.status, 200);
+  assert.equal(known.body.player.username, 'Stats');
+  assert.equal(known.body.player.gamesPlayed, 2);
+  assert.equal(known.body.player.wins, 2);
+  assert.equal(known.body.player.bestTaps, 45);
+  const unknown = await getJson('/players/Nobody');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, 'unknown_player');
+});
+
+test('a malformed JSON body to the Sokoban routes gets their JSON error', async () => {
+  const res = await postJson('/sokoban/levels/any/solutions', '{"username": ');
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'invalid_json');
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { RULES_DIR } = require('../sokoban');
+
+// sokoban-rules/ is a copy of the game's modules; they must not drift apart
+const GAME_DIR = path.join(__dirname, '..', '..', '..', 'task-1', 'src', 'sokoban');
+
+test('the Sokoban rules match the game in task-1', { skip: !fs.existsSync(GAME_DIR) && 'task-1 is not checked out' }, () => {
+  const files = fs.readdirSync(RULES_DIR).filter((file) => file.endsWith('.js'));
+  assert.deepEqual(files.sort(), ['engine.js', 'levels.js', 'lurd.js', 'progress.js']);
+  for (const file of files) {
+    const copy = fs.readFileSync(path.join(RULES_DIR, file), 'utf8');
+    const game = fs.readFileSync(path.join(GAME_DIR, file), 'utf8');
+    assert.ok(copy === game, `sokoban-rules/${file} differs from task-1/src/sokoban/${file}; copy it over again`);
+  }
+});
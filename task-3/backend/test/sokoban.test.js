@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createSokobanRouter, loadSokobanRules } = require('../sokoban');
+
+// Level 1, "Getting Started": rULdlU solves it in 6 moves and 3 pushes
+const SOLUTION = 'rULdlU';
+
+let url;
+let server;
+let levelId;
+let dir;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sokoban-'));
+  const app = express();
+  app.use('/sokoban', createSokobanRouter({ dataFile: path.join(dir, 'scores.json') }));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  url = `http://localhost:${server.address().port}/sokoban`;
+
+  const { levels } = await loadSokobanRules();
+  levelId = levels.keys().next().value;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function submit(body, id = levelId) {
+  const res = await fetch(`${url}/levels/${id}/solutions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function getJson(pathname) {
+  const res = await fetch(`${url}${pathname}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test('loading the rules fails when they are not there', async () => {
+  await assert.rejects(loadSokobanRules(path.join(dir, 'missing')), { code: 'ERR_MODULE_NOT_FOUND' });
+});
+
+test('GET /levels lists the built-in levels by id', async () => {
+  const { body } = await getJson('/levels');
+  assert.deepEqual(body.levels[0], { levelId, number: 1, name: 'Getting Started' });
+});
+
+test('a valid solution is recorded with the counts of the replay', async () => {
+  const { status, body } = await submit({ username: 'Alice', solution: SOLUTION, timeMs: 5_000, moves: 6, pushes: 3 });
+  assert.equal(status, 201);
+  assert.equal(body.entry.moves, 6);
+  assert.equal(body.entry.pushes, 3);
+  assert.deepEqual(body.rank, { moves: 1, pushes: 1 });
+});
+
+test('solutions that do not check out are turned down', async () => {
+  for (const [solution, error] of [
+    ['ruLdlU', 'push_mismatch'],
+    ['rULdlUr', 'extra_moves'],
+    ['rU', 'not_solved'],
+    ['lll', 'illegal_move'],
+    ['rXU', 'invalid_solution'],
+    ['', 'solution_required'],
+  ]) {
+    const { status, body } = await submit({ username: 'Mallory', solution, timeMs: 1 });
+    assert.equal(status, 400, solution);
+    assert.equal(body.error, error, solution);
+  }
+  assert.equal((await submit({ username: 'Mallory', solution: SOLUTION, timeMs: 1, moves: 5 })).body.error, 'score_mismatch');
+  assert.equal((await submit({ username: 'Mallory', solution: SOLUTION })).body.error, 'invalid_time');
+  assert.equal((await submit({ username: 'Mallory', solution: SOLUTION, timeMs: -1 })).body.error, 'invalid_time');
+  assert.equal((await submit({ username: 'Mallory', solution: SOLUTION, timeMs: 1.5 })).body.error, 'invalid_time');
+  assert.equal((await submit({ username: ' ', solution: SOLUTION, timeMs: 1 })).body.error, 'username_required');
+  assert.equal((await submit({ username: 'Mallory', solution: SOLUTION, timeMs: 1 }, 'nope')).status, 404);
+
+  const board = await getJson(`/levels/${levelId}/leaderboard`);
+  assert.ok(board.body.entries.every((entry) => entry.username !== 'Mallory'));
+});
+
+test('a body that is not JSON gets a JSON error', async () => {
+  const { status, body } = await submit('{"username": ');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'invalid_json');
+});
+
+test('rankings break ties by the other count and then submission order, never by time', async () => {
+  // Bob ties Alice and claims a faster time; Carol takes a longer route with the same pushes
+  await submit({ username: 'Bob', solution: SOLUTION, timeMs: 1 });
+  await submit({ username: 'Carol', solution: 'lrrULdlU', timeMs: 1 });
+
+  const byMoves = await getJson(`/levels/${levelId}/leaderboard?sort=moves`);
+  assert.deepEqual(byMoves.body.entries.map((entry) => [entry.rank, entry.username, entry.moves]), [
+    [1, 'Alice', 6],
+    [2, 'Bob', 6],
+    [3, 'Carol', 8],
+  ]);
+  const byPushes = await getJson(`/levels/${levelId}/leaderboard?sort=pushes&limit=1`);
+  assert.deepEqual(byPushes.body.entries.map((entry) => entry.username), ['Alice']);
+  assert.equal((await getJson(`/levels/${levelId}/leaderboard?sort=time`)).body.error, 'invalid_sort');
+
+  const top = await getJson('/players/top');
+  assert.deepEqual(top.body.players[0], { rank: 1, username: 'Alice', solved: 1, firstPlaces: 1, totalMoves: 6 });
+});
+
+test('each player keeps their best entry, and scores survive a restart', async () => {
+  await submit({ username: 'carol', solution: SOLUTION, timeMs: 9_000 });
+  const scores = JSON.parse(fs.readFileSync(path.join(dir, 'scores.json'), 'utf8')).scores[levelId];
+  assert.deepEqual(scores.filter((entry) => entry.username.toLowerCase() === 'carol').map((entry) => entry.moves), [6]);
+
+  const app = express();
+  app.use('/sokoban', createSokobanRouter({ dataFile: path.join(dir, 'scores.json') }));
+  const restarted = app.listen(0);
+  await new Promise((resolve) => restarted.once('listening', resolve));
+  const res = await fetch(`http://localhost:${restarted.address().port}/sokoban/levels/${levelId}/leaderboard`);
+  restarted.close();
+  assert.equal((await res.json()).entries.length, 3);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createGameStore,
+  createMemoryStore,
+  createFileStore,
+  getGameMode,
+  isSoloGame,
+  rankScores,
+  rankRaceTimes,
+  getPlayerStats,
+} = require('../store');
+
+// A finished game as recordGameToLeaderboard() in server.js stores it
+function game(gameId, timestamp, scores, extra = {}) {
+  const sorted = scores
+    .map(([username, taps, team = null]) => ({ playerId: `player_${username}`, username, team, taps }))
+    .sort((a, b) => b.taps - a.taps);
+  return {
+    gameId,
+    timestamp,
+    mode: 'sprint',
+    durationMs: 15_000,
+    targetTaps: null,
+    finishMs: null,
+    round: 1,
+    rounds: 1,
+    teamCount: 0,
+    winner: sorted[0] || null,
+    winningTeam: null,
+    scores: sorted,
+    ...extra,
+  };
+}
+
+test('the memory store lists games since a time, oldest first', () => {
+  const store = createMemoryStore();
+  store.addGame(game('a', 100, [['Alice', 1]]));
+  store.addGame(game('b', 200, [['Alice', 2]]));
+  assert.deepEqual(store.listGames().map((g) => g.gameId), ['a', 'b']);
+  assert.deepEqual(store.listGames({ since: 200 }).map((g) => g.gameId), ['b']);
+});
+
+test('the file store keeps games across restarts and skips broken lines', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tap-sprint-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataFile = path.join(dir, 'data', 'games.jsonl');
+
+  createFileStore(dataFile).addGame(game('a', 100, [['Alice', 1]]));
+  fs.appendFileSync(dataFile, 'not json\n');
+  createFileStore(dataFile).addGame(game('b', 200, [['Bob', 2]]));
+
+  t.mock.method(console, 'warn', () => {});
+  const store = createGameStore({ type: 'file', dataFile });
+  assert.deepEqual(store.listGames().map((g) => g.gameId), ['a', 'b']);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('createGameStore refuses an unknown type', () => {
+  assert.throws(() => createGameStore({ type: 'redis' }), /Unknown Tap Sprint store 'redis'/);
+  assert.deepEqual(createGameStore({ type: 'memory' }).listGames(), []);
+});
+
+test('getGameMode treats records from before game modes as solo 15-second sprints', () => {
+  const old = { gameId: 'a', timestamp: 1, winner: null, scores: [] };
+  assert.deepEqual(getGameMode(old), { mode: 'sprint', durationMs: 15_000, targetTaps: null, rounds: 1, teamCount: 0 });
+  assert.equal(isSoloGame(old), true);
+  assert.equal(isSoloGame(game('b', 1, [], { teamCount: 2 })), false);
+  assert.equal(isSoloGame(game('c', 1, [], { rounds: 3 })), false);
+});
+
+test('rankScores ranks every solo score by taps, earlier games first on a tie', () => {
+  const ranked = rankScores([
+    game('a', 100, [['Alice', 30], ['Bob', 40]]),
+    game('b', 50, [['Carol', 30]]),
+    game('teams', 10, [['Dave', 99, 0], ['Erin', 1, 1]], { teamCount: 2 }),
+    game('match', 20, [['Frank', 98]], { rounds: 3 }),
+  ]);
+  assert.deepEqual(ranked, [
+    { rank: 1, username: 'Bob', taps: 40, gameId: 'a', timestamp: 100 },
+    { rank: 2, username: 'Carol', taps: 30, gameId: 'b', timestamp: 50 },
+    { rank: 3, username: 'Alice', taps: 30, gameId: 'a', timestamp: 100 },
+  ]);
+});
+
+test('rankRaceTimes ranks solo race winners by time, earlier races first on a tie', () => {
+  const race = (gameId, timestamp, finishMs, extra = {}) =>
+    game(gameId, timestamp, [[`${gameId}-winner`, 50]], { mode: 'race', targetTaps: 50, finishMs, ...extra });
+  const ranked = rankRaceTimes([
+    race('slow', 1, 9_000),
+    race('late', 30, 6_000),
+    race('early', 20, 6_000),
+    race('timeout', 5, null),
+    race('teams', 6, 1_000, { teamCount: 2 }),
+  ]);
+  assert.deepEqual(ranked.map((entry) => [entry.rank, entry.gameId, entry.finishMs]), [
+    [1, 'early', 6_000],
+    [2, 'late', 6_000],
+    [3, 'slow', 9_000],
+  ]);
+  assert.equal(ranked[0].username, 'early-winner');
+});
+
+test('getPlayerStats adds up every game of a player, matched regardless of case', () => {
+  const store = createMemoryStore([
+    game('a', 100, [['Alice', 30], ['Bob', 40]]),
+    game('b', 200, [['alice', 50]]),
+    game('c', 300, [['Alice', 80, 0], ['Bob', 90, 1], ['Carol', 5, 0]], { teamCount: 2, winningTeam: 0 }),
+    game('d', 400, [['Zed', 1]]),
+  ]);
+  const stats = getPlayerStats(store, 'ALICE', 2);
+  assert.equal(stats.username, 'Alice');
+  assert.equal(stats.gamesPlayed, 3);
+  assert.equal(stats.wins, 2); // game b alone, and game c for team Red
+  assert.equal(stats.winRate, 2 / 3);
+  assert.equal(stats.totalTaps, 160);
+  assert.equal(stats.bestTaps, 50); // team taps are left out
+  assert.equal(stats.averageTaps, 40);
+  assert.equal(stats.firstPlayedAt, 100);
+  assert.equal(stats.lastPlayedAt, 300);
+  assert.deepEqual(stats.recentGames.map((g) => [g.gameId, g.place, g.players, g.won, g.teamCount]), [
+    ['c', 2, 3, true, 2],
+    ['b', 1, 1, true, 0],
+  ]);
+});
+
+test('getPlayerStats has no taps averages without solo sprints, and no stats for unknown players', () => {
+  const store = createMemoryStore([game('a', 100, [['Alice', 30, 0], ['Bob', 40, 1]], { teamCount: 2, winningTeam: 1 })]);
+  const stats = getPlayerStats(store, 'Alice');
+  assert.equal(stats.wins, 0);
+  assert.equal(stats.bestTaps, null);
+  assert.equal(stats.averageTaps, null);
+  assert.equal(getPlayerStats(store, 'Nobody'), null);
+});
@@ -2,6 +2,130 @@ import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { io } from 'socket.io-client'
 
 const SOCKET_URL = 'http://localhost:3001'
+const SESSION_KEY = 'tapSprint.session'
+
+// Readable text for the error codes in acks (see documentation.md)
+const ERROR_MESSAGES = {
+	username_required: 'Enter a username.',
+	game_already_started: 'That game is under way. Try again when it ends.',
+	room_locked: 'The host has locked that room.',
+	not_host: 'Only the host can do that.',
+	not_in_game: 'You are no longer in this room.',
+	already_running: 'The game has already started.',
+	invalid_player: 'That player is not in the room.',
+	invalid_settings: 'Those game settings are not allowed.',
+	match_in_progress: 'Finish the match first: settings and teams are fixed until its last round.',
+	invalid_team: 'There is no such team.',
+}
+
+function describeError(error) {
+	return ERROR_MESSAGES[error] || 'Something went wrong. Please try again.'
+}
+
+// Game modes, as in the backend's modes.js (TEAM_NAMES in the same order)
+const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Yellow']
+const DEFAULT_SETTINGS = { mode: 'sprint', durationMs: 15000, targetTaps: 50, rounds: 1, teamCount: 0 }
+const DURATION_OPTIONS = [5000, 10000, 15000, 20000, 30000, 60000]
+const TARGET_OPTIONS = [25, 50, 100, 200]
+const ROUND_OPTIONS = [1, 3, 5]
+const TEAM_OPTIONS = [0, 2, 3, 4]
+
+function describeMode(settings) {
+	const parts = [settings.mode === 'race'
+		? `Race to ${settings.targetTaps} taps (${settings.durationMs / 1000}s limit)`
+		: `Sprint: most taps in ${settings.durationMs / 1000}s`]
+	if (settings.rounds > 1) parts.push(`${settings.rounds} rounds, taps add up`)
+	if (settings.teamCount) parts.push(`${settings.teamCount} teams`)
+	return parts.join(' · ')
+}
+
+// Live taps summed per team, most first
+function sumTeamTaps(scores, players, teamCount) {
+	const teams = TEAM_NAMES.slice(0, teamCount).map((name, team) => ({ team, name, taps: 0 }))
+	for (const s of scores) {
+		const team = players.find((p) => p.playerId === s.playerId)?.team
+		if (teams[team]) teams[team].taps += s.taps
+	}
+	return teams.sort((a, b) => b.taps - a.taps)
+}
+
+function TeamBadge({ team }) {
+	return team === null || team === undefined ? null : <span className={`badge team-${team}`}>{TEAM_NAMES[team]}</span>
+}
+
+// The host picks the mode; everyone else sees it described
+function SettingsPanel({ settings, editable, onChange }) {
+	if (!editable) return <p className="mode">{describeMode(settings)}</p>
+	function select(key, options, label, format) {
+		return (
+			<label>
+				{label}
+				<select value={settings[key]} onChange={(e) => onChange({ [key]: Number(e.target.value) })}>
+					{options.map((option) => <option key={option} value={option}>{format(option)}</option>)}
+				</select>
+			</label>
+		)
+	}
+	return (
+		<div className="settings">
+			<label>
+				Mode
+				<select value={settings.mode} onChange={(e) => onChange({ mode: e.target.value })}>
+					<option value="sprint">Sprint: most taps</option>
+					<option value="race">Race: first to the target</option>
+				</select>
+			</label>
+			{select('durationMs', DURATION_OPTIONS, settings.mode === 'race' ? 'Time limit' : 'Duration', (ms) => `${ms / 1000}s`)}
+			{settings.mode === 'race' ? select('targetTaps', TARGET_OPTIONS, 'Target', (n) => `${n} taps`) : null}
+			{select('rounds', ROUND_OPTIONS, 'Rounds', (n) => (n === 1 ? 'Single round' : `${n} rounds`))}
+			{select('teamCount', TEAM_OPTIONS, 'Teams', (n) => (n ? `${n} teams` : 'Off'))}
+		</div>
+	)
+}
+
+// A winner line for a round or the match: the top team in team mode, otherwise the top player
+function WinnerLine({ label, standing }) {
+	if (standing.teams) {
+		const team = standing.teams[0]
+		return team ? <div className="winner">{label}: <b>{team.name} team</b> ({team.taps})</div> : null
+	}
+	return standing.winner ? <div className="winner">{label}: <b>{standing.winner.username}</b> ({standing.winner.taps})</div> : null
+}
+
+function TeamList({ teams }) {
+	return (
+		<ul className="scores">
+			{teams.map((t) => (
+				<li key={t.team}><span><TeamBadge team={t.team} /> team</span><b>{t.taps}</b></li>
+			))}
+		</ul>
+	)
+}
+
+// The session from join_game ({ sessionToken, gameId, username }), kept so a reload or a dropped connection can resume it
+function loadSession() {
+	try {
+		return JSON.parse(localStorage.getItem(SESSION_KEY))
+	} catch (_) {
+		return null
+	}
+}
+
+function saveSession(session) {
+	try {
+		localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+	} catch (_) {
+		// Private mode or full storage: the game still works, it just cannot be resumed
+	}
+}
+
+function clearSession() {
+	try {
+		localStorage.removeItem(SESSION_KEY)
+	} catch (_) {
+		// no-op
+	}
+}
 
 function useSocket() {
 	const socketRef = useRef(null)
@@ -11,7 +135,7 @@ function useSocket() {
 	return socketRef.current
 }
 
-function JoinScreen({ onJoin }) {
+function JoinScreen({ onJoin, notice }) {
 	const [username, setUsername] = useState('')
 	const [gameId, setGameId] = useState('')
 	return (
@@ -19,37 +143,113 @@ function JoinScreen({ onJoin }) {
 			<h1>Tap Sprint</h1>
 			<input placeholder="Username" value={username} onChange={(e) => setUsername(e.target.value)} />
 			<input placeholder="Game ID (optional)" value={gameId} onChange={(e) => setGameId(e.target.value)} />
+			{notice ? <p className="notice">{notice}</p> : null}
 			<button className="primary" onClick={() => onJoin(username.trim(), gameId.trim() || 'default')}>Join Game</button>
 		</div>
 	)
 }
 
-function LobbyScreen({ players, onStart }) {
+function LobbyScreen({ lobby, myPlayerId, countdownMs, notice, onStart, onLeave, onReady, onKick, onMakeHost, onUpdateRoom, onSetTeam }) {
+	const { players, hostId, locked, autoStart, settings, round } = lobby
+	const isHost = hostId === myPlayerId
+	const me = players.find((p) => p.playerId === myPlayerId)
+	const counting = countdownMs > 0
+	// Between the rounds of a match the settings and teams stay as they are
+	const matchInProgress = round > 0 && round < settings.rounds
 	return (
 		<div className="screen lobby">
 			<h2>Lobby</h2>
-			<p>Waiting for others… Anyone can start.</p>
+			{counting ? (
+				<div className="countdown">Starting in {Math.ceil(countdownMs / 1000)}…</div>
+			) : (
+				<p>{isHost ? 'You are the host. Start when everyone is ready.' : 'Waiting for the host to start…'}</p>
+			)}
+			<SettingsPanel settings={settings} editable={isHost && !counting && !matchInProgress} onChange={(changes) => onUpdateRoom({ settings: changes })} />
+			{matchInProgress ? <p className="mode">Next up: round {round + 1} of {settings.rounds}</p> : null}
 			<ul className="players">
 				{players.map((p) => (
-					<li key={p.playerId}>{p.username}</li>
+					<li key={p.playerId}>
+						<span>
+							{p.username}
+							{p.playerId === myPlayerId ? ' (you)' : ''}
+							{p.playerId === hostId ? <span className="badge">👑 Host</span> : null}
+							<TeamBadge team={p.team} />
+						</span>
+						<span className="player-status">
+							{p.connected === false
+								? <span className="muted">reconnecting…</span>
+								: <span className={p.ready ? 'ready' : 'muted'}>{p.ready ? '✅ Ready' : 'Not ready'}</span>}
+							{isHost && p.playerId !== myPlayerId && !counting ? (
+								<>
+									<button className="small" onClick={() => onMakeHost(p.playerId)}>Make host</button>
+									<button className="small" onClick={() => onKick(p.playerId)}>Kick</button>
+								</>
+							) : null}
+						</span>
+					</li>
 				))}
 			</ul>
-			<button className="primary" onClick={onStart}>Start Game</button>
+			{settings.teamCount > 0 && me && !counting && !matchInProgress ? (
+				<div className="room-options">
+					Your team:
+					{TEAM_NAMES.slice(0, settings.teamCount).map((name, team) => (
+						<button key={name} className={`small team-${team}`} disabled={me.team === team} onClick={() => onSetTeam(team)}>{name}</button>
+					))}
+				</div>
+			) : null}
+			{isHost ? (
+				<div className="room-options">
+					<label>
+						<input type="checkbox" checked={autoStart} disabled={counting} onChange={(e) => onUpdateRoom({ autoStart: e.target.checked })} />
+						Start when all ready
+					</label>
+					<label>
+						<input type="checkbox" checked={locked} onChange={(e) => onUpdateRoom({ locked: e.target.checked })} />
+						Lock room
+					</label>
+				</div>
+			) : (
+				<p className="muted">
+					{locked ? '🔒 The room is locked. ' : ''}
+					{autoStart ? 'The game starts when everyone is ready.' : ''}
+				</p>
+			)}
+			{notice ? <p className="notice">{notice}</p> : null}
+			<div className="actions">
+				<button className={me?.ready ? '' : 'primary'} disabled={counting} onClick={() => onReady(!me?.ready)}>
+					{me?.ready ? 'Not Ready' : 'Ready'}
+				</button>
+				{isHost ? <button className="primary" disabled={counting} onClick={onStart}>Start Game</button> : null}
+				<button onClick={onLeave}>Leave</button>
+			</div>
 		</div>
 	)
 }
 
-function GameScreen({ timerMs, canTap, onTap, scoreboard }) {
+function GameScreen({ timerMs, canTap, onTap, scoreboard, teams, settings, round }) {
+	// In a race, show how far each player (or team) is from the target
+	const target = settings.mode === 'race' ? ` / ${settings.targetTaps}` : ''
 	return (
 		<div className="screen game">
-			<h2>Go!</h2>
+			<h2>{settings.rounds > 1 ? `Round ${round} of ${settings.rounds}: Go!` : 'Go!'}</h2>
+			<p className="mode">{describeMode(settings)}</p>
 			<div className="timer">{(timerMs / 1000).toFixed(2)}s</div>
 			<button disabled={!canTap} className={`tap ${canTap ? '' : 'disabled'}`} onClick={onTap}>TAP!</button>
 			<div className="scoreboard">
+				{teams ? (
+					<>
+						<h3>Teams</h3>
+						<ul>
+							{teams.map((t) => (
+								<li key={t.team}><span><TeamBadge team={t.team} /> team</span><b>{t.taps}{target}</b></li>
+							))}
+						</ul>
+					</>
+				) : null}
 				<h3>Live Scores</h3>
 				<ul>
 					{scoreboard.map((s) => (
-						<li key={s.playerId}><span>{s.username}</span><b>{s.taps}</b></li>
+						<li key={s.playerId}><span>{s.username}</span><b>{s.taps}{teams ? '' : target}</b></li>
 					))}
 				</ul>
 			</div>
@@ -57,54 +257,157 @@ function GameScreen({ timerMs, canTap, onTap, scoreboard }) {
 	)
 }
 
-function ResultsScreen({ scores, winner, onBack }) {
+function ResultsScreen({ results, onBack }) {
+	const { settings, round, match } = results
+	const multiRound = settings.rounds > 1
 	return (
 		<div className="screen results">
-			<h2>Results</h2>
-			{winner ? <div className="winner">Winner: <b>{winner.username}</b> ({winner.taps})</div> : null}
+			<h2>{multiRound ? `Round ${round} of ${settings.rounds}` : 'Results'}</h2>
+			<p className="mode">{describeMode(settings)}</p>
+			<WinnerLine label={multiRound ? 'Round winner' : 'Winner'} standing={results} />
+			{results.teams ? <TeamList teams={results.teams} /> : null}
 			<ul className="scores">
-				{scores.map((s) => (
-					<li key={s.playerId}><span>{s.username}</span><b>{s.taps}</b></li>
+				{results.scores.map((s) => (
+					<li key={s.playerId}><span>{s.username} <TeamBadge team={s.team} /></span><b>{s.taps}</b></li>
 				))}
 			</ul>
-			<button className="primary" onClick={onBack}>Play Again</button>
+			{multiRound ? (
+				<>
+					<h3>{match.over ? 'Final standings' : 'Match so far'}</h3>
+					{match.over ? <WinnerLine label="Match winner" standing={match} /> : null}
+					{match.teams ? <TeamList teams={match.teams} /> : null}
+					<ul className="scores">
+						{match.scores.map((s) => (
+							<li key={s.playerId}><span>{s.username} <TeamBadge team={s.team} /></span><b>{s.taps}</b></li>
+						))}
+					</ul>
+				</>
+			) : null}
+			<button className="primary" onClick={onBack}>{match.over ? 'Play Again' : 'On to the Next Round'}</button>
 		</div>
 	)
 }
 
 export default function App() {
 	const socket = useSocket()
-	const [phase, setPhase] = useState('join') // 'join' | 'lobby' | 'game' | 'results'
-	const [players, setPlayers] = useState([])
+	// A stored session is resumed before anything else is shown
+	const [phase, setPhase] = useState(() => (loadSession() ? 'resuming' : 'join')) // 'resuming' | 'join' | 'lobby' | 'game' | 'results'
+	const [connected, setConnected] = useState(socket.connected)
+	const [lobby, setLobby] = useState({
+		players: [], hostId: null, locked: false, autoStart: false, settings: DEFAULT_SETTINGS, round: 0,
+	})
+	const players = lobby.players
+	const [countdownMs, setCountdownMs] = useState(0)
+	const [notice, setNotice] = useState('')
 	const [myPlayerId, setMyPlayerId] = useState('')
 	const [gameId, setGameId] = useState('default')
 	const [timerMs, setTimerMs] = useState(0)
 	const [scores, setScores] = useState([])
-	const [winner, setWinner] = useState(null)
+	const [results, setResults] = useState(null)
 	const startTimeRef = useRef(null)
 	const endTimeRef = useRef(null)
 	const tickIntervalRef = useRef(null)
 	const liveTapsRef = useRef(new Map())
 
+	// Count down to the server's start time in the lobby (3-2-1), then to its end time in the game;
+	// used by game_start and by resuming mid-game
+	function startCountdown(startTime, durationMs) {
+		startTimeRef.current = startTime
+		endTimeRef.current = startTime + durationMs
+		let started = false
+		function tick() {
+			const now = Date.now()
+			if (now < startTimeRef.current) {
+				setCountdownMs(startTimeRef.current - now)
+				setPhase('lobby')
+				return
+			}
+			if (!started) {
+				started = true
+				setCountdownMs(0)
+				setPhase('game')
+			}
+			const msLeft = Math.max(0, endTimeRef.current - now)
+			setTimerMs(msLeft)
+			if (msLeft <= 0) {
+				clearInterval(tickIntervalRef.current)
+			}
+		}
+		// start a high-frequency interval based on server times
+		clearInterval(tickIntervalRef.current)
+		setNotice('')
+		tick()
+		tickIntervalRef.current = setInterval(tick, 50)
+	}
+
+	function applyLobby(data) {
+		setLobby({
+			players: data.players || [],
+			hostId: data.hostId || null,
+			locked: Boolean(data.locked),
+			autoStart: Boolean(data.autoStart),
+			settings: data.settings || DEFAULT_SETTINGS,
+			round: data.round || 0,
+		})
+	}
+
+	// Resume the stored session on every (re)connect, putting the player back in the phase their game is in
+	useEffect(() => {
+		function resume() {
+			setConnected(true)
+			const session = loadSession()
+			if (!session) return
+			socket.emit('resume_session', { sessionToken: session.sessionToken }, (res) => {
+				if (!res?.ok) {
+					// Grace period over or server restarted: start again from the join screen
+					clearSession()
+					setPhase('join')
+					return
+				}
+				setGameId(res.gameId)
+				setMyPlayerId(res.playerId)
+				applyLobby(res)
+				if (res.status === 'running') {
+					liveTapsRef.current = new Map(res.scores.map((s) => [s.playerId, s]))
+					setScores(res.scores)
+					startCountdown(res.startTime, res.durationMs)
+				} else if (res.status === 'ended' && res.results) {
+					setResults(res.results)
+					setPhase('results')
+				} else {
+					setPhase('lobby')
+				}
+			})
+		}
+		function onDisconnect() {
+			setConnected(false)
+		}
+
+		socket.on('connect', resume)
+		socket.on('disconnect', onDisconnect)
+		if (socket.connected) resume()
+		return () => {
+			socket.off('connect', resume)
+			socket.off('disconnect', onDisconnect)
+		}
+	}, [socket])
+
 	// Socket event handlers
 	useEffect(() => {
 		function onLobbyUpdate(data) {
-			setPlayers(data.players || [])
+			applyLobby(data)
 		}
-		function onGameStart(data) {
-			startTimeRef.current = data.startTime
-			endTimeRef.current = data.startTime + data.durationMs
-			setPhase('game')
-			// start a high-frequency interval based on server times
+		function onKicked() {
 			clearInterval(tickIntervalRef.current)
-			tickIntervalRef.current = setInterval(() => {
-				const now = Date.now()
-				const msLeft = Math.max(0, endTimeRef.current - now)
-				setTimerMs(msLeft)
-				if (msLeft <= 0) {
-					clearInterval(tickIntervalRef.current)
-				}
-			}, 50)
+			clearSession()
+			setMyPlayerId('')
+			setNotice('The host removed you from the room.')
+			setPhase('join')
+		}
+		function onGameStart(data) {
+			setLobby((current) => ({ ...current, settings: data.settings || current.settings, round: data.round || current.round }))
+			setScores([])
+			startCountdown(data.startTime, data.durationMs)
 			// reset live taps
 			liveTapsRef.current = new Map()
 		}
@@ -118,8 +421,9 @@ export default function App() {
 			setScores(merged)
 		}
 		function onGameResults(data) {
-			setScores(data.scores || [])
-			setWinner(data.winner || null)
+			// A race can end before the timer runs out
+			clearInterval(tickIntervalRef.current)
+			setResults(data)
 			setPhase('results')
 		}
 
@@ -127,7 +431,9 @@ export default function App() {
 		socket.on('game_start', onGameStart)
 		socket.on('tap_update', onTapUpdate)
 		socket.on('game_results', onGameResults)
+		socket.on('kicked', onKicked)
 		return () => {
+			socket.off('kicked', onKicked)
 			socket.off('lobby_update', onLobbyUpdate)
 			socket.off('game_start', onGameStart)
 			socket.off('tap_update', onTapUpdate)
@@ -139,17 +445,33 @@ export default function App() {
 		if (!username) return
 		socket.emit('join_game', { username, gameId: gid }, (res) => {
 			if (res?.ok) {
+				saveSession({ sessionToken: res.sessionToken, gameId: res.gameId, username })
 				setGameId(res.gameId)
 				setMyPlayerId(res.playerId)
+				setNotice('')
 				setPhase('lobby')
+			} else {
+				setNotice(describeError(res?.error))
 			}
 		})
 	}
 
+	// Lobby actions; the server checks who may do what, and a refusal is shown under the player list
+	function emitLobbyAction(event, payload = {}) {
+		socket.emit(event, { gameId, ...payload }, (res) => {
+			setNotice(res?.ok ? '' : describeError(res?.error))
+		})
+	}
+
 	function handleStart() {
-		socket.emit('start_game', { gameId })
+		emitLobbyAction('start_game')
 	}
 
+	const liveTeams = useMemo(
+		() => (lobby.settings.teamCount ? sumTeamTaps(scores, players, lobby.settings.teamCount) : null),
+		[scores, players, lobby.settings],
+	)
+
 	const canTap = useMemo(() => {
 		const now = Date.now()
 		return phase === 'game' && startTimeRef.current != null && endTimeRef.current != null && now >= startTimeRef.current && now <= endTimeRef.current
@@ -160,19 +482,54 @@ export default function App() {
 		socket.emit('tap', { gameId, playerId: myPlayerId })
 	}
 
+	function handleLeave() {
+		const session = loadSession()
+		socket.emit('leave_game', { sessionToken: session?.sessionToken })
+		clearSession()
+		applyLobby({})
+		setMyPlayerId('')
+		setPhase('join')
+	}
+
 	function handleBackToLobby() {
 		setPhase('lobby')
 		setScores([])
-		setWinner(null)
+		setResults(null)
 		setTimerMs(0)
 	}
 
 	return (
 		<div className="app">
-			{phase === 'join' && <JoinScreen onJoin={handleJoin} />}
-			{phase === 'lobby' && <LobbyScreen players={players} onStart={handleStart} />}
-			{phase === 'game' && <GameScreen timerMs={timerMs} canTap={canTap} onTap={handleTap} scoreboard={scores} />}
-			{phase === 'results' && <ResultsScreen scores={scores} winner={winner} onBack={handleBackToLobby} />}
+			{!connected && phase !== 'join' && <div className="banner">Connection lost. Reconnecting…</div>}
+			{phase === 'resuming' && <div className="screen"><p>Rejoining your game…</p></div>}
+			{phase === 'join' && <JoinScreen onJoin={handleJoin} notice={notice} />}
+			{phase === 'lobby' && (
+				<LobbyScreen
+					lobby={lobby}
+					myPlayerId={myPlayerId}
+					countdownMs={countdownMs}
+					notice={notice}
+					onStart={handleStart}
+					onLeave={handleLeave}
+					onReady={(ready) => emitLobbyAction('set_ready', { ready })}
+					onKick={(playerId) => emitLobbyAction('kick_player', { playerId })}
+					onMakeHost={(playerId) => emitLobbyAction('transfer_host', { playerId })}
+					onUpdateRoom={(changes) => emitLobbyAction('update_room', changes)}
+					onSetTeam={(team) => emitLobbyAction('set_team', { team })}
+				/>
+			)}
+			{phase === 'game' && (
+				<GameScreen
+					timerMs={timerMs}
+					canTap={canTap}
+					onTap={handleTap}
+					scoreboard={scores}
+					teams={liveTeams}
+					settings={lobby.settings}
+					round={lobby.round}
+				/>
+			)}
+			{phase === 'results' && results && <ResultsScreen results={results} onBack={handleBackToLobby} />}
 		</div>
 	)
 }